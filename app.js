@@ -1,11 +1,72 @@
 // State Management
 const STATE_KEY = 'fasting-tracker-state';
+// Bump when the saved state shape changes, and add a matching entry to STATE_MIGRATIONS
+const STATE_SCHEMA_VERSION = 9;
+// Longest fasting goal - custom goals, the history editors and import all use it
+const MAX_FASTING_GOAL_HOURS = 72;
+
+// Single source of truth for skill and setting defaults (used by state init, migrations, import and sync)
+const DEFAULT_SKILLS = {
+    water: 0,
+    hotwater: 0,
+    coffee: 0,
+    tea: 0,
+    exercise: 0,
+    hanging: 0,
+    grip: 0,
+    walk: 0,
+    doctorwin: 0,
+    flatstomach: 0,
+    broth: 0,
+    protein: 0,
+    fiber: 0,
+    homecooked: 0,
+    sloweating: 0,
+    chocolate: 0,
+    mealwalk: 0,
+    sleep: 0
+};
+
+const DEFAULT_SETTINGS = {
+    showFastingGoals: true,
+    showSleepGoals: true,
+    showFastingFuture: true,
+    showBreakingFastGuide: true,
+    showExerciseGuide: true,
+    showEatingGuide: true,
+    showSleepGuide: true,
+    showMealSleepQuality: true,
+    showHungerTracker: true,
+    showTrends: true,
+    showPhaseTimeline: true,
+    notifyFastingPhases: true,
+    notifyHungerWaves: true
+};
+
+// Chronotype presets (bedtime window, wake target, last meal buffer) - declared before state, which starts from one.
+// Windows may cross midnight (e.g. a night shift sleeping 08:00-10:00, or a night owl 23:30-01:30)
+const CHRONOTYPE_PRESETS = {
+    earlyBird: { name: 'Early bird', bedtimeStart: '21:00', bedtimeEnd: '23:00', wakeTarget: '05:30', lastMealBufferHours: 6 },
+    standard: { name: 'Standard', bedtimeStart: '22:00', bedtimeEnd: '00:00', wakeTarget: '07:00', lastMealBufferHours: 5 },
+    nightOwl: { name: 'Night owl', bedtimeStart: '23:30', bedtimeEnd: '01:30', wakeTarget: '08:30', lastMealBufferHours: 4 },
+    nightShift: { name: 'Night shift', bedtimeStart: '08:00', bedtimeEnd: '10:00', wakeTarget: '16:00', lastMealBufferHours: 4 }
+};
+
+function createDefaultChronotype() {
+    // The original fixed 9-11 PM window
+    const { name, ...profile } = CHRONOTYPE_PRESETS.earlyBird;
+    return { ...profile, updatedAt: 0 };
+}
+
 let state = {
+    schemaVersion: STATE_SCHEMA_VERSION,
     currentFast: {
         startTime: null,
         goalHours: 16,
         isActive: false,
-        powerups: [] // Track powerups during fast
+        powerups: [], // Track powerups during fast
+        pauses: [], // Pause/resume segments ({start, end}) - paused time doesn't count
+        breaks: [] // Small intakes that didn't end the fast
     },
     fastingHistory: [],
     currentSleep: {
@@ -14,46 +75,37 @@ let state = {
         isActive: false
     },
     sleepHistory: [],
+    // Nap sessions - kept apart from sleepHistory so they never touch sleep streaks or averages
+    currentNap: {
+        startTime: null,
+        goalMinutes: 20,
+        isActive: false
+    },
+    napHistory: [],
     // Last meal time (when fast ended)
     lastMealTime: null,
     // Sleep powerups for pre-sleep routine
     sleepPowerups: [],
     // Eating powerups for breaking fast
     eatingPowerups: [],
+    // Meal log - kept across fasts, unlike eatingPowerups
+    meals: [],
+    // Archived eating windows (powerups, meal quality, bloat), one per fast started
+    eatingHistory: [],
+    // Body measurements (weight kg, waist cm, body fat %), newest first
+    measurements: [],
     // Skills XP tracking
-    skills: {
-        water: 0,
-        hotwater: 0,
-        coffee: 0,
-        tea: 0,
-        exercise: 0,
-        hanging: 0,
-        grip: 0,
-        walk: 0,
-        doctorwin: 0,
-        flatstomach: 0,
-        broth: 0,
-        protein: 0,
-        fiber: 0,
-        homecooked: 0,
-        sloweating: 0,
-        chocolate: 0,
-        mealwalk: 0,
-        sleep: 0
-    },
+    skills: { ...DEFAULT_SKILLS },
     // Settings/Preferences
-    settings: {
-        showFastingGoals: true,
-        showSleepGoals: true,
-        showFastingFuture: true,
-        showBreakingFastGuide: true,
-        showExerciseGuide: true,
-        showEatingGuide: true,
-        showSleepGuide: true,
-        showMealSleepQuality: true,
-        showHungerTracker: true,
-        showTrends: true
-    },
+    settings: { ...DEFAULT_SETTINGS },
+    // When each setting was last changed (per-key merge across devices)
+    settingsUpdatedAt: {},
+    // Deleted history record ids -> deletion time, so deletions survive a sync merge
+    deletedRecords: {},
+    // Weekly fasting plan (target + start window per weekday)
+    fastingPlan: createDefaultFastingPlan(),
+    // Chronotype profile (bedtime window, wake target, last meal buffer)
+    chronotype: createDefaultChronotype(),
     // Custom powerup (1 per month)
     customPowerup: {
         name: null,
@@ -194,6 +246,18 @@ const PRECIOUS_ITEMS = {
         unlockCondition: { type: 'streak', streakType: 'sleep', days: 7 },
         unlockText: 'Achieve a 7-day sleep streak'
     },
+    'steady-lancet': {
+        id: 'steady-lancet',
+        name: 'Steady Lancet',
+        rarity: 'uncommon',
+        icon: 'px-lancet-uncommon',
+        description: 'A tiny blade that reads the calm in your blood.',
+        lore: 'One drop is all it takes to see the Insulin Dragon sleeping.',
+        effect: { type: 'damage_bonus', target: 'dragon', amount: 3 },
+        effectText: '+3 Dragon Damage',
+        unlockCondition: { type: 'biomarker', marker: 'glucose', below: 80 },
+        unlockText: 'Log a glucose reading of 80 mg/dL or lower'
+    },
 
     // ============ RARE ITEMS ============
     'ketone-crystal': {
@@ -256,6 +320,18 @@ const PRECIOUS_ITEMS = {
         unlockCondition: { type: 'streak', streakType: 'fasting', days: 14 },
         unlockText: 'Achieve a 14-day fasting streak'
     },
+    'ketone-lantern': {
+        id: 'ketone-lantern',
+        name: 'Ketone Lantern',
+        rarity: 'rare',
+        icon: 'px-lantern-rare',
+        description: 'Burns brighter the deeper you go into ketosis.',
+        lore: 'Lit by fat alone, it lights the way through the longest fasts.',
+        effect: { type: 'damage_bonus', target: 'visceral', amount: 5 },
+        effectText: '+5 Visceral Damage',
+        unlockCondition: { type: 'biomarker', marker: 'ketones', above: 1.5 },
+        unlockText: 'Log a ketone reading of 1.5 mmol/L or higher'
+    },
 
     // ============ EPIC ITEMS ============
     'insulin-slayer-blade': {
@@ -448,6 +524,20 @@ function getTotalEatingPowerups() {
     return count;
 }
 
+// Every glucose or ketone reading ever logged (past fasts and the current one)
+function getBiomarkerReadings(marker) {
+    const readings = [];
+    (state.fastingHistory || []).forEach(fast => {
+        (fast.biomarkers || []).forEach(reading => {
+            if (reading.type === marker) readings.push(reading);
+        });
+    });
+    (state.currentFast?.biomarkers || []).forEach(reading => {
+        if (reading.type === marker) readings.push(reading);
+    });
+    return readings;
+}
+
 // Check if item unlock condition is met
 function checkItemUnlockCondition(item) {
     try {
@@ -495,6 +585,12 @@ function checkItemUnlockCondition(item) {
             }
             return false;
 
+        case 'biomarker':
+            // A single reading at or past the threshold (above for ketones, below for glucose)
+            return getBiomarkerReadings(condition.marker).some(reading =>
+                condition.above !== undefined ? reading.value >= condition.above : reading.value <= condition.below
+            );
+
         default:
             return false;
         }
@@ -546,6 +642,15 @@ function getItemUnlockProgress(item) {
             }
             return 0;
 
+        case 'biomarker': {
+            const values = getBiomarkerReadings(condition.marker).map(reading => reading.value);
+            if (values.length === 0) return 0;
+            if (condition.above !== undefined) {
+                return Math.min(100, (Math.max(...values) / condition.above) * 100);
+            }
+            return Math.min(100, (condition.below / Math.min(...values)) * 100);
+        }
+
         default:
             return 0;
     }
@@ -1057,6 +1162,112 @@ function isValidUsername(username) {
     return /^[a-zA-Z0-9_]{3,20}$/.test(username);
 }
 
+/**
+ * Sanitize a completed fast's powerups (counts object, or a legacy array of types)
+ * @param {*} powerups - Powerups value from an imported history entry
+ * @returns {Object|Array} Counts object with clamped values, or a cleaned legacy array
+ */
+function sanitizePowerupCounts(powerups) {
+    if (Array.isArray(powerups)) {
+        return powerups
+            .filter(p => (typeof p === 'string' && p.length <= 50) || (p && typeof p.type === 'string' && p.type.length <= 50))
+            .slice(0, 200);
+    }
+    const counts = {};
+    if (powerups && typeof powerups === 'object') {
+        for (const [type, count] of Object.entries(powerups).slice(0, 50)) {
+            if (type.length <= 50) counts[type] = sanitizeNumber(count, 0, 1000, 0);
+        }
+    }
+    return counts;
+}
+
+/**
+ * Sanitize a post-session feeling
+ * @param {*} feeling - Feeling value from an imported history entry
+ * @returns {string|null} A known feeling key, or null
+ */
+function sanitizeFeeling(feeling) {
+    return typeof feeling === 'string' && Object.prototype.hasOwnProperty.call(feelingLabels, feeling) ? feeling : null;
+}
+
+/**
+ * Sanitize a completed fast's hunger log details
+ * @param {*} details - hungerDetails value from an imported history entry
+ * @returns {Array|undefined} Cleaned log entries, or undefined if there were none
+ */
+function sanitizeHungerDetails(details) {
+    if (!Array.isArray(details)) return undefined;
+    return details
+        .filter(log => log && /^hunger[1-4]$/.test(log.level))
+        .map(log => ({
+            level: log.level,
+            time: sanitizeNumber(log.time, 0, Date.now() + 86400000, 0),
+            fastingHours: sanitizeNumber(log.fastingHours, 0, 168, 0),
+            sleepHours: sanitizeNumber(log.sleepHours, 0, 24, 0)
+        }))
+        .filter(log => log.time > 0)
+        .slice(0, 500);
+}
+
+/**
+ * Sanitize a fast's pause/resume segments
+ * @param {*} pauses - pauses value from an imported fast
+ * @returns {Array|undefined} Segments sorted by start (end is null only for a pause still running), or undefined if there were none
+ */
+function sanitizeFastPauses(pauses) {
+    if (!Array.isArray(pauses)) return undefined;
+    const maxTime = Date.now() + 86400000;
+    return pauses
+        .filter(pause => pause && typeof pause === 'object')
+        .map(pause => ({
+            start: sanitizeNumber(pause.start, 0, maxTime, 0),
+            end: pause.end === null || pause.end === undefined ? null : sanitizeNumber(pause.end, 0, maxTime, 0)
+        }))
+        .filter(pause => pause.start > 0 && (pause.end === null || pause.end >= pause.start))
+        .sort((a, b) => a.start - b.start)
+        .slice(0, 200);
+}
+
+/**
+ * Sanitize a fast's small-intake ("broken by") events
+ * @param {*} breaks - breaks value from an imported fast
+ * @returns {Array|undefined} Cleaned events, or undefined if there were none
+ */
+function sanitizeFastBreaks(breaks) {
+    if (!Array.isArray(breaks)) return undefined;
+    return breaks
+        .filter(entry => entry && Object.prototype.hasOwnProperty.call(FAST_BREAK_SIZES, entry.size))
+        .map(entry => ({
+            size: entry.size,
+            time: sanitizeNumber(entry.time, 0, Date.now() + 86400000, 0),
+            fastingHours: sanitizeNumber(entry.fastingHours, 0, 168, 0),
+            note: typeof entry.note === 'string' ? entry.note.slice(0, 100) : ''
+        }))
+        .filter(entry => entry.time > 0)
+        .slice(0, 100);
+}
+
+/**
+ * Sanitize a sleep record's quality details
+ * @param {Object} entry - Imported sleep history entry
+ * @returns {Object} latencyMinutes, awakenings, rating and napMinutes - unknown or invalid ones are left undefined
+ */
+function sanitizeSleepDetails(entry) {
+    const read = (value, max) => {
+        if (value === null || value === undefined || value === '') return undefined;
+        const num = Number(value);
+        return Number.isFinite(num) ? Math.round(sanitizeNumber(num, 0, max, 0)) : undefined;
+    };
+    const rating = read(entry.rating, 5);
+    return {
+        latencyMinutes: read(entry.latencyMinutes, 180),
+        awakenings: read(entry.awakenings, 20),
+        rating: rating >= 1 ? rating : undefined,
+        napMinutes: read(entry.napMinutes, 240)
+    };
+}
+
 /**
  * Sanitize imported data to prevent malicious content
  * @param {object} data - The data object to sanitize
@@ -1072,7 +1283,7 @@ function sanitizeImportedData(data) {
 
     // Validate currentFast
     if (sanitized.currentFast) {
-        sanitized.currentFast.goalHours = sanitizeNumber(sanitized.currentFast.goalHours, 1, 72, 16);
+        sanitized.currentFast.goalHours = sanitizeNumber(sanitized.currentFast.goalHours, 1, MAX_FASTING_GOAL_HOURS, 16);
         sanitized.currentFast.isActive = Boolean(sanitized.currentFast.isActive);
         if (sanitized.currentFast.startTime) {
             const time = new Date(sanitized.currentFast.startTime).getTime();
@@ -1081,13 +1292,17 @@ function sanitizeImportedData(data) {
                 sanitized.currentFast.isActive = false;
             }
         }
+        sanitized.currentFast.plan = sanitizePlanEntry(sanitized.currentFast.plan);
         if (Array.isArray(sanitized.currentFast.powerups)) {
             sanitized.currentFast.powerups = sanitized.currentFast.powerups
-                .filter(p => typeof p === 'string' && p.length <= 50)
-                .slice(0, 20);
+                .filter(p => p && typeof p.type === 'string' && p.type.length <= 50)
+                .slice(0, 200);
         } else {
             sanitized.currentFast.powerups = [];
         }
+        sanitized.currentFast.pauses = sanitizeFastPauses(sanitized.currentFast.pauses) || [];
+        sanitized.currentFast.breaks = sanitizeFastBreaks(sanitized.currentFast.breaks) || [];
+        sanitized.currentFast.biomarkers = sanitizeBiomarkers(sanitized.currentFast.biomarkers) || [];
     }
 
     // Validate currentSleep
@@ -1101,6 +1316,24 @@ function sanitizeImportedData(data) {
                 sanitized.currentSleep.isActive = false;
             }
         }
+        const alarmTime = sanitized.currentSleep.alarmTime;
+        sanitized.currentSleep.alarmTime = /^([01]\d|2[0-3]):[0-5]\d$/.test(alarmTime) ? alarmTime : false;
+        sanitized.currentSleep.alarmRungAt = sanitized.currentSleep.alarmRungAt ? sanitizeNumber(sanitized.currentSleep.alarmRungAt, 0, Date.now() + 86400000, 0) : false;
+        sanitized.currentSleep.alarmNextRing = sanitized.currentSleep.alarmNextRing ? sanitizeNumber(sanitized.currentSleep.alarmNextRing, 0, Date.now() + 86400000, 0) : false;
+        sanitized.currentSleep.alarmSnoozes = Math.round(sanitizeNumber(sanitized.currentSleep.alarmSnoozes, 0, 50, 0));
+    }
+
+    // Validate currentNap
+    if (sanitized.currentNap) {
+        sanitized.currentNap.goalMinutes = Math.round(sanitizeNumber(sanitized.currentNap.goalMinutes, 5, 180, 20));
+        sanitized.currentNap.isActive = Boolean(sanitized.currentNap.isActive);
+        if (sanitized.currentNap.startTime) {
+            const time = new Date(sanitized.currentNap.startTime).getTime();
+            if (isNaN(time) || time < 0 || time > Date.now() + 86400000) {
+                sanitized.currentNap.startTime = null;
+                sanitized.currentNap.isActive = false;
+            }
+        }
     }
 
     // Validate fastingHistory
@@ -1120,11 +1353,16 @@ function sanitizeImportedData(data) {
             .map(entry => ({
                 ...entry,
                 id: String(entry.id || Date.now()).slice(0, 50),
-                goalHours: sanitizeNumber(entry.goalHours, 1, 72, 16),
+                goalHours: sanitizeNumber(entry.goalHours, 1, MAX_FASTING_GOAL_HOURS, 16),
                 duration: sanitizeNumber(entry.duration, 0, 168, 0),
-                powerups: Array.isArray(entry.powerups)
-                    ? entry.powerups.filter(p => typeof p === 'string' && p.length <= 50).slice(0, 20)
-                    : []
+                powerups: sanitizePowerupCounts(entry.powerups),
+                feeling: sanitizeFeeling(entry.feeling),
+                hungerDetails: sanitizeHungerDetails(entry.hungerDetails),
+                biomarkers: sanitizeBiomarkers(entry.biomarkers),
+                plan: sanitizePlanEntry(entry.plan),
+                pauses: sanitizeFastPauses(entry.pauses),
+                breaks: sanitizeFastBreaks(entry.breaks),
+                phasesReached: sanitizePhasesReached(entry.phasesReached)
             }));
     } else {
         sanitized.fastingHistory = [];
@@ -1148,21 +1386,163 @@ function sanitizeImportedData(data) {
                 ...entry,
                 id: String(entry.id || Date.now()).slice(0, 50),
                 goalHours: sanitizeNumber(entry.goalHours, 1, 24, 8),
-                duration: sanitizeNumber(entry.duration, 0, 24, 0)
+                duration: sanitizeNumber(entry.duration, 0, 24, 0),
+                feeling: sanitizeFeeling(entry.feeling),
+                ...sanitizeSleepDetails(entry),
+                wakeAlarm: sanitizeWakeAlarm(entry.wakeAlarm)
             }));
     } else {
         sanitized.sleepHistory = [];
     }
 
+    // Validate napHistory
+    if (Array.isArray(sanitized.napHistory)) {
+        sanitized.napHistory = sanitized.napHistory
+            .filter(entry => {
+                if (!entry || typeof entry !== 'object') return false;
+                const start = new Date(entry.startTime).getTime();
+                const end = new Date(entry.endTime).getTime();
+                if (isNaN(start) || isNaN(end)) return false;
+                if (start < 0 || end < start) return false;
+                // Cap duration at 12 hours
+                if ((end - start) > 43200000) return false;
+                return true;
+            })
+            .slice(0, 1000) // Limit history entries
+            .map(entry => ({
+                ...entry,
+                id: String(entry.id || Date.now()).slice(0, 50),
+                goalMinutes: Math.round(sanitizeNumber(entry.goalMinutes, 5, 180, 20)),
+                duration: sanitizeNumber(entry.duration, 0, 12, 0)
+            }));
+    } else {
+        sanitized.napHistory = [];
+    }
+
+    // Validate eating powerups (current eating window)
+    if (Array.isArray(sanitized.eatingPowerups)) {
+        sanitized.eatingPowerups = sanitized.eatingPowerups
+            .filter(entry => entry && typeof entry.type === 'string' && /^[a-zA-Z0-9_-]{1,50}$/.test(entry.type))
+            .map(entry => {
+                const clean = { type: entry.type, time: sanitizeNumber(entry.time, 0, Date.now() + 86400000, 0) };
+                if (typeof entry.mealId === 'string') clean.mealId = entry.mealId.slice(0, 50);
+                return clean;
+            })
+            .filter(entry => entry.time > 0)
+            .slice(0, 500);
+    } else if (sanitized.eatingPowerups !== undefined) {
+        sanitized.eatingPowerups = [];
+    }
+
+    // Validate eatingHistory
+    if (Array.isArray(sanitized.eatingHistory)) {
+        sanitized.eatingHistory = sanitized.eatingHistory
+            .filter(entry => {
+                if (!entry || typeof entry !== 'object' || !entry.id) return false;
+                const start = new Date(entry.startTime).getTime();
+                const end = new Date(entry.endTime).getTime();
+                return !isNaN(start) && !isNaN(end) && start >= 0 && end >= start;
+            })
+            .slice(0, 2000)
+            .map(entry => ({
+                id: String(entry.id).slice(0, 50),
+                startTime: new Date(entry.startTime).getTime(),
+                endTime: new Date(entry.endTime).getTime(),
+                duration: sanitizeNumber(entry.duration, 0, EATING_HISTORY_MAX_HOURS, 0),
+                powerups: Array.isArray(entry.powerups)
+                    ? entry.powerups
+                        .filter(p => p && typeof p.type === 'string' && /^[a-zA-Z0-9_-]{1,50}$/.test(p.type))
+                        .map(p => ({ type: p.type, time: sanitizeNumber(p.time, 0, Date.now() + 86400000, 0) }))
+                        .slice(0, 500)
+                    : [],
+                mealCount: Math.round(sanitizeNumber(entry.mealCount, 0, 100, 0)),
+                mealQuality: Math.round(sanitizeNumber(entry.mealQuality, 0, 10, 0)),
+                bloat: Math.round(sanitizeNumber(entry.bloat, 0, 100, 0)),
+                ...(entry.updatedAt ? { updatedAt: sanitizeNumber(entry.updatedAt, 0, Date.now() + 86400000, 0) } : {})
+            }));
+    } else if (sanitized.eatingHistory !== undefined) {
+        sanitized.eatingHistory = [];
+    }
+
+    // Validate meal log
+    if (Array.isArray(sanitized.meals)) {
+        sanitized.meals = sanitized.meals
+            .filter(entry => entry && typeof entry === 'object' && entry.id)
+            .map(entry => ({
+                id: String(entry.id).slice(0, 50),
+                time: sanitizeNumber(entry.time, 0, Date.now() + 86400000, 0),
+                size: MEAL_SIZES[entry.size] ? entry.size : 'regular',
+                tags: Array.isArray(entry.tags) ? parseMealTags(entry.tags.filter(tag => typeof tag === 'string').join(',')) : [],
+                powerups: Array.isArray(entry.powerups)
+                    ? entry.powerups.filter(type => typeof type === 'string' && /^[a-zA-Z0-9_-]{1,50}$/.test(type)).slice(0, 20)
+                    : [],
+                ...(entry.updatedAt ? { updatedAt: sanitizeNumber(entry.updatedAt, 0, Date.now() + 86400000, 0) } : {})
+            }))
+            .filter(entry => entry.time > 0)
+            .slice(0, 2000);
+    } else if (sanitized.meals !== undefined) {
+        sanitized.meals = [];
+    }
+
+    // Validate body measurements - drop values outside the plausible range, and entries left empty
+    if (Array.isArray(sanitized.measurements)) {
+        sanitized.measurements = sanitized.measurements
+            .filter(entry => entry && typeof entry === 'object' && entry.id)
+            .map(entry => {
+                const clean = {
+                    id: String(entry.id).slice(0, 50),
+                    time: sanitizeNumber(entry.time, 0, Date.now() + 86400000, 0)
+                };
+                for (const [metric, config] of Object.entries(MEASUREMENT_METRICS)) {
+                    const value = Number(entry[metric]);
+                    if (entry[metric] !== undefined && Number.isFinite(value) && value >= config.min && value <= config.max) {
+                        clean[metric] = value;
+                    }
+                }
+                if (entry.updatedAt) clean.updatedAt = sanitizeNumber(entry.updatedAt, 0, Date.now() + 86400000, 0);
+                return clean;
+            })
+            .filter(entry => entry.time > 0 && Object.keys(MEASUREMENT_METRICS).some(metric => metric in entry))
+            .slice(0, 2000);
+    } else if (sanitized.measurements !== undefined) {
+        sanitized.measurements = [];
+    }
+
     // Validate skills
     if (sanitized.skills && typeof sanitized.skills === 'object') {
-        const validSkills = ['water', 'coffee', 'tea', 'exercise', 'hanging', 'grip', 'walk',
-                           'broth', 'protein', 'fiber', 'homecooked', 'sloweating', 'chocolate', 'mealwalk', 'sleep'];
-        for (const skill of validSkills) {
+        for (const skill of Object.keys(DEFAULT_SKILLS)) {
             sanitized.skills[skill] = sanitizeNumber(sanitized.skills[skill], 0, 1000000, 0);
         }
     }
 
+    // Validate sync metadata (timestamps keyed by setting name / record id)
+    for (const field of ['settingsUpdatedAt', 'deletedRecords']) {
+        if (sanitized[field] && typeof sanitized[field] === 'object') {
+            const cleaned = {};
+            for (const [key, time] of Object.entries(sanitized[field]).slice(0, 5000)) {
+                if (/^[a-zA-Z0-9_-]{1,50}$/.test(key)) {
+                    cleaned[key] = sanitizeNumber(time, 0, Date.now() + 86400000, 0);
+                }
+            }
+            sanitized[field] = cleaned;
+        } else {
+            delete sanitized[field];
+        }
+    }
+
+    // Validate chronotype profile and weekly plan
+    if (sanitized.chronotype !== undefined) {
+        sanitized.chronotype = sanitizeChronotype(sanitized.chronotype);
+    }
+    if (sanitized.fastingPlan !== undefined) {
+        sanitized.fastingPlan = sanitizeFastingPlan(sanitized.fastingPlan);
+    }
+
+    // Keep the schema version so migrateState() knows where to start
+    if (sanitized.schemaVersion !== undefined) {
+        sanitized.schemaVersion = sanitizeNumber(sanitized.schemaVersion, 0, 1000, 0);
+    }
+
     // Validate customPowerup
     if (sanitized.customPowerup) {
         if (typeof sanitized.customPowerup.name === 'string') {
@@ -1174,11 +1554,17 @@ function sanitizeImportedData(data) {
 
     // Validate settings
     if (sanitized.settings && typeof sanitized.settings === 'object') {
-        const validSettings = ['showFastingGoals', 'showSleepGoals', 'showFastingFuture',
-                              'showBreakingFastGuide', 'showExerciseGuide', 'showEatingGuide',
-                              'showSleepGuide', 'showMealSleepQuality', 'showHungerTracker', 'showTrends'];
-        for (const setting of validSettings) {
-            sanitized.settings[setting] = Boolean(sanitized.settings[setting]);
+        for (const setting of Object.keys(DEFAULT_SETTINGS)) {
+            // Leave missing keys for the migration to default, rather than forcing them off
+            if (sanitized.settings[setting] !== undefined) {
+                sanitized.settings[setting] = Boolean(sanitized.settings[setting]);
+            }
+        }
+        if (sanitized.settings.fastingPhaseHours !== undefined) {
+            sanitized.settings.fastingPhaseHours = sanitizePhaseHours(sanitized.settings.fastingPhaseHours);
+        }
+        if (sanitized.settings.measurementUnits !== undefined) {
+            sanitized.settings.measurementUnits = sanitized.settings.measurementUnits === 'imperial' ? 'imperial' : 'metric';
         }
     }
 
@@ -1240,6 +1626,10 @@ document.addEventListener('visibilitychange', () => {
     if (document.visibilityState === 'hidden') {
         // Save state immediately when tab becomes hidden
         saveState();
+    } else {
+        // Coming back on a new day - follow that day's plan
+        applyTodaysPlannedGoal();
+        updateTodayPlanUI();
     }
 });
 
@@ -1644,7 +2034,7 @@ function initCollectionListeners() {
 // Initialize app
 document.addEventListener('DOMContentLoaded', async () => {
     initDomCache(); // Initialize DOM element cache first
-    loadState();
+    await loadState();
     initEventListeners();
     initUsernameListeners();
     initLeaderboardListeners();
@@ -1655,8 +2045,13 @@ document.addEventListener('DOMContentLoaded', async () => {
     updateUI();
     updatePowerupDisplay();
     updateHungerDisplay();
+    updateBiomarkerDisplay();
     updateEatingPowerupDisplay();
     updateMealQuality();
+    resetMealForm();
+    renderMealLog();
+    resetMeasurementForm();
+    renderMeasurements();
     updateConstitution();
     updateSkills();
     updateCustomPowerupDisplay();
@@ -1679,6 +2074,10 @@ document.addEventListener('DOMContentLoaded', async () => {
         startSleepTimer();
     }
 
+    // Resumes the nap timer if one was running
+    updateNapUI();
+    updateWakeAlarmUI();
+
     // Update meal-sleep status every minute (store reference for cleanup)
     mealSleepInterval = setInterval(updateMealSleepStatus, 60000);
 
@@ -1691,6 +2090,7 @@ document.addEventListener('DOMContentLoaded', async () => {
     }, 60000);
 
     // Initialize Firebase sync
+    renderSyncLog();
     await initializeFirebaseSync();
 
     // Check for username if already signed in
@@ -1708,7 +2108,12 @@ document.addEventListener('DOMContentLoaded', async () => {
             const modalsToClose = [
                 { id: 'tutorial-modal', fn: hideTutorial },
                 { id: 'leaderboard-modal', fn: closeLeaderboard },
+                { id: 'edit-fast-modal', fn: closeEditFastModal },
+                { id: 'log-record-modal', fn: closeLogRecordModal },
+                { id: 'import-preview-modal', fn: closeImportPreviewModal },
+                { id: 'plan-editor-modal', fn: closePlanEditorModal },
                 { id: 'feeling-modal', fn: () => document.getElementById('feeling-modal')?.classList.add('hidden') },
+                { id: 'sleep-details-modal', fn: () => resolveSleepDetails(false) },
                 { id: 'custom-powerup-modal', fn: () => document.getElementById('custom-powerup-modal')?.classList.add('hidden') },
                 { id: 'username-modal', fn: () => document.getElementById('username-modal')?.classList.add('hidden') },
                 { id: 'guide-modal', fn: () => document.getElementById('guide-modal')?.classList.add('hidden') },
@@ -1733,17 +2138,208 @@ document.addEventListener('DOMContentLoaded', async () => {
 // localStorage utilities with fallback for private browsing
 let localStorageAvailable = true;
 
-function saveState() {
-    if (localStorageAvailable) {
-        try {
-            localStorage.setItem(STATE_KEY, JSON.stringify(state));
-        } catch (e) {
-            // localStorage might be full or unavailable (private browsing)
-            console.warn('Could not save to localStorage:', e.message);
-            localStorageAvailable = false;
+// ==========================================
+// STATE SCHEMA MIGRATIONS
+// ==========================================
+// Every state blob (localStorage, imported file, cloud snapshot) passes through
+// migrateState() so older shapes are upgraded the same way regardless of source.
+
+/**
+ * Ordered list of schema migrations. Entry N upgrades a state from version N-1 to N.
+ * Migrations must be idempotent and must not touch the DOM.
+ */
+const STATE_MIGRATIONS = [
+    {
+        version: 1,
+        description: 'Backfill fields added before schema versioning',
+        migrate(data) {
+            if (!data.currentFast || typeof data.currentFast !== 'object') {
+                data.currentFast = { startTime: null, goalHours: 16, isActive: false, powerups: [] };
+            }
+            if (!Array.isArray(data.currentFast.powerups)) data.currentFast.powerups = [];
+            if (!Array.isArray(data.fastingHistory)) data.fastingHistory = [];
+            if (!data.currentSleep || typeof data.currentSleep !== 'object') {
+                data.currentSleep = { startTime: null, goalHours: 8, isActive: false };
+            }
+            if (!Array.isArray(data.sleepHistory)) data.sleepHistory = [];
+            if (!Array.isArray(data.eatingPowerups)) data.eatingPowerups = [];
+            if (!Array.isArray(data.sleepPowerups)) data.sleepPowerups = [];
+
+            // Fill every known skill (older builds only knew a subset)
+            if (!data.skills || typeof data.skills !== 'object') data.skills = {};
+            for (const skill of Object.keys(DEFAULT_SKILLS)) {
+                if (typeof data.skills[skill] !== 'number') data.skills[skill] = 0;
+            }
+
+            // Preserve saved settings, default new ones
+            if (!data.settings || typeof data.settings !== 'object') data.settings = {};
+            for (const [key, defaultValue] of Object.entries(DEFAULT_SETTINGS)) {
+                if (data.settings[key] === undefined) data.settings[key] = defaultValue;
+            }
+
+            if (!data.customPowerup) data.customPowerup = { name: null, createdMonth: null };
+            if (!data.livingLife) {
+                data.livingLife = { isActive: false, activatedAt: null, expiresAt: null, history: [] };
+            }
+            if (!Array.isArray(data.livingLife.history)) data.livingLife.history = [];
+            if (!data.collection) data.collection = { unlockedItems: [], equippedItem: null, newItems: [] };
+            if (!Array.isArray(data.collection.unlockedItems)) data.collection.unlockedItems = [];
+            if (!Array.isArray(data.collection.newItems)) data.collection.newItems = [];
+
+            // Existing users who have data should not see the tutorial
+            if (data.hasSeenTutorial === undefined) {
+                data.hasSeenTutorial = data.fastingHistory.length > 0 || data.sleepHistory.length > 0;
+            }
+        }
+    },
+    {
+        version: 2,
+        description: 'Normalize history records (ids, durations, powerup counts)',
+        migrate(data) {
+            const normalizeRecord = (record) => {
+                if (!record.id) record.id = generateId();
+                if (typeof record.duration !== 'number' && record.startTime && record.endTime) {
+                    record.duration = (record.endTime - record.startTime) / 1000 / 60 / 60;
+                }
+            };
+
+            for (const fast of data.fastingHistory) {
+                normalizeRecord(fast);
+                // Very old fasts stored the raw [{type, time}] list; completed fasts now store counts
+                if (Array.isArray(fast.powerups)) {
+                    const counts = {};
+                    fast.powerups.forEach(p => {
+                        const type = typeof p === 'string' ? p : p?.type;
+                        if (type) counts[type] = (counts[type] || 0) + 1;
+                    });
+                    fast.powerups = counts;
+                } else if (!fast.powerups || typeof fast.powerups !== 'object') {
+                    fast.powerups = {};
+                }
+            }
+            data.sleepHistory.forEach(normalizeRecord);
+
+            data.fastingHistory.sort((a, b) => b.endTime - a.endTime);
+            data.sleepHistory.sort((a, b) => b.endTime - a.endTime);
+        }
+    },
+    {
+        version: 3,
+        description: 'Add per-setting timestamps and deletion tombstones for field-level sync',
+        migrate(data) {
+            if (!data.settingsUpdatedAt || typeof data.settingsUpdatedAt !== 'object') data.settingsUpdatedAt = {};
+            if (!data.deletedRecords || typeof data.deletedRecords !== 'object') data.deletedRecords = {};
+        }
+    },
+    {
+        version: 4,
+        description: 'Add the weekly fasting plan',
+        migrate(data) {
+            if (!data.fastingPlan || !Array.isArray(data.fastingPlan.days)) data.fastingPlan = createDefaultFastingPlan();
+        }
+    },
+    {
+        version: 5,
+        description: 'Add the chronotype profile (replaces the fixed 9-11 PM bedtime)',
+        migrate(data) {
+            if (!data.chronotype || typeof data.chronotype !== 'object') data.chronotype = createDefaultChronotype();
+        }
+    },
+    {
+        version: 6,
+        description: 'Add nap sessions, tracked apart from sleep history',
+        migrate(data) {
+            if (!data.currentNap || typeof data.currentNap !== 'object') {
+                data.currentNap = { startTime: null, goalMinutes: 20, isActive: false };
+            }
+            if (!Array.isArray(data.napHistory)) data.napHistory = [];
+        }
+    },
+    {
+        version: 7,
+        description: 'Add the meal log',
+        migrate(data) {
+            if (!Array.isArray(data.meals)) data.meals = [];
+        }
+    },
+    {
+        version: 8,
+        description: 'Add eatingHistory, archived eating windows',
+        migrate(data) {
+            if (!Array.isArray(data.eatingHistory)) data.eatingHistory = [];
+        }
+    },
+    {
+        version: 9,
+        description: 'Add body measurements',
+        migrate(data) {
+            if (!Array.isArray(data.measurements)) data.measurements = [];
+        }
+    }
+];
+
+/**
+ * Upgrade a state object to STATE_SCHEMA_VERSION by running pending migrations in order
+ * @param {Object} data - State from localStorage, an import file, or the cloud (mutated in place)
+ * @returns {Object} The migrated state
+ */
+function migrateState(data) {
+    if (!data || typeof data !== 'object') {
+        throw new Error('Invalid state: not an object');
+    }
+
+    const fromVersion = Number.isInteger(data.schemaVersion) ? data.schemaVersion : 0;
+    if (fromVersion > STATE_SCHEMA_VERSION) {
+        // Written by a newer build - leave it alone rather than guess at a downgrade
+        console.warn(`State schema v${fromVersion} is newer than supported v${STATE_SCHEMA_VERSION}`);
+        return data;
+    }
+
+    for (const migration of STATE_MIGRATIONS) {
+        if (migration.version > fromVersion) {
+            migration.migrate(data);
+            data.schemaVersion = migration.version;
         }
     }
 
+    return data;
+}
+
+// Write state to this device only (IndexedDB when available, localStorage otherwise)
+// Both copies carry savedAt, so loadState() can tell which one is newer
+function persistStateLocally() {
+    if (window.stateStorage && stateStorage.available) {
+        stateStorage.save({ ...state, savedAt: Date.now() }).catch((e) => {
+            // Quota exceeded or the database went away - fall back so this change isn't lost
+            console.warn('Could not save to IndexedDB, falling back to localStorage:', e?.message || e);
+            stateStorage.available = false;
+            writeStateToLocalStorage();
+        });
+        return;
+    }
+    writeStateToLocalStorage();
+}
+
+function writeStateToLocalStorage() {
+    if (!localStorageAvailable) return;
+    try {
+        localStorage.setItem(STATE_KEY, JSON.stringify({ ...state, savedAt: Date.now() }));
+    } catch (e) {
+        // localStorage might be full or unavailable (private browsing)
+        console.warn('Could not save to localStorage:', e.message);
+        localStorageAvailable = false;
+        showAchievementToast(
+            '<span class="px-icon px-danger"></span>',
+            'Storage Full',
+            'Your data could not be saved on this device. Export a backup or sign in to sync.',
+            'danger'
+        );
+    }
+}
+
+function saveState() {
+    persistStateLocally();
+
     // Sync to cloud if enabled (works even if localStorage fails)
     // IMPORTANT: Only sync after initial cloud data has been received to prevent overwriting
     // Also don't sync while we're in the middle of merging remote data (prevents loops)
@@ -1754,7 +2350,46 @@ function saveState() {
     }
 }
 
-function loadState() {
+/**
+ * Whether the localStorage copy holds later changes than the IndexedDB one.
+ * A localStorage copy next to IndexedDB data is left by a failed IndexedDB write (see
+ * persistStateLocally), so without timestamps on both sides it is taken as the newer one.
+ * @param {Object} stored - State loaded from IndexedDB
+ * @param {string|null} saved - Raw localStorage value
+ * @returns {boolean}
+ */
+function isLocalStorageCopyNewer(stored, saved) {
+    if (!saved) return false;
+    let parsed;
+    try {
+        parsed = JSON.parse(saved);
+    } catch (e) {
+        return false;
+    }
+    if (!parsed || typeof parsed !== 'object') return false;
+    if (typeof parsed.savedAt === 'number') return parsed.savedAt > (stored.savedAt || 0);
+    return typeof stored.savedAt !== 'number';
+}
+
+// Adopt a loaded state. savedAt only describes the stored copy, so it doesn't stay in memory.
+function applyLoadedState(loaded) {
+    state = migrateState(loaded);
+    delete state.savedAt;
+    window.state = state;
+}
+
+async function loadState() {
+    // Prefer IndexedDB; older installs still have everything in one localStorage key
+    let stored = null;
+    if (window.stateStorage && await stateStorage.open()) {
+        try {
+            stored = await stateStorage.load();
+        } catch (e) {
+            console.error('Error loading state from IndexedDB:', e);
+            stateStorage.available = false;
+        }
+    }
+
     let saved = null;
 
     try {
@@ -1763,7 +2398,18 @@ function loadState() {
         // localStorage unavailable (private browsing mode)
         console.warn('localStorage unavailable:', e.message);
         localStorageAvailable = false;
-        return; // Use default state
+        if (stored) applyLoadedState(stored);
+        return; // Otherwise use default state
+    }
+
+    if (stored) {
+        if (!isLocalStorageCopyNewer(stored, saved)) {
+            applyLoadedState(stored);
+            // A fallback copy IndexedDB has since caught up with
+            if (saved) localStorage.removeItem(STATE_KEY);
+            return;
+        }
+        // Saved to localStorage after an IndexedDB write failed - fall through and move it back
     }
 
     if (saved) {
@@ -1781,103 +2427,10 @@ function loadState() {
                 throw new Error('Invalid state: fastingHistory is not an array');
             }
 
-            state = parsed;
+            // Upgrade older saves to the current schema before using them
+            applyLoadedState(parsed);
 
-            // Ensure sleep data exists (backward compatibility)
-            if (!state.currentSleep) {
-                state.currentSleep = { startTime: null, goalHours: 8, isActive: false };
-            }
-            if (!state.sleepHistory) {
-                state.sleepHistory = [];
-            }
-            // Ensure skills data exists (backward compatibility)
-            if (!state.skills) {
-                state.skills = {
-                    water: 0,
-                    coffee: 0,
-                    tea: 0,
-                    exercise: 0,
-                    hanging: 0,
-                    grip: 0,
-                    walk: 0,
-                    broth: 0,
-                    protein: 0,
-                    fiber: 0,
-                    homecooked: 0,
-                    sloweating: 0,
-                    chocolate: 0,
-                    mealwalk: 0
-                };
-            }
-            // Add new eating skills if missing
-            if (!state.skills.broth) state.skills.broth = 0;
-            if (!state.skills.protein) state.skills.protein = 0;
-            if (!state.skills.fiber) state.skills.fiber = 0;
-            if (!state.skills.homecooked) state.skills.homecooked = 0;
-            if (!state.skills.sloweating) state.skills.sloweating = 0;
-            if (!state.skills.chocolate) state.skills.chocolate = 0;
-            if (!state.skills.mealwalk) state.skills.mealwalk = 0;
-            // Ensure eating powerups exists
-            if (!state.eatingPowerups) {
-                state.eatingPowerups = [];
-            }
-            // Ensure sleep powerups exists
-            if (!state.sleepPowerups) {
-                state.sleepPowerups = [];
-            }
-            // Ensure sleep skill exists
-            if (!state.skills.sleep) {
-                state.skills.sleep = 0;
-            }
-            // Ensure settings exists (backward compatibility)
-            if (!state.settings) {
-                state.settings = {};
-            }
-            // Ensure all setting keys exist (preserve user's saved values, default new ones to true)
-            const defaultSettings = {
-                showFastingGoals: true,
-                showSleepGoals: true,
-                showFastingFuture: true,
-                showBreakingFastGuide: true,
-                showExerciseGuide: true,
-                showEatingGuide: true,
-                showSleepGuide: true,
-                showMealSleepQuality: true,
-                showHungerTracker: true,
-                showTrends: true
-            };
-            for (const [key, defaultValue] of Object.entries(defaultSettings)) {
-                if (state.settings[key] === undefined) {
-                    state.settings[key] = defaultValue;
-                }
-            }
-            // Ensure livingLife exists (backward compatibility)
-            if (!state.livingLife) {
-                state.livingLife = { isActive: false, activatedAt: null, expiresAt: null, history: [] };
-            }
-            if (!state.livingLife.history) {
-                state.livingLife.history = [];
-            }
-            // Ensure collection exists (backward compatibility for precious items)
-            if (!state.collection) {
-                state.collection = { unlockedItems: [], equippedItem: null, newItems: [] };
-            }
-            if (!state.collection.unlockedItems) {
-                state.collection.unlockedItems = [];
-            }
-            if (!state.collection.newItems) {
-                state.collection.newItems = [];
-            }
-            // Existing users who have data should not see the tutorial (backward compatibility)
-            if (state.hasSeenTutorial === undefined) {
-                // If they have any history, they're an existing user - skip tutorial
-                if ((state.fastingHistory && state.fastingHistory.length > 0) ||
-                    (state.sleepHistory && state.sleepHistory.length > 0)) {
-                    state.hasSeenTutorial = true;
-                } else {
-                    state.hasSeenTutorial = false;
-                }
-            }
+            await migrateLocalStorageToIndexedDB();
         } catch (e) {
             console.error('Error loading state:', e);
             // Corrupted data - backup and reset to defaults
@@ -1903,6 +2456,21 @@ function loadState() {
     }
 }
 
+// One-time move of the legacy localStorage blob into IndexedDB.
+// The localStorage copy is only removed once the IndexedDB write has completed.
+async function migrateLocalStorageToIndexedDB() {
+    if (!window.stateStorage || !stateStorage.available) return;
+    try {
+        await stateStorage.save({ ...state, savedAt: Date.now() });
+        localStorage.removeItem(STATE_KEY);
+        console.log('Moved saved data from localStorage to IndexedDB');
+    } catch (e) {
+        // Keep using localStorage; nothing was removed
+        console.warn('Could not move data to IndexedDB:', e?.message || e);
+        stateStorage.available = false;
+    }
+}
+
 // Event Listeners
 function initEventListeners() {
     // Tab navigation
@@ -1960,12 +2528,18 @@ function initEventListeners() {
         const customInput = document.getElementById('custom-goal');
         if (!customInput) return;
         const hours = parseInt(customInput.value, 10);
-        if (!isNaN(hours) && hours > 0 && hours <= 72) {
+        if (!isNaN(hours) && hours > 0 && hours <= MAX_FASTING_GOAL_HOURS) {
             setGoal(hours);
             customInput.value = '';
         }
     };
     document.getElementById('set-custom-goal')?.addEventListener('click', setCustomFastingGoal);
+    document.getElementById('edit-plan-btn')?.addEventListener('click', openPlanEditorModal);
+    document.getElementById('plan-cancel')?.addEventListener('click', closePlanEditorModal);
+    document.getElementById('plan-save')?.addEventListener('click', savePlan);
+    document.querySelectorAll('[data-plan-preset]').forEach(btn => {
+        btn.addEventListener('click', () => applyPlanPreset(btn.dataset.planPreset));
+    });
     // Allow Enter key to set custom goal
     document.getElementById('custom-goal')?.addEventListener('keydown', (e) => {
         if (e.key === 'Enter') {
@@ -2001,25 +2575,98 @@ function initEventListeners() {
     });
 
     // Fasting Timer controls
-    document.getElementById('start-btn').addEventListener('click', startFast);
+    document.getElementById('start-btn').addEventListener('click', () => startFast());
     document.getElementById('stop-btn').addEventListener('click', stopFast);
 
     // Sleep Timer controls
-    document.getElementById('start-sleep-btn').addEventListener('click', startSleep);
+    document.getElementById('start-sleep-btn').addEventListener('click', () => startSleep());
     document.getElementById('stop-sleep-btn').addEventListener('click', stopSleep);
 
+    // Smart wake alarm
+    document.getElementById('sleep-alarm-set')?.addEventListener('click', setWakeAlarm);
+    document.getElementById('sleep-alarm-clear')?.addEventListener('click', clearWakeAlarm);
+    document.getElementById('sleep-alarm-snooze')?.addEventListener('click', snoozeWakeAlarm);
+    document.getElementById('sleep-alarm-dismiss')?.addEventListener('click', stopSleep);
+
+    // Nap controls
+    document.querySelectorAll('.nap-goal-btn').forEach(btn => {
+        btn.addEventListener('click', (e) => {
+            const minutes = parseInt(e.currentTarget.dataset.minutes, 10);
+            if (!isNaN(minutes)) setNapGoal(minutes);
+        });
+    });
+    document.getElementById('start-nap-btn')?.addEventListener('click', startNap);
+    document.getElementById('stop-nap-btn')?.addEventListener('click', stopNap);
+    document.getElementById('sleep-rhythm-section')?.addEventListener('click', (e) => {
+        const windowBtn = e.target.closest('[data-rhythm-days]');
+        if (windowBtn) setSleepRhythmWindow(parseInt(windowBtn.dataset.rhythmDays, 10));
+    });
+    document.getElementById('nap-history-list')?.addEventListener('click', (e) => {
+        const deleteBtn = e.target.closest('.delete-nap-btn');
+        if (deleteBtn) {
+            const id = deleteBtn.dataset.deleteNap;
+            if (id) deleteNap(id);
+        }
+    });
+
     // History toggle buttons
     document.getElementById('history-fasting-btn').addEventListener('click', () => switchHistoryView('fasting'));
     document.getElementById('history-sleep-btn').addEventListener('click', () => switchHistoryView('sleep'));
+    document.getElementById('history-eating-btn')?.addEventListener('click', () => switchHistoryView('eating'));
+    document.getElementById('eating-history-list')?.addEventListener('click', (e) => {
+        const deleteBtn = e.target.closest('.delete-eating-btn');
+        if (deleteBtn) {
+            const id = deleteBtn.dataset.deleteEating;
+            if (id) deleteEatingWindow(id);
+        }
+    });
 
     // History list delete buttons - using event delegation for better performance
     document.getElementById('history-list')?.addEventListener('click', (e) => {
+        const editBtn = e.target.closest('.edit-fast-btn');
+        if (editBtn) {
+            const id = editBtn.dataset.editFast;
+            if (id) openEditFastModal(id);
+            return;
+        }
         const deleteBtn = e.target.closest('.delete-fast-btn');
         if (deleteBtn) {
             const id = deleteBtn.dataset.deleteFast;
             if (id) deleteFast(id);
         }
     });
+
+    // Sync activity log
+    document.getElementById('sync-log-clear')?.addEventListener('click', clearSyncLog);
+    document.getElementById('snapshots-refresh-btn')?.addEventListener('click', renderSnapshotList);
+    document.getElementById('snapshot-list')?.addEventListener('click', (e) => {
+        const compareBtn = e.target.closest('[data-snapshot-compare]');
+        const restoreBtn = e.target.closest('[data-snapshot-restore]');
+        if (compareBtn) compareSnapshot(compareBtn.dataset.snapshotCompare);
+        if (restoreBtn) restoreSnapshot(restoreBtn.dataset.snapshotRestore);
+    });
+
+    // Edit fast modal
+    document.getElementById('edit-fast-save')?.addEventListener('click', saveEditedFast);
+    document.getElementById('edit-fast-cancel')?.addEventListener('click', closeEditFastModal);
+
+    // Pausing and small intakes during a fast
+    document.getElementById('fast-pause-btn')?.addEventListener('click', toggleFastPause);
+    document.getElementById('fast-break-toggle')?.addEventListener('click', toggleFastBreakPicker);
+    document.getElementById('fast-break-row')?.addEventListener('click', (e) => {
+        const sizeBtn = e.target.closest('[data-fast-break]');
+        if (sizeBtn) logFastBreak(sizeBtn.dataset.fastBreak);
+    });
+
+    // Backdated starts and manually logged records
+    document.getElementById('fast-backdate-toggle')?.addEventListener('click', () => toggleBackdatePicker('fasting'));
+    document.getElementById('fast-backdate-start')?.addEventListener('click', () => startFromBackdatePicker('fasting'));
+    document.getElementById('sleep-backdate-toggle')?.addEventListener('click', () => toggleBackdatePicker('sleep'));
+    document.getElementById('sleep-backdate-start')?.addEventListener('click', () => startFromBackdatePicker('sleep'));
+    document.getElementById('log-fast-btn')?.addEventListener('click', () => openLogRecordModal('fasting'));
+    document.getElementById('log-sleep-btn')?.addEventListener('click', () => openLogRecordModal('sleep'));
+    document.getElementById('log-record-save')?.addEventListener('click', saveLoggedRecord);
+    document.getElementById('log-record-cancel')?.addEventListener('click', closeLogRecordModal);
     document.getElementById('sleep-history-list')?.addEventListener('click', (e) => {
         const deleteBtn = e.target.closest('.delete-sleep-btn');
         if (deleteBtn) {
@@ -2030,6 +2677,7 @@ function initEventListeners() {
 
     // Data sync controls
     document.getElementById('export-btn').addEventListener('click', exportData);
+    document.getElementById('export-encrypted-btn').addEventListener('click', exportEncryptedData);
     document.getElementById('import-btn').addEventListener('click', () => {
         document.getElementById('import-file').click();
     });
@@ -2038,6 +2686,20 @@ function initEventListeners() {
         document.getElementById('import-file').click();
     });
     document.getElementById('import-file').addEventListener('change', handleImport);
+    document.getElementById('export-csv-btn').addEventListener('click', exportCsv);
+    document.getElementById('export-apple-health-btn').addEventListener('click', () => exportHealthData('apple'));
+    document.getElementById('export-google-fit-btn').addEventListener('click', () => exportHealthData('google'));
+    document.getElementById('export-ics-btn').addEventListener('click', exportIcs);
+    document.getElementById('import-csv-btn').addEventListener('click', () => {
+        document.getElementById('import-csv-file').click();
+    });
+    document.getElementById('import-csv-file').addEventListener('change', handleCsvImport);
+    document.getElementById('import-app-btn').addEventListener('click', () => {
+        document.getElementById('import-app-file').click();
+    });
+    document.getElementById('import-app-file').addEventListener('change', handleAdapterImport);
+    document.getElementById('import-preview-cancel').addEventListener('click', closeImportPreviewModal);
+    document.getElementById('import-preview-confirm').addEventListener('click', confirmAdapterImport);
 
     // Firebase auth controls
     document.getElementById('auth-btn').addEventListener('click', handleAuthClick);
@@ -2090,9 +2752,20 @@ function initEventListeners() {
     document.getElementById('eating-junkfood')?.addEventListener('click', () => addEatingPowerup('junkfood'));
     document.getElementById('eating-bloated')?.addEventListener('click', () => addEatingPowerup('bloated'));
     document.getElementById('reset-eating-powerups-btn')?.addEventListener('click', resetEatingPowerups);
-
-    // Sleep powerup buttons
-    document.getElementById('sleep-darkness')?.addEventListener('click', () => addSleepPowerup('darkness'));
+    document.querySelectorAll('.meal-size-btn').forEach(btn => {
+        btn.addEventListener('click', () => setMealSize(btn.dataset.size));
+    });
+    document.getElementById('meal-log-save')?.addEventListener('click', logMeal);
+    document.getElementById('meal-log-list')?.addEventListener('click', (e) => {
+        const deleteBtn = e.target.closest('.delete-meal-btn');
+        if (deleteBtn) {
+            const id = deleteBtn.dataset.deleteMeal;
+            if (id) deleteMeal(id);
+        }
+    });
+
+    // Sleep powerup buttons
+    document.getElementById('sleep-darkness')?.addEventListener('click', () => addSleepPowerup('darkness'));
     document.getElementById('sleep-reading')?.addEventListener('click', () => addSleepPowerup('reading'));
     document.getElementById('sleep-cuddling')?.addEventListener('click', () => addSleepPowerup('cuddling'));
     document.getElementById('sleep-doctorwin')?.addEventListener('click', () => addSleepPowerup('doctorwin'));
@@ -2107,6 +2780,20 @@ function initEventListeners() {
     document.getElementById('hunger-3')?.addEventListener('click', () => addHungerLog('hunger3'));
     document.getElementById('hunger-4')?.addEventListener('click', () => addHungerLog('hunger4'));
     document.getElementById('reset-hunger-btn')?.addEventListener('click', resetHungerLogs);
+    document.getElementById('hunger-wave-forecast')?.addEventListener('click', (e) => {
+        const btn = e.target.closest('[data-powerup]');
+        if (btn) addPowerup(btn.dataset.powerup);
+    });
+
+    // Glucose / ketone readings
+    document.getElementById('biomarker-add')?.addEventListener('click', addBiomarkerReading);
+    document.getElementById('biomarker-value')?.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') addBiomarkerReading();
+    });
+    document.getElementById('reset-biomarkers-btn')?.addEventListener('click', resetBiomarkerReadings);
+    document.querySelectorAll('[data-biomarker-chart]').forEach(btn => {
+        btn.addEventListener('click', () => setBiomarkerChartMarker(btn.dataset.biomarkerChart));
+    });
 
     // Settings toggle listeners
     document.getElementById('toggle-fasting-goals')?.addEventListener('change', (e) => updateSetting('showFastingGoals', e.target.checked));
@@ -2119,6 +2806,18 @@ function initEventListeners() {
     document.getElementById('toggle-meal-sleep-quality')?.addEventListener('change', (e) => updateSetting('showMealSleepQuality', e.target.checked));
     document.getElementById('toggle-hunger-tracker')?.addEventListener('change', (e) => updateSetting('showHungerTracker', e.target.checked));
     document.getElementById('toggle-trends')?.addEventListener('change', (e) => updateSetting('showTrends', e.target.checked));
+    document.getElementById('toggle-phase-timeline')?.addEventListener('change', (e) => updateSetting('showPhaseTimeline', e.target.checked));
+    document.getElementById('toggle-phase-notifications')?.addEventListener('change', (e) => updateSetting('notifyFastingPhases', e.target.checked));
+    document.getElementById('toggle-hunger-wave-notifications')?.addEventListener('change', (e) => updateSetting('notifyHungerWaves', e.target.checked));
+
+    // Chronotype profile
+    document.getElementById('chronotype-preset')?.addEventListener('change', (e) => applyChronotypePreset(e.target.value));
+    document.getElementById('chronotype-save')?.addEventListener('click', saveChronotype);
+
+    // Metabolic phase markers
+    document.getElementById('phase-editor-toggle')?.addEventListener('click', togglePhaseEditor);
+    document.getElementById('phase-editor-save')?.addEventListener('click', savePhaseMarkers);
+    document.getElementById('phase-editor-reset')?.addEventListener('click', resetPhaseMarkers);
 
     // Feeling modal buttons
     document.querySelectorAll('.feeling-btn').forEach(btn => {
@@ -2131,6 +2830,13 @@ function initEventListeners() {
         handleFeelingSelection(null);
     });
 
+    // Sleep details modal
+    document.querySelectorAll('#sleep-details-modal [data-sleep-rating]').forEach(btn => {
+        btn.addEventListener('click', () => selectSleepRating(Number(btn.dataset.sleepRating)));
+    });
+    document.getElementById('sleep-details-save')?.addEventListener('click', () => resolveSleepDetails(true));
+    document.getElementById('sleep-details-skip')?.addEventListener('click', () => resolveSleepDetails(false));
+
     // Guide modal close button
     document.getElementById('guide-modal-close')?.addEventListener('click', hideGuideModal);
     // Also close when clicking the backdrop
@@ -2241,6 +2947,7 @@ function switchTab(tab) {
     if (tab === 'history') {
         renderHistory();
         renderSleepHistory();
+        renderEatingHistory();
     } else if (tab === 'stats') {
         renderStats();
         renderSleepStats();
@@ -2250,8 +2957,10 @@ function switchTab(tab) {
     } else if (tab === 'eating') {
         updateEatingPowerupDisplay();
         updateMealQuality();
+        renderMealLog();
     } else if (tab === 'slayer') {
         updateMonsterBattleUI();
+        renderMeasurements();
         startSlayerAnimations();
     } else if (tab === 'collection') {
         updateCollectionUI();
@@ -2264,31 +2973,41 @@ function switchTab(tab) {
 }
 
 // History view switching
-function switchHistoryView(type) {
-    const fastingBtn = document.getElementById('history-fasting-btn');
-    const sleepBtn = document.getElementById('history-sleep-btn');
-    const fastingContainer = document.getElementById('fasting-history-container');
-    const sleepContainer = document.getElementById('sleep-history-container');
-
-    if (type === 'fasting') {
-        fastingBtn.classList.add('text-black');
-        fastingBtn.style.background = 'linear-gradient(135deg, var(--matrix-500) 0%, var(--matrix-400) 100%)';
-        fastingBtn.style.color = 'black';
-        sleepBtn.classList.remove('text-white');
-        sleepBtn.style.background = '';
-        sleepBtn.style.color = '#818cf8';
-        fastingContainer.classList.remove('hidden');
-        sleepContainer.classList.add('hidden');
-    } else {
-        sleepBtn.classList.add('text-white');
-        sleepBtn.style.background = 'linear-gradient(135deg, #4f46e5 0%, #6366f1 100%)';
-        sleepBtn.style.color = 'white';
-        fastingBtn.classList.remove('text-black');
-        fastingBtn.style.background = '';
-        fastingBtn.style.color = 'var(--matrix-400)';
-        sleepContainer.classList.remove('hidden');
-        fastingContainer.classList.add('hidden');
+const HISTORY_VIEWS = {
+    fasting: {
+        button: 'history-fasting-btn',
+        container: 'fasting-history-container',
+        activeBackground: 'linear-gradient(135deg, var(--matrix-500) 0%, var(--matrix-400) 100%)',
+        activeColor: 'black',
+        color: 'var(--matrix-400)'
+    },
+    sleep: {
+        button: 'history-sleep-btn',
+        container: 'sleep-history-container',
+        activeBackground: 'linear-gradient(135deg, #4f46e5 0%, #6366f1 100%)',
+        activeColor: 'white',
+        color: '#818cf8'
+    },
+    eating: {
+        button: 'history-eating-btn',
+        container: 'eating-history-container',
+        activeBackground: 'linear-gradient(135deg, #ea580c 0%, #fb923c 100%)',
+        activeColor: 'black',
+        color: 'var(--orange-400)'
     }
+};
+
+function switchHistoryView(type) {
+    Object.entries(HISTORY_VIEWS).forEach(([key, view]) => {
+        const button = document.getElementById(view.button);
+        const container = document.getElementById(view.container);
+        const active = key === type;
+        if (button) {
+            button.style.background = active ? view.activeBackground : '';
+            button.style.color = active ? view.activeColor : view.color;
+        }
+        if (container) container.classList.toggle('hidden', !active);
+    });
 }
 
 // Fasting Future toggle
@@ -2330,8 +3049,679 @@ function updateGoalUI() {
     updateProgressBar();
 }
 
+// ==========================================
+// WEEKLY FASTING PLAN
+// ==========================================
+// Target hours and start window per weekday (index 0 = Sunday, like Date.getDay()).
+// goalHours 0 means an eating day. Fasts remember the plan entry they were started under,
+// so editing the plan later doesn't regrade old fasts.
+
+const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// Minutes a fast may start outside its window and still count as "in window"
+const PLAN_WINDOW_GRACE_MINUTES = 30;
+
+const FASTING_PLAN_PRESETS = {
+    daily16: { name: '16:8 daily', days: [16, 16, 16, 16, 16, 16, 16], windowStart: '20:00', windowEnd: '21:00' },
+    fiveTwo: { name: '5:2', days: [0, 24, 0, 0, 24, 0, 0], windowStart: '19:00', windowEnd: '21:00' },
+    omadWeekdays: { name: 'OMAD weekdays', days: [16, 23, 23, 23, 23, 23, 16], windowStart: '18:00', windowEnd: '20:00' },
+    alternateDay: { name: 'Alternate day', days: [0, 36, 0, 36, 0, 36, 0], windowStart: '19:00', windowEnd: '21:00' }
+};
+
+function createDefaultFastingPlan() {
+    return {
+        enabled: false,
+        enabledAt: null,
+        updatedAt: 0,
+        days: Array.from({ length: 7 }, () => ({ goalHours: 16, windowStart: '20:00', windowEnd: '21:00' }))
+    };
+}
+
+// Minutes since midnight for "HH:MM"
+function timeStringToMinutes(value) {
+    const [hours, minutes] = String(value).split(':').map(Number);
+    return hours * 60 + minutes;
+}
+
+/**
+ * Plan entry for the weekday of a given time
+ * @param {number} timestamp - Time (ms) whose local weekday to look up
+ * @returns {Object|null} { day, goalHours, windowStart, windowEnd }, or null when no plan is active
+ */
+function getPlannedFast(timestamp = Date.now()) {
+    const plan = state.fastingPlan;
+    if (!plan?.enabled) return null;
+    const day = new Date(timestamp).getDay();
+    return { day, ...plan.days[day] };
+}
+
+/**
+ * Grade one fast against the plan entry it was started under
+ * @param {Object} fast - History record (uses fast.plan, falling back to the current plan for its weekday)
+ * @returns {Object|null} { score (0-1), metGoal, inWindow }, or null if it wasn't a planned fast
+ */
+function gradeFastAgainstPlan(fast) {
+    const planned = fast.plan || getPlannedFast(fast.startTime);
+    if (!planned || !planned.goalHours) return null;
+
+    const metGoal = fast.duration >= planned.goalHours;
+    const start = new Date(fast.startTime);
+    const startMinutes = start.getHours() * 60 + start.getMinutes();
+    const from = timeStringToMinutes(planned.windowStart) - PLAN_WINDOW_GRACE_MINUTES;
+    const to = timeStringToMinutes(planned.windowEnd) + PLAN_WINDOW_GRACE_MINUTES;
+    // Windows may wrap past midnight (e.g. 23:00-01:00)
+    const inWindow = from <= to
+        ? startMinutes >= from && startMinutes <= to
+        : startMinutes >= from || startMinutes <= to;
+
+    let score = 0;
+    if (metGoal && inWindow) score = 1;
+    else if (metGoal) score = 0.75;
+    else if (fast.duration >= planned.goalHours * 0.8) score = 0.5;
+    return { score, metGoal, inWindow };
+}
+
+/**
+ * Adherence to the plan over recent days
+ * @param {number} days - How many days back to grade (today is only counted once a fast has started)
+ * @returns {Object|null} { percent, grade, onPlan, planned }, or null if the plan is off or nothing is due yet
+ */
+function getPlanAdherence(days = 28) {
+    const plan = state.fastingPlan;
+    if (!plan?.enabled) return null;
+
+    let planned = 0;
+    let onPlan = 0;
+    let totalScore = 0;
+    for (let offset = 0; offset < days; offset++) {
+        // Calendar days (not 24h steps) so DST changes don't shift the boundaries
+        const date = new Date();
+        date.setHours(0, 0, 0, 0);
+        date.setDate(date.getDate() - offset);
+        const dayStart = date.getTime();
+        date.setDate(date.getDate() + 1);
+        const dayEnd = date.getTime();
+        if (dayEnd <= (plan.enabledAt || 0)) break;
+
+        const entry = plan.days[new Date(dayStart).getDay()];
+        if (!entry.goalHours) continue;
+
+        const dayFasts = state.fastingHistory.filter(f => f.startTime >= dayStart && f.startTime < dayEnd);
+        // Today, and the day the plan was switched on, aren't missed yet - only grade them once there's a fast
+        if (dayFasts.length === 0 && (offset === 0 || dayStart < plan.enabledAt)) continue;
+
+        planned++;
+        const best = Math.max(0, ...dayFasts.map(f => gradeFastAgainstPlan(f)?.score || 0));
+        totalScore += best;
+        if (best === 1) onPlan++;
+    }
+
+    if (planned === 0) return null;
+    const percent = Math.round(totalScore / planned * 100);
+    const grade = percent >= 90 ? 'A' : percent >= 80 ? 'B' : percent >= 70 ? 'C' : percent >= 60 ? 'D' : 'F';
+    return { percent, grade, onPlan, planned };
+}
+
+// The goal is picked from the plan once per day, so a manual change afterwards sticks
+let planGoalAppliedForDay = null;
+
+function applyTodaysPlannedGoal() {
+    const planned = getPlannedFast();
+    if (!planned || state.currentFast.isActive) return;
+
+    const dayKey = new Date().toDateString();
+    if (planGoalAppliedForDay === dayKey) return;
+    planGoalAppliedForDay = dayKey;
+
+    if (planned.goalHours > 0 && state.currentFast.goalHours !== planned.goalHours) {
+        setGoal(planned.goalHours);
+    }
+}
+
+function updateTodayPlanUI() {
+    const banner = document.getElementById('today-plan');
+    if (!banner) return;
+
+    const planned = getPlannedFast();
+    const text = document.getElementById('today-plan-text');
+    if (!planned) {
+        text.textContent = 'No weekly plan - pick a goal below.';
+        return;
+    }
+    text.textContent = planned.goalHours > 0
+        ? `Today's planned fast (${WEEKDAY_NAMES[planned.day]}): ${planned.goalHours}h, start between ${planned.windowStart} and ${planned.windowEnd}`
+        : `${WEEKDAY_NAMES[planned.day]} is an eating day in your plan.`;
+}
+
+function openPlanEditorModal() {
+    const plan = state.fastingPlan || createDefaultFastingPlan();
+    document.getElementById('plan-enabled').checked = plan.enabled;
+
+    // Rows run Monday-Sunday; data-day keeps the Date.getDay() index
+    const order = [1, 2, 3, 4, 5, 6, 0];
+    const inputStyle = 'background: rgba(0,0,0,0.3); border: 1px solid var(--dark-border); color: var(--dark-text);';
+    document.getElementById('plan-days').innerHTML = order.map(day => {
+        const entry = plan.days[day];
+        return `
+            <div class="grid grid-cols-4 gap-2 items-center" data-plan-day="${day}">
+                <span class="text-sm" style="color: var(--matrix-400);">${WEEKDAY_NAMES[day].slice(0, 3)}</span>
+                <input type="number" min="0" max="72" inputmode="numeric" data-plan-field="goalHours" value="${entry.goalHours}" class="px-2 py-1 rounded text-sm" style="${inputStyle}" aria-label="${WEEKDAY_NAMES[day]} target hours (0 = eating day)">
+                <input type="time" data-plan-field="windowStart" value="${entry.windowStart}" class="px-2 py-1 rounded text-sm" style="${inputStyle}" aria-label="${WEEKDAY_NAMES[day]} earliest start">
+                <input type="time" data-plan-field="windowEnd" value="${entry.windowEnd}" class="px-2 py-1 rounded text-sm" style="${inputStyle}" aria-label="${WEEKDAY_NAMES[day]} latest start">
+            </div>
+        `;
+    }).join('');
+    document.getElementById('plan-error').classList.add('hidden');
+    document.getElementById('plan-editor-modal').classList.remove('hidden');
+}
+
+function closePlanEditorModal() {
+    closeModalWithAnimation('plan-editor-modal');
+}
+
+function applyPlanPreset(presetId) {
+    const preset = FASTING_PLAN_PRESETS[presetId];
+    if (!preset) return;
+    document.querySelectorAll('#plan-days [data-plan-day]').forEach(row => {
+        const day = parseInt(row.dataset.planDay, 10);
+        row.querySelector('[data-plan-field="goalHours"]').value = preset.days[day];
+        row.querySelector('[data-plan-field="windowStart"]').value = preset.windowStart;
+        row.querySelector('[data-plan-field="windowEnd"]').value = preset.windowEnd;
+    });
+    document.getElementById('plan-enabled').checked = true;
+}
+
+function savePlan() {
+    const errorEl = document.getElementById('plan-error');
+    const days = createDefaultFastingPlan().days;
+
+    for (const row of document.querySelectorAll('#plan-days [data-plan-day]')) {
+        const day = parseInt(row.dataset.planDay, 10);
+        const goalHours = Number(row.querySelector('[data-plan-field="goalHours"]').value);
+        const windowStart = row.querySelector('[data-plan-field="windowStart"]').value;
+        const windowEnd = row.querySelector('[data-plan-field="windowEnd"]').value;
+        if (!Number.isInteger(goalHours) || goalHours < 0 || goalHours > 72) {
+            errorEl.textContent = `${WEEKDAY_NAMES[day]}: target must be 0-72 whole hours (0 = eating day).`;
+            errorEl.classList.remove('hidden');
+            return;
+        }
+        if (!/^\d{2}:\d{2}$/.test(windowStart) || !/^\d{2}:\d{2}$/.test(windowEnd)) {
+            errorEl.textContent = `${WEEKDAY_NAMES[day]}: set both start window times.`;
+            errorEl.classList.remove('hidden');
+            return;
+        }
+        days[day] = { goalHours, windowStart, windowEnd };
+    }
+
+    const enabled = document.getElementById('plan-enabled').checked;
+    const wasEnabled = Boolean(state.fastingPlan?.enabled);
+    state.fastingPlan = {
+        enabled,
+        // Adherence is only graded from the day the plan was switched on
+        enabledAt: enabled ? (wasEnabled && state.fastingPlan.enabledAt) || Date.now() : null,
+        updatedAt: Date.now(),
+        days
+    };
+
+    planGoalAppliedForDay = null;
+    applyTodaysPlannedGoal();
+    saveState();
+    updateTodayPlanUI();
+    renderStats();
+    closePlanEditorModal();
+
+    showAchievementToast(
+        '<span class="px-icon px-scroll"></span>',
+        enabled ? 'Plan Saved!' : 'Plan Turned Off',
+        enabled ? 'Your goal will follow the plan each day.' : 'Goals are back to manual.',
+        'success'
+    );
+}
+
+/**
+ * Sanitize an imported weekly plan
+ * @param {*} plan - fastingPlan value from an imported state
+ * @returns {Object} A valid plan (the default one if nothing usable was given)
+ */
+function sanitizeFastingPlan(plan) {
+    const sanitized = createDefaultFastingPlan();
+    if (!plan || typeof plan !== 'object') return sanitized;
+
+    sanitized.enabled = Boolean(plan.enabled);
+    sanitized.enabledAt = plan.enabledAt ? sanitizeNumber(plan.enabledAt, 0, Date.now() + 86400000, 0) : null;
+    sanitized.updatedAt = sanitizeNumber(plan.updatedAt, 0, Date.now() + 86400000, 0);
+    if (Array.isArray(plan.days)) {
+        plan.days.slice(0, 7).forEach((entry, day) => {
+            sanitized.days[day] = sanitizePlanEntry(entry) || sanitized.days[day];
+        });
+    }
+    return sanitized;
+}
+
+/**
+ * Sanitize one plan entry (a weekday of the plan, or the copy stored on a fast)
+ * @param {*} entry - { goalHours, windowStart, windowEnd }
+ * @returns {Object|undefined} Cleaned entry, or undefined if unusable
+ */
+function sanitizePlanEntry(entry) {
+    if (!entry || typeof entry !== 'object') return undefined;
+    const isTime = value => /^([01]\d|2[0-3]):[0-5]\d$/.test(value);
+    if (!isTime(entry.windowStart) || !isTime(entry.windowEnd)) return undefined;
+    return {
+        goalHours: Math.round(sanitizeNumber(entry.goalHours, 0, 72, 16)),
+        windowStart: entry.windowStart,
+        windowEnd: entry.windowEnd
+    };
+}
+
+// ==========================================
+// FAST INTERRUPTIONS (pauses and small intakes)
+// ==========================================
+
+// A small intake doesn't end the fast, but it costs part of that fast's Slayer damage
+// (capped at FAST_BREAK_MAX_DAMAGE_PENALTY) and some constitution points while it counts
+const FAST_BREAK_SIZES = {
+    sip: { label: 'Sip', description: 'A splash of milk, juice or broth', damagePenalty: 0.05, scorePenalty: 2 },
+    bite: { label: 'Bite', description: 'A nibble or a single bite', damagePenalty: 0.1, scorePenalty: 4 },
+    snack: { label: 'Snack', description: 'A small snack', damagePenalty: 0.2, scorePenalty: 6 }
+};
+const FAST_BREAK_MAX_DAMAGE_PENALTY = 0.5;
+
+/**
+ * Milliseconds a fast has spent paused. An open pause counts up to `until`.
+ * @param {Object} fast - The current fast or a history record
+ * @param {number} [until=Date.now()] - Timestamp to measure up to
+ * @returns {number} Paused milliseconds
+ */
+function getFastPausedMs(fast, until = Date.now()) {
+    let paused = 0;
+    // Sorted, and never counting the same stretch twice (pauses merged from two devices can overlap)
+    let counted = fast?.startTime || 0;
+    const pauses = [...(fast?.pauses || [])].sort((a, b) => a.start - b.start);
+    for (const pause of pauses) {
+        const start = Math.max(pause.start, counted);
+        const end = Math.min(pause.end || until, until);
+        if (end > start) {
+            paused += end - start;
+            counted = end;
+        }
+    }
+    return paused;
+}
+
+/**
+ * Time actually spent fasting - wall-clock time since the start, minus pauses.
+ * Never negative (guards against the system clock moving backwards).
+ * @param {Object} [fast=state.currentFast] - The current fast or a history record
+ * @param {number} [until=Date.now()] - Timestamp to measure up to
+ * @returns {number} Elapsed fasting milliseconds
+ */
+function getFastElapsedMs(fast = state.currentFast, until = Date.now()) {
+    if (!fast?.startTime) return 0;
+    return Math.max(0, until - fast.startTime - getFastPausedMs(fast, until));
+}
+
+/**
+ * Same as getFastElapsedMs, in hours.
+ * @param {Object} [fast=state.currentFast] - The current fast or a history record
+ * @param {number} [until=Date.now()] - Timestamp to measure up to
+ * @returns {number} Elapsed fasting hours
+ */
+function getFastElapsedHours(fast = state.currentFast, until = Date.now()) {
+    return getFastElapsedMs(fast, until) / 1000 / 60 / 60;
+}
+
+function isFastPaused(fast = state.currentFast) {
+    const pauses = fast?.pauses || [];
+    return !!fast?.isActive && pauses.length > 0 && !pauses[pauses.length - 1].end;
+}
+
+/**
+ * Multiplier for a fast's hour damage after its small intakes.
+ * @param {Object} fast - The current fast or a history record
+ * @returns {number} Between 1 - FAST_BREAK_MAX_DAMAGE_PENALTY and 1
+ */
+function getFastBreakDamageMultiplier(fast) {
+    const penalty = (fast?.breaks || []).reduce((sum, entry) => sum + (FAST_BREAK_SIZES[entry.size]?.damagePenalty || 0), 0);
+    return 1 - Math.min(FAST_BREAK_MAX_DAMAGE_PENALTY, penalty);
+}
+
+function getFastBreakScorePenalty(fast) {
+    return (fast?.breaks || []).reduce((sum, entry) => sum + (FAST_BREAK_SIZES[entry.size]?.scorePenalty || 0), 0);
+}
+
+function toggleFastPause() {
+    if (!state.currentFast.isActive) return;
+    if (!Array.isArray(state.currentFast.pauses)) state.currentFast.pauses = [];
+
+    const now = Date.now();
+    if (isFastPaused()) {
+        state.currentFast.pauses[state.currentFast.pauses.length - 1].end = now;
+        showAchievementToast('<span class="px-icon px-clock"></span>', 'Fast Resumed', 'The timer is running again.', 'success');
+    } else {
+        state.currentFast.pauses.push({ start: now, end: null });
+        showAchievementToast('<span class="px-icon px-clock"></span>', 'Fast Paused', "Paused time won't count toward your goal.", 'info');
+    }
+
+    saveState();
+    updateTimerDisplay();
+    updateProgressBar();
+    updateFastInterruptionUI();
+    renderPhaseTimeline();
+    updateConstitution();
+}
+
+function toggleFastBreakPicker() {
+    const row = document.getElementById('fast-break-row');
+    if (!row) return;
+    const opening = row.classList.contains('hidden');
+    row.classList.toggle('hidden', !opening);
+    document.getElementById('fast-break-toggle')?.setAttribute('aria-expanded', String(opening));
+    if (opening) document.getElementById('fast-break-note').value = '';
+}
+
+function logFastBreak(size) {
+    if (!state.currentFast.isActive || !FAST_BREAK_SIZES[size]) return;
+    if (!Array.isArray(state.currentFast.breaks)) state.currentFast.breaks = [];
+
+    const note = (document.getElementById('fast-break-note')?.value || '').trim().slice(0, 100);
+    state.currentFast.breaks.push({
+        size: size,
+        time: Date.now(),
+        fastingHours: getFastElapsedHours(),
+        note: note
+    });
+
+    document.getElementById('fast-break-row')?.classList.add('hidden');
+    document.getElementById('fast-break-toggle')?.setAttribute('aria-expanded', 'false');
+
+    saveState();
+    updateFastInterruptionUI();
+    updateConstitution();
+    showAchievementToast('<span class="px-icon px-food"></span>', `${FAST_BREAK_SIZES[size].label} Logged`,
+        'Your fast keeps going - small intakes just weaken its damage a little.', 'warning');
+}
+
+function updateFastInterruptionUI() {
+    const controls = document.getElementById('fast-interrupt-controls');
+    if (!controls) return;
+
+    const active = state.currentFast.isActive;
+    controls.classList.toggle('hidden', !active);
+    if (!active) {
+        document.getElementById('fast-break-row')?.classList.add('hidden');
+        return;
+    }
+
+    const paused = isFastPaused();
+    const pauseBtn = document.getElementById('fast-pause-btn');
+    if (pauseBtn) {
+        pauseBtn.textContent = paused ? 'Resume' : 'Pause';
+        pauseBtn.setAttribute('aria-pressed', String(paused));
+    }
+    // Eating something while paused isn't a break in the fast - it's off the clock
+    document.getElementById('fast-break-toggle')?.toggleAttribute('disabled', paused);
+
+    const parts = [];
+    const pausedMs = getFastPausedMs(state.currentFast);
+    if (paused) parts.push('Paused');
+    if (pausedMs >= 60 * 1000) parts.push(`${formatDuration(pausedMs / 3600000)} paused`);
+    const breaks = state.currentFast.breaks || [];
+    if (breaks.length > 0) {
+        parts.push(`${breaks.length} small intake${breaks.length === 1 ? '' : 's'} (-${Math.round((1 - getFastBreakDamageMultiplier(state.currentFast)) * 100)}% damage)`);
+    }
+    const info = document.getElementById('fast-interrupt-info');
+    if (info) info.textContent = parts.join(' · ');
+}
+
+// ==========================================
+// METABOLIC PHASE TIMELINE
+// ==========================================
+
+// Default markers are typical averages - prior meals, activity and metabolic health shift them,
+// so each one (except the fed state at 0h) can be moved in the timeline's "Adjust" editor
+const FASTING_PHASES = [
+    { id: 'fed', name: 'Fed State', hour: 0, icon: 'px-food', sourceKey: 'metabolicSwitch',
+        description: "Digesting your last meal. Insulin is up and you're running on what you ate." },
+    { id: 'glycogen', name: 'Glycogen Drawdown', hour: 4, icon: 'px-lightning', sourceKey: 'metabolicSwitch',
+        description: 'Blood sugar settles and your liver starts releasing stored glycogen to keep you going.' },
+    { id: 'ketosis', name: 'Early Ketosis', hour: 12, icon: 'px-heart', sourceKey: 'metabolicSwitch',
+        description: 'Glycogen is running low. Fat breakdown ramps up and ketone levels begin to rise.' },
+    { id: 'autophagy', name: 'Autophagy', hour: 18, icon: 'px-star', sourceKey: 'fasting',
+        description: 'Cellular cleanup picks up - your cells start recycling worn-out parts.' },
+    { id: 'growthHormone', name: 'Growth Hormone Surge', hour: 24, icon: 'px-crystal', sourceKey: 'growthHormone',
+        description: 'Growth hormone rises to protect muscle while fat stays your main fuel.' },
+    { id: 'deepKetosis', name: 'Deep Ketosis', hour: 36, icon: 'px-shield', sourceKey: 'metabolicSwitch',
+        description: 'Ketones are now a major fuel for your brain. Plan a slow, gentle refeed.' }
+];
+
+// Phases already announced for the fast that's running (reset when a new fast starts)
+let announcedPhases = { fastStart: null, ids: new Set() };
+
+// Phase list with the user's hour markers applied, in order
+function getFastingPhases() {
+    const custom = state.settings?.fastingPhaseHours || {};
+    return FASTING_PHASES
+        .map(phase => ({ ...phase, hour: phase.hour > 0 && Number.isFinite(custom[phase.id]) ? custom[phase.id] : phase.hour }))
+        .sort((a, b) => a.hour - b.hour);
+}
+
+/**
+ * Wall-clock time at which a fast reaches a number of fasting hours, skipping paused time.
+ * @param {Object} fast - The current fast or a history record
+ * @param {number} hours - Fasting hours
+ * @returns {number} Timestamp, or Infinity when an open pause stops the fast getting there
+ */
+function getFastTimeAtHours(fast, hours) {
+    let time = fast.startTime + hours * 3600000;
+    let counted = fast.startTime;
+    const pauses = [...(fast.pauses || [])].sort((a, b) => a.start - b.start);
+    for (const pause of pauses) {
+        const start = Math.max(pause.start, counted);
+        if (start >= time) break;
+        const end = pause.end || Infinity;
+        if (end <= start) continue;
+        time += end - start;
+        counted = end;
+    }
+    return time;
+}
+
+/**
+ * Phases a fast had reached by a point in time.
+ * @param {Object} fast - The current fast or a history record
+ * @param {number} [until=Date.now()] - Timestamp to measure up to
+ * @returns {Array<{id: string, hour: number, reachedAt: number}>} Reached phases, in order
+ */
+function getPhasesReached(fast, until = Date.now()) {
+    if (!fast?.startTime) return [];
+    const elapsedHours = getFastElapsedHours(fast, until);
+    return getFastingPhases()
+        .filter(phase => phase.hour <= elapsedHours)
+        .map(phase => ({ id: phase.id, hour: phase.hour, reachedAt: getFastTimeAtHours(fast, phase.hour) }));
+}
+
+// Called every timer tick: announce each phase as the running fast enters it
+function checkPhaseTransitions() {
+    if (!state.currentFast.isActive) return;
+
+    const reached = getPhasesReached(state.currentFast);
+    if (announcedPhases.fastStart !== state.currentFast.startTime) {
+        // New fast, or the page was just opened - don't replay phases that began while we weren't watching
+        announcedPhases = { fastStart: state.currentFast.startTime, ids: new Set(reached.map(phase => phase.id)) };
+        return;
+    }
+
+    const fresh = reached.filter(phase => !announcedPhases.ids.has(phase.id));
+    if (fresh.length === 0) return;
+    fresh.forEach(phase => announcedPhases.ids.add(phase.id));
+
+    // Announce only the newest phase if several began at once (e.g. markers were moved earlier)
+    const phase = getFastingPhases().find(p => p.id === fresh[fresh.length - 1].id);
+    if (state.settings?.notifyFastingPhases !== false) {
+        showNotification(`${phase.name} (${phase.hour}h)`, phase.description);
+        showAchievementToast(`<span class="px-icon ${phase.icon}"></span>`, phase.name, phase.description, 'epic');
+    }
+    renderPhaseTimeline();
+}
+
+function renderPhaseTimeline() {
+    const container = document.getElementById('phase-timeline');
+    if (!container) return;
+
+    const phases = getFastingPhases();
+    const active = state.currentFast.isActive && state.currentFast.startTime;
+    const elapsedHours = active ? getFastElapsedHours() : 0;
+    const currentIndex = active ? phases.reduce((index, phase, i) => (phase.hour <= elapsedHours ? i : index), 0) : -1;
+    const paused = isFastPaused();
+
+    container.innerHTML = phases.map((phase, i) => {
+        const reached = active && i <= currentIndex;
+        const isCurrent = i === currentIndex;
+        const isNext = i === currentIndex + 1;
+        let status;
+        if (isCurrent) {
+            status = paused ? 'Now (paused)' : 'Now';
+        } else if (reached) {
+            status = `<span class="px-icon px-check"></span> ${phase.hour}h`;
+        } else if (active) {
+            status = `${phase.hour}h · in ${formatDuration(phase.hour - elapsedHours)}`;
+        } else {
+            status = `${phase.hour}h`;
+        }
+        const color = isCurrent ? 'var(--matrix-400)' : reached ? 'var(--matrix-500)' : 'var(--dark-text-muted)';
+        const details = isCurrent || isNext || !active
+            ? `<p class="text-xs mt-1" style="color: var(--dark-text-muted);">${escapeHtml(phase.description)}</p>${isCurrent ? generateSourceButton(phase.sourceKey) : ''}`
+            : '';
+
+        return `
+            <div class="flex items-start gap-3 p-2 rounded-lg" style="border-left: 3px solid ${color};${isCurrent ? ' background: rgba(0, 255, 65, 0.08);' : ''}">
+                <span class="px-icon ${phase.icon}"${reached || isCurrent ? '' : ' style="opacity: 0.5;"'}></span>
+                <div class="flex-1">
+                    <div class="flex justify-between items-center gap-2">
+                        <span class="text-sm font-medium" style="color: ${color};">${escapeHtml(phase.name)}</span>
+                        <span class="text-xs" style="color: ${color};">${status}</span>
+                    </div>
+                    ${details}
+                </div>
+            </div>
+        `;
+    }).join('');
+}
+
+// "Your Fasting Journey" in the Fasting Future guide uses the same phases and markers
+function renderFastingJourney() {
+    const container = document.getElementById('fasting-journey-list');
+    if (!container) return;
+
+    const phases = getFastingPhases();
+    container.innerHTML = phases.map((phase, i) => {
+        const next = phases[i + 1];
+        const range = next ? `${phase.hour}-${next.hour} Hours` : `${phase.hour}+ Hours`;
+        return `
+            <div class="flex items-start gap-3">
+                <span class="text-2xl"><span class="px-icon ${phase.icon}"></span></span>
+                <div>
+                    <p class="font-medium" style="color: var(--matrix-400);">${range}: ${escapeHtml(phase.name)}</p>
+                    <p class="text-xs" style="color: var(--dark-text-muted);">${escapeHtml(phase.description)}</p>
+                </div>
+            </div>
+        `;
+    }).join('');
+}
+
+function togglePhaseEditor() {
+    const editor = document.getElementById('phase-editor');
+    if (!editor) return;
+
+    const opening = editor.classList.contains('hidden');
+    editor.classList.toggle('hidden', !opening);
+    document.getElementById('phase-editor-toggle')?.setAttribute('aria-expanded', String(opening));
+    if (!opening) return;
+
+    document.getElementById('phase-editor-error').classList.add('hidden');
+    document.getElementById('phase-editor-fields').innerHTML = getFastingPhases()
+        .filter(phase => phase.hour > 0)
+        .map(phase => `
+            <label class="flex items-center justify-between gap-3 text-sm" style="color: var(--dark-text);">
+                <span>${escapeHtml(phase.name)}</span>
+                <span class="flex items-center gap-1">
+                    <input type="number" min="1" max="168" step="0.5" value="${phase.hour}" data-phase-hour="${phase.id}" class="w-20 px-2 py-1 rounded text-sm" style="background: rgba(0,0,0,0.3); border: 1px solid var(--dark-border); color: var(--dark-text);" aria-label="${escapeHtml(phase.name)} starts at hour">
+                    <span class="text-xs" style="color: var(--dark-text-muted);">h</span>
+                </span>
+            </label>
+        `).join('');
+}
+
+function savePhaseMarkers() {
+    const errorEl = document.getElementById('phase-editor-error');
+    const hours = {};
+    document.querySelectorAll('#phase-editor-fields [data-phase-hour]').forEach(input => {
+        hours[input.dataset.phaseHour] = Number(input.value);
+    });
+
+    // Markers must keep the phases in their natural order
+    let previous = 0;
+    for (const phase of FASTING_PHASES.filter(p => p.hour > 0)) {
+        const hour = hours[phase.id];
+        if (!Number.isFinite(hour) || hour < 1 || hour > 168) {
+            errorEl.textContent = `${phase.name} needs a start between 1 and 168 hours.`;
+            errorEl.classList.remove('hidden');
+            return;
+        }
+        if (hour <= previous) {
+            errorEl.textContent = `${phase.name} has to start after the phase before it.`;
+            errorEl.classList.remove('hidden');
+            return;
+        }
+        previous = hour;
+    }
+
+    updateSetting('fastingPhaseHours', hours);
+    togglePhaseEditor();
+}
+
+function resetPhaseMarkers() {
+    // false rather than null - the cloud database drops null keys, so other devices would never see the reset
+    updateSetting('fastingPhaseHours', false);
+    togglePhaseEditor();
+}
+
+/**
+ * Sanitize custom phase hour markers from settings
+ * @param {*} hours - fastingPhaseHours value from imported settings
+ * @returns {Object|false} Known phase ids mapped to hours, or false to use the defaults
+ */
+function sanitizePhaseHours(hours) {
+    if (!hours || typeof hours !== 'object') return false;
+    const cleaned = {};
+    for (const phase of FASTING_PHASES) {
+        if (phase.hour > 0 && hours[phase.id] !== undefined) {
+            cleaned[phase.id] = sanitizeNumber(hours[phase.id], 1, 168, phase.hour);
+        }
+    }
+    return Object.keys(cleaned).length > 0 ? cleaned : false;
+}
+
+/**
+ * Sanitize the phases a completed fast reached
+ * @param {*} phases - phasesReached value from an imported history entry
+ * @returns {Array|undefined} Cleaned phases, or undefined if there were none
+ */
+function sanitizePhasesReached(phases) {
+    if (!Array.isArray(phases)) return undefined;
+    return phases
+        .filter(phase => phase && FASTING_PHASES.some(p => p.id === phase.id))
+        .map(phase => ({
+            id: phase.id,
+            hour: sanitizeNumber(phase.hour, 0, 168, 0),
+            reachedAt: sanitizeNumber(phase.reachedAt, 0, Date.now() + 86400000, 0)
+        }))
+        .slice(0, FASTING_PHASES.length);
+}
+
 // Timer functionality
-function startFast() {
+function startFast(startTime) {
     // Don't allow starting a fast while sleeping
     if (state.currentSleep?.isActive) {
         return;
@@ -2343,17 +3733,30 @@ function startFast() {
         return;
     }
 
-    state.currentFast.startTime = Date.now();
+    // Backdated starts come from the "Started earlier?" picker
+    state.currentFast.startTime = typeof startTime === 'number' ? startTime : Date.now();
     state.currentFast.isActive = true;
     state.currentFast.powerups = []; // Clear powerups for new fast
+    state.currentFast.pauses = [];
+    state.currentFast.breaks = [];
+
+    // Remember what the plan asked for, so later plan edits don't regrade this fast
+    const planned = getPlannedFast(state.currentFast.startTime);
+    if (planned && planned.goalHours > 0) {
+        state.currentFast.plan = { goalHours: planned.goalHours, windowStart: planned.windowStart, windowEnd: planned.windowEnd };
+    } else {
+        delete state.currentFast.plan;
+    }
 
-    // Reset eating powerups when starting a new fast
+    // Archive the eating window this fast closes, then start the next one empty
+    archiveEatingWindow(state.currentFast.startTime);
     state.eatingPowerups = [];
     saveState();
 
     document.getElementById('start-btn').classList.add('hidden');
     document.getElementById('stop-btn').classList.remove('hidden');
     document.getElementById('goal-achieved').classList.add('hidden');
+    document.getElementById('fast-backdate-section')?.classList.add('hidden');
 
     // Hide fasting goal selector while fasting
     document.getElementById('fasting-goal-selector')?.classList.add('hidden');
@@ -2362,10 +3765,13 @@ function startFast() {
     updateStartInfo();
     updatePowerupDisplay();
     updateHungerDisplay();
+    updateBiomarkerDisplay();
     updateConstitution();
     updatePowerupStates(); // Update powerup enable/disable states
     updateEatingPowerupDisplay(); // Update eating display (should be reset)
     updateMealQuality();
+    updateFastInterruptionUI();
+    renderPhaseTimeline();
 
     // Show Sui the Sleep God
     showSuiGhost('Your fast has begun...', 'fasting');
@@ -2430,7 +3836,11 @@ async function stopFast() {
     if (!state.currentFast.isActive) return;
 
     const endTime = Date.now();
-    const duration = (endTime - state.currentFast.startTime) / 1000 / 60 / 60; // hours
+    // Ending while paused closes the open pause - paused time never counts as fasting
+    const pauses = (state.currentFast.pauses || []).map(pause => ({ start: pause.start, end: pause.end || endTime }));
+    const breaks = state.currentFast.breaks || [];
+    const duration = getFastElapsedHours({ startTime: state.currentFast.startTime, pauses }, endTime); // hours
+    const phasesReached = getPhasesReached({ startTime: state.currentFast.startTime, pauses }, endTime);
 
     // Show feeling modal and wait for selection
     const feeling = await showFeelingModal('fasting');
@@ -2463,7 +3873,12 @@ async function stopFast() {
         powerups: powerupCounts,
         hungerLogs: hungerCounts,
         hungerDetails: hungerLogs, // Store full details for trend analysis
-        feeling: feeling // Post-fast feeling (soso, fine, prettygood, ready, or null)
+        biomarkers: state.currentFast.biomarkers || [], // Glucose/ketone readings with hours into the fast
+        feeling: feeling, // Post-fast feeling (soso, fine, prettygood, ready, or null)
+        plan: state.currentFast.plan, // Weekly plan entry this fast was started under (if any)
+        pauses: pauses, // Pause/resume segments - already excluded from duration
+        breaks: breaks, // Small intakes that didn't end the fast
+        phasesReached: phasesReached // Metabolic phases entered, with the hour markers in use at the time
     });
 
     // Track last meal time (when fast ends = eating begins)
@@ -2474,12 +3889,16 @@ async function stopFast() {
     state.currentFast.isActive = false;
     state.currentFast.powerups = [];
     state.currentFast.hungerLogs = [];
+    state.currentFast.biomarkers = [];
+    state.currentFast.pauses = [];
+    state.currentFast.breaks = [];
     saveState();
 
     stopTimer();
     resetTimerUI();
     updatePowerupDisplay();
     updateHungerDisplay();
+    updateBiomarkerDisplay();
     updateConstitution();
     updatePowerupStates(); // Update powerup enable/disable states
 
@@ -2491,22 +3910,14 @@ async function stopFast() {
     // Show Sui the Sleep God
     showSuiGhost('Your fast has ended...', 'fasting');
 
-    // Calculate hours until ideal bedtime (9 PM)
-    const now = new Date(endTime);
-    const bedtime = new Date(endTime);
-    bedtime.setHours(21, 0, 0, 0); // 9 PM
-
-    // If it's already past 9 PM, set bedtime for tomorrow
-    if (now.getHours() >= 21) {
-        bedtime.setDate(bedtime.getDate() + 1);
-    }
-
-    const hoursUntilBed = (bedtime - now) / 1000 / 60 / 60;
+    // Calculate hours until the start of the chronotype's bedtime window
+    const { hoursUntilBed } = getBedtimeStatus(endTime);
+    const mealBuffer = getChronotype().lastMealBufferHours;
 
     let sleepAdvice = '';
-    if (hoursUntilBed < 4) {
+    if (hoursUntilBed < Math.max(0, mealBuffer - 2)) {
         sleepAdvice = `\n\n Warning: Only ${formatDuration(hoursUntilBed)} until bedtime!\nEating this late may disrupt your sleep quality.`;
-    } else if (hoursUntilBed < 6) {
+    } else if (hoursUntilBed < mealBuffer) {
         sleepAdvice = `\n\n You have ${formatDuration(hoursUntilBed)} until bedtime.\nGood, but eating earlier would be even better for sleep!`;
     } else {
         sleepAdvice = `\n\n Excellent! ${formatDuration(hoursUntilBed)} until bedtime.\nPlenty of time for digestion before sleep!`;
@@ -2543,6 +3954,8 @@ function startTimer() {
         updateProgressBar();
         checkGoalAchieved();
         updateFastingGuides();
+        checkPhaseTransitions();
+        checkHungerWave();
     }, 1000);
 
     // Update Heart Points every 30 seconds while fasting
@@ -2550,6 +3963,7 @@ function startTimer() {
     constitutionInterval = setInterval(() => {
         if (state.currentFast.isActive) {
             updateConstitution();
+            renderPhaseTimeline(); // Keep the "in Xh Ym" countdowns fresh
         }
     }, 30000);
 
@@ -2564,6 +3978,9 @@ let guidesShown = {
     extended36: false
 };
 
+// Share of the goal reached before the breaking-fast guide appears
+const BREAKING_GUIDE_PROGRESS = 0.8;
+
 function updateFastingGuides() {
     const breakingGuide = document.getElementById('breaking-fast-guide');
     const extended24Guide = document.getElementById('extended-fast-guide-24');
@@ -2585,33 +4002,48 @@ function updateFastingGuides() {
         return;
     }
 
-    const elapsed = Date.now() - state.currentFast.startTime;
-    const elapsedHours = elapsed / 1000 / 60 / 60;
+    const elapsedHours = getFastElapsedHours();
     const goalHours = state.currentFast.goalHours;
     const progress = elapsedHours / goalHours;
 
-    // 36+ hour fast guide
-    if (elapsedHours >= 36) {
+    // The extended guides follow the user's growth hormone and deep ketosis markers
+    const phases = getFastingPhases();
+    const extended24Hours = phases.find(phase => phase.id === 'growthHormone').hour;
+    const extended36Hours = phases.find(phase => phase.id === 'deepKetosis').hour;
+    const hours24Label = document.getElementById('extended-fast-guide-24-hours');
+    const hours36Label = document.getElementById('extended-fast-guide-36-hours');
+    if (hours24Label) hours24Label.textContent = extended24Hours;
+    if (hours36Label) hours36Label.textContent = extended36Hours;
+
+    // Entering those phases already sends a phase notification, so the guide only notifies when that's off
+    const phaseNotified = state.settings?.notifyFastingPhases !== false;
+
+    // Deep ketosis refeeding guide
+    if (elapsedHours >= extended36Hours) {
         extended36Guide.classList.remove('hidden');
         if (!guidesShown.extended36) {
             guidesShown.extended36 = true;
-            showNotification('36+ Hour Fast!', 'Check the critical refeeding guide - your stomach has shrunk significantly!');
+            if (!phaseNotified) {
+                showNotification(`${extended36Hours}+ Hour Fast!`, 'Check the critical refeeding guide - your stomach has shrunk significantly!');
+            }
         }
         return;
     }
 
-    // 24+ hour fast guide
-    if (elapsedHours >= 24) {
+    // Growth hormone (extended fast) guide
+    if (elapsedHours >= extended24Hours) {
         extended24Guide.classList.remove('hidden');
         if (!guidesShown.extended24) {
             guidesShown.extended24 = true;
-            showNotification('24+ Hour Fast!', 'Check the extended fast guide - your stomach is shrinking!');
+            if (!phaseNotified) {
+                showNotification(`${extended24Hours}+ Hour Fast!`, 'Check the extended fast guide - your stomach is shrinking!');
+            }
         }
         return;
     }
 
-    // Show breaking fast guide when at 80% of goal or more
-    if (progress >= 0.8) {
+    // Show breaking fast guide when close to the goal
+    if (progress >= BREAKING_GUIDE_PROGRESS) {
         breakingGuide.classList.remove('hidden');
         if (!guidesShown.breaking) {
             guidesShown.breaking = true;
@@ -2644,8 +4076,7 @@ function updateTimerDisplay() {
         return;
     }
 
-    // Guard against negative elapsed time (system clock changed backwards)
-    const elapsed = Math.max(0, Date.now() - state.currentFast.startTime);
+    const elapsed = getFastElapsedMs();
     const hours = Math.floor(elapsed / 1000 / 60 / 60);
     const minutes = Math.floor((elapsed / 1000 / 60) % 60);
     const seconds = Math.floor((elapsed / 1000) % 60);
@@ -2654,7 +4085,12 @@ function updateTimerDisplay() {
     display.textContent = timeString;
 
     // Update document title to show timer (useful when tab is in background)
-    document.title = `⏱️ ${timeString} - Fasting`;
+    if (isFastPaused()) {
+        document.title = `⏸️ ${timeString} - Paused`;
+        updateFastInterruptionUI(); // Paused total grows while the clock stands still
+    } else {
+        document.title = `⏱️ ${timeString} - Fasting`;
+    }
 }
 
 function updateProgressBar() {
@@ -2667,9 +4103,7 @@ function updateProgressBar() {
         return;
     }
 
-    // Guard against negative elapsed time (system clock changed backwards)
-    const elapsed = Math.max(0, Date.now() - state.currentFast.startTime);
-    const elapsedHours = elapsed / 1000 / 60 / 60;
+    const elapsedHours = getFastElapsedHours();
     const progress = Math.min((elapsedHours / state.currentFast.goalHours) * 100, 100);
 
     progressBar.style.width = `${progress}%`;
@@ -2689,8 +4123,7 @@ let goalAchievedNotified = false;
 function checkGoalAchieved() {
     if (!state.currentFast.isActive) return;
 
-    const elapsed = Date.now() - state.currentFast.startTime;
-    const elapsedHours = elapsed / 1000 / 60 / 60;
+    const elapsedHours = getFastElapsedHours();
 
     if (elapsedHours >= state.currentFast.goalHours && !goalAchievedNotified) {
         document.getElementById('goal-achieved').classList.remove('hidden');
@@ -2710,8 +4143,11 @@ function resetTimerUI() {
     document.getElementById('start-btn').classList.remove('hidden');
     document.getElementById('stop-btn').classList.add('hidden');
     document.getElementById('goal-achieved').classList.add('hidden');
+    document.getElementById('fast-backdate-section')?.classList.remove('hidden');
     document.getElementById('start-info').textContent = 'Select a goal and start your fast';
     goalAchievedNotified = false;
+    updateFastInterruptionUI();
+    renderPhaseTimeline();
 
     // Hide all fasting guides
     const breakingGuide = document.getElementById('breaking-fast-guide');
@@ -2735,11 +4171,16 @@ function updateStartInfo() {
 
 function updateUI() {
     setGoal(state.currentFast.goalHours);
+    applyTodaysPlannedGoal();
+    updateTodayPlanUI();
     if (state.currentFast.isActive) {
         document.getElementById('start-btn').classList.add('hidden');
         document.getElementById('stop-btn').classList.remove('hidden');
+        document.getElementById('fast-backdate-section')?.classList.add('hidden');
         updateStartInfo();
     }
+    updateFastInterruptionUI();
+    renderPhaseTimeline();
     updatePowerupStates();
 }
 
@@ -2755,12 +4196,12 @@ function updatePowerupStates() {
         'powerup-doctorwin', 'powerup-flatstomach', 'powerup-custom', 'add-custom-powerup-btn'];
 
     // Hunger buttons - only enabled when fasting AND not sleeping
-    const hungerButtons = ['hunger-1', 'hunger-2', 'hunger-3', 'hunger-4'];
+    const hungerButtons = ['hunger-1', 'hunger-2', 'hunger-3', 'hunger-4', 'biomarker-add'];
 
     // Eating powerups - disabled when fasting OR sleeping
     const eatingPowerups = ['eating-broth', 'eating-protein', 'eating-fiber', 'eating-homecooked',
         'eating-sloweating', 'eating-chocolate', 'eating-walk', 'eating-nosugar', 'eating-doctorwin',
-        'eating-eatenout', 'eating-toofast', 'eating-junkfood', 'eating-bloated'];
+        'eating-eatenout', 'eating-toofast', 'eating-junkfood', 'eating-bloated', 'meal-log-save'];
 
     // Sleep powerups - only enabled when sleeping
     const sleepPowerups = ['sleep-darkness', 'sleep-reading', 'sleep-cuddling', 'sleep-doctorwin',
@@ -2860,7 +4301,7 @@ function updatePowerupStates() {
     });
 
     // Disable reset buttons when sleeping
-    const resetButtons = ['reset-powerups-btn', 'reset-eating-powerups-btn', 'reset-hunger-btn', 'reset-sleep-powerups-btn'];
+    const resetButtons = ['reset-powerups-btn', 'reset-eating-powerups-btn', 'reset-hunger-btn', 'reset-biomarkers-btn', 'reset-sleep-powerups-btn'];
     resetButtons.forEach(id => {
         const el = document.getElementById(id);
         if (el) {
@@ -2925,7 +4366,7 @@ function updatePowerupStates() {
     });
 
     // Disable history view toggle buttons when sleeping
-    const historyButtons = ['history-fasting-btn', 'history-sleep-btn'];
+    const historyButtons = ['history-fasting-btn', 'history-sleep-btn', 'history-eating-btn'];
     historyButtons.forEach(id => {
         const el = document.getElementById(id);
         if (el) {
@@ -3003,6 +4444,14 @@ function renderHistory() {
         const endDate = new Date(fast.endTime);
         const safeId = sanitizeId(fast.id);
         const feelingDisplay = fast.feeling ? `<span class="ml-2">${feelingEmojis[fast.feeling] || ''} ${feelingLabels[fast.feeling] || ''}</span>` : '';
+        const pausedHours = getFastPausedMs(fast, fast.endTime) / 3600000;
+        const breakCount = (fast.breaks || []).length;
+        const interruptions = [
+            pausedHours >= 1 / 60 ? `${formatDuration(pausedHours)} paused` : '',
+            breakCount > 0 ? `${breakCount} small intake${breakCount === 1 ? '' : 's'}` : ''
+        ].filter(Boolean).join(' · ');
+        const lastPhase = (fast.phasesReached || []).slice(-1)[0];
+        const lastPhaseName = lastPhase ? FASTING_PHASES.find(p => p.id === lastPhase.id)?.name : null;
 
         return `
             <div class="border border-gray-200 rounded-lg p-4 hover:shadow-md transition-shadow">
@@ -3014,12 +4463,18 @@ function renderHistory() {
                             ${feelingDisplay}
                         </div>
                         <div class="text-sm text-gray-500">
-                            Goal: ${fast.goalHours} hours
+                            Goal: ${fast.goalHours} hours${interruptions ? ` · ${interruptions}` : ''}
                         </div>
+                        ${lastPhaseName ? `<div class="text-xs" style="color: var(--matrix-500);">Reached: ${escapeHtml(lastPhaseName)}</div>` : ''}
+                    </div>
+                    <div class="flex gap-3">
+                        <button data-edit-fast="${safeId}" class="edit-fast-btn text-sm font-medium hover:underline" style="color: var(--matrix-400);" aria-label="Edit fasting record from ${startDate.toLocaleDateString()}">
+                            Edit
+                        </button>
+                        <button data-delete-fast="${safeId}" class="delete-fast-btn text-red-500 hover:text-red-700 text-sm font-medium" aria-label="Delete fasting record from ${startDate.toLocaleDateString()}">
+                            Delete
+                        </button>
                     </div>
-                    <button data-delete-fast="${safeId}" class="delete-fast-btn text-red-500 hover:text-red-700 text-sm font-medium" aria-label="Delete fasting record from ${startDate.toLocaleDateString()}">
-                        Delete
-                    </button>
                 </div>
                 <div class="text-xs text-gray-400">
                     ${startDate.toLocaleDateString()} ${startDate.toLocaleTimeString()} - ${endDate.toLocaleTimeString()}
@@ -3040,15 +4495,350 @@ function renderHistory() {
 
 async function deleteFast(id) {
     if (!id) return;
+    // The button carries the sanitized id - imported ids like "zero-1700000000000" contain a dash
+    const sanitizeId = (value) => String(value).replace(/[^a-zA-Z0-9]/g, '');
+    const fast = state.fastingHistory.find(f => sanitizeId(f.id) === id);
+    if (!fast) return;
     const confirmed = await showConfirmModal('Delete this fasting record?', 'Delete Record');
     if (confirmed) {
-        state.fastingHistory = state.fastingHistory.filter(f => f.id !== id);
+        state.fastingHistory = state.fastingHistory.filter(f => f.id !== fast.id);
+        recordDeletion(fast.id);
         saveState();
         renderHistory();
         renderStats();
     }
 }
 
+// Remember a deleted history record so a sync merge doesn't bring it back from another device
+function recordDeletion(id) {
+    if (!state.deletedRecords) state.deletedRecords = {};
+    state.deletedRecords[id] = Date.now();
+}
+
+// Editing past fasts (fix forgotten Start/Stop presses)
+const EDITABLE_FAST_POWERUPS = ['water', 'hotwater', 'coffee', 'tea', 'exercise', 'hanging', 'grip', 'walk', 'doctorwin'];
+let editingFastId = null;
+
+/**
+ * Format an epoch timestamp for a datetime-local input (local time, minute precision)
+ * @param {number} timestamp - Milliseconds since epoch
+ * @returns {string} Value in YYYY-MM-DDTHH:MM format
+ */
+function toDateTimeLocalValue(timestamp) {
+    const d = new Date(timestamp);
+    return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}T${pad(d.getHours())}:${pad(d.getMinutes())}`;
+}
+
+/**
+ * Parse a datetime-local input value as local time
+ * @param {string} value - Value in YYYY-MM-DDTHH:MM format
+ * @returns {number|null} Milliseconds since epoch, or null if invalid
+ */
+function parseDateTimeLocalValue(value) {
+    if (!value) return null;
+    const time = new Date(value).getTime();
+    return Number.isFinite(time) ? time : null;
+}
+
+/**
+ * Find a history record whose time range overlaps the given range
+ * @param {Array} history - fastingHistory or sleepHistory
+ * @param {number} startTime - Range start (ms)
+ * @param {number} endTime - Range end (ms)
+ * @param {string|null} excludeId - ID of the record being edited, if any
+ * @returns {Object|null} The first overlapping record, or null
+ */
+function findOverlappingRecord(history, startTime, endTime, excludeId = null) {
+    return (history || []).find(r =>
+        r.id !== excludeId && r.startTime < endTime && startTime < r.endTime
+    ) || null;
+}
+
+function openEditFastModal(id) {
+    const sanitizeId = (value) => String(value).replace(/[^a-zA-Z0-9]/g, '');
+    const fast = state.fastingHistory.find(f => sanitizeId(f.id) === id);
+    if (!fast) return;
+
+    editingFastId = fast.id;
+    document.getElementById('edit-fast-start').value = toDateTimeLocalValue(fast.startTime);
+    document.getElementById('edit-fast-end').value = toDateTimeLocalValue(fast.endTime);
+    document.getElementById('edit-fast-goal').value = fast.goalHours || 16;
+    document.getElementById('edit-fast-feeling').value = feelingLabels[fast.feeling] ? fast.feeling : '';
+
+    // Older records may store powerups as an array of {type, time} instead of counts
+    const counts = {};
+    if (Array.isArray(fast.powerups)) {
+        fast.powerups.forEach(p => { counts[p.type] = (counts[p.type] || 0) + 1; });
+    } else if (fast.powerups && typeof fast.powerups === 'object') {
+        Object.assign(counts, fast.powerups);
+    }
+
+    document.getElementById('edit-fast-powerups').innerHTML = EDITABLE_FAST_POWERUPS.map(type => `
+        <label class="flex items-center gap-1 text-xs" style="color: var(--dark-text-muted);">
+            ${powerupEmojis[type] || ''}
+            <input type="number" data-edit-powerup="${type}" min="0" max="99" inputmode="numeric" value="${sanitizeNumber(counts[type], 0, 99, 0)}" class="w-full px-2 py-1 rounded" style="background: rgba(0,0,0,0.3); border: 1px solid var(--dark-border); color: var(--dark-text);" aria-label="${type} count">
+        </label>
+    `).join('');
+
+    document.getElementById('edit-fast-error').classList.add('hidden');
+    document.getElementById('edit-fast-modal').classList.remove('hidden');
+}
+
+function closeEditFastModal() {
+    editingFastId = null;
+    closeModalWithAnimation('edit-fast-modal');
+}
+
+function saveEditedFast() {
+    const fast = state.fastingHistory.find(f => f.id === editingFastId);
+    if (!fast) {
+        closeEditFastModal();
+        return;
+    }
+
+    const errorEl = document.getElementById('edit-fast-error');
+    const showError = (message) => {
+        errorEl.textContent = message;
+        errorEl.classList.remove('hidden');
+    };
+
+    const startTime = parseDateTimeLocalValue(document.getElementById('edit-fast-start').value);
+    const endTime = parseDateTimeLocalValue(document.getElementById('edit-fast-end').value);
+    if (startTime === null || endTime === null) {
+        showError('Please enter both a start and an end time.');
+        return;
+    }
+    if (endTime <= startTime) {
+        showError('The end time must be after the start time.');
+        return;
+    }
+    if (endTime > Date.now()) {
+        showError('The end time cannot be in the future.');
+        return;
+    }
+    const duration = (endTime - startTime) / 1000 / 60 / 60; // hours
+    if (duration > 168) {
+        showError('A fast cannot be longer than 168 hours.');
+        return;
+    }
+    const overlap = findOverlappingRecord(state.fastingHistory, startTime, endTime, fast.id);
+    if (overlap) {
+        showError(`This overlaps another fast from ${new Date(overlap.startTime).toLocaleString()}.`);
+        return;
+    }
+
+    const powerupCounts = {};
+    document.querySelectorAll('#edit-fast-powerups [data-edit-powerup]').forEach(input => {
+        powerupCounts[input.dataset.editPowerup] = sanitizeNumber(input.value, 0, 99, 0);
+    });
+    const feeling = document.getElementById('edit-fast-feeling').value;
+
+    fast.startTime = startTime;
+    fast.endTime = endTime;
+    // Pauses outside the new start/end no longer count against the fast
+    fast.duration = getFastElapsedHours({ startTime, pauses: fast.pauses }, endTime);
+    fast.goalHours = sanitizeNumber(document.getElementById('edit-fast-goal').value, 1, MAX_FASTING_GOAL_HOURS, fast.goalHours || 16);
+    fast.powerups = powerupCounts;
+    fast.feeling = feelingLabels[feeling] ? feeling : null;
+    fast.updatedAt = Date.now(); // Newer edit wins when devices merge
+
+    // Keep history newest-first after a start/end change
+    state.fastingHistory.sort((a, b) => b.endTime - a.endTime);
+
+    saveState();
+    closeEditFastModal();
+    renderHistory();
+    renderStats();
+
+    // Unlocks, Slayer damage and constitution all derive from durations and powerup counts
+    checkAllItemUnlocks();
+    updateMonsterBattleUI();
+    updateConstitution();
+
+    showAchievementToast('<span class="px-icon px-scroll"></span>', 'Fast Updated', `Now ${formatDuration(duration)}`, 'success');
+}
+
+// Backdated starts and manually logged past records
+const LOGGABLE_RECORD_TYPES = {
+    fasting: { label: 'Fast', maxHours: 168, maxGoalHours: MAX_FASTING_GOAL_HOURS, defaultGoal: 16, icon: 'px-lightning' },
+    sleep: { label: 'Sleep', maxHours: 24, maxGoalHours: 24, defaultGoal: 8, icon: 'px-moon' }
+};
+let loggingRecordType = null;
+
+function getRecordHistory(type) {
+    return type === 'sleep' ? (state.sleepHistory || []) : state.fastingHistory;
+}
+
+/**
+ * Validate a past start time for a fast or sleep that is about to begin
+ * @param {string} type - 'fasting' or 'sleep'
+ * @param {number|null} startTime - Proposed start (ms)
+ * @returns {string|null} Error message, or null if valid
+ */
+function getBackdatedStartError(type, startTime) {
+    const config = LOGGABLE_RECORD_TYPES[type];
+    const now = Date.now();
+    if (startTime === null) return 'Please pick a start time.';
+    if (startTime > now) return 'The start time cannot be in the future.';
+    if (now - startTime > config.maxHours * 60 * 60 * 1000) {
+        return `A ${config.label.toLowerCase()} cannot have started more than ${config.maxHours} hours ago.`;
+    }
+    const overlap = findOverlappingRecord(getRecordHistory(type), startTime, now);
+    if (overlap) {
+        return `That overlaps a ${config.label.toLowerCase()} ending ${new Date(overlap.endTime).toLocaleString()}.`;
+    }
+    return null;
+}
+
+function toggleBackdatePicker(type) {
+    const prefix = type === 'sleep' ? 'sleep' : 'fast';
+    const row = document.getElementById(`${prefix}-backdate-row`);
+    const toggle = document.getElementById(`${prefix}-backdate-toggle`);
+    if (!row) return;
+
+    const opening = row.classList.contains('hidden');
+    row.classList.toggle('hidden', !opening);
+    toggle?.setAttribute('aria-expanded', String(opening));
+    if (opening) {
+        // Default to one hour ago - the common "opened the app late" case
+        const input = document.getElementById(`${prefix}-backdate-input`);
+        input.value = toDateTimeLocalValue(Date.now() - 60 * 60 * 1000);
+        input.max = toDateTimeLocalValue(Date.now());
+    }
+}
+
+function startFromBackdatePicker(type) {
+    const prefix = type === 'sleep' ? 'sleep' : 'fast';
+    const startTime = parseDateTimeLocalValue(document.getElementById(`${prefix}-backdate-input`)?.value);
+    const error = getBackdatedStartError(type, startTime);
+    if (error) {
+        showAchievementToast('<span class="px-icon px-clock"></span>', 'Invalid Start Time', error, 'warning');
+        return;
+    }
+
+    // Keep the picker open with the chosen time if the early-sleep warning stops the start,
+    // so the second press starts from the same time instead of now
+    if (type === 'sleep') {
+        if (!startSleep(startTime)) return;
+    } else {
+        startFast(startTime);
+    }
+
+    document.getElementById(`${prefix}-backdate-row`)?.classList.add('hidden');
+    document.getElementById(`${prefix}-backdate-toggle`)?.setAttribute('aria-expanded', 'false');
+}
+
+function openLogRecordModal(type) {
+    const config = LOGGABLE_RECORD_TYPES[type];
+    if (!config) return;
+
+    loggingRecordType = type;
+    document.getElementById('log-record-modal-title').textContent = `LOG PAST ${config.label.toUpperCase()}`;
+    document.getElementById('log-record-modal-icon').className = `px-icon px-icon-xl ${config.icon}`;
+
+    const goal = type === 'sleep' ? state.currentSleep?.goalHours : state.currentFast.goalHours;
+    const end = new Date();
+    end.setMinutes(0, 0, 0);
+    const endTime = end.getTime();
+    document.getElementById('log-record-end').value = toDateTimeLocalValue(endTime);
+    document.getElementById('log-record-start').value = toDateTimeLocalValue(endTime - (goal || config.defaultGoal) * 60 * 60 * 1000);
+    document.getElementById('log-record-goal').value = goal || config.defaultGoal;
+    document.getElementById('log-record-goal').max = config.maxGoalHours;
+    document.getElementById('log-record-feeling').value = '';
+    document.getElementById('log-record-error').classList.add('hidden');
+    document.getElementById('log-record-modal').classList.remove('hidden');
+}
+
+function closeLogRecordModal() {
+    loggingRecordType = null;
+    closeModalWithAnimation('log-record-modal');
+}
+
+function saveLoggedRecord() {
+    const type = loggingRecordType;
+    const config = LOGGABLE_RECORD_TYPES[type];
+    if (!config) {
+        closeLogRecordModal();
+        return;
+    }
+
+    const errorEl = document.getElementById('log-record-error');
+    const showError = (message) => {
+        errorEl.textContent = message;
+        errorEl.classList.remove('hidden');
+    };
+
+    const startTime = parseDateTimeLocalValue(document.getElementById('log-record-start').value);
+    const endTime = parseDateTimeLocalValue(document.getElementById('log-record-end').value);
+    if (startTime === null || endTime === null) {
+        showError('Please enter both a start and an end time.');
+        return;
+    }
+    if (endTime <= startTime) {
+        showError('The end time must be after the start time.');
+        return;
+    }
+    if (endTime > Date.now()) {
+        showError('The end time cannot be in the future.');
+        return;
+    }
+    const duration = (endTime - startTime) / 1000 / 60 / 60; // hours
+    if (duration > config.maxHours) {
+        showError(`A ${config.label.toLowerCase()} cannot be longer than ${config.maxHours} hours.`);
+        return;
+    }
+
+    const overlap = findOverlappingRecord(getRecordHistory(type), startTime, endTime);
+    if (overlap) {
+        showError(`This overlaps a ${config.label.toLowerCase()} from ${new Date(overlap.startTime).toLocaleString()}.`);
+        return;
+    }
+    const current = type === 'sleep' ? state.currentSleep : state.currentFast;
+    if (current?.isActive && endTime > current.startTime) {
+        showError(`This overlaps your ${config.label.toLowerCase()} in progress.`);
+        return;
+    }
+
+    const feeling = document.getElementById('log-record-feeling').value;
+    const record = {
+        id: generateId(),
+        startTime: startTime,
+        endTime: endTime,
+        duration: duration,
+        goalHours: sanitizeNumber(document.getElementById('log-record-goal').value, 1, config.maxGoalHours, config.defaultGoal),
+        feeling: feelingLabels[feeling] ? feeling : null
+    };
+
+    if (type === 'sleep') {
+        if (!state.sleepHistory) state.sleepHistory = [];
+        state.sleepHistory.push(record);
+        state.sleepHistory.sort((a, b) => b.endTime - a.endTime);
+    } else {
+        // Same shape stopFast() writes; powerups can be filled in via Edit
+        record.powerups = { water: 0, coffee: 0, tea: 0, exercise: 0, hanging: 0, grip: 0, walk: 0, hotwater: 0, doctorwin: 0 };
+        record.hungerLogs = { hunger1: 0, hunger2: 0, hunger3: 0, hunger4: 0 };
+        record.hungerDetails = [];
+        state.fastingHistory.push(record);
+        state.fastingHistory.sort((a, b) => b.endTime - a.endTime);
+    }
+
+    saveState();
+    closeLogRecordModal();
+    if (type === 'sleep') {
+        renderSleepHistory();
+        renderSleepStats();
+    } else {
+        renderHistory();
+        renderStats();
+    }
+
+    checkAllItemUnlocks();
+    updateMonsterBattleUI();
+    updateConstitution();
+
+    showAchievementToast(`<span class="px-icon ${config.icon}"></span>`, `${config.label} Logged`, `${formatDuration(duration)} added to history`, 'success');
+}
+
 // Statistics
 function renderStats() {
     const history = state.fastingHistory;
@@ -3061,6 +4851,7 @@ function renderStats() {
         document.getElementById('stat-longest').textContent = '0h';
         document.getElementById('stat-success').textContent = '0%';
         document.getElementById('stat-week').textContent = '0h';
+        renderPlanAdherence();
         return;
     }
 
@@ -3076,6 +4867,7 @@ function renderStats() {
     const successful = history.filter(f => f.duration >= f.goalHours).length;
     const successRate = (successful / history.length * 100).toFixed(0);
     document.getElementById('stat-success').textContent = `${successRate}%`;
+    renderPlanAdherence();
 
     // Current week average
     const weekAgo = Date.now() - (7 * 24 * 60 * 60 * 1000);
@@ -3091,6 +4883,27 @@ function renderStats() {
     renderTrends();
 }
 
+// With a weekly plan on, the success card grades the plan instead of each fast's own goal
+function renderPlanAdherence() {
+    const label = document.getElementById('stat-success-label');
+    const detail = document.getElementById('stat-success-detail');
+    if (!label || !detail) return;
+
+    const adherence = getPlanAdherence();
+    if (!adherence) {
+        label.textContent = state.fastingPlan?.enabled ? 'Plan Adherence' : 'Success Rate';
+        detail.classList.toggle('hidden', !state.fastingPlan?.enabled);
+        detail.textContent = 'No planned fasts due yet';
+        if (state.fastingPlan?.enabled) document.getElementById('stat-success').textContent = '-';
+        return;
+    }
+
+    label.textContent = 'Plan Adherence (4 weeks)';
+    document.getElementById('stat-success').textContent = `${adherence.percent}% · ${adherence.grade}`;
+    detail.textContent = `${adherence.onPlan} of ${adherence.planned} planned fasts fully on plan`;
+    detail.classList.remove('hidden');
+}
+
 // ==========================================
 // SLEEP TRACKER FUNCTIONS
 // ==========================================
@@ -3121,6 +4934,168 @@ function updateSleepGoalUI() {
     updateSleepProgressBar();
 }
 
+// ==========================================
+// CHRONOTYPE PROFILE (bedtime window, wake target, last meal buffer)
+// ==========================================
+
+// CHRONOTYPE_PRESETS and createDefaultChronotype() live next to DEFAULT_SETTINGS - the state initializer needs them
+
+function getChronotype() {
+    return state.chronotype || createDefaultChronotype();
+}
+
+// Minutes from `fromMinutes` forward to `toMinutes`, wrapping past midnight
+function minutesUntilClock(fromMinutes, toMinutes) {
+    return (toMinutes - fromMinutes + 1440) % 1440;
+}
+
+// Is a minute-of-day within [start, end)? Windows may wrap past midnight.
+function isClockInRange(minutes, start, end) {
+    return start <= end
+        ? minutes >= start && minutes < end
+        : minutes >= start || minutes < end;
+}
+
+/**
+ * Whether a time falls inside the profile's bedtime window
+ * @param {number} [timestamp=Date.now()] - Time (ms) to check
+ * @returns {boolean}
+ */
+function isInBedtimeWindow(timestamp = Date.now()) {
+    const profile = getChronotype();
+    const date = new Date(timestamp);
+    return isClockInRange(date.getHours() * 60 + date.getMinutes(),
+        timeStringToMinutes(profile.bedtimeStart), timeStringToMinutes(profile.bedtimeEnd));
+}
+
+/**
+ * Where a time sits relative to the sleep schedule
+ * @param {number} [timestamp=Date.now()] - Time (ms) to check
+ * @returns {Object} { phase: 'window' | 'late' | 'before', hoursUntilBed } - 'late' runs from the
+ *   end of the bedtime window to the wake target; hoursUntilBed is 0 unless phase is 'before'
+ */
+function getBedtimeStatus(timestamp = Date.now()) {
+    const profile = getChronotype();
+    const date = new Date(timestamp);
+    const minutes = date.getHours() * 60 + date.getMinutes() + date.getSeconds() / 60;
+    const start = timeStringToMinutes(profile.bedtimeStart);
+    const end = timeStringToMinutes(profile.bedtimeEnd);
+    const wake = timeStringToMinutes(profile.wakeTarget);
+
+    if (isClockInRange(minutes, start, end)) return { phase: 'window', hoursUntilBed: 0 };
+    if (isClockInRange(minutes, end, wake)) return { phase: 'late', hoursUntilBed: 0 };
+    return { phase: 'before', hoursUntilBed: minutesUntilClock(minutes, start) / 60 };
+}
+
+// "HH:MM" in the user's locale, e.g. "9:00 PM"
+function formatClockTime(value) {
+    const date = new Date();
+    date.setHours(0, timeStringToMinutes(value), 0, 0);
+    return date.toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' });
+}
+
+// Latest time to finish eating and still keep the last meal buffer before bedtime
+function getLastMealCutoffLabel() {
+    const profile = getChronotype();
+    const minutes = (timeStringToMinutes(profile.bedtimeStart) - Math.round(profile.lastMealBufferHours * 60) + 1440) % 1440;
+    return formatClockTime(`${pad(Math.floor(minutes / 60))}:${pad(minutes % 60)}`);
+}
+
+function getBedtimeWindowLabel() {
+    const profile = getChronotype();
+    return `${formatClockTime(profile.bedtimeStart)}-${formatClockTime(profile.bedtimeEnd)}`;
+}
+
+function renderChronotypeSettings() {
+    const profile = getChronotype();
+    const preset = Object.entries(CHRONOTYPE_PRESETS).find(([, p]) =>
+        p.bedtimeStart === profile.bedtimeStart && p.bedtimeEnd === profile.bedtimeEnd &&
+        p.wakeTarget === profile.wakeTarget && p.lastMealBufferHours === profile.lastMealBufferHours);
+
+    // The sleep guide quotes the same window the warnings use
+    const guideBedtime = document.getElementById('sleep-guide-bedtime');
+    if (guideBedtime) guideBedtime.textContent = getBedtimeWindowLabel();
+
+    const presetSelect = document.getElementById('chronotype-preset');
+    if (!presetSelect) return;
+    presetSelect.value = preset ? preset[0] : 'custom';
+    document.getElementById('chronotype-bedtime-start').value = profile.bedtimeStart;
+    document.getElementById('chronotype-bedtime-end').value = profile.bedtimeEnd;
+    document.getElementById('chronotype-wake').value = profile.wakeTarget;
+    document.getElementById('chronotype-meal-buffer').value = profile.lastMealBufferHours;
+    document.getElementById('chronotype-error').classList.add('hidden');
+}
+
+function applyChronotypePreset(presetId) {
+    const preset = CHRONOTYPE_PRESETS[presetId];
+    if (!preset) return;
+    document.getElementById('chronotype-bedtime-start').value = preset.bedtimeStart;
+    document.getElementById('chronotype-bedtime-end').value = preset.bedtimeEnd;
+    document.getElementById('chronotype-wake').value = preset.wakeTarget;
+    document.getElementById('chronotype-meal-buffer').value = preset.lastMealBufferHours;
+}
+
+function saveChronotype() {
+    const errorEl = document.getElementById('chronotype-error');
+    const showError = (message) => {
+        errorEl.textContent = message;
+        errorEl.classList.remove('hidden');
+    };
+
+    const profile = {
+        bedtimeStart: document.getElementById('chronotype-bedtime-start').value,
+        bedtimeEnd: document.getElementById('chronotype-bedtime-end').value,
+        wakeTarget: document.getElementById('chronotype-wake').value,
+        lastMealBufferHours: Number(document.getElementById('chronotype-meal-buffer').value)
+    };
+    if (![profile.bedtimeStart, profile.bedtimeEnd, profile.wakeTarget].every(value => /^\d{2}:\d{2}$/.test(value))) {
+        showError('Please set the bedtime window and wake target.');
+        return;
+    }
+    const start = timeStringToMinutes(profile.bedtimeStart);
+    const windowLength = minutesUntilClock(start, timeStringToMinutes(profile.bedtimeEnd));
+    if (windowLength === 0 || windowLength > 6 * 60) {
+        showError('The bedtime window should be between a few minutes and 6 hours long.');
+        return;
+    }
+    // The wake target has to come after the window closes, before it opens again
+    if (minutesUntilClock(start, timeStringToMinutes(profile.wakeTarget)) <= windowLength) {
+        showError('The wake target must be after the bedtime window ends.');
+        return;
+    }
+    if (!Number.isFinite(profile.lastMealBufferHours) || profile.lastMealBufferHours < 0 || profile.lastMealBufferHours > 12) {
+        showError('The last meal buffer must be 0-12 hours.');
+        return;
+    }
+
+    state.chronotype = { ...profile, updatedAt: Date.now() };
+    saveState();
+    updateMealSleepStatus();
+    renderChronotypeSettings();
+    showAchievementToast('<span class="px-icon px-moon"></span>', 'Sleep Schedule Saved',
+        `Bedtime window ${getBedtimeWindowLabel()}, wake at ${formatClockTime(profile.wakeTarget)}.`, 'success');
+}
+
+/**
+ * Sanitize an imported chronotype profile
+ * @param {*} profile - chronotype value from an imported state
+ * @returns {Object} A valid profile (the default one if nothing usable was given)
+ */
+function sanitizeChronotype(profile) {
+    const sanitized = createDefaultChronotype();
+    if (!profile || typeof profile !== 'object') return sanitized;
+
+    const isTime = value => /^([01]\d|2[0-3]):[0-5]\d$/.test(value);
+    if (isTime(profile.bedtimeStart) && isTime(profile.bedtimeEnd) && isTime(profile.wakeTarget)) {
+        sanitized.bedtimeStart = profile.bedtimeStart;
+        sanitized.bedtimeEnd = profile.bedtimeEnd;
+        sanitized.wakeTarget = profile.wakeTarget;
+    }
+    sanitized.lastMealBufferHours = sanitizeNumber(profile.lastMealBufferHours, 0, 12, sanitized.lastMealBufferHours);
+    sanitized.updatedAt = sanitizeNumber(profile.updatedAt, 0, Date.now() + 86400000, 0);
+    return sanitized;
+}
+
 // Track early sleep warnings
 let earlySleepWarnings = 0;
 
@@ -3128,7 +5103,9 @@ let earlySleepWarnings = 0;
 function getEarlySleepWarning(isFirstWarning) {
     const now = new Date();
     const timeStr = now.toLocaleTimeString([], {hour: '2-digit', minute:'2-digit'});
-    const hour = now.getHours();
+    const { phase, hoursUntilBed } = getBedtimeStatus(now.getTime());
+    const windowLabel = getBedtimeWindowLabel();
+    const bedtimeLabel = formatClockTime(getChronotype().bedtimeStart);
 
     // Check sleep history for context
     const history = state.sleepHistory || [];
@@ -3141,9 +5118,7 @@ function getEarlySleepWarning(isFirstWarning) {
     if (history.length > 0) {
         const now = Date.now();
         for (const sleep of history) {
-            const sleepStart = new Date(sleep.startTime);
-            const sleepHour = sleepStart.getHours();
-            if (sleepHour < 21 || sleepHour >= 23) {
+            if (!isInBedtimeWindow(sleep.startTime)) {
                 rebelCount++;
                 if (lastRebelDaysAgo === null) {
                     lastRebelDaysAgo = Math.floor((now - sleep.startTime) / (1000 * 60 * 60 * 24));
@@ -3152,39 +5127,39 @@ function getEarlySleepWarning(isFirstWarning) {
         }
     }
 
-    // Different scenarios for first warning
+    // Different scenarios for first warning (relative to the user's own bedtime window)
     if (isFirstWarning) {
-        // Super early (before noon) - concerned
-        if (hour < 12) {
+        // Super early (9+ hours before bedtime) - concerned
+        if (phase === 'before' && hoursUntilBed >= 9) {
             return `Uhh... it's ${timeStr}?! \n\nAre you okay? The sun is literally still out!\n\nIf you're genuinely exhausted, click again. But maybe consider coffee first? `;
         }
 
-        // Afternoon nap attempt (12-5 PM)
-        if (hour >= 12 && hour < 17) {
+        // Afternoon nap attempt (4-9 hours before bedtime)
+        if (phase === 'before' && hoursUntilBed >= 4) {
             if (rebelCount > 3 && lastRebelDaysAgo !== null && lastRebelDaysAgo <= 3) {
                 return `Another afternoon nap, huh? \n\nYou've done this ${rebelCount} times now... I'm starting to think you're a cat! \n\nClick again if you must, but your night sleep is judging you!`;
             }
-            return `Afternoon siesta at ${timeStr}? \n\nThe sleep gods prefer 9-11 PM, but I get it - sometimes you just need a power nap!\n\nClick again if you promise to still sleep tonight! `;
+            return `Afternoon siesta at ${timeStr}? \n\nThe sleep gods prefer ${windowLabel}, but I get it - sometimes you just need a power nap!\n\nClick again if you promise to still sleep tonight! `;
         }
 
-        // Evening but too early (5-9 PM)
-        if (hour >= 17 && hour < 21) {
-            const hoursUntil9 = 21 - hour;
+        // Evening but too early (under 4 hours before bedtime)
+        if (phase === 'before') {
+            const hoursLeft = Math.max(1, Math.ceil(hoursUntilBed));
             if (lastRebelDaysAgo !== null && lastRebelDaysAgo <= 1) {
-                return `Back at it again? You literally did this yesterday! \n\nIt's only ${timeStr} - just ${hoursUntil9} more hour${hoursUntil9 > 1 ? 's' : ''} until optimal bedtime!\n\nFine, click again if you're THAT tired... `;
+                return `Back at it again? You literally did this yesterday! \n\nIt's only ${timeStr} - just ${hoursLeft} more hour${hoursLeft > 1 ? 's' : ''} until optimal bedtime!\n\nFine, click again if you're THAT tired... `;
             }
             if (lastRebelDaysAgo === null || lastRebelDaysAgo > 7) {
-                return `Sleepy at ${timeStr}? No worries, it happens! \n\nOptimal bedtime is 9-11 PM, but you've been good lately!\n\nClick again and I'll let this one slide! `;
+                return `Sleepy at ${timeStr}? No worries, it happens! \n\nOptimal bedtime is ${windowLabel}, but you've been good lately!\n\nClick again and I'll let this one slide! `;
             }
-            return `It's ${timeStr} - so close to 9 PM! ⏰\n\nCan you hang in there for ${hoursUntil9} more hour${hoursUntil9 > 1 ? 's' : ''}?\n\nOr click again if today was just TOO much! `;
+            return `It's ${timeStr} - so close to ${bedtimeLabel}! ⏰\n\nCan you hang in there for ${hoursLeft} more hour${hoursLeft > 1 ? 's' : ''}?\n\nOr click again if today was just TOO much! `;
         }
 
-        // Late night (11 PM+)
-        if (hour >= 23) {
+        // Late night (past the end of the bedtime window)
+        if (phase === 'late') {
             if (rebelCount > 5) {
                 return `Night owl mode activated AGAIN at ${timeStr}! \n\nYou've been a late sleeper ${rebelCount} times... are you secretly a vampire? \n\nClick again, Dracula - I won't stop you! `;
             }
-            return `Burning the midnight oil at ${timeStr}? \n\n11 PM was technically the cutoff, but hey - better late than never!\n\nClick again to start your fashionably late slumber! `;
+            return `Burning the midnight oil at ${timeStr}? \n\n${formatClockTime(getChronotype().bedtimeEnd)} was technically the cutoff, but hey - better late than never!\n\nClick again to start your fashionably late slumber! `;
         }
     }
 
@@ -3246,24 +5221,31 @@ function getRandomSleepQuote(type) {
 }
 
 // Sleep Timer functionality
-function startSleep() {
+// Returns whether the sleep started (false when blocked or held back by the early-sleep warning)
+function startSleep(startTime) {
     // Don't allow starting sleep while Living Life is active
     if (isLivingLifeActive()) {
         showLivingLifeModal();
-        return;
+        return false;
     }
 
-    const now = new Date();
-    const hour = now.getHours();
+    // A nap has to be ended before the night starts
+    if (state.currentNap?.isActive) {
+        showAchievementToast('<span class="px-icon px-zzz"></span>', 'Nap in Progress', 'End your nap before starting sleep.', 'warning');
+        return false;
+    }
 
-    // Check if it's outside 9 PM - 11 PM window
-    if (hour < 21 || hour >= 23) {
+    // Backdated starts come from the "Went to bed earlier?" picker
+    const sleepStart = typeof startTime === 'number' ? startTime : Date.now();
+
+    // Check if it's outside the chronotype's bedtime window
+    if (!isInBedtimeWindow(sleepStart)) {
         earlySleepWarnings++;
 
         if (earlySleepWarnings === 1) {
             // Show Sui with Matthew Walker warning quote
             showSuiGhost(getRandomSleepQuote('warning'), 'sleep');
-            return;
+            return false;
         }
 
         // Second time - allow it, reset counter
@@ -3273,13 +5255,14 @@ function startSleep() {
     if (!state.currentSleep) {
         state.currentSleep = { startTime: null, goalHours: 8, isActive: false };
     }
-    state.currentSleep.startTime = Date.now();
+    state.currentSleep.startTime = sleepStart;
     state.currentSleep.isActive = true;
     saveState();
 
     document.getElementById('start-sleep-btn').classList.add('hidden');
     document.getElementById('stop-sleep-btn').classList.remove('hidden');
     document.getElementById('sleep-goal-achieved').classList.add('hidden');
+    document.getElementById('sleep-backdate-section')?.classList.add('hidden');
 
     // Hide sleep goal selector while sleeping
     document.getElementById('sleep-goal-selector')?.classList.add('hidden');
@@ -3287,9 +5270,11 @@ function startSleep() {
     startSleepTimer();
     updateSleepStartInfo();
     updatePowerupStates(); // Update powerup enable/disable states
+    updateWakeAlarmUI();
 
     // Show Sui the Sleep God with Matthew Walker quote
     showSuiGhost(getRandomSleepQuote('starting'), 'sleep');
+    return true;
 }
 
 // Track early wake warnings
@@ -3365,14 +5350,127 @@ function getEarlyWakeWarning(duration, isFirstWarning) {
     }
 }
 
+// ==========================================
+// SLEEP QUALITY DETAILS
+// ==========================================
+
+const SLEEP_RATING_LABELS = { 1: 'Awful', 2: 'Poor', 3: 'Okay', 4: 'Good', 5: 'Great' };
+
+let pendingSleepDetailsCallback = null;
+let selectedSleepRating = null;
+
+// Ask for latency, awakenings, rating and naps after waking. Resolves null when skipped.
+function showSleepDetailsModal() {
+    selectSleepRating(null);
+    ['sleep-latency', 'sleep-awakenings', 'sleep-nap-minutes'].forEach(id => {
+        document.getElementById(id).value = '';
+    });
+    document.getElementById('sleep-details-modal').classList.remove('hidden');
+
+    return new Promise((resolve) => {
+        pendingSleepDetailsCallback = resolve;
+    });
+}
+
+function selectSleepRating(rating) {
+    selectedSleepRating = rating;
+    document.querySelectorAll('#sleep-details-modal [data-sleep-rating]').forEach(btn => {
+        const selected = Number(btn.dataset.sleepRating) === rating;
+        btn.setAttribute('aria-pressed', String(selected));
+        btn.style.background = selected ? '#6366f1' : 'rgba(99, 102, 241, 0.1)';
+        btn.style.color = selected ? '#000' : '#a5b4fc';
+    });
+}
+
+function resolveSleepDetails(save) {
+    // Empty fields stay unknown (null) rather than counting as zero
+    const readField = (id, max) => {
+        const value = document.getElementById(id).value;
+        return value === '' ? null : Math.round(sanitizeNumber(value, 0, max, 0));
+    };
+    const details = save ? {
+        latencyMinutes: readField('sleep-latency', 180),
+        awakenings: readField('sleep-awakenings', 20),
+        rating: selectedSleepRating,
+        napMinutes: readField('sleep-nap-minutes', 240)
+    } : null;
+
+    document.getElementById('sleep-details-modal').classList.add('hidden');
+    if (pendingSleepDetailsCallback) {
+        pendingSleepDetailsCallback(details);
+        pendingSleepDetailsCallback = null;
+    }
+}
+
+/**
+ * Hours actually asleep: time in bed minus the time it took to fall asleep
+ * @param {Object} sleep - Sleep history record
+ * @returns {number} Hours
+ */
+function getSleepHoursAsleep(sleep) {
+    return Math.max(0, (sleep.duration || 0) - (sleep.latencyMinutes || 0) / 60);
+}
+
+/**
+ * How restful a sleep was, from its details. Records without details score a neutral 1.
+ * Slow sleep onset (30+ min), more than one awakening and the 1-5 rating each move it.
+ * @param {Object} sleep - Sleep history record
+ * @returns {number} Factor between 0.5 and 1.1
+ */
+function getSleepQualityFactor(sleep) {
+    let factor = 1;
+    const latency = sleep.latencyMinutes;
+    if (latency >= 60) factor -= 0.2;
+    else if (latency >= 30) factor -= 0.1;
+    if (sleep.awakenings > 1) factor -= Math.min(0.25, (sleep.awakenings - 1) * 0.05);
+    if (sleep.rating >= 1 && sleep.rating <= 5) factor += (sleep.rating - 3) * 0.05;
+    return Math.max(0.5, Math.min(1.1, factor));
+}
+
+/**
+ * Constitution points for napping: the naps noted on the sleep record, or the nap
+ * sessions logged since waking from it, whichever is more. Short naps help a short
+ * night; long ones (90+ min) tend to cost the next night's sleep instead.
+ * @param {Object} sleep - Sleep history record
+ * @returns {number} 0-5 points
+ */
+function getNapBonus(sleep) {
+    const minutes = Math.max(sleep.napMinutes || 0, getNapMinutesSince(sleep.endTime));
+    if (minutes >= 10 && minutes <= 30) return 5;
+    if (minutes > 30 && minutes < 90) return 3;
+    return 0;
+}
+
 async function stopSleep() {
     if (!state.currentSleep || !state.currentSleep.isActive) return;
 
     const endTime = Date.now();
     const duration = (endTime - state.currentSleep.startTime) / 1000 / 60 / 60; // hours
+    stopWakeAlarm();
+
+    // The sleep stays active until the prompts below are answered
+    wakeAlarmDismissed = true;
+    try {
+        await finishSleep(endTime, duration);
+    } finally {
+        wakeAlarmDismissed = false;
+    }
+}
 
-    // Warn if under 7 hours but allow after 2 attempts
-    if (duration < 7) {
+// Rest of stopSleep(): save the night (or nap), unless an early-wake warning keeps the sleep going
+async function finishSleep(endTime, duration) {
+    if (duration < NAP_MAX_HOURS) {
+        // Too short for a night - most likely a nap started with the sleep timer
+        const saveAsNap = await showConfirmModal(
+            `You slept ${formatDuration(duration)}. Save it as a nap instead? Naps are kept apart from your nights, so they won't break your sleep streak.`,
+            'Save as Nap?'
+        );
+        if (saveAsNap) {
+            convertSleepToNap(endTime);
+            return;
+        }
+    } else if (duration < 7 && !state.currentSleep.alarmRungAt) {
+        // Warn if under 7 hours but allow after 2 attempts (not when the alarm woke them)
         earlyWakeWarnings++;
 
         if (earlyWakeWarnings === 1) {
@@ -3385,33 +5483,45 @@ async function stopSleep() {
         earlyWakeWarnings = 0;
     }
 
-    // Show feeling modal and wait for selection
+    // Show feeling modal and wait for selection, then the optional quality details
     const feeling = await showFeelingModal('sleep');
+    const details = await showSleepDetailsModal();
 
     // Initialize sleepHistory if it doesn't exist
     if (!state.sleepHistory) {
         state.sleepHistory = [];
     }
 
-    // Save to history (including feeling)
-    state.sleepHistory.unshift({
+    // Save to history (including feeling and quality details)
+    const sleepRecord = {
         id: generateId(),
         startTime: state.currentSleep.startTime,
         endTime: endTime,
         duration: duration,
         goalHours: state.currentSleep.goalHours,
         feeling: feeling // Post-sleep feeling (soso, fine, prettygood, ready, or null)
-    });
+    };
+    const wakeAlarm = getWakeAlarmOutcome(state.currentSleep, endTime);
+    if (wakeAlarm) sleepRecord.wakeAlarm = wakeAlarm;
+    if (details) {
+        // Only keep what was filled in - unknown details don't count against the score
+        Object.entries(details).forEach(([key, value]) => {
+            if (value !== null) sleepRecord[key] = value;
+        });
+    }
+    state.sleepHistory.unshift(sleepRecord);
 
     // Reset current sleep
     state.currentSleep.startTime = null;
     state.currentSleep.isActive = false;
+    resetWakeAlarmSession();
     saveState();
 
     stopSleepTimer();
     resetSleepTimerUI();
     updateConstitution();
     updatePowerupStates(); // Update powerup enable/disable states
+    renderSleepRhythm();
 
     // Show sleep goal selector again (if settings allow)
     if (state.settings?.showSleepGoals !== false) {
@@ -3423,7 +5533,7 @@ async function stopSleep() {
 
     // Update Slayer system with sleep completion damage
     updateMonsterBattleUI();
-    showSleepCompletionDamage(duration);
+    showSleepCompletionDamage(sleepRecord);
 
     // Check for item unlocks after completing sleep
     checkAllItemUnlocks();
@@ -3436,6 +5546,7 @@ function startSleepTimer() {
         updateSleepTimerDisplay();
         updateSleepProgressBar();
         checkSleepGoalAchieved();
+        checkWakeAlarm();
     }, 1000);
 
     updateSleepTimerDisplay();
@@ -3516,43 +5627,289 @@ function checkSleepGoalAchieved() {
     }
 }
 
-function resetSleepTimerUI() {
-    const sleepTimerDisplay = domCache.sleepTimerDisplay || document.getElementById('sleep-timer-display');
-    const sleepProgressBar = domCache.sleepProgressBar || document.getElementById('sleep-progress-bar');
-    if (sleepTimerDisplay) sleepTimerDisplay.textContent = '00:00:00';
-    if (sleepProgressBar) {
-        sleepProgressBar.style.width = '0%';
-        sleepProgressBar.setAttribute('aria-valuenow', '0');
-    }
-    document.getElementById('start-sleep-btn')?.classList.remove('hidden');
-    document.getElementById('stop-sleep-btn')?.classList.add('hidden');
-    document.getElementById('sleep-goal-achieved')?.classList.add('hidden');
-    const sleepStartInfo = document.getElementById('sleep-start-info');
-    if (sleepStartInfo) sleepStartInfo.textContent = 'Select a goal and start tracking your sleep';
-    sleepGoalAchievedNotified = false;
-}
+// ==========================================
+// SMART WAKE ALARM (rings at a sleep-cycle boundary)
+// ==========================================
+// The user picks the latest time they want to be up. The alarm rings at the last
+// 90-minute cycle boundary (counted from the actual sleep start) inside the 30 minutes
+// before that time, or at the latest wake time if no cycle ends in the window.
+
+const SLEEP_CYCLE_MINUTES = 90;
+const SMART_WAKE_WINDOW_MINUTES = 30;
+const WAKE_ALARM_SNOOZE_MINUTES = 9;
+const WAKE_ALARM_LATE_MINUTES = 15; // Still in bed this long after the latest wake time = overslept
+const WAKE_ALARM_TONE_SECONDS = 120; // Beep this long, then leave the banner up silently
+
+const WAKE_ALARM_OUTCOMES = {
+    early: 'Up before the alarm',
+    onAlarm: 'Woke with the alarm',
+    snoozed: 'Snoozed',
+    overslept: 'Overslept'
+};
 
-function updateSleepStartInfo() {
-    if (state.currentSleep && state.currentSleep.isActive) {
-        const startDate = new Date(state.currentSleep.startTime);
-        document.getElementById('sleep-start-info').textContent =
-            `Started: ${startDate.toLocaleString()}`;
+let wakeAlarmRinging = false;
+let wakeAlarmDismissed = false; // Set while stopSleep() waits on its prompts, so the alarm doesn't ring again
+let wakeAlarmToneInterval = null;
+let wakeAlarmAudio = null;
+
+/**
+ * When the smart alarm should ring for a sleep
+ * @param {number} sleepStart - Sleep start timestamp (ms)
+ * @param {string} latestWakeClock - Latest wake time ("HH:MM")
+ * @returns {{latestWake: number, windowStart: number, ringAt: number, cycles: number, atCycleBoundary: boolean}}
+ */
+function getSmartWakePlan(sleepStart, latestWakeClock) {
+    const latest = new Date(sleepStart);
+    latest.setHours(0, timeStringToMinutes(latestWakeClock), 0, 0);
+    if (latest.getTime() <= sleepStart) latest.setDate(latest.getDate() + 1);
+
+    const latestWake = latest.getTime();
+    const windowStart = latestWake - SMART_WAKE_WINDOW_MINUTES * 60000;
+    const cycleMs = SLEEP_CYCLE_MINUTES * 60000;
+    const cycles = Math.floor((latestWake - sleepStart) / cycleMs);
+    const boundary = sleepStart + cycles * cycleMs;
+    const atCycleBoundary = cycles > 0 && boundary >= windowStart;
+
+    return { latestWake, windowStart, ringAt: atCycleBoundary ? boundary : latestWake, cycles, atCycleBoundary };
+}
+
+function setWakeAlarm() {
+    const input = document.getElementById('sleep-alarm-time');
+    const value = input?.value || '';
+    if (!/^([01]\d|2[0-3]):[0-5]\d$/.test(value)) {
+        showAchievementToast('<span class="px-icon px-clock"></span>', 'Pick a Time', 'Choose the latest time you want to be up.', 'warning');
+        return;
     }
-}
 
-function updateSleepUI() {
+    // Audio can only start after a user gesture - unlock it now so the alarm can beep later
+    getWakeAlarmAudio()?.resume?.().catch(() => {});
+
     if (!state.currentSleep) {
         state.currentSleep = { startTime: null, goalHours: 8, isActive: false };
     }
-    setSleepGoal(state.currentSleep.goalHours);
-    if (state.currentSleep.isActive) {
-        document.getElementById('start-sleep-btn').classList.add('hidden');
+    state.currentSleep.alarmTime = value;
+    resetWakeAlarmSession();
+    saveState();
+    stopWakeAlarm();
+    updateWakeAlarmUI();
+}
+
+function clearWakeAlarm() {
+    if (!state.currentSleep) return;
+    state.currentSleep.alarmTime = false;
+    resetWakeAlarmSession();
+    saveState();
+    stopWakeAlarm();
+    updateWakeAlarmUI();
+}
+
+// Forget this night's rings and snoozes; the chosen wake time is kept for the next night
+function resetWakeAlarmSession() {
+    if (!state.currentSleep) return;
+    state.currentSleep.alarmRungAt = false;
+    state.currentSleep.alarmNextRing = false;
+    state.currentSleep.alarmSnoozes = 0;
+}
+
+// Called every second by the sleep timer
+function checkWakeAlarm() {
+    const sleep = state.currentSleep;
+    if (!sleep || !sleep.isActive || !sleep.alarmTime || wakeAlarmRinging || wakeAlarmDismissed) return;
+
+    const ringAt = sleep.alarmNextRing || getSmartWakePlan(sleep.startTime, sleep.alarmTime).ringAt;
+    if (Date.now() < ringAt) return;
+
+    if (!sleep.alarmRungAt) {
+        sleep.alarmRungAt = Date.now();
+        saveState();
+    }
+    ringWakeAlarm();
+}
+
+function ringWakeAlarm() {
+    wakeAlarmRinging = true;
+    toggleElement('sleep-alarm-ringing', true);
+    showNotification('Time to Wake Up', 'You\'re at the end of a sleep cycle - the easiest moment to get up.');
+
+    const startedAt = Date.now();
+    playWakeAlarmBeep();
+    if (wakeAlarmToneInterval) clearInterval(wakeAlarmToneInterval);
+    wakeAlarmToneInterval = setInterval(() => {
+        if (Date.now() - startedAt > WAKE_ALARM_TONE_SECONDS * 1000) {
+            clearInterval(wakeAlarmToneInterval);
+            wakeAlarmToneInterval = null;
+            return;
+        }
+        playWakeAlarmBeep();
+    }, 2000);
+}
+
+// Silence the alarm and hide the banner (doesn't clear the alarm itself)
+function stopWakeAlarm() {
+    wakeAlarmRinging = false;
+    if (wakeAlarmToneInterval) {
+        clearInterval(wakeAlarmToneInterval);
+        wakeAlarmToneInterval = null;
+    }
+    toggleElement('sleep-alarm-ringing', false);
+}
+
+function snoozeWakeAlarm() {
+    if (!state.currentSleep?.isActive) return;
+    state.currentSleep.alarmSnoozes = (state.currentSleep.alarmSnoozes || 0) + 1;
+    state.currentSleep.alarmNextRing = Date.now() + WAKE_ALARM_SNOOZE_MINUTES * 60000;
+    saveState();
+    stopWakeAlarm();
+    updateWakeAlarmUI();
+}
+
+function getWakeAlarmAudio() {
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    if (!AudioContextClass) return null;
+    if (!wakeAlarmAudio) wakeAlarmAudio = new AudioContextClass();
+    return wakeAlarmAudio;
+}
+
+function playWakeAlarmBeep() {
+    try {
+        const audio = getWakeAlarmAudio();
+        if (!audio) return;
+        const oscillator = audio.createOscillator();
+        const gain = audio.createGain();
+        oscillator.frequency.value = 880;
+        gain.gain.value = 0.2;
+        oscillator.connect(gain);
+        gain.connect(audio.destination);
+        oscillator.start();
+        oscillator.stop(audio.currentTime + 0.4);
+    } catch (e) {
+        console.warn('Could not play alarm tone:', e);
+    }
+}
+
+/**
+ * How the alarm went for a sleep that just ended, for the sleep record
+ * @param {Object} sleep - The current sleep session
+ * @param {number} endTime - Wake-up time
+ * @returns {Object|undefined} Alarm outcome, or undefined if no alarm was set
+ */
+function getWakeAlarmOutcome(sleep, endTime) {
+    if (!sleep.alarmTime) return undefined;
+
+    const plan = getSmartWakePlan(sleep.startTime, sleep.alarmTime);
+    let outcome;
+    if (!sleep.alarmRungAt) outcome = 'early';
+    else if (endTime > plan.latestWake + WAKE_ALARM_LATE_MINUTES * 60000) outcome = 'overslept';
+    else outcome = sleep.alarmSnoozes ? 'snoozed' : 'onAlarm';
+
+    return {
+        latestWake: plan.latestWake,
+        ringAt: plan.ringAt,
+        atCycleBoundary: plan.atCycleBoundary,
+        rangAt: sleep.alarmRungAt || false,
+        snoozes: sleep.alarmSnoozes || 0,
+        outcome
+    };
+}
+
+/**
+ * Sanitize a sleep record's alarm outcome
+ * @param {*} alarm - wakeAlarm value from an imported sleep
+ * @returns {Object|undefined} Cleaned outcome, or undefined if missing or invalid
+ */
+function sanitizeWakeAlarm(alarm) {
+    if (!alarm || typeof alarm !== 'object' || !Object.prototype.hasOwnProperty.call(WAKE_ALARM_OUTCOMES, alarm.outcome)) {
+        return undefined;
+    }
+    const maxTime = Date.now() + 86400000 * 2;
+    return {
+        latestWake: sanitizeNumber(alarm.latestWake, 0, maxTime, 0),
+        ringAt: sanitizeNumber(alarm.ringAt, 0, maxTime, 0),
+        atCycleBoundary: Boolean(alarm.atCycleBoundary),
+        rangAt: alarm.rangAt ? sanitizeNumber(alarm.rangAt, 0, maxTime, 0) : false,
+        snoozes: Math.round(sanitizeNumber(alarm.snoozes, 0, 50, 0)),
+        outcome: alarm.outcome
+    };
+}
+
+function updateWakeAlarmUI() {
+    const input = document.getElementById('sleep-alarm-time');
+    const info = document.getElementById('sleep-alarm-info');
+    if (!input || !info) return;
+
+    const sleep = state.currentSleep || {};
+    if (document.activeElement !== input) {
+        input.value = sleep.alarmTime || getChronotype().wakeTarget;
+    }
+    toggleElement('sleep-alarm-clear', Boolean(sleep.alarmTime));
+
+    if (!sleep.alarmTime) {
+        info.textContent = 'No alarm set. Pick the latest time you want to be up.';
+        return;
+    }
+
+    const timeLabel = (ts) => new Date(ts).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' });
+    const plan = getSmartWakePlan(sleep.isActive ? sleep.startTime : Date.now(), sleep.alarmTime);
+    const windowLabel = `${timeLabel(plan.windowStart)}-${timeLabel(plan.latestWake)}`;
+    const when = plan.atCycleBoundary
+        ? `${timeLabel(plan.ringAt)}, the end of sleep cycle ${plan.cycles}`
+        : `${timeLabel(plan.ringAt)} (no cycle ends between ${windowLabel})`;
+
+    if (!sleep.isActive) {
+        info.textContent = `Go to sleep now and the alarm rings at ${when}.`;
+    } else if (sleep.alarmNextRing) {
+        info.textContent = `Snoozed until ${timeLabel(sleep.alarmNextRing)}.`;
+    } else if (sleep.alarmRungAt) {
+        info.textContent = `Alarm rang at ${timeLabel(sleep.alarmRungAt)}.`;
+    } else {
+        info.textContent = `Alarm rings at ${when}.`;
+    }
+}
+
+function resetSleepTimerUI() {
+    const sleepTimerDisplay = domCache.sleepTimerDisplay || document.getElementById('sleep-timer-display');
+    const sleepProgressBar = domCache.sleepProgressBar || document.getElementById('sleep-progress-bar');
+    if (sleepTimerDisplay) sleepTimerDisplay.textContent = '00:00:00';
+    if (sleepProgressBar) {
+        sleepProgressBar.style.width = '0%';
+        sleepProgressBar.setAttribute('aria-valuenow', '0');
+    }
+    document.getElementById('start-sleep-btn')?.classList.remove('hidden');
+    document.getElementById('stop-sleep-btn')?.classList.add('hidden');
+    document.getElementById('sleep-goal-achieved')?.classList.add('hidden');
+    document.getElementById('sleep-backdate-section')?.classList.remove('hidden');
+    const sleepStartInfo = document.getElementById('sleep-start-info');
+    if (sleepStartInfo) sleepStartInfo.textContent = 'Select a goal and start tracking your sleep';
+    sleepGoalAchievedNotified = false;
+    stopWakeAlarm();
+    updateWakeAlarmUI();
+}
+
+function updateSleepStartInfo() {
+    if (state.currentSleep && state.currentSleep.isActive) {
+        const startDate = new Date(state.currentSleep.startTime);
+        document.getElementById('sleep-start-info').textContent =
+            `Started: ${startDate.toLocaleString()}`;
+    }
+}
+
+function updateSleepUI() {
+    if (!state.currentSleep) {
+        state.currentSleep = { startTime: null, goalHours: 8, isActive: false };
+    }
+    setSleepGoal(state.currentSleep.goalHours);
+    if (state.currentSleep.isActive) {
+        document.getElementById('start-sleep-btn').classList.add('hidden');
         document.getElementById('stop-sleep-btn').classList.remove('hidden');
+        document.getElementById('sleep-backdate-section')?.classList.add('hidden');
         updateSleepStartInfo();
         startSleepTimer();
     }
     updateMealSleepStatus();
     updateSleepPowerupDisplay();
+    updateNapUI();
+    renderSleepRhythm();
+    updateWakeAlarmUI();
 }
 
 function updateMealSleepStatus() {
@@ -3567,34 +5924,27 @@ function updateMealSleepStatus() {
     }
 
     const now = new Date();
-    const currentHour = now.getHours();
+    const profile = getChronotype();
+    const bedtimeLabel = formatClockTime(profile.bedtimeStart);
+    const mealBuffer = profile.lastMealBufferHours;
 
-    // Calculate time until bedtime window (9 PM - 11 PM)
-    // If it's within the bedtime window or past 11 PM, show appropriate message
+    // Time until the chronotype's bedtime window - inside it, or past it but before the
+    // wake target, show the matching message instead
+    const { phase, hoursUntilBed } = getBedtimeStatus(now.getTime());
     let bedtimeMessage = '';
-    let hoursUntilBed = 0;
-
-    if (currentHour >= 21 && currentHour < 23) {
-        // Currently in optimal bedtime window (9-11 PM)
+    if (phase === 'window') {
         bedtimeMessage = "It's bedtime! Go to sleep for optimal recovery.";
-        hoursUntilBed = 0;
-    } else if (currentHour >= 23 || currentHour < 5) {
-        // Past optimal bedtime (11 PM - 5 AM)
+    } else if (phase === 'late') {
         bedtimeMessage = "It's past bedtime! Get to sleep ASAP.";
-        hoursUntilBed = 0;
     } else {
-        // Before bedtime, calculate hours until 9 PM
-        let bedtime = new Date(now);
-        bedtime.setHours(21, 0, 0, 0);
-        hoursUntilBed = (bedtime - now) / 1000 / 60 / 60;
         bedtimeMessage = `Bedtime is in ${formatDuration(hoursUntilBed)}.`;
     }
 
     // If currently fasting
     if (state.currentFast.isActive) {
-        const fastingHours = (Date.now() - state.currentFast.startTime) / 1000 / 60 / 60;
+        const fastingHours = getFastElapsedHours();
 
-        if (hoursUntilBed <= 6 || hoursUntilBed === 0) {
+        if (hoursUntilBed <= mealBuffer) {
             statusDiv.className = 'rounded-lg p-4 mb-6';
             statusDiv.style.cssText = 'background: rgba(34, 197, 94, 0.1); border: 1px solid var(--matrix-500);';
             infoDiv.innerHTML = `
@@ -3612,30 +5962,31 @@ function updateMealSleepStatus() {
         return;
     }
 
-    // If we have a last meal time recorded
-    if (state.lastMealTime) {
-        const hoursSinceLastMeal = (now - state.lastMealTime) / 1000 / 60 / 60;
-        const lastMealDate = new Date(state.lastMealTime);
+    // If we have a last meal time recorded - a logged meal after the fast ended is the real last bite
+    const lastBiteTime = getLastBiteTime();
+    if (lastBiteTime) {
+        const hoursSinceLastMeal = (now - lastBiteTime) / 1000 / 60 / 60;
+        const lastMealDate = new Date(lastBiteTime);
 
         // Calculate what fasting hours will be at bedtime
         const fastingAtBedtime = hoursSinceLastMeal + hoursUntilBed;
 
-        if (fastingAtBedtime >= 6) {
+        if (fastingAtBedtime >= mealBuffer) {
             statusDiv.className = 'rounded-lg p-4 mb-6';
             statusDiv.style.cssText = 'background: rgba(34, 197, 94, 0.1); border: 1px solid var(--matrix-500);';
             infoDiv.innerHTML = `
                 <p class="font-medium" style="color: var(--matrix-400);"> Excellent timing!</p>
                 <p class="mt-1" style="color: var(--matrix-300);">Last meal: ${lastMealDate.toLocaleTimeString([], {hour: '2-digit', minute:'2-digit'})}</p>
-                <p style="color: var(--matrix-300);">By bedtime (9 PM), you'll have fasted ${formatDuration(fastingAtBedtime)}.</p>
+                <p style="color: var(--matrix-300);">By bedtime (${bedtimeLabel}), you'll have fasted ${formatDuration(fastingAtBedtime)}.</p>
                 <p class="mt-2 font-medium" style="color: var(--matrix-400);">Your sleep quality will be optimal!</p>
             `;
-        } else if (fastingAtBedtime >= 4) {
+        } else if (fastingAtBedtime >= Math.max(0, mealBuffer - 2)) {
             statusDiv.className = 'rounded-lg p-4 mb-6';
             statusDiv.style.cssText = 'background: rgba(234, 179, 8, 0.1); border: 1px solid #eab308;';
             infoDiv.innerHTML = `
                 <p class="font-medium" style="color: #facc15;"> Good, but could be better</p>
                 <p class="mt-1" style="color: #fde047;">Last meal: ${lastMealDate.toLocaleTimeString([], {hour: '2-digit', minute:'2-digit'})}</p>
-                <p style="color: #fde047;">By bedtime (9 PM), you'll have fasted ${formatDuration(fastingAtBedtime)}.</p>
+                <p style="color: #fde047;">By bedtime (${bedtimeLabel}), you'll have fasted ${formatDuration(fastingAtBedtime)}.</p>
                 <p class="mt-2" style="color: #facc15;">Next time, try to eat earlier for even better sleep!</p>
             `;
         } else {
@@ -3644,9 +5995,9 @@ function updateMealSleepStatus() {
             infoDiv.innerHTML = `
                 <p class="font-medium" style="color: #f87171;"> Eating too close to bedtime!</p>
                 <p class="mt-1" style="color: #fca5a5;">Last meal: ${lastMealDate.toLocaleTimeString([], {hour: '2-digit', minute:'2-digit'})}</p>
-                <p style="color: #fca5a5;">By bedtime (9 PM), only ${formatDuration(fastingAtBedtime)} fasted.</p>
+                <p style="color: #fca5a5;">By bedtime (${bedtimeLabel}), only ${formatDuration(fastingAtBedtime)} fasted.</p>
                 <p class="mt-2 font-medium" style="color: #f87171;">This will disrupt your deep sleep and recovery.</p>
-                <p class="text-sm mt-1" style="color: #fca5a5;">Aim to finish eating by 3 PM for ideal sleep!</p>
+                <p class="text-sm mt-1" style="color: #fca5a5;">Aim to finish eating by ${getLastMealCutoffLabel()} for ideal sleep!</p>
             `;
         }
         return;
@@ -3673,6 +6024,13 @@ function renderSleepHistory() {
         const endDate = new Date(sleep.endTime);
         const safeId = sanitizeId(sleep.id);
         const feelingDisplay = sleep.feeling ? `<span class="ml-2">${feelingEmojis[sleep.feeling] || ''} ${feelingLabels[sleep.feeling] || ''}</span>` : '';
+        const details = [
+            sleep.rating ? `Rated ${SLEEP_RATING_LABELS[sleep.rating]} (${sleep.rating}/5)` : '',
+            Number.isFinite(sleep.latencyMinutes) ? `${sleep.latencyMinutes} min to fall asleep` : '',
+            Number.isFinite(sleep.awakenings) ? `${sleep.awakenings} wake-up${sleep.awakenings === 1 ? '' : 's'}` : '',
+            sleep.napMinutes ? `${sleep.napMinutes} min napped` : '',
+            sleep.wakeAlarm ? `Alarm: ${WAKE_ALARM_OUTCOMES[sleep.wakeAlarm.outcome]}${sleep.wakeAlarm.snoozes ? ` (${sleep.wakeAlarm.snoozes}× snooze)` : ''}` : ''
+        ].filter(Boolean).join(' · ');
 
         return `
             <div class="border border-gray-200 rounded-lg p-4 hover:shadow-md transition-shadow">
@@ -3686,6 +6044,7 @@ function renderSleepHistory() {
                         <div class="text-sm text-gray-500">
                             Goal: ${sleep.goalHours} hours
                         </div>
+                        ${details ? `<div class="text-xs text-gray-500">${details}</div>` : ''}
                     </div>
                     <button data-delete-sleep="${safeId}" class="delete-sleep-btn text-red-500 hover:text-red-700 text-sm font-medium" aria-label="Delete sleep record from ${startDate.toLocaleDateString()}">
                         Delete
@@ -3710,21 +6069,284 @@ function renderSleepHistory() {
 
 async function deleteSleep(id) {
     if (!id) return;
+    // The button carries the sanitized id - imported ids like "sleepcsv-1700000000000" contain a dash
+    const sanitizeId = (value) => String(value).replace(/[^a-zA-Z0-9]/g, '');
+    const sleep = (state.sleepHistory || []).find(s => sanitizeId(s.id) === id);
+    if (!sleep) return;
     const confirmed = await showConfirmModal('Delete this sleep record?', 'Delete Record');
     if (confirmed) {
-        state.sleepHistory = state.sleepHistory.filter(s => s.id !== id);
+        state.sleepHistory = state.sleepHistory.filter(s => s.id !== sleep.id);
+        recordDeletion(sleep.id);
         saveState();
         renderSleepHistory();
         renderSleepStats();
     }
 }
 
+// ==========================================
+// NAP SESSIONS (tracked apart from night sleep)
+// ==========================================
+// Naps are stored in napHistory, never in sleepHistory, and follow their own rules:
+// - Score: naps logged since the last wake-up count toward the nap bonus (getNapBonus)
+// - Dragon: half the sleep damage rate, and only the first 90 minutes of a nap count
+// - Streaks: naps neither count toward nor break the sleep streak
+
+const NAP_DAMAGE_RATE = 0.5; // Fraction of DAMAGE_PER_SLEEP_HOUR a nap deals per hour
+const NAP_DAMAGE_MAX_MINUTES = 90; // Minutes past this deal no extra damage
+const NAP_MAX_HOURS = 3; // Sleeps shorter than this are offered as naps instead
+
+let napTimerInterval = null;
+let napGoalNotified = false;
+
+/**
+ * Dragon damage for one nap, before multipliers
+ * @param {Object} nap - Nap history record
+ * @returns {number} Damage
+ */
+function getNapDamage(nap) {
+    const minutes = Math.min((nap.duration || 0) * 60, NAP_DAMAGE_MAX_MINUTES);
+    return (minutes / 60) * DAMAGE_PER_SLEEP_HOUR * NAP_DAMAGE_RATE;
+}
+
+/**
+ * Total minutes of logged naps that started at or after a given time
+ * @param {number} since - Timestamp (ms)
+ * @returns {number} Minutes
+ */
+function getNapMinutesSince(since) {
+    return (state.napHistory || [])
+        .filter(nap => nap.startTime >= since)
+        .reduce((sum, nap) => sum + (nap.duration || 0) * 60, 0);
+}
+
+function setNapGoal(minutes) {
+    if (!state.currentNap) {
+        state.currentNap = { startTime: null, goalMinutes: 20, isActive: false };
+    }
+    state.currentNap.goalMinutes = minutes;
+    saveState();
+    updateNapGoalUI();
+}
+
+function updateNapGoalUI() {
+    const goal = state.currentNap?.goalMinutes || 20;
+    document.querySelectorAll('.nap-goal-btn').forEach(btn => {
+        const selected = parseInt(btn.dataset.minutes, 10) === goal;
+        btn.setAttribute('aria-pressed', String(selected));
+        btn.style.borderColor = selected ? '#6366f1' : 'var(--dark-border)';
+        btn.style.background = selected ? 'rgba(99, 102, 241, 0.15)' : 'var(--dark-card)';
+    });
+    const goalEl = document.getElementById('current-nap-goal');
+    if (goalEl) goalEl.textContent = goal;
+}
+
+function startNap() {
+    // Don't allow napping while Living Life is active
+    if (isLivingLifeActive()) {
+        showLivingLifeModal();
+        return;
+    }
+    if (state.currentSleep?.isActive) {
+        showAchievementToast('<span class="px-icon px-moon"></span>', 'Already Sleeping', 'Wake up before starting a nap.', 'warning');
+        return;
+    }
+
+    if (!state.currentNap) {
+        state.currentNap = { startTime: null, goalMinutes: 20, isActive: false };
+    }
+    state.currentNap.startTime = Date.now();
+    state.currentNap.isActive = true;
+    napGoalNotified = false;
+    saveState();
+    updateNapUI();
+}
+
+// Move a finished session into napHistory and award its damage
+function saveNapRecord(startTime, endTime, goalMinutes) {
+    const napRecord = {
+        id: generateId(),
+        startTime: startTime,
+        endTime: endTime,
+        duration: Math.max(0, endTime - startTime) / 1000 / 60 / 60, // hours, like sleep records
+        goalMinutes: goalMinutes
+    };
+    if (!state.napHistory) state.napHistory = [];
+    state.napHistory.unshift(napRecord);
+
+    const bonuses = getActiveDamageBonuses();
+    const baseDamage = Math.floor(getNapDamage(napRecord));
+    const totalDamage = Math.floor(baseDamage * bonuses.dragon.totalMultiplier);
+    showAchievementToast(
+        '<span class="px-icon px-zzz"></span>',
+        'Nap Logged',
+        `${formatDuration(napRecord.duration)} nap dealt ${totalDamage} damage to the Dragon`,
+        'info'
+    );
+    return napRecord;
+}
+
+function stopNap() {
+    if (!state.currentNap || !state.currentNap.isActive) return;
+
+    saveNapRecord(state.currentNap.startTime, Date.now(), state.currentNap.goalMinutes);
+    state.currentNap.startTime = null;
+    state.currentNap.isActive = false;
+    saveState();
+
+    updateNapUI();
+    updateConstitution();
+    updateMonsterBattleUI();
+}
+
+// A short session started with the sleep timer - file it as a nap instead of a night
+function convertSleepToNap(endTime) {
+    if (!state.currentSleep || !state.currentSleep.isActive) return;
+
+    saveNapRecord(state.currentSleep.startTime, endTime, state.currentNap?.goalMinutes || 20);
+    state.currentSleep.startTime = null;
+    state.currentSleep.isActive = false;
+    resetWakeAlarmSession();
+    earlyWakeWarnings = 0;
+    saveState();
+
+    stopSleepTimer();
+    resetSleepTimerUI();
+    updatePowerupStates();
+    if (state.settings?.showSleepGoals !== false) {
+        document.getElementById('sleep-goal-selector')?.classList.remove('hidden');
+    }
+    updateNapUI();
+    updateConstitution();
+    updateMonsterBattleUI();
+}
+
+function startNapTimer() {
+    if (napTimerInterval) clearInterval(napTimerInterval);
+    napTimerInterval = setInterval(updateNapTimerDisplay, 1000);
+    updateNapTimerDisplay();
+}
+
+function stopNapTimer() {
+    if (napTimerInterval) {
+        clearInterval(napTimerInterval);
+        napTimerInterval = null;
+    }
+}
+
+function updateNapTimerDisplay() {
+    const display = document.getElementById('nap-timer-display');
+    const progressBar = document.getElementById('nap-progress-bar');
+    if (!display) return;
+
+    if (!state.currentNap || !state.currentNap.isActive) {
+        display.textContent = '00:00';
+        if (progressBar) {
+            progressBar.style.width = '0%';
+            progressBar.setAttribute('aria-valuenow', '0');
+        }
+        return;
+    }
+
+    // Guard against negative elapsed time (system clock changed backwards)
+    const elapsed = Math.max(0, Date.now() - state.currentNap.startTime);
+    const elapsedMinutes = elapsed / 1000 / 60;
+    display.textContent = `${pad(Math.floor(elapsedMinutes))}:${pad(Math.floor((elapsed / 1000) % 60))}`;
+
+    const goal = state.currentNap.goalMinutes || 20;
+    const progress = Math.min((elapsedMinutes / goal) * 100, 100);
+    if (progressBar) {
+        progressBar.style.width = `${progress}%`;
+        progressBar.setAttribute('aria-valuenow', Math.round(progress).toString());
+    }
+
+    if (elapsedMinutes >= goal) {
+        toggleElement('nap-goal-reached', true);
+        if (!napGoalNotified) {
+            showNotification('Nap Over', `Your ${goal} minute nap is up - time to get moving!`);
+            napGoalNotified = true;
+        }
+    }
+}
+
+// Sync the nap card with state: buttons, timer and history
+function updateNapUI() {
+    const isNapping = Boolean(state.currentNap?.isActive);
+
+    toggleElement('start-nap-btn', !isNapping);
+    toggleElement('stop-nap-btn', isNapping);
+    toggleElement('nap-goal-options', !isNapping);
+    if (!isNapping) toggleElement('nap-goal-reached', false);
+
+    const info = document.getElementById('nap-start-info');
+    if (info) {
+        info.textContent = isNapping
+            ? `Started: ${new Date(state.currentNap.startTime).toLocaleTimeString()}`
+            : 'Naps are tracked apart from your nights';
+    }
+
+    if (isNapping) {
+        if (!napTimerInterval) startNapTimer();
+    } else {
+        stopNapTimer();
+        napGoalNotified = false;
+    }
+    updateNapGoalUI();
+    updateNapTimerDisplay();
+    renderNapHistory();
+}
+
+function renderNapHistory() {
+    // Sanitize ID to prevent XSS - only allow alphanumeric characters
+    const sanitizeId = (id) => String(id).replace(/[^a-zA-Z0-9]/g, '');
+
+    const renderNapItem = (nap) => {
+        const startDate = new Date(nap.startTime);
+        return `
+            <div class="border border-gray-200 rounded-lg p-3 flex justify-between items-center">
+                <div>
+                    <div class="font-medium text-gray-800">
+                        ${formatDuration(nap.duration)}
+                        <span class="text-sm text-gray-500 ml-2">Goal: ${nap.goalMinutes} min</span>
+                    </div>
+                    <div class="text-xs text-gray-400">
+                        ${startDate.toLocaleDateString()} ${startDate.toLocaleTimeString()}
+                    </div>
+                </div>
+                <button data-delete-nap="${sanitizeId(nap.id)}" class="delete-nap-btn text-red-500 hover:text-red-700 text-sm font-medium" aria-label="Delete nap from ${startDate.toLocaleDateString()}">
+                    Delete
+                </button>
+            </div>
+        `;
+    };
+
+    createVirtualizedList({
+        containerId: 'nap-history-list',
+        items: state.napHistory || [],
+        renderItem: renderNapItem,
+        emptyMessage: 'No naps logged yet.'
+    });
+}
+
+async function deleteNap(id) {
+    if (!id) return;
+    const confirmed = await showConfirmModal('Delete this nap?', 'Delete Nap');
+    if (confirmed) {
+        state.napHistory = (state.napHistory || []).filter(n => n.id !== id);
+        recordDeletion(id);
+        saveState();
+        renderNapHistory();
+        updateConstitution();
+        updateMonsterBattleUI();
+    }
+}
+
 // Sleep Statistics
 function renderSleepStats() {
     const history = state.sleepHistory || [];
 
     // Total sleeps
     document.getElementById('sleep-stat-total').textContent = history.length;
+    renderSleepRhythm();
 
     if (history.length === 0) {
         document.getElementById('sleep-stat-average').textContent = '0h';
@@ -3762,49 +6384,223 @@ function renderSleepStats() {
 }
 
 // ==========================================
-// TRENDS ANALYSIS FUNCTIONS
+// SLEEP RHYTHM (sleep debt, consistency, social jetlag)
 // ==========================================
 
-function renderTrends() {
-    renderSleepTrends();
-    renderFastingTrends();
-    renderHungerTrends();
-    renderFeelingTrends();
-}
+const SLEEP_RHYTHM_WINDOWS = [14, 30, 90];
+const SOCIAL_JETLAG_THRESHOLD_HOURS = 1; // Weekend vs weekday mid-sleep shift worth flagging
 
-function renderSleepTrends() {
-    const history = state.sleepHistory || [];
+let sleepRhythmDays = 14;
 
-    // Week over Week
-    const wow = calculateTrend(history, 7, 7);
-    updateTrendDisplay('sleep-trend-wow', 'sleep-trend-wow-detail', wow, 'sleep');
+// Minutes since local midnight for a timestamp
+function getClockMinutes(timestamp) {
+    const date = new Date(timestamp);
+    return date.getHours() * 60 + date.getMinutes();
+}
 
-    // Month over Month
-    const mom = calculateTrend(history, 30, 30);
-    updateTrendDisplay('sleep-trend-mom', 'sleep-trend-mom-detail', mom, 'sleep');
+// Signed difference between two clock times, wrapped to -720..720 minutes
+function getClockDifference(a, b) {
+    return ((a - b + 2160) % 1440) - 720;
+}
 
-    // 3 Month Trend (compare last month to 2-3 months ago)
-    const threeMonth = calculateTrend(history, 30, 60);
-    updateTrendDisplay('sleep-trend-3m', 'sleep-trend-3m-detail', threeMonth, 'sleep');
+/**
+ * Mean and standard deviation of clock times. Times are treated as points on a
+ * 24-hour circle, so 23:30 and 00:30 average to midnight rather than noon.
+ * @param {number[]} minutesList - Minutes since midnight
+ * @returns {{mean: number, sd: number}} Both in minutes
+ */
+function getClockTimeStats(minutesList) {
+    const angles = minutesList.map(m => (m / 1440) * 2 * Math.PI);
+    const sin = angles.reduce((sum, a) => sum + Math.sin(a), 0);
+    const cos = angles.reduce((sum, a) => sum + Math.cos(a), 0);
+    const mean = ((Math.atan2(sin, cos) / (2 * Math.PI)) * 1440 + 1440) % 1440;
+    const variance = minutesList.reduce((sum, m) => sum + getClockDifference(m, mean) ** 2, 0) / minutesList.length;
+    return { mean, sd: Math.sqrt(variance) };
 }
 
-function renderFastingTrends() {
-    const history = state.fastingHistory || [];
+function formatClockMinutes(minutes) {
+    const rounded = Math.round(minutes) % 1440;
+    return formatClockTime(`${pad(Math.floor(rounded / 60))}:${pad(rounded % 60)}`);
+}
 
-    // Week over Week
-    const wow = calculateTrend(history, 7, 7);
-    updateTrendDisplay('fast-trend-wow', 'fast-trend-wow-detail', wow, 'fasting');
+/**
+ * Nights within the last `days`, one entry per wake-up date. Several records
+ * ending on the same morning (e.g. a 3 AM wake-up and back to bed) form one night.
+ * @param {number} days - Window length
+ * @returns {Array<{onset: number, wake: number, hoursAsleep: number, goalHours: number}>}
+ */
+function getSleepNights(days) {
+    const since = Date.now() - days * 24 * 60 * 60 * 1000;
+    const nights = new Map();
+
+    for (const sleep of state.sleepHistory || []) {
+        if (sleep.endTime < since) continue;
+        const key = new Date(sleep.endTime).toDateString();
+        // Onset is when sleep actually began, not when the timer started
+        const onset = sleep.startTime + (sleep.latencyMinutes || 0) * 60000;
+        const night = nights.get(key);
+        if (!night) {
+            nights.set(key, { onset, wake: sleep.endTime, hoursAsleep: getSleepHoursAsleep(sleep), goalHours: sleep.goalHours || 8 });
+        } else {
+            night.onset = Math.min(night.onset, onset);
+            night.wake = Math.max(night.wake, sleep.endTime);
+            night.hoursAsleep += getSleepHoursAsleep(sleep);
+            night.goalHours = Math.max(night.goalHours, sleep.goalHours || 8);
+        }
+    }
+    return [...nights.values()];
+}
 
-    // Month over Month
-    const mom = calculateTrend(history, 30, 30);
-    updateTrendDisplay('fast-trend-mom', 'fast-trend-mom-detail', mom, 'fasting');
+/**
+ * Sleep debt, timing consistency and social jetlag over a window
+ * @param {number} days - Window length (14, 30 or 90)
+ * @returns {Object|null} Metrics, or null when no nights were logged in the window
+ */
+function getSleepRhythmMetrics(days) {
+    const nights = getSleepNights(days);
+    if (nights.length === 0) return null;
+
+    // Debt against each night's own goal; a negative total is a surplus
+    const debtHours = nights.reduce((sum, n) => sum + (n.goalHours - n.hoursAsleep), 0);
+
+    const onset = getClockTimeStats(nights.map(n => getClockMinutes(n.onset)));
+    const wake = getClockTimeStats(nights.map(n => getClockMinutes(n.wake)));
+    // 100 = same minute every night, 0 = onset wandering by two hours or more
+    const consistencyScore = Math.round(Math.max(0, 100 - (onset.sd / 120) * 100));
+
+    // Social jetlag: shift in mid-sleep between free nights (waking Sat/Sun) and work nights
+    const midSleep = (n) => getClockMinutes(n.onset + (n.hoursAsleep * 3600000) / 2);
+    const isWeekend = (n) => [0, 6].includes(new Date(n.wake).getDay());
+    const weekendNights = nights.filter(isWeekend);
+    const weekdayNights = nights.filter(n => !isWeekend(n));
+    let jetlag = null;
+    if (weekendNights.length >= 2 && weekdayNights.length >= 2) {
+        const weekendMid = getClockTimeStats(weekendNights.map(midSleep)).mean;
+        const weekdayMid = getClockTimeStats(weekdayNights.map(midSleep)).mean;
+        jetlag = { hours: getClockDifference(weekendMid, weekdayMid) / 60, weekendMid, weekdayMid };
+    }
 
-    // 3 Month Trend
-    const threeMonth = calculateTrend(history, 30, 60);
-    updateTrendDisplay('fast-trend-3m', 'fast-trend-3m-detail', threeMonth, 'fasting');
+    return {
+        nights: nights.length,
+        debtHours,
+        onsetMean: onset.mean,
+        onsetSd: onset.sd,
+        wakeMean: wake.mean,
+        wakeSd: wake.sd,
+        consistencyScore,
+        jetlag
+    };
 }
 
-function renderHungerTrends() {
+function setSleepRhythmWindow(days) {
+    if (!SLEEP_RHYTHM_WINDOWS.includes(days)) return;
+    sleepRhythmDays = days;
+    renderSleepRhythm();
+}
+
+function renderSleepRhythm() {
+    const section = document.getElementById('sleep-rhythm-section');
+    if (!section) return;
+
+    section.querySelectorAll('[data-rhythm-days]').forEach(btn => {
+        const selected = parseInt(btn.dataset.rhythmDays, 10) === sleepRhythmDays;
+        btn.setAttribute('aria-pressed', String(selected));
+        btn.style.background = selected ? 'rgba(99, 102, 241, 0.25)' : 'var(--dark-border)';
+        btn.style.color = selected ? '#c7d2fe' : 'var(--dark-text-muted)';
+    });
+
+    const metrics = getSleepRhythmMetrics(sleepRhythmDays);
+    toggleElement('sleep-rhythm-empty', !metrics);
+    toggleElement('sleep-rhythm-metrics', Boolean(metrics));
+    if (!metrics) return;
+
+    const setMetric = (id, value, detail, color) => {
+        const valueEl = document.getElementById(id);
+        const detailEl = document.getElementById(`${id}-detail`);
+        if (valueEl) {
+            valueEl.textContent = value;
+            valueEl.style.color = color;
+        }
+        if (detailEl) detailEl.textContent = detail;
+    };
+
+    const nightsLabel = `${metrics.nights} night${metrics.nights === 1 ? '' : 's'}`;
+    const debt = metrics.debtHours;
+    const perNight = Math.abs(debt) / metrics.nights;
+    if (debt > 0) {
+        setMetric('sleep-rhythm-debt', formatDuration(debt), `Short ${formatDuration(perNight)} a night over ${nightsLabel}`,
+            perNight >= 1 ? 'var(--danger-400)' : 'var(--amber-400)');
+    } else {
+        setMetric('sleep-rhythm-debt', 'None', `${formatDuration(-debt)} over goal across ${nightsLabel}`, 'var(--matrix-400)');
+    }
+
+    if (metrics.nights < 3) {
+        setMetric('sleep-rhythm-consistency', '--', 'Needs at least 3 nights', 'var(--dark-text-muted)');
+    } else {
+        const label = metrics.onsetSd <= 30 ? 'Very consistent' : (metrics.onsetSd <= 60 ? 'Fairly consistent' : 'Irregular');
+        const color = metrics.onsetSd <= 30 ? 'var(--matrix-400)' : (metrics.onsetSd <= 60 ? 'var(--amber-400)' : 'var(--danger-400)');
+        setMetric('sleep-rhythm-consistency', `${metrics.consistencyScore}/100`,
+            `${label}: asleep ~${formatClockMinutes(metrics.onsetMean)} ±${Math.round(metrics.onsetSd)} min, up ~${formatClockMinutes(metrics.wakeMean)} ±${Math.round(metrics.wakeSd)} min`,
+            color);
+    }
+
+    if (!metrics.jetlag) {
+        setMetric('sleep-rhythm-jetlag', '--', 'Needs 2+ weekday and 2+ weekend nights', 'var(--dark-text-muted)');
+    } else {
+        const shift = Math.abs(metrics.jetlag.hours);
+        const direction = metrics.jetlag.hours > 0 ? 'later' : 'earlier';
+        const detected = shift >= SOCIAL_JETLAG_THRESHOLD_HOURS;
+        setMetric('sleep-rhythm-jetlag', formatDuration(shift),
+            `${detected ? 'Social jetlag: ' : ''}weekend mid-sleep ${formatClockMinutes(metrics.jetlag.weekendMid)} is ${formatDuration(shift)} ${direction} than weekdays (${formatClockMinutes(metrics.jetlag.weekdayMid)})`,
+            detected ? (shift >= 2 ? 'var(--danger-400)' : 'var(--amber-400)') : 'var(--matrix-400)');
+    }
+}
+
+// ==========================================
+// TRENDS ANALYSIS FUNCTIONS
+// ==========================================
+
+function renderTrends() {
+    renderSleepTrends();
+    renderFastingTrends();
+    renderHungerTrends();
+    renderMealQualityTrends();
+    renderFeelingTrends();
+}
+
+function renderSleepTrends() {
+    const history = state.sleepHistory || [];
+
+    // Week over Week
+    const wow = calculateTrend(history, 7, 7);
+    updateTrendDisplay('sleep-trend-wow', 'sleep-trend-wow-detail', wow, 'sleep');
+
+    // Month over Month
+    const mom = calculateTrend(history, 30, 30);
+    updateTrendDisplay('sleep-trend-mom', 'sleep-trend-mom-detail', mom, 'sleep');
+
+    // 3 Month Trend (compare last month to 2-3 months ago)
+    const threeMonth = calculateTrend(history, 30, 60);
+    updateTrendDisplay('sleep-trend-3m', 'sleep-trend-3m-detail', threeMonth, 'sleep');
+}
+
+function renderFastingTrends() {
+    const history = state.fastingHistory || [];
+
+    // Week over Week
+    const wow = calculateTrend(history, 7, 7);
+    updateTrendDisplay('fast-trend-wow', 'fast-trend-wow-detail', wow, 'fasting');
+
+    // Month over Month
+    const mom = calculateTrend(history, 30, 30);
+    updateTrendDisplay('fast-trend-mom', 'fast-trend-mom-detail', mom, 'fasting');
+
+    // 3 Month Trend
+    const threeMonth = calculateTrend(history, 30, 60);
+    updateTrendDisplay('fast-trend-3m', 'fast-trend-3m-detail', threeMonth, 'fasting');
+}
+
+function renderHungerTrends() {
     const history = state.fastingHistory || [];
 
     // Calculate average hunger intensity from history
@@ -3868,6 +6664,8 @@ function renderHungerTrends() {
     // 3 Month Trend
     const threeMonth = calculateHungerTrend(history, 30, 60);
     updateHungerTrendDisplay('hunger-trend-3m', 'hunger-trend-3m-detail', threeMonth);
+
+    renderHungerCurve();
 }
 
 function updateHungerTrendDisplay(valueId, detailId, trend) {
@@ -3912,6 +6710,97 @@ function updateHungerTrendDisplay(valueId, detailId, trend) {
     detailEl.textContent = `${trend.currentAvg.toFixed(1)} vs ${trend.previousAvg.toFixed(1)} avg`;
 }
 
+// Meal quality of archived eating windows - higher is better
+function renderMealQualityTrends() {
+    const history = state.eatingHistory || [];
+
+    // Week over Week
+    const wow = calculateMealQualityTrend(history, 7);
+    updateMealQualityTrendDisplay('meal-trend-wow', 'meal-trend-wow-detail', wow);
+
+    // Month over Month
+    const mom = calculateMealQualityTrend(history, 30);
+    updateMealQualityTrendDisplay('meal-trend-mom', 'meal-trend-mom-detail', mom);
+
+    // 3 Month Trend (average of the last 90 days against the 90 before)
+    const threeMonth = calculateMealQualityTrend(history, 90);
+    updateMealQualityTrendDisplay('meal-trend-3m', 'meal-trend-3m-detail', threeMonth);
+}
+
+function calculateMealQualityTrend(history, periodDays) {
+    const msPerDay = 24 * 60 * 60 * 1000;
+    const currentStart = Date.now() - periodDays * msPerDay;
+    const previousStart = currentStart - periodDays * msPerDay;
+    const currentItems = history.filter(item => item.endTime >= currentStart);
+    const previousItems = history.filter(item => item.endTime >= previousStart && item.endTime < currentStart);
+    const average = (items) => items.reduce((sum, item) => sum + (item.mealQuality || 0), 0) / items.length;
+
+    if (currentItems.length === 0 && previousItems.length === 0) {
+        return { type: 'no-data', currentAvg: 0, previousAvg: 0, change: 0, percentChange: 0 };
+    }
+    if (previousItems.length === 0) {
+        return { type: 'new', currentAvg: average(currentItems), previousAvg: 0, change: 0, percentChange: 0, currentCount: currentItems.length };
+    }
+    if (currentItems.length === 0) {
+        const previousAvg = average(previousItems);
+        return { type: 'inactive', currentAvg: 0, previousAvg, change: -previousAvg, percentChange: -100 };
+    }
+
+    const currentAvg = average(currentItems);
+    const previousAvg = average(previousItems);
+    const change = currentAvg - previousAvg;
+    return {
+        type: change > 0.5 ? 'up' : (change < -0.5 ? 'down' : 'stable'),
+        currentAvg,
+        previousAvg,
+        change,
+        percentChange: previousAvg > 0 ? (change / previousAvg) * 100 : 0,
+        currentCount: currentItems.length,
+        previousCount: previousItems.length
+    };
+}
+
+function updateMealQualityTrendDisplay(valueId, detailId, trend) {
+    const valueEl = document.getElementById(valueId);
+    const detailEl = document.getElementById(detailId);
+
+    if (!valueEl || !detailEl) return;
+
+    // For meal quality, UP is good
+    const upColor = '#22c55e';
+    const downColor = '#ef4444';
+    const stableColor = '#fb923c';
+
+    if (trend.type === 'no-data') {
+        valueEl.textContent = '--';
+        valueEl.style.color = stableColor;
+        detailEl.textContent = 'Need more data';
+        return;
+    }
+
+    if (trend.type === 'new') {
+        valueEl.textContent = `${trend.currentAvg.toFixed(1)}/10`;
+        valueEl.style.color = stableColor;
+        detailEl.textContent = `New data (${trend.currentCount} windows)`;
+        return;
+    }
+
+    if (trend.type === 'inactive') {
+        valueEl.textContent = '→';
+        valueEl.style.color = stableColor;
+        detailEl.textContent = 'No recent data';
+        return;
+    }
+
+    const arrow = trend.type === 'up' ? '↑' : (trend.type === 'down' ? '↓' : '→');
+    const color = trend.type === 'up' ? upColor : (trend.type === 'down' ? downColor : stableColor);
+    const percent = Math.abs(trend.percentChange).toFixed(0);
+
+    valueEl.innerHTML = `${arrow} <span style="font-size: 0.8em;">${percent}%</span>`;
+    valueEl.style.color = color;
+    detailEl.textContent = `${trend.currentAvg.toFixed(1)} vs ${trend.previousAvg.toFixed(1)} avg`;
+}
+
 // Feeling score mapping (higher = better)
 const feelingScores = {
     soso: 1,
@@ -4523,22 +7412,16 @@ let exerciseWarnings = 0;
 
 function addExercisePowerup() {
     const now = new Date();
-    const currentHour = now.getHours();
     const timeStr = now.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
 
     // Calculate fasting hours
     let fastingHours = 0;
     if (state.currentFast.isActive && state.currentFast.startTime) {
-        fastingHours = (Date.now() - state.currentFast.startTime) / 1000 / 60 / 60;
+        fastingHours = getFastElapsedHours();
     }
 
-    // Calculate hours until bedtime (9 PM)
-    let bedtime = new Date(now);
-    bedtime.setHours(21, 0, 0, 0);
-    if (currentHour >= 21) {
-        bedtime.setDate(bedtime.getDate() + 1);
-    }
-    const hoursUntilBed = (bedtime - now) / 1000 / 60 / 60;
+    // Calculate hours until the chronotype's bedtime window (0 once it has started)
+    const { hoursUntilBed } = getBedtimeStatus(now.getTime());
 
     // Check various conditions
     const isTooEarly = fastingHours < 14 && state.currentFast.isActive;
@@ -4630,7 +7513,7 @@ function addHangingPowerup() {
     // Calculate fasting hours for context
     let fastingHours = 0;
     if (state.currentFast.isActive && state.currentFast.startTime) {
-        fastingHours = (Date.now() - state.currentFast.startTime) / 1000 / 60 / 60;
+        fastingHours = getFastElapsedHours();
     }
 
     // Count existing hanging sessions today
@@ -4693,7 +7576,7 @@ function addGripPowerup() {
     // Calculate fasting hours for context
     let fastingHours = 0;
     if (state.currentFast.isActive && state.currentFast.startTime) {
-        fastingHours = (Date.now() - state.currentFast.startTime) / 1000 / 60 / 60;
+        fastingHours = getFastElapsedHours();
     }
 
     // Count existing grip sessions today
@@ -4764,7 +7647,7 @@ function addWalkPowerup() {
     // Calculate fasting hours for context
     let fastingHours = 0;
     if (state.currentFast.isActive && state.currentFast.startTime) {
-        fastingHours = (Date.now() - state.currentFast.startTime) / 1000 / 60 / 60;
+        fastingHours = getFastElapsedHours();
     }
 
     // Count existing walks today
@@ -5024,6 +7907,79 @@ function showConfirmModal(message, title = 'Confirm') {
     });
 }
 
+/**
+ * Ask for a backup passphrase
+ * @param {string} message - Shown above the input
+ * @param {string} title - Modal title
+ * @param {boolean} confirmPassphrase - Ask for it twice (when choosing a new one)
+ * @returns {Promise<string|null>} The passphrase, or null if cancelled
+ */
+function showPassphraseModal(message, title = 'Passphrase', confirmPassphrase = false) {
+    return new Promise((resolve) => {
+        const modal = document.getElementById('passphrase-modal');
+        const input = document.getElementById('passphrase-input');
+        const confirmInput = document.getElementById('passphrase-confirm-input');
+        const errorEl = document.getElementById('passphrase-error');
+        const form = document.getElementById('passphrase-form');
+        const cancelBtn = document.getElementById('passphrase-cancel');
+
+        const previouslyFocused = document.activeElement;
+
+        document.getElementById('passphrase-modal-title').textContent = title;
+        document.getElementById('passphrase-modal-message').textContent = message;
+        input.value = '';
+        confirmInput.value = '';
+        confirmInput.classList.toggle('hidden', !confirmPassphrase);
+        errorEl.classList.add('hidden');
+        modal.classList.remove('hidden');
+        input.focus();
+
+        const closeModal = (result) => {
+            form.removeEventListener('submit', submitHandler);
+            cancelBtn.removeEventListener('click', cancelHandler);
+            document.removeEventListener('keydown', keyHandler);
+            input.value = '';
+            confirmInput.value = '';
+            modal.classList.add('hidden');
+            if (previouslyFocused && previouslyFocused.focus) {
+                previouslyFocused.focus();
+            }
+            resolve(result);
+        };
+
+        const showError = (text) => {
+            errorEl.textContent = text;
+            errorEl.classList.remove('hidden');
+        };
+
+        const submitHandler = (e) => {
+            e.preventDefault();
+            const passphrase = input.value;
+            if (confirmPassphrase && passphrase.length < ENCRYPTED_BACKUP_MIN_PASSPHRASE) {
+                showError(`Use at least ${ENCRYPTED_BACKUP_MIN_PASSPHRASE} characters.`);
+                return;
+            }
+            if (confirmPassphrase && passphrase !== confirmInput.value) {
+                showError('Passphrases do not match.');
+                return;
+            }
+            if (!passphrase) {
+                showError('Enter the passphrase.');
+                return;
+            }
+            closeModal(passphrase);
+        };
+        const cancelHandler = () => closeModal(null);
+        const keyHandler = (e) => {
+            if (e.key === 'Escape') closeModal(null);
+        };
+
+        form.addEventListener('submit', submitHandler);
+        cancelBtn.addEventListener('click', cancelHandler);
+        document.addEventListener('keydown', keyHandler);
+    });
+}
+
 // ==========================================
 // SUI GHOST EASTER EGG - Click to get wisdom!
 // ==========================================
@@ -5409,6 +8365,13 @@ function updateCustomPowerupDisplay() {
 // HUNGER TRACKING SYSTEM
 // ==========================================
 
+// Duration of the last sleep if it ended within the past day, else 0
+function getRecentSleepHours() {
+    const lastSleep = (state.sleepHistory || [])[0];
+    if (!lastSleep || Date.now() - lastSleep.endTime > 24 * 60 * 60 * 1000) return 0;
+    return lastSleep.duration || 0;
+}
+
 function addHungerLog(level) {
     // Don't allow hunger logs while sleeping or not fasting
     if (state.currentSleep?.isActive || !state.currentFast?.isActive) {
@@ -5423,7 +8386,7 @@ function addHungerLog(level) {
     // Calculate fasting hours at time of hunger
     let fastingHours = 0;
     if (state.currentFast.isActive && state.currentFast.startTime) {
-        fastingHours = (Date.now() - state.currentFast.startTime) / 1000 / 60 / 60;
+        fastingHours = getFastElapsedHours();
     }
 
     // Add the hunger log with timestamp and context
@@ -5431,7 +8394,7 @@ function addHungerLog(level) {
         level: level,
         time: Date.now(),
         fastingHours: fastingHours,
-        sleepHours: state.lastSleepDuration || 0
+        sleepHours: getRecentSleepHours()
     });
 
     saveState();
@@ -5445,6 +8408,8 @@ function addHungerLog(level) {
 }
 
 function updateHungerDisplay() {
+    updateHungerWaveForecast();
+
     const stack = document.getElementById('hunger-stack');
     const emptyMsg = document.getElementById('hunger-empty');
     const stats = document.getElementById('hunger-stats');
@@ -5501,116 +8466,549 @@ async function resetHungerLogs() {
 }
 
 // ==========================================
-// SETTINGS SYSTEM
+// HUNGER WAVE PREDICTION - Personal hunger curve from past hunger logs
 // ==========================================
+// Every saved fast keeps its hunger taps (hungerDetails) with hours into the fast and the
+// night's sleep. The hours where hunger keeps coming back are this user's hunger waves;
+// during a fast the next one is announced ahead of time with a powerup to meet it.
+
+const HUNGER_WAVE_MIN_FASTS = 3;           // Fasts with hunger logs needed before predicting
+const HUNGER_WAVE_MAX_FASTS = 60;          // Only the most recent fasts shape the curve
+const HUNGER_WAVE_MIN_SHARE = 0.4;         // An hour is a wave if hunger was logged in it in this share of fasts
+const HUNGER_WAVE_LEAD_MINUTES = 60;       // Warn this long before a wave
+const HUNGER_WAVE_SHORT_SLEEP_HOURS = 6;   // Nights under this count as short sleep
+const HUNGER_WAVE_STRONG_LEVEL = 2.5;      // Average hunger level of a strong wave
+const HUNGER_WAVE_CAFFEINE_CUTOFF_HOURS = 6; // No tea suggestion this close to bedtime
+
+let announcedHungerWaves = { fastStart: null, hours: new Set() };
+let hungerWaveModelCache = { key: null, model: null };
+let hungerWaveForecastKey = null;
 
-function initSettings() {
-    // Ensure settings exist
-    if (!state.settings) {
-        state.settings = {
-            showFastingGoals: true,
-            showSleepGoals: true,
-            showFastingFuture: true,
-            showBreakingFastGuide: true,
-            showExerciseGuide: true,
-            showEatingGuide: true,
-            showSleepGuide: true,
-            showMealSleepQuality: true,
-            showHungerTracker: true,
-            showTrends: true
-        };
-    }
+/**
+ * Hunger curve of a set of fasts
+ * @param {Array} fasts - History records with hungerDetails
+ * @returns {{fastCount: number, loadPerFast: number, hours: Array<{hour: number, share: number, intensity: number, averageHours: number}>, peaks: Array}}
+ *   One entry per hour into the fast with hunger logged: share of fasts that logged it, average level and
+ *   average time of the taps. Peaks are the hours at or above HUNGER_WAVE_MIN_SHARE that top their neighbours.
+ */
+function getHungerCurve(fasts) {
+    const bins = new Map();
+    let levelTotal = 0;
+    fasts.forEach(fast => {
+        const seen = new Set();
+        fast.hungerDetails.forEach(log => {
+            const hour = Math.floor(log.fastingHours);
+            const level = Number(log.level.replace('hunger', ''));
+            const bin = bins.get(hour) || { hour, fasts: 0, levelTotal: 0, hoursTotal: 0, count: 0 };
+            if (!seen.has(hour)) {
+                bin.fasts++;
+                seen.add(hour);
+            }
+            bin.levelTotal += level;
+            bin.hoursTotal += log.fastingHours;
+            bin.count++;
+            bins.set(hour, bin);
+            levelTotal += level;
+        });
+    });
 
-    // Set checkbox states from saved settings
-    const settingsMap = {
-        'toggle-fasting-goals': 'showFastingGoals',
-        'toggle-sleep-goals': 'showSleepGoals',
-        'toggle-fasting-future': 'showFastingFuture',
-        'toggle-breaking-fast-guide': 'showBreakingFastGuide',
-        'toggle-exercise-guide': 'showExerciseGuide',
-        'toggle-eating-guide': 'showEatingGuide',
-        'toggle-sleep-guide': 'showSleepGuide',
-        'toggle-meal-sleep-quality': 'showMealSleepQuality',
-        'toggle-hunger-tracker': 'showHungerTracker',
-        'toggle-trends': 'showTrends'
-    };
+    const hours = [...bins.values()]
+        .sort((a, b) => a.hour - b.hour)
+        .map(bin => ({
+            hour: bin.hour,
+            share: bin.fasts / fasts.length,
+            intensity: bin.levelTotal / bin.count,
+            averageHours: bin.hoursTotal / bin.count
+        }));
+    const shareAt = hour => (bins.has(hour) ? bins.get(hour).fasts / fasts.length : 0);
+    // A run of equally busy hours keeps only its first
+    const peaks = hours.filter(point =>
+        point.share >= HUNGER_WAVE_MIN_SHARE && point.share > shareAt(point.hour - 1) && point.share >= shareAt(point.hour + 1)
+    );
 
-    for (const [checkboxId, settingKey] of Object.entries(settingsMap)) {
-        const checkbox = document.getElementById(checkboxId);
-        if (checkbox) {
-            // Explicitly check for true/false, default to true only if undefined
-            const settingValue = state.settings[settingKey];
-            checkbox.checked = settingValue === true || settingValue === undefined;
-        }
-    }
+    return { fastCount: fasts.length, loadPerFast: fasts.length > 0 ? levelTotal / fasts.length : 0, hours, peaks };
+}
 
-    // Apply visibility settings
-    applySettings();
+// Hunger curves for all recent fasts and split by the sleep before them. Cached until the history changes.
+function getHungerWaveModel() {
+    const history = state.fastingHistory || [];
+    const key = `${history.length}:${history[0]?.id}:${history.reduce((sum, fast) => sum + (fast.hungerDetails || []).length, 0)}`;
+    if (hungerWaveModelCache.key === key) return hungerWaveModelCache.model;
+
+    const fasts = history.filter(fast => (fast.hungerDetails || []).length > 0).slice(0, HUNGER_WAVE_MAX_FASTS);
+    // Older builds stored 0 for sleep, so only fasts with a known night go into the split
+    const sleepBefore = fast => fast.hungerDetails.find(log => log.sleepHours > 0)?.sleepHours || 0;
+    const withSleep = fasts.filter(fast => sleepBefore(fast) > 0);
+
+    const model = {
+        all: getHungerCurve(fasts),
+        shortSleep: getHungerCurve(withSleep.filter(fast => sleepBefore(fast) < HUNGER_WAVE_SHORT_SLEEP_HOURS)),
+        rested: getHungerCurve(withSleep.filter(fast => sleepBefore(fast) >= HUNGER_WAVE_SHORT_SLEEP_HOURS))
+    };
+    hungerWaveModelCache = { key, model };
+    return model;
 }
 
-function updateSetting(settingKey, value) {
-    if (!state.settings) {
-        state.settings = {};
-    }
-    state.settings[settingKey] = value;
+/**
+ * Next hunger wave expected in the running fast
+ * @returns {{hour: number, share: number, intensity: number, averageHours: number, minutesUntil: number, fastCount: number, shortSleep: boolean}|null}
+ *   Null while paused, without enough history, or with no wave left in the curve
+ */
+function getNextHungerWave() {
+    if (!state.currentFast?.isActive || !state.currentFast.startTime || isFastPaused()) return null;
 
-    // Save to localStorage
-    localStorage.setItem(STATE_KEY, JSON.stringify(state));
-    localStorage.setItem('settings-modified-locally', 'true');
+    const model = getHungerWaveModel();
+    const sleepHours = getRecentSleepHours();
+    // After a short night use that curve, once there are enough short nights to go on
+    const shortSleep = sleepHours > 0 && sleepHours < HUNGER_WAVE_SHORT_SLEEP_HOURS && model.shortSleep.fastCount >= HUNGER_WAVE_MIN_FASTS;
+    const curve = shortSleep ? model.shortSleep : model.all;
+    if (curve.fastCount < HUNGER_WAVE_MIN_FASTS) return null;
 
-    // Apply visibility changes
-    applySettings();
+    const elapsedHours = getFastElapsedHours();
+    const peak = curve.peaks.find(point => point.averageHours > elapsedHours);
+    if (!peak) return null;
 
-    // Sync to cloud when user changes a setting (if connected AND initial sync is complete)
-    // CRITICAL: Must check initialSyncComplete to prevent overwriting cloud data with empty local state
-    if (window.firebaseSync && window.firebaseSync.syncEnabled && initialSyncComplete) {
-        window.firebaseSync.syncToCloud(state).catch(err => {
-            console.error('Settings sync failed:', err.message);
-        });
-    }
+    return {
+        ...peak,
+        minutesUntil: Math.round((peak.averageHours - elapsedHours) * 60),
+        fastCount: curve.fastCount,
+        shortSleep
+    };
 }
 
-function applySettings() {
-    const settings = state.settings || {};
-
-    // Fasting goal selector - hide if actively fasting OR if disabled in settings
-    const showFastingGoal = settings.showFastingGoals !== false && !state.currentFast?.isActive;
-    toggleElement('fasting-goal-selector', showFastingGoal);
+// Hot water for strong waves and near bedtime, tea otherwise
+function getHungerWavePowerup(wave) {
+    const { phase, hoursUntilBed } = getBedtimeStatus();
+    const nearBedtime = phase !== 'before' || hoursUntilBed < HUNGER_WAVE_CAFFEINE_CUTOFF_HOURS;
+    return wave.intensity >= HUNGER_WAVE_STRONG_LEVEL || nearBedtime ? 'hotwater' : 'tea';
+}
 
-    // Sleep goal selector - hide if actively sleeping OR if disabled in settings
-    const showSleepGoal = settings.showSleepGoals !== false && !state.currentSleep?.isActive;
-    toggleElement('sleep-goal-selector', showSleepGoal);
+// "~40 min" - to the nearest 5 minutes, never below 5
+function formatHungerWaveEta(minutes) {
+    return minutes < 60 ? `~${Math.max(5, Math.round(minutes / 5) * 5)} min` : `~${formatDuration(minutes / 60)}`;
+}
 
-    // Fasting Future guide
-    toggleElement('fasting-future-section', settings.showFastingFuture !== false);
+function updateHungerWaveForecast(wave = getNextHungerWave()) {
+    const forecastEl = document.getElementById('hunger-wave-forecast');
+    if (!forecastEl) return;
 
-    // Dynamic breaking fast guides (these show based on fasting progress)
-    // We'll store the preference and check it when showing guides
-    window.showBreakingFastGuide = settings.showBreakingFastGuide !== false;
+    const soon = wave && wave.minutesUntil <= HUNGER_WAVE_LEAD_MINUTES;
+    // Same rule as the powerup buttons - nothing to log while asleep
+    const powerup = wave && soon && !state.currentSleep?.isActive ? getHungerWavePowerup(wave) : null;
+    // Called every timer tick - only touch the DOM when the forecast changes
+    const key = wave ? `${wave.hour}-${formatHungerWaveEta(wave.minutesUntil)}-${soon}-${powerup}` : null;
+    if (key === hungerWaveForecastKey) return;
+    hungerWaveForecastKey = key;
 
-    // Exercise guide (shown when exercise powerup is used)
-    window.showExerciseGuide = settings.showExerciseGuide !== false;
-    if (!window.showExerciseGuide) {
-        toggleElement('exercise-guide', false);
+    if (!wave) {
+        forecastEl.classList.add('hidden');
+        forecastEl.innerHTML = '';
+        return;
     }
 
-    // Eating guide
-    toggleElement('eating-guide-section', settings.showEatingGuide !== false);
+    const basis = `hunger logged around ${wave.averageHours.toFixed(1)}h in ${Math.round(wave.share * wave.fastCount)} of ${wave.fastCount} ${wave.shortSleep ? 'fasts after a short night' : 'fasts'}`;
+    forecastEl.classList.remove('hidden');
+    forecastEl.style.borderColor = soon ? 'var(--orange-400)' : 'var(--dark-border)';
+    forecastEl.innerHTML = `
+        <div class="text-xs font-medium" style="color: ${soon ? 'var(--orange-400)' : 'var(--dark-text)'};">Hunger wave expected in ${formatHungerWaveEta(wave.minutesUntil)}</div>
+        <div class="text-xs mt-1" style="color: var(--dark-text-muted);">Based on ${basis}.</div>
+        ${powerup ? `<button id="hunger-wave-powerup" data-powerup="${powerup}" class="mt-2 text-xs px-3 py-1 rounded-lg font-medium flex items-center gap-1" style="background: rgba(251, 146, 60, 0.15); color: var(--orange-400); border: 1px solid var(--orange-400);">${powerupEmojis[powerup]} Have some ${powerup === 'hotwater' ? 'hot water' : 'tea'} now</button>` : ''}
+    `;
+}
 
-    // Sleep guide (Laws of Sleep)
-    toggleElement('sleep-guide-section', settings.showSleepGuide !== false);
+// Called every timer tick: warn once per wave as it comes within HUNGER_WAVE_LEAD_MINUTES
+function checkHungerWave() {
+    if (!state.currentFast.isActive) return;
+    if (announcedHungerWaves.fastStart !== state.currentFast.startTime) {
+        announcedHungerWaves = { fastStart: state.currentFast.startTime, hours: new Set() };
+    }
 
-    // Last Meal & Sleep Quality
-    toggleElement('sleep-fasting-status', settings.showMealSleepQuality !== false);
+    const wave = getNextHungerWave();
+    updateHungerWaveForecast(wave);
+    if (!wave || wave.minutesUntil > HUNGER_WAVE_LEAD_MINUTES || announcedHungerWaves.hours.has(wave.hour)) return;
+    announcedHungerWaves.hours.add(wave.hour);
 
-    // Hunger tracker
-    toggleElement('hunger-tracker-section', settings.showHungerTracker !== false);
+    if (state.currentSleep?.isActive || state.settings?.notifyHungerWaves === false) return;
 
-    // Trends analysis
-    toggleElement('trends-analysis-section', settings.showTrends !== false);
+    const powerup = getHungerWavePowerup(wave);
+    const message = `Hunger wave expected in ${formatHungerWaveEta(wave.minutesUntil)}. Get ahead of it with some ${powerup === 'hotwater' ? 'hot water' : 'tea'}.`;
+    showNotification('Hunger Wave Ahead', message);
+    showAchievementToast(powerupEmojis[powerup], 'Hunger Wave Ahead', message, 'warning');
 }
 
-function toggleElement(elementId, show) {
+// Stats tab: share of fasts with hunger at each hour, peaks highlighted, and the effect of sleep
+function renderHungerCurve() {
+    const chartEl = document.getElementById('hunger-curve-chart');
+    const summaryEl = document.getElementById('hunger-curve-summary');
+    if (!chartEl) return;
+
+    const model = getHungerWaveModel();
+    const curve = model.all;
+    if (curve.fastCount < HUNGER_WAVE_MIN_FASTS) {
+        chartEl.innerHTML = `<p class="text-xs italic text-center py-6" style="color: var(--dark-text-muted);">Log hunger during ${HUNGER_WAVE_MIN_FASTS} fasts to see your hunger curve (${curve.fastCount} so far).</p>`;
+        if (summaryEl) summaryEl.textContent = '';
+        return;
+    }
+
+    const width = 320;
+    const height = 120;
+    const pad = { left: 8, right: 8, top: 8, bottom: 20 };
+    const maxHour = Math.max(24, Math.ceil((curve.hours[curve.hours.length - 1].hour + 1) / 12) * 12);
+    const barWidth = (width - pad.left - pad.right) / maxHour;
+    const peakHours = new Set(curve.peaks.map(peak => peak.hour));
+    const bars = curve.hours.filter(point => point.hour < maxHour).map(point => {
+        const barHeight = point.share * (height - pad.top - pad.bottom);
+        const isPeak = peakHours.has(point.hour);
+        return `<rect x="${(pad.left + point.hour * barWidth + 1).toFixed(1)}" y="${(height - pad.bottom - barHeight).toFixed(1)}" width="${Math.max(1, barWidth - 2).toFixed(1)}" height="${barHeight.toFixed(1)}" fill="#fb923c" fill-opacity="${isPeak ? 1 : 0.35}"><title>${point.hour}-${point.hour + 1}h: ${Math.round(point.share * 100)}% of fasts, average level ${point.intensity.toFixed(1)}</title></rect>`;
+    }).join('');
+    const ticks = [];
+    for (let h = 0; h <= maxHour; h += 12) {
+        ticks.push(`<text x="${(pad.left + h * barWidth).toFixed(1)}" y="${height - 6}" font-size="9" text-anchor="middle" fill="currentColor">${h}h</text>`);
+    }
+
+    chartEl.innerHTML = `
+        <svg viewBox="0 0 ${width} ${height}" class="w-full h-auto" role="img" aria-label="Share of fasts with hunger at each hour into the fast" style="color: var(--dark-text-muted);">
+            <line x1="${pad.left}" y1="${height - pad.bottom}" x2="${width - pad.right}" y2="${height - pad.bottom}" stroke="var(--dark-border)"/>
+            ${bars}
+            ${ticks.join('')}
+        </svg>
+    `;
+
+    if (!summaryEl) return;
+    const parts = [];
+    parts.push(curve.peaks.length > 0
+        ? `Your hunger waves hit around ${curve.peaks.map(peak => `${peak.averageHours.toFixed(1)}h (${Math.round(peak.share * 100)}% of fasts)`).join(', ')}.`
+        : 'No clear hunger waves yet - your hunger is spread out.');
+
+    const { shortSleep, rested } = model;
+    if (shortSleep.fastCount >= 2 && rested.fastCount >= 2 && rested.loadPerFast > 0) {
+        const ratio = shortSleep.loadPerFast / rested.loadPerFast;
+        let sleepText = `After nights under ${HUNGER_WAVE_SHORT_SLEEP_HOURS}h you log ${ratio.toFixed(1)}x the hunger of rested fasts`;
+        const shortFirst = shortSleep.peaks[0];
+        const restedFirst = rested.peaks[0];
+        if (shortFirst && restedFirst && Math.abs(restedFirst.averageHours - shortFirst.averageHours) >= 1) {
+            const shift = restedFirst.averageHours - shortFirst.averageHours;
+            sleepText += `, and the first wave comes ${formatDuration(Math.abs(shift))} ${shift > 0 ? 'earlier' : 'later'}`;
+        }
+        parts.push(`${sleepText}.`);
+    } else {
+        parts.push('Log hunger after both short and full nights to see how sleep changes it.');
+    }
+    summaryEl.textContent = parts.join(' ');
+}
+
+// ==========================================
+// BIOMARKER LOG - Finger-stick glucose and ketone readings
+// ==========================================
+// Readings are logged during a fast with the same context as hunger logs (hours into the
+// fast, last night's sleep), kept on currentFast.biomarkers and saved with the fast.
+// Glucose is stored in mg/dL and ketones in mmol/L, whatever unit was entered.
+
+const BIOMARKERS = {
+    glucose: { label: 'Glucose', unit: 'mg/dL', min: 20, max: 600, decimals: 0, chartMin: 40, chartMax: 140, reference: 80, color: '#f87171' },
+    ketones: { label: 'Ketones', unit: 'mmol/L', min: 0, max: 10, decimals: 1, chartMin: 0, chartMax: 3, reference: 0.5, color: '#60a5fa' }
+};
+const GLUCOSE_MMOL_TO_MGDL = 18;
+const BIOMARKER_BUCKET_HOURS = 12;
+
+let biomarkerChartMarker = 'ketones';
+
+/**
+ * Sanitize logged glucose/ketone readings
+ * @param {*} readings - biomarkers value from a fast
+ * @returns {Array|undefined} Cleaned readings, or undefined if there were none
+ */
+function sanitizeBiomarkers(readings) {
+    if (!Array.isArray(readings)) return undefined;
+    return readings
+        .filter(reading => reading && Object.prototype.hasOwnProperty.call(BIOMARKERS, reading.type))
+        .map(reading => {
+            const marker = BIOMARKERS[reading.type];
+            return {
+                type: reading.type,
+                value: sanitizeNumber(reading.value, marker.min, marker.max, marker.min),
+                time: sanitizeNumber(reading.time, 0, Date.now() + 86400000, 0),
+                fastingHours: sanitizeNumber(reading.fastingHours, 0, 168, 0),
+                sleepHours: sanitizeNumber(reading.sleepHours, 0, 24, 0)
+            };
+        })
+        .filter(reading => reading.time > 0)
+        .slice(0, 200);
+}
+
+function addBiomarkerReading() {
+    // Same rule as hunger logs - readings belong to a fast, taken while awake
+    if (state.currentSleep?.isActive || !state.currentFast?.isActive) {
+        return;
+    }
+
+    const choice = document.getElementById('biomarker-type')?.value || 'glucose';
+    const input = document.getElementById('biomarker-value');
+    const entered = parseFloat(input?.value);
+    const type = choice === 'ketones' ? 'ketones' : 'glucose';
+    const marker = BIOMARKERS[type];
+    const value = choice === 'glucose-mmol' ? entered * GLUCOSE_MMOL_TO_MGDL : entered;
+
+    if (!Number.isFinite(value) || value < marker.min || value > marker.max) {
+        showAchievementToast('<span class="px-icon px-warning"></span>', 'Check That Reading', `${marker.label} must be between ${marker.min} and ${marker.max} ${marker.unit}.`, 'warning');
+        return;
+    }
+
+    if (!state.currentFast.biomarkers) {
+        state.currentFast.biomarkers = [];
+    }
+
+    const factor = Math.pow(10, marker.decimals);
+    const reading = {
+        type,
+        value: Math.round(value * factor) / factor,
+        time: Date.now(),
+        fastingHours: getFastElapsedHours(),
+        sleepHours: getRecentSleepHours()
+    };
+    state.currentFast.biomarkers.push(reading);
+
+    saveState();
+    if (input) input.value = '';
+    biomarkerChartMarker = type;
+    updateBiomarkerDisplay();
+    checkAllItemUnlocks();
+
+    showAchievementToast('<span class="px-icon px-chart"></span>', `${marker.label} Logged`, `${reading.value} ${marker.unit} at ${formatDuration(reading.fastingHours)} into your fast.`, 'info');
+}
+
+/**
+ * Average reading per block of hours into the fast
+ * @param {Array} readings - Readings of one marker
+ * @returns {Array<{from: number, to: number|null, average: number, count: number}>} One entry per block with readings
+ */
+function getBiomarkerBuckets(readings) {
+    const buckets = new Map();
+    readings.forEach(reading => {
+        // Everything from 24h on shares the last block
+        const index = Math.min(Math.floor(reading.fastingHours / BIOMARKER_BUCKET_HOURS), 2);
+        const bucket = buckets.get(index) || { from: index * BIOMARKER_BUCKET_HOURS, to: index < 2 ? (index + 1) * BIOMARKER_BUCKET_HOURS : null, total: 0, count: 0 };
+        bucket.total += reading.value;
+        bucket.count++;
+        buckets.set(index, bucket);
+    });
+    return [...buckets.entries()]
+        .sort((a, b) => a[0] - b[0])
+        .map(([, bucket]) => ({ from: bucket.from, to: bucket.to, average: bucket.total / bucket.count, count: bucket.count }));
+}
+
+function setBiomarkerChartMarker(type) {
+    if (!BIOMARKERS[type]) return;
+    biomarkerChartMarker = type;
+    updateBiomarkerDisplay();
+}
+
+function updateBiomarkerDisplay() {
+    const stack = document.getElementById('biomarker-stack');
+    if (!stack) return;
+
+    // This fast's readings
+    const current = state.currentFast?.biomarkers || [];
+    stack.innerHTML = current.length === 0
+        ? '<span class="text-xs italic" style="color: var(--dark-text-muted);">Your readings will appear here...</span>'
+        : current.map(reading => {
+            const marker = BIOMARKERS[reading.type];
+            const time = new Date(reading.time).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+            return `<span class="inline-flex items-center gap-1 px-2 py-1 rounded text-xs" style="background: var(--dark-card); color: ${marker.color};" title="${time} - ${reading.fastingHours.toFixed(1)}h fasted">${reading.value} ${marker.unit}<span style="color: var(--dark-text-muted); font-size: 10px;">@ ${reading.fastingHours.toFixed(1)}h</span></span>`;
+        }).join('');
+
+    document.querySelectorAll('[data-biomarker-chart]').forEach(btn => {
+        const selected = btn.dataset.biomarkerChart === biomarkerChartMarker;
+        btn.setAttribute('aria-pressed', String(selected));
+        btn.style.background = selected ? 'var(--dark-border)' : 'transparent';
+    });
+
+    renderBiomarkerChart();
+}
+
+// Scatter of every reading of the selected marker against hours into the fast.
+// Past fasts are faded, the current fast is solid, and the dashed line marks the reference level.
+function renderBiomarkerChart() {
+    const chartEl = document.getElementById('biomarker-chart');
+    const summaryEl = document.getElementById('biomarker-summary');
+    if (!chartEl) return;
+
+    const type = biomarkerChartMarker;
+    const marker = BIOMARKERS[type];
+    const readings = getBiomarkerReadings(type);
+
+    if (readings.length === 0) {
+        chartEl.innerHTML = `<p class="text-xs italic text-center py-6" style="color: var(--dark-text-muted);">No ${marker.label.toLowerCase()} readings yet.</p>`;
+        if (summaryEl) summaryEl.textContent = '';
+        return;
+    }
+
+    const width = 320;
+    const height = 160;
+    const pad = { left: 32, right: 8, top: 8, bottom: 20 };
+    const maxHours = Math.max(24, Math.ceil(Math.max(...readings.map(r => r.fastingHours)) / 12) * 12);
+    const minValue = Math.min(marker.chartMin, ...readings.map(r => r.value));
+    const maxValue = Math.max(marker.chartMax, ...readings.map(r => r.value));
+    const x = hours => pad.left + (hours / maxHours) * (width - pad.left - pad.right);
+    const y = value => height - pad.bottom - ((value - minValue) / (maxValue - minValue || 1)) * (height - pad.top - pad.bottom);
+
+    const currentTimes = new Set((state.currentFast?.biomarkers || []).map(r => r.time));
+    const points = readings.map(r => {
+        const isCurrent = currentTimes.has(r.time);
+        return `<circle cx="${x(r.fastingHours).toFixed(1)}" cy="${y(r.value).toFixed(1)}" r="${isCurrent ? 4 : 3}" fill="${marker.color}" fill-opacity="${isCurrent ? 1 : 0.45}"><title>${r.value} ${marker.unit} at ${r.fastingHours.toFixed(1)}h</title></circle>`;
+    }).join('');
+
+    const xTicks = [];
+    for (let h = 0; h <= maxHours; h += 12) {
+        xTicks.push(`<text x="${x(h).toFixed(1)}" y="${height - 6}" font-size="9" text-anchor="middle" fill="currentColor">${h}h</text>`);
+    }
+    const referenceY = y(marker.reference).toFixed(1);
+
+    chartEl.innerHTML = `
+        <svg viewBox="0 0 ${width} ${height}" class="w-full h-auto" role="img" aria-label="${marker.label} readings by hours into the fast" style="color: var(--dark-text-muted);">
+            <line x1="${pad.left}" y1="${height - pad.bottom}" x2="${width - pad.right}" y2="${height - pad.bottom}" stroke="var(--dark-border)"/>
+            <line x1="${pad.left}" y1="${pad.top}" x2="${pad.left}" y2="${height - pad.bottom}" stroke="var(--dark-border)"/>
+            <line x1="${pad.left}" y1="${referenceY}" x2="${width - pad.right}" y2="${referenceY}" stroke="${marker.color}" stroke-opacity="0.5" stroke-dasharray="4 3"/>
+            <text x="${pad.left - 4}" y="${referenceY}" font-size="9" text-anchor="end" dominant-baseline="middle" fill="currentColor">${marker.reference}</text>
+            <text x="${pad.left - 4}" y="${pad.top + 4}" font-size="9" text-anchor="end" fill="currentColor">${Number(maxValue.toFixed(marker.decimals))}</text>
+            ${xTicks.join('')}
+            ${points}
+        </svg>
+    `;
+
+    if (summaryEl) {
+        const buckets = getBiomarkerBuckets(readings).map(bucket =>
+            `${bucket.to === null ? `${bucket.from}h+` : `${bucket.from}-${bucket.to}h`}: ${bucket.average.toFixed(marker.decimals)}`
+        );
+        summaryEl.textContent = `Average ${marker.label.toLowerCase()} (${marker.unit}) by hours fasted - ${buckets.join(' · ')}`;
+    }
+}
+
+async function resetBiomarkerReadings() {
+    if (!state.currentFast.biomarkers || state.currentFast.biomarkers.length === 0) {
+        return;
+    }
+
+    const confirmed = await showConfirmModal('Reset all glucose and ketone readings for this fasting session?', 'Reset Readings');
+    if (confirmed) {
+        state.currentFast.biomarkers = [];
+        saveState();
+        updateBiomarkerDisplay();
+    }
+}
+
+// ==========================================
+// SETTINGS SYSTEM
+// ==========================================
+
+function initSettings() {
+    // Ensure settings exist
+    if (!state.settings) {
+        state.settings = { ...DEFAULT_SETTINGS };
+    }
+
+    // Set checkbox states from saved settings
+    const settingsMap = {
+        'toggle-fasting-goals': 'showFastingGoals',
+        'toggle-sleep-goals': 'showSleepGoals',
+        'toggle-fasting-future': 'showFastingFuture',
+        'toggle-breaking-fast-guide': 'showBreakingFastGuide',
+        'toggle-exercise-guide': 'showExerciseGuide',
+        'toggle-eating-guide': 'showEatingGuide',
+        'toggle-sleep-guide': 'showSleepGuide',
+        'toggle-meal-sleep-quality': 'showMealSleepQuality',
+        'toggle-hunger-tracker': 'showHungerTracker',
+        'toggle-trends': 'showTrends',
+        'toggle-phase-timeline': 'showPhaseTimeline',
+        'toggle-phase-notifications': 'notifyFastingPhases',
+        'toggle-hunger-wave-notifications': 'notifyHungerWaves'
+    };
+
+    for (const [checkboxId, settingKey] of Object.entries(settingsMap)) {
+        const checkbox = document.getElementById(checkboxId);
+        if (checkbox) {
+            // Explicitly check for true/false, default to true only if undefined
+            const settingValue = state.settings[settingKey];
+            checkbox.checked = settingValue === true || settingValue === undefined;
+        }
+    }
+
+    renderChronotypeSettings();
+
+    // Apply visibility settings
+    applySettings();
+}
+
+function updateSetting(settingKey, value) {
+    if (!state.settings) {
+        state.settings = {};
+    }
+    state.settings[settingKey] = value;
+    if (!state.settingsUpdatedAt) state.settingsUpdatedAt = {};
+    state.settingsUpdatedAt[settingKey] = Date.now();
+
+    // Save on this device (cloud sync is handled below)
+    persistStateLocally();
+    localStorage.setItem('settings-modified-locally', 'true');
+
+    // Apply visibility changes
+    applySettings();
+
+    // Sync to cloud when user changes a setting (if connected AND initial sync is complete)
+    // CRITICAL: Must check initialSyncComplete to prevent overwriting cloud data with empty local state
+    if (window.firebaseSync && window.firebaseSync.syncEnabled && initialSyncComplete) {
+        window.firebaseSync.syncToCloud(state).catch(err => {
+            console.error('Settings sync failed:', err.message);
+        });
+    }
+}
+
+function applySettings() {
+    const settings = state.settings || {};
+
+    // Fasting goal selector - hide if actively fasting OR if disabled in settings
+    const showFastingGoal = settings.showFastingGoals !== false && !state.currentFast?.isActive;
+    toggleElement('fasting-goal-selector', showFastingGoal);
+
+    // Sleep goal selector - hide if actively sleeping OR if disabled in settings
+    const showSleepGoal = settings.showSleepGoals !== false && !state.currentSleep?.isActive;
+    toggleElement('sleep-goal-selector', showSleepGoal);
+
+    // Fasting Future guide
+    toggleElement('fasting-future-section', settings.showFastingFuture !== false);
+
+    // Metabolic phase timeline (hour markers are a setting too, so redraw with them)
+    toggleElement('phase-timeline-section', settings.showPhaseTimeline !== false);
+    renderPhaseTimeline();
+    renderFastingJourney();
+
+    // Dynamic breaking fast guides (these show based on fasting progress)
+    // We'll store the preference and check it when showing guides
+    window.showBreakingFastGuide = settings.showBreakingFastGuide !== false;
+
+    // Exercise guide (shown when exercise powerup is used)
+    window.showExerciseGuide = settings.showExerciseGuide !== false;
+    if (!window.showExerciseGuide) {
+        toggleElement('exercise-guide', false);
+    }
+
+    // Eating guide
+    toggleElement('eating-guide-section', settings.showEatingGuide !== false);
+
+    // Sleep guide (Laws of Sleep)
+    toggleElement('sleep-guide-section', settings.showSleepGuide !== false);
+
+    // Last Meal & Sleep Quality
+    toggleElement('sleep-fasting-status', settings.showMealSleepQuality !== false);
+
+    // Hunger tracker
+    toggleElement('hunger-tracker-section', settings.showHungerTracker !== false);
+
+    // Trends analysis
+    toggleElement('trends-analysis-section', settings.showTrends !== false);
+}
+
+function toggleElement(elementId, show) {
     const element = document.getElementById(elementId);
     if (element) {
         if (show) {
@@ -5876,10 +9274,12 @@ async function resetEatingPowerups() {
         return;
     }
 
-    const confirmed = await showConfirmModal('Reset all eating powerups?', 'Reset Powerups');
+    const confirmed = await showConfirmModal('Close this eating window? Its powerups are saved to your eating history and the stack starts empty.', 'Reset Powerups');
     if (confirmed) {
+        archiveEatingWindow(Date.now());
         state.eatingPowerups = [];
         saveState();
+        renderEatingHistory();
         updateEatingPowerupDisplay();
         updateMealQuality();
         updateConstitution();
@@ -5887,90 +9287,485 @@ async function resetEatingPowerups() {
 }
 
 // ==========================================
-// SLEEP POWERUPS - Pre-sleep routine tracking
+// MEAL LOG - What was actually eaten, and when
 // ==========================================
-
-const sleepPowerupEmojis = {
-    darkness: '<span class="px-icon px-moon"></span>',
-    reading: '<span class="px-icon px-book"></span>',
-    cuddling: '<span class="px-icon px-heart"></span>',
-    doctorwin: '<span class="px-icon px-doctorwin"></span>',
-    screen: '<span class="px-icon px-screen"></span>',
-    smoking: '<span class="px-icon px-smoke"></span>'
-};
-
-const sleepPowerupMessages = {
-    darkness: [
-        '"The best bridge between despair and hope is a good night\'s sleep." — Dr. Matthew Walker',
-        '"Sleep is Mother Nature\'s best effort yet at contra-death." — Dr. Matthew Walker',
-        '"Darkness signals melatonin release. You\'re priming your brain perfectly!" — Dr. Matthew Walker',
-        '"Light is the most powerful zeitgeber. Darkness tells your brain: sleep time!" — Dr. Matthew Walker',
-        '"An hour of darkness before bed can improve sleep quality by 50%." — Dr. Matthew Walker',
-        '"Your circadian rhythm thanks you. Melatonin is flowing!" — Dr. Matthew Walker',
-        '"Dim light in the evening is one of the most powerful sleep aids." — Dr. Matthew Walker',
-        '"Sleep is not an optional lifestyle luxury. It is your life support system." — Dr. Matthew Walker'
-    ],
-    reading: [
-        '"Reading before bed reduces stress by 68%. Better than music or tea!" — Dr. Matthew Walker',
-        '"A book before bed is the perfect wind-down ritual for your brain." — Dr. Matthew Walker',
-        '"Practice does not make perfect. It is practice, followed by sleep, that leads to perfection." — Dr. Matthew Walker',
-        '"Reading engages the mind gently, preparing it for the dream state." — Dr. Matthew Walker',
-        '"Your brain is transitioning from active to receptive mode. Perfect!" — Dr. Matthew Walker',
-        '"We have stigmatized sleep with the label of laziness. Reading honors it." — Dr. Matthew Walker',
-        '"A physical book (not a screen!) is the ideal pre-sleep companion." — Dr. Matthew Walker',
-        '"When sleep is abundant, minds flourish. Reading sets the stage." — Dr. Matthew Walker'
-    ],
-    cuddling: [
-        '"Human touch releases oxytocin, the bonding hormone that promotes deep sleep." — Dr. Matthew Walker',
-        '"Social connection before sleep reduces cortisol and anxiety." — Dr. Matthew Walker',
-        '"Oxytocin from cuddling is nature\'s sleep medicine." — Dr. Matthew Walker',
-        '"Physical closeness signals safety to your brain. Sleep comes easier." — Dr. Matthew Walker',
-        '"The warmth of human connection primes the body for restorative sleep." — Dr. Matthew Walker',
-        '"REM sleep heals emotional wounds. Cuddling starts that healing early." — Dr. Matthew Walker',
-        '"Connection before sleep strengthens both relationships and rest." — Dr. Matthew Walker',
-        '"Your nervous system is calming. Parasympathetic mode: activated!" — Dr. Matthew Walker'
-    ],
-    doctorwin: [
-        'DOCTOR WIN! Discussed your sleep health with a professional!',
-        'Sleep consultation complete! Your rest is doctor-approved!',
-        'Smart sleeper! Always consult professionals for sleep issues!',
-        'Remember: This app is a FUN tracker, not medical advice!',
-        'DISCLAIMER: Only licensed medical professionals can diagnose sleep disorders!',
-        'Your healthcare team supports your sleep journey! Great job!',
-        'Sleep wisdom unlocked! Stay informed, sleep better!',
-        'Pro tip: If you have persistent sleep issues, see a sleep specialist!'
-    ],
-    screen: [
-        '"Blue light from screens delays melatonin release by up to 3 hours." — Dr. Matthew Walker',
-        '"Screen time before bed is like drinking 2 espressos for your brain." — Dr. Matthew Walker',
-        '"The shorter your sleep, the shorter your life." — Dr. Matthew Walker',
-        '"After 16 hours awake, the brain begins to fail. Screens make it worse." — Dr. Matthew Walker',
-        '"LED screens punch a hole through your melatonin production." — Dr. Matthew Walker',
-        '"Your brain thinks it\'s still daytime. Melatonin: blocked." — Dr. Matthew Walker',
-        '"Screen light is the enemy of deep, restorative sleep." — Dr. Matthew Walker',
-        '"Inadequate sleep for one week classifies you as pre-diabetic." — Dr. Matthew Walker'
-    ],
-    smoking: [
-        '"Nicotine is a stimulant that fragments sleep architecture." — Dr. Matthew Walker',
-        '"Smokers spend more time in light sleep, missing restorative deep sleep." — Dr. Matthew Walker',
-        '"The shorter your sleep, the shorter your life." — Dr. Matthew Walker',
-        '"Nicotine withdrawal during sleep causes micro-awakenings all night." — Dr. Matthew Walker',
-        '"Smoking before bed steals your deep sleep and REM cycles." — Dr. Matthew Walker',
-        '"Sleep deprivation causes a 40% deficit in making new memories." — Dr. Matthew Walker',
-        '"Your body will spend the night processing toxins instead of healing." — Dr. Matthew Walker',
-        '"Routinely sleeping less than 6 hours demolishes your immune system." — Dr. Matthew Walker'
-    ]
+// Meals live in state.meals and outlast the next fast (eatingPowerups are wiped when a
+// fast starts). The powerups ticked on a meal in the open eating window are also added to
+// eatingPowerups, tagged with its mealId, so the stack, skills and meal quality treat them
+// like button taps.
+// Eating windows are per calendar day: first bite to last bite.
+
+const MEAL_SIZES = {
+    light: 'Light',
+    regular: 'Regular',
+    large: 'Large'
 };
+const MEAL_MAX_TAGS = 10;
+const MEAL_TAG_MAX_LENGTH = 30;
+const MEAL_BACKDATE_MAX_DAYS = 7;
+const EATING_WINDOW_TIGHT_HOURS = 8;   // Window at or under this (3 meals or fewer) earns a point
+const EATING_WINDOW_WIDE_HOURS = 12;   // Window over this costs a point
+const MEAL_COUNT_GRAZING = 4;          // This many meals in a day counts as grazing
 
-// XP values: positive for good habits, negative for bad
-const sleepPowerupValues = {
-    darkness: 25,   // Biggest XP - most important
-    reading: 15,    // Medium XP
-    cuddling: 20,   // Great XP
-    doctorwin: 30,  // Biggest XP - promotes medical consultation!
-    screen: -15,    // Negative XP
-    smoking: -20    // Negative XP
-};
+let selectedMealSize = 'regular';
+
+/**
+ * Split a free-text tag field into clean tags
+ * @param {string} text - Comma-separated tags, e.g. "eggs, avocado, coffee"
+ * @returns {string[]} Lowercased, de-duplicated tags
+ */
+function parseMealTags(text) {
+    const tags = String(text || '')
+        .split(',')
+        .map(tag => tag.trim().toLowerCase().slice(0, MEAL_TAG_MAX_LENGTH))
+        .filter(Boolean);
+    return [...new Set(tags)].slice(0, MEAL_MAX_TAGS);
+}
+
+/**
+ * Eating pattern for the calendar day containing a timestamp
+ * @param {number} [timestamp] - Any time on the day (defaults to now)
+ * @returns {{meals: Array, count: number, firstBite: number|null, lastBite: number|null, windowHours: number}}
+ */
+function getDailyEatingPattern(timestamp = Date.now()) {
+    const dayKey = new Date(timestamp).toDateString();
+    return getEatingPattern((state.meals || []).filter(meal => new Date(meal.time).toDateString() === dayKey));
+}
+
+/**
+ * Eating pattern of a set of meals: first bite to last bite
+ * @param {Array} meals - Meal log entries, in any order
+ * @returns {{meals: Array, count: number, firstBite: number|null, lastBite: number|null, windowHours: number}}
+ */
+function getEatingPattern(meals) {
+    const sorted = [...meals].sort((a, b) => a.time - b.time);
+
+    if (sorted.length === 0) {
+        return { meals: sorted, count: 0, firstBite: null, lastBite: null, windowHours: 0 };
+    }
+
+    const firstBite = sorted[0].time;
+    const lastBite = sorted[sorted.length - 1].time;
+    return { meals: sorted, count: sorted.length, firstBite, lastBite, windowHours: (lastBite - firstBite) / 3600000 };
+}
+
+/**
+ * Average meals per day and eating window over recent days that have meals logged
+ * @param {number} days - How many days back to look, including today
+ * @returns {{daysLogged: number, avgMeals: number, avgWindowHours: number}}
+ */
+function getEatingPatternSummary(days = 7) {
+    const patterns = [];
+    for (let i = 0; i < days; i++) {
+        const pattern = getDailyEatingPattern(Date.now() - i * 24 * 60 * 60 * 1000);
+        if (pattern.count > 0) patterns.push(pattern);
+    }
+    if (patterns.length === 0) return { daysLogged: 0, avgMeals: 0, avgWindowHours: 0 };
+
+    return {
+        daysLogged: patterns.length,
+        avgMeals: patterns.reduce((sum, p) => sum + p.count, 0) / patterns.length,
+        avgWindowHours: patterns.reduce((sum, p) => sum + p.windowHours, 0) / patterns.length
+    };
+}
+
+/**
+ * Score adjustment from an eating window and meal count, shared by
+ * updateMealQuality() and calculateEatingScore()
+ * @param {Object} [pattern] - Eating pattern to score (defaults to today's)
+ * @returns {{points: number, note: string, count: number}}
+ */
+function getMealPatternAdjustment(pattern = getDailyEatingPattern()) {
+    if (pattern.count === 0) return { points: 0, note: '', count: 0 };
+
+    let points = 0;
+    const notes = [];
+
+    if (pattern.windowHours > EATING_WINDOW_WIDE_HOURS) {
+        points -= 1;
+        notes.push(`${formatDuration(pattern.windowHours)} eating window - too wide`);
+    } else if (pattern.windowHours <= EATING_WINDOW_TIGHT_HOURS && pattern.count < MEAL_COUNT_GRAZING) {
+        points += 1;
+        notes.push(`tight ${formatDuration(pattern.windowHours)} eating window`);
+    }
+
+    if (pattern.count >= MEAL_COUNT_GRAZING) {
+        points -= 1;
+        notes.push(`${pattern.count} meals today - that's grazing`);
+    }
+
+    // A large meal inside the chronotype's last-meal buffer weighs on tonight's sleep
+    const buffer = getChronotype().lastMealBufferHours;
+    const lateLarge = pattern.meals.some(meal => {
+        if (meal.size !== 'large') return false;
+        const { phase, hoursUntilBed } = getBedtimeStatus(meal.time);
+        return phase !== 'before' || hoursUntilBed < buffer;
+    });
+    if (lateLarge) {
+        points -= 1;
+        notes.push('large meal close to bedtime');
+    }
+
+    return { points, note: notes.join(', '), count: pattern.count };
+}
+
+// Start of the eating window that's open now: the later of the last fast's end and the last archived window
+function getCurrentEatingWindowStart() {
+    const archivedUntil = (state.eatingHistory || []).reduce((latest, record) => Math.max(latest, record.endTime || 0), 0);
+    return Math.max(archivedUntil, state.lastMealTime || 0);
+}
+
+// Latest bite since the last fast ended - falls back to the fast's end time
+function getLastBiteTime() {
+    const since = state.lastMealTime || 0;
+    const latestMeal = (state.meals || []).reduce((latest, meal) => Math.max(latest, meal.time), 0);
+    return latestMeal > since ? latestMeal : state.lastMealTime;
+}
+
+function setMealSize(size) {
+    if (!MEAL_SIZES[size]) return;
+    selectedMealSize = size;
+    document.querySelectorAll('.meal-size-btn').forEach(btn => {
+        const selected = btn.dataset.size === size;
+        btn.setAttribute('aria-pressed', String(selected));
+        btn.style.borderColor = selected ? 'var(--orange-400)' : 'var(--dark-border)';
+        btn.style.background = selected ? 'rgba(251, 146, 60, 0.15)' : 'var(--dark-card)';
+    });
+}
+
+function resetMealForm() {
+    const timeInput = document.getElementById('meal-time-input');
+    const tagsInput = document.getElementById('meal-tags-input');
+    if (timeInput) timeInput.value = toDateTimeLocalValue(Date.now());
+    if (tagsInput) tagsInput.value = '';
+    document.querySelectorAll('.meal-powerup-option').forEach(box => { box.checked = false; });
+    setMealSize('regular');
+}
+
+function logMeal() {
+    // Same rule as the powerup buttons - meals happen between fasts, awake
+    if (state.currentFast?.isActive || state.currentSleep?.isActive) {
+        showAchievementToast('<span class="px-icon px-warning"></span>', 'Not Now', 'Meals can only be logged while you are not fasting or sleeping.', 'warning');
+        return;
+    }
+
+    const timeValue = document.getElementById('meal-time-input')?.value;
+    const time = timeValue ? parseDateTimeLocalValue(timeValue) : Date.now();
+    if (!time || time > Date.now() + 60000) {
+        showAchievementToast('<span class="px-icon px-warning"></span>', 'Invalid Time', "Meal time can't be in the future.", 'warning');
+        return;
+    }
+    if (time < Date.now() - MEAL_BACKDATE_MAX_DAYS * 24 * 60 * 60 * 1000) {
+        showAchievementToast('<span class="px-icon px-warning"></span>', 'Invalid Time', `Meals can be backdated up to ${MEAL_BACKDATE_MAX_DAYS} days.`, 'warning');
+        return;
+    }
+
+    const powerups = [...document.querySelectorAll('.meal-powerup-option:checked')]
+        .map(box => box.value)
+        .filter(type => eatingPowerupEmojis[type]);
+
+    const meal = {
+        id: generateId(),
+        time,
+        size: selectedMealSize,
+        tags: parseMealTags(document.getElementById('meal-tags-input')?.value),
+        powerups
+    };
+
+    if (!state.meals) state.meals = [];
+    state.meals.push(meal);
+    state.meals.sort((a, b) => b.time - a.time);
+
+    // A meal backdated into an earlier (already closed) window keeps its powerups on the meal only -
+    // the open window's stack would score them against the wrong window, and sync drops them anyway
+    if (!state.eatingPowerups) state.eatingPowerups = [];
+    if (time > getCurrentEatingWindowStart()) {
+        powerups.forEach(type => state.eatingPowerups.push({ type, time, mealId: meal.id }));
+        state.eatingPowerups.sort((a, b) => a.time - b.time);
+    }
+
+    let xpGained = 0;
+    powerups.forEach(type => {
+        if (eatingPowerupValues[type] > 0) xpGained += addSkillXP(type, 10);
+    });
+
+    saveState();
+    resetMealForm();
+    renderMealLog();
+    updateEatingPowerupDisplay();
+    updateMealQuality();
+    updateConstitution();
+    updateMealSleepStatus();
+    updateMonsterBattleUI();
+
+    const timeLabel = new Date(time).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    const xpText = xpGained > 0 ? ` +${xpGained} XP` : '';
+    showAchievementToast('<span class="px-icon px-food"></span>', 'Meal Logged!', `${MEAL_SIZES[meal.size]} meal at ${timeLabel}.${xpText}`, 'success');
+}
+
+async function deleteMeal(id) {
+    if (!id) return;
+    const confirmed = await showConfirmModal('Delete this meal and its powerups?', 'Delete Meal');
+    if (!confirmed) return;
+
+    state.meals = (state.meals || []).filter(meal => meal.id !== id);
+    state.eatingPowerups = (state.eatingPowerups || []).filter(entry => entry.mealId !== id);
+    recordDeletion(id);
+    saveState();
+    renderMealLog();
+    updateEatingPowerupDisplay();
+    updateMealQuality();
+    updateConstitution();
+    updateMealSleepStatus();
+    updateMonsterBattleUI();
+}
+
+function renderMealLog() {
+    const listEl = document.getElementById('meal-log-list');
+    if (!listEl) return;
+
+    // Sanitize ID to prevent XSS - only allow alphanumeric characters
+    const sanitizeId = (id) => String(id).replace(/[^a-zA-Z0-9]/g, '');
+    const formatTime = (time) => new Date(time).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+
+    const pattern = getDailyEatingPattern();
+    const todayEl = document.getElementById('meal-log-today');
+    if (todayEl) {
+        todayEl.textContent = pattern.count === 0
+            ? 'No meals logged today.'
+            : `First bite ${formatTime(pattern.firstBite)} · Last bite ${formatTime(pattern.lastBite)} · ${formatDuration(pattern.windowHours)} window · ${pattern.count} meal${pattern.count === 1 ? '' : 's'}`;
+    }
+
+    const summary = getEatingPatternSummary(7);
+    const weekEl = document.getElementById('meal-log-week');
+    if (weekEl) {
+        weekEl.textContent = summary.daysLogged === 0
+            ? ''
+            : `Last 7 days: ${summary.avgMeals.toFixed(1)} meals/day, ${formatDuration(summary.avgWindowHours)} average window (${summary.daysLogged} day${summary.daysLogged === 1 ? '' : 's'} logged)`;
+    }
+
+    if (pattern.count === 0) {
+        listEl.innerHTML = '<p class="text-xs italic" style="color: var(--dark-text-muted);">Meals you log today will appear here.</p>';
+        return;
+    }
+
+    listEl.innerHTML = pattern.meals.map(meal => {
+        const icons = meal.powerups.map(type => eatingPowerupEmojis[type] || '').join('');
+        const tags = meal.tags.length > 0 ? `<div class="text-xs" style="color: var(--dark-text-muted);">${escapeHtml(meal.tags.join(', '))}</div>` : '';
+        return `
+            <div class="flex justify-between items-center p-2 rounded-lg" style="background: var(--dark-border);">
+                <div>
+                    <div class="text-sm font-medium" style="color: var(--orange-400);">${formatTime(meal.time)} · ${MEAL_SIZES[meal.size] || 'Regular'} <span class="ml-1">${icons}</span></div>
+                    ${tags}
+                </div>
+                <button data-delete-meal="${sanitizeId(meal.id)}" class="delete-meal-btn text-xs font-medium" style="color: var(--danger-400);" aria-label="Delete meal at ${formatTime(meal.time)}">Delete</button>
+            </div>
+        `;
+    }).join('');
+}
+
+// ==========================================
+// EATING HISTORY - One archived record per eating window
+// ==========================================
+// eatingPowerups only covers the current window and is cleared when the next fast
+// starts, so startFast() archives it here first. An eating window runs from the end of
+// the last fast (or the first powerup, if there was none) to the start of the next one.
+
+const EATING_HISTORY_MAX_HOURS = 720; // Longer "windows" are really breaks from fasting
+
+/**
+ * Bloat points from eating powerups: debuffs add, gut-friendly choices take away.
+ * Unclamped, so updateBloatMeter() can combine it with sleep and fasting.
+ * @param {Array} powerups - Eating powerup entries
+ * @returns {number} Bloat points
+ */
+function getEatingBloatPoints(powerups) {
+    const bad = powerups.filter(p => ['eatenout', 'toofast', 'junkfood', 'bloated'].includes(p.type)).length;
+    const good = powerups.filter(p => ['broth', 'fiber', 'sloweating', 'mealwalk'].includes(p.type)).length;
+    return bad * 15 - good * 10;
+}
+
+/**
+ * Archive the eating window that a new fast is closing
+ * @param {number} endTime - When the new fast starts
+ */
+function archiveEatingWindow(endTime) {
+    const powerups = (state.eatingPowerups || []).filter(p => p.time <= endTime);
+    const firstPowerup = powerups.reduce((first, p) => Math.min(first, p.time), endTime);
+    const windowStart = state.lastMealTime && state.lastMealTime < endTime ? state.lastMealTime : endTime;
+    // Never reach back into a window that's already archived
+    const previousEnd = (state.eatingHistory || []).reduce((latest, r) => Math.max(latest, r.endTime), 0);
+    const startTime = Math.max(Math.min(windowStart, firstPowerup), previousEnd);
+    const meals = (state.meals || []).filter(meal => meal.time > previousEnd && meal.time >= startTime && meal.time <= endTime);
+
+    // Nothing was logged - no record worth trending
+    if (powerups.length === 0 && meals.length === 0) return;
+
+    const record = {
+        id: generateId(),
+        startTime,
+        endTime,
+        duration: Math.min((endTime - startTime) / 3600000, EATING_HISTORY_MAX_HOURS),
+        powerups: powerups.map(({ type, time }) => ({ type, time })),
+        mealCount: meals.length,
+        mealQuality: calculateEatingScore(powerups, getMealPatternAdjustment(getEatingPattern(meals))),
+        bloat: Math.max(0, Math.min(100, getEatingBloatPoints(powerups)))
+    };
+
+    if (!state.eatingHistory) state.eatingHistory = [];
+    state.eatingHistory.unshift(record);
+    state.eatingHistory.sort((a, b) => b.endTime - a.endTime);
+}
+
+function renderEatingHistory() {
+    // Sanitize ID to prevent XSS - only allow alphanumeric characters
+    const sanitizeId = (id) => String(id).replace(/[^a-zA-Z0-9]/g, '');
+    const history = state.eatingHistory || [];
+
+    const summaryEl = document.getElementById('eating-history-summary');
+    if (summaryEl) {
+        const recent = history.slice(0, 10);
+        summaryEl.textContent = recent.length === 0
+            ? ''
+            : `Last ${recent.length} window${recent.length === 1 ? '' : 's'}: ${(recent.reduce((sum, r) => sum + r.mealQuality, 0) / recent.length).toFixed(1)}/10 quality, ${formatDuration(recent.reduce((sum, r) => sum + r.duration, 0) / recent.length)} long, ${Math.round(recent.reduce((sum, r) => sum + r.bloat, 0) / recent.length)} bloat`;
+    }
+
+    const renderEatingItem = (record) => {
+        const startDate = new Date(record.startTime);
+        const endDate = new Date(record.endTime);
+        const icons = record.powerups.map(p => eatingPowerupEmojis[p.type] || '').join('');
+        const details = [
+            record.mealCount ? `${record.mealCount} meal${record.mealCount === 1 ? '' : 's'}` : '',
+            `Bloat ${record.bloat}`
+        ].filter(Boolean).join(' · ');
+
+        return `
+            <div class="border border-gray-200 rounded-lg p-4 hover:shadow-md transition-shadow">
+                <div class="flex justify-between items-start mb-2">
+                    <div>
+                        <div class="font-medium text-gray-800">
+                            ${formatDuration(record.duration)}
+                            <span class="text-sm ml-2" style="color: var(--orange-400);">Meal quality ${record.mealQuality}/10</span>
+                        </div>
+                        <div class="text-xs text-gray-500">${details}</div>
+                        ${icons ? `<div class="mt-1">${icons}</div>` : ''}
+                    </div>
+                    <button data-delete-eating="${sanitizeId(record.id)}" class="delete-eating-btn text-red-500 hover:text-red-700 text-sm font-medium" aria-label="Delete eating window from ${startDate.toLocaleDateString()}">
+                        Delete
+                    </button>
+                </div>
+                <div class="text-xs text-gray-400">
+                    ${startDate.toLocaleDateString()} ${startDate.toLocaleTimeString()} - ${endDate.toLocaleDateString()} ${endDate.toLocaleTimeString()}
+                </div>
+            </div>
+        `;
+    };
+
+    createVirtualizedList({
+        containerId: 'eating-history-list',
+        items: history,
+        renderItem: renderEatingItem,
+        emptyMessage: 'No eating windows yet. Each one is saved when your next fast starts.'
+    });
+}
+
+async function deleteEatingWindow(id) {
+    if (!id) return;
+    const confirmed = await showConfirmModal('Delete this eating window?', 'Delete Record');
+    if (confirmed) {
+        state.eatingHistory = (state.eatingHistory || []).filter(r => r.id !== id);
+        recordDeletion(id);
+        saveState();
+        renderEatingHistory();
+        renderMealQualityTrends();
+    }
+}
+
+// ==========================================
+// SLEEP POWERUPS - Pre-sleep routine tracking
+// ==========================================
+
+const sleepPowerupEmojis = {
+    darkness: '<span class="px-icon px-moon"></span>',
+    reading: '<span class="px-icon px-book"></span>',
+    cuddling: '<span class="px-icon px-heart"></span>',
+    doctorwin: '<span class="px-icon px-doctorwin"></span>',
+    screen: '<span class="px-icon px-screen"></span>',
+    smoking: '<span class="px-icon px-smoke"></span>'
+};
+
+const sleepPowerupMessages = {
+    darkness: [
+        '"The best bridge between despair and hope is a good night\'s sleep." — Dr. Matthew Walker',
+        '"Sleep is Mother Nature\'s best effort yet at contra-death." — Dr. Matthew Walker',
+        '"Darkness signals melatonin release. You\'re priming your brain perfectly!" — Dr. Matthew Walker',
+        '"Light is the most powerful zeitgeber. Darkness tells your brain: sleep time!" — Dr. Matthew Walker',
+        '"An hour of darkness before bed can improve sleep quality by 50%." — Dr. Matthew Walker',
+        '"Your circadian rhythm thanks you. Melatonin is flowing!" — Dr. Matthew Walker',
+        '"Dim light in the evening is one of the most powerful sleep aids." — Dr. Matthew Walker',
+        '"Sleep is not an optional lifestyle luxury. It is your life support system." — Dr. Matthew Walker'
+    ],
+    reading: [
+        '"Reading before bed reduces stress by 68%. Better than music or tea!" — Dr. Matthew Walker',
+        '"A book before bed is the perfect wind-down ritual for your brain." — Dr. Matthew Walker',
+        '"Practice does not make perfect. It is practice, followed by sleep, that leads to perfection." — Dr. Matthew Walker',
+        '"Reading engages the mind gently, preparing it for the dream state." — Dr. Matthew Walker',
+        '"Your brain is transitioning from active to receptive mode. Perfect!" — Dr. Matthew Walker',
+        '"We have stigmatized sleep with the label of laziness. Reading honors it." — Dr. Matthew Walker',
+        '"A physical book (not a screen!) is the ideal pre-sleep companion." — Dr. Matthew Walker',
+        '"When sleep is abundant, minds flourish. Reading sets the stage." — Dr. Matthew Walker'
+    ],
+    cuddling: [
+        '"Human touch releases oxytocin, the bonding hormone that promotes deep sleep." — Dr. Matthew Walker',
+        '"Social connection before sleep reduces cortisol and anxiety." — Dr. Matthew Walker',
+        '"Oxytocin from cuddling is nature\'s sleep medicine." — Dr. Matthew Walker',
+        '"Physical closeness signals safety to your brain. Sleep comes easier." — Dr. Matthew Walker',
+        '"The warmth of human connection primes the body for restorative sleep." — Dr. Matthew Walker',
+        '"REM sleep heals emotional wounds. Cuddling starts that healing early." — Dr. Matthew Walker',
+        '"Connection before sleep strengthens both relationships and rest." — Dr. Matthew Walker',
+        '"Your nervous system is calming. Parasympathetic mode: activated!" — Dr. Matthew Walker'
+    ],
+    doctorwin: [
+        'DOCTOR WIN! Discussed your sleep health with a professional!',
+        'Sleep consultation complete! Your rest is doctor-approved!',
+        'Smart sleeper! Always consult professionals for sleep issues!',
+        'Remember: This app is a FUN tracker, not medical advice!',
+        'DISCLAIMER: Only licensed medical professionals can diagnose sleep disorders!',
+        'Your healthcare team supports your sleep journey! Great job!',
+        'Sleep wisdom unlocked! Stay informed, sleep better!',
+        'Pro tip: If you have persistent sleep issues, see a sleep specialist!'
+    ],
+    screen: [
+        '"Blue light from screens delays melatonin release by up to 3 hours." — Dr. Matthew Walker',
+        '"Screen time before bed is like drinking 2 espressos for your brain." — Dr. Matthew Walker',
+        '"The shorter your sleep, the shorter your life." — Dr. Matthew Walker',
+        '"After 16 hours awake, the brain begins to fail. Screens make it worse." — Dr. Matthew Walker',
+        '"LED screens punch a hole through your melatonin production." — Dr. Matthew Walker',
+        '"Your brain thinks it\'s still daytime. Melatonin: blocked." — Dr. Matthew Walker',
+        '"Screen light is the enemy of deep, restorative sleep." — Dr. Matthew Walker',
+        '"Inadequate sleep for one week classifies you as pre-diabetic." — Dr. Matthew Walker'
+    ],
+    smoking: [
+        '"Nicotine is a stimulant that fragments sleep architecture." — Dr. Matthew Walker',
+        '"Smokers spend more time in light sleep, missing restorative deep sleep." — Dr. Matthew Walker',
+        '"The shorter your sleep, the shorter your life." — Dr. Matthew Walker',
+        '"Nicotine withdrawal during sleep causes micro-awakenings all night." — Dr. Matthew Walker',
+        '"Smoking before bed steals your deep sleep and REM cycles." — Dr. Matthew Walker',
+        '"Sleep deprivation causes a 40% deficit in making new memories." — Dr. Matthew Walker',
+        '"Your body will spend the night processing toxins instead of healing." — Dr. Matthew Walker',
+        '"Routinely sleeping less than 6 hours demolishes your immune system." — Dr. Matthew Walker'
+    ]
+};
+
+// XP values: positive for good habits, negative for bad
+const sleepPowerupValues = {
+    darkness: 25,   // Biggest XP - most important
+    reading: 15,    // Medium XP
+    cuddling: 20,   // Great XP
+    doctorwin: 30,  // Biggest XP - promotes medical consultation!
+    screen: -15,    // Negative XP
+    smoking: -20    // Negative XP
+};
 
 function addSleepPowerup(type) {
     // Ensure sleep powerups array exists
@@ -6183,6 +9978,10 @@ function updateMealQuality() {
         score += eatingPowerupValues[type] * count;
     });
 
+    // Eating window and meal count from the meal log
+    const mealPattern = getMealPatternAdjustment();
+    score += mealPattern.points;
+
     // Cap score between 0 and 10
     score = Math.max(0, Math.min(10, Math.round(score)));
 
@@ -6194,8 +9993,10 @@ function updateMealQuality() {
     const hasNegatives = negatives.some(t => badTypeCounts[t]);
 
     let message = '';
-    if (powerups.length === 0) {
+    if (powerups.length === 0 && mealPattern.count === 0) {
         message = "Log your eating powerups to see your meal quality!";
+    } else if (powerups.length === 0) {
+        message = "Tick the powerups that applied to your meals!";
     } else if (hasNegatives && score <= 3) {
         message = "Debuffs are hurting you! Avoid junk & eating out.";
     } else if (essentialCount === 0) {
@@ -6211,6 +10012,9 @@ function updateMealQuality() {
     } else {
         message = "Good meal quality! Keep it varied!";
     }
+    if (mealPattern.note) {
+        message += ` (${mealPattern.note.charAt(0).toUpperCase() + mealPattern.note.slice(1)})`;
+    }
 
     if (messageEl) messageEl.textContent = message;
 
@@ -6353,7 +10157,7 @@ function xpProgressPercent(xp) {
 // Add XP to a skill
 function addSkillXP(skillType, amount) {
     if (!state.skills) {
-        state.skills = { water: 0, hotwater: 0, coffee: 0, tea: 0, exercise: 0, hanging: 0, grip: 0, walk: 0, doctorwin: 0, flatstomach: 0, broth: 0, protein: 0, fiber: 0, homecooked: 0, sloweating: 0, chocolate: 0, mealwalk: 0, sleep: 0 };
+        state.skills = { ...DEFAULT_SKILLS };
     }
 
     // Initialize skill if missing (for existing users)
@@ -6509,7 +10313,7 @@ function showLevelUp(skillType, newLevel) {
 // Update all skills display in Stats page
 function updateSkills() {
     if (!state.skills) {
-        state.skills = { water: 0, coffee: 0, tea: 0, exercise: 0, hanging: 0, grip: 0, walk: 0, broth: 0, protein: 0, fiber: 0, homecooked: 0, sloweating: 0, chocolate: 0, mealwalk: 0, sleep: 0 };
+        state.skills = { ...DEFAULT_SKILLS };
     }
 
     // Fasting skills
@@ -6595,24 +10399,391 @@ function updateSkills() {
     }
 }
 
-// Data Export/Import for syncing between devices
-function exportData() {
-    const dataStr = JSON.stringify(state, null, 2);
-    const dataBlob = new Blob([dataStr], { type: 'application/json' });
-    const url = URL.createObjectURL(dataBlob);
+// ==========================================
+// HEALTH APP EXPORTS
+// ==========================================
+// Sleep sessions in standard sleep formats, fasts as generic intervals. Both can be read back
+// through "Import from Another App" (see the healthxml / googlefit adapters).
 
-    const link = document.createElement('a');
-    link.href = url;
-    const timestamp = new Date().toISOString().split('T')[0];
-    link.download = `fasting-tracker-${timestamp}.json`;
+const HEALTH_EXPORT_SOURCE = 'Sleep Suivour';
+const APPLE_FAST_RECORD_TYPE = 'SleepSuivourFastingInterval';
+const GOOGLE_FIT_SLEEP_ACTIVITY = 72;
+const GOOGLE_FIT_OTHER_ACTIVITY = 108;
 
-    document.body.appendChild(link);
-    link.click();
-    document.body.removeChild(link);
-    URL.revokeObjectURL(url);
+function escapeXml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
 
-    showAchievementToast(
-        '<span class="px-icon px-check"></span>',
+/**
+ * Format a time the way Apple Health's export.xml does
+ * @param {number} timestamp - Epoch ms
+ * @returns {string} e.g. "2026-01-31 22:15:00 +0100" (local time with offset)
+ */
+function formatAppleHealthDate(timestamp) {
+    const date = new Date(timestamp);
+    const offset = -date.getTimezoneOffset();
+    const sign = offset >= 0 ? '+' : '-';
+    const absOffset = Math.abs(offset);
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ` +
+        `${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())} ` +
+        `${sign}${pad(Math.floor(absOffset / 60))}${pad(absOffset % 60)}`;
+}
+
+function buildAppleHealthXml() {
+    const record = (type, value, entry, metadata) => {
+        const attrs = [
+            `type="${escapeXml(type)}"`,
+            `sourceName="${HEALTH_EXPORT_SOURCE}"`,
+            value ? `value="${escapeXml(value)}"` : '',
+            `creationDate="${formatAppleHealthDate(entry.updatedAt || entry.endTime)}"`,
+            `startDate="${formatAppleHealthDate(entry.startTime)}"`,
+            `endDate="${formatAppleHealthDate(entry.endTime)}"`
+        ].filter(Boolean).join(' ');
+        const meta = Object.entries(metadata)
+            .filter(([, v]) => v !== null && v !== undefined)
+            .map(([key, v]) => `  <MetadataEntry key="${escapeXml(key)}" value="${escapeXml(v)}"/>`)
+            .join('\n');
+        return ` <Record ${attrs}>\n${meta}\n </Record>`;
+    };
+
+    const records = [
+        ...(state.sleepHistory || []).map(sleep => record(
+            'HKCategoryTypeIdentifierSleepAnalysis',
+            'HKCategoryValueSleepAnalysisAsleepUnspecified',
+            sleep,
+            { SleepSuivourId: sleep.id, SleepSuivourGoalHours: sleep.goalHours, SleepSuivourFeeling: sleep.feeling }
+        )),
+        ...state.fastingHistory.map(fast => record(
+            APPLE_FAST_RECORD_TYPE,
+            null,
+            fast,
+            { SleepSuivourId: fast.id, SleepSuivourGoalHours: fast.goalHours, SleepSuivourFeeling: fast.feeling }
+        ))
+    ];
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<HealthData locale="en_US">',
+        ` <ExportDate value="${formatAppleHealthDate(Date.now())}"/>`,
+        ...records,
+        '</HealthData>',
+        ''
+    ].join('\n');
+}
+
+function buildGoogleFitSessions() {
+    const session = (entry, kind, activityType) => ({
+        id: `sleep-suivour-${kind}-${entry.id}`,
+        name: kind === 'sleep' ? 'Sleep' : 'Fast',
+        description: `Goal ${entry.goalHours}h${entry.feeling ? `, felt ${entry.feeling}` : ''}`,
+        startTimeMillis: String(entry.startTime),
+        endTimeMillis: String(entry.endTime),
+        modifiedTimeMillis: String(entry.updatedAt || entry.endTime),
+        application: { name: HEALTH_EXPORT_SOURCE },
+        activityType
+    });
+
+    return {
+        session: [
+            ...(state.sleepHistory || []).map(sleep => session(sleep, 'sleep', GOOGLE_FIT_SLEEP_ACTIVITY)),
+            ...state.fastingHistory.map(fast => session(fast, 'fast', GOOGLE_FIT_OTHER_ACTIVITY))
+        ]
+    };
+}
+
+function exportHealthData(format) {
+    const timestamp = new Date().toISOString().split('T')[0];
+    if (format === 'apple') {
+        downloadTextFile(buildAppleHealthXml(), `fasting-tracker-apple-health-${timestamp}.xml`, 'application/xml');
+    } else {
+        downloadTextFile(JSON.stringify(buildGoogleFitSessions(), null, 2), `fasting-tracker-google-fit-${timestamp}.json`, 'application/json');
+    }
+
+    showAchievementToast(
+        '<span class="px-icon px-check"></span>',
+        'Health Export Ready!',
+        format === 'apple' ? 'Apple Health-style XML downloaded.' : 'Google Fit sessions JSON downloaded.',
+        'success'
+    );
+}
+
+// ==========================================
+// CALENDAR (.ics) EXPORT
+// ==========================================
+// Fasts, eating windows between them, sleeps and the active fast's projected goal end as VEVENTs.
+// Saved under a fixed name so `python3 server.py --ics-feed <file>` can serve it as a subscribable feed.
+
+const ICS_FILENAME = 'fasting-tracker.ics';
+// Gaps longer than this between two fasts are untracked time, not an eating window
+const ICS_MAX_EATING_WINDOW_HOURS = 24;
+
+function formatIcsDate(timestamp) {
+    return new Date(timestamp).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+function escapeIcsText(text) {
+    return String(text).replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+}
+
+// RFC 5545: lines longer than 75 octets continue on the next line after a space.
+// Counted in UTF-8 bytes so multi-byte characters are never split.
+function foldIcsLine(line) {
+    const encoder = new TextEncoder();
+    const parts = [];
+    let current = '';
+    let bytes = 0;
+    for (const char of line) {
+        const size = encoder.encode(char).length;
+        if (bytes + size > 75) {
+            parts.push(current);
+            current = ' ';
+            bytes = 1;
+        }
+        current += char;
+        bytes += size;
+    }
+    parts.push(current);
+    return parts.join('\r\n');
+}
+
+function buildIcsEvent(uid, startTime, endTime, summary, description, stamp) {
+    return [
+        'BEGIN:VEVENT',
+        `UID:${uid}@sleep-suivour`,
+        `DTSTAMP:${formatIcsDate(stamp)}`,
+        `DTSTART:${formatIcsDate(startTime)}`,
+        `DTEND:${formatIcsDate(endTime)}`,
+        `SUMMARY:${escapeIcsText(summary)}`,
+        `DESCRIPTION:${escapeIcsText(description)}`,
+        'TRANSP:TRANSPARENT',
+        'END:VEVENT'
+    ];
+}
+
+function buildIcsCalendar() {
+    const now = Date.now();
+    const events = [];
+
+    state.fastingHistory.forEach((fast, index) => {
+        const metGoal = fast.duration >= fast.goalHours;
+        events.push(buildIcsEvent(
+            `fast-${fast.id}`, fast.startTime, fast.endTime,
+            `Fast ${formatDuration(fast.duration)}${metGoal ? ' ✓' : ''}`,
+            `Goal ${fast.goalHours}h${fast.feeling ? ` - felt ${feelingLabels[fast.feeling] || fast.feeling}` : ''}`,
+            fast.updatedAt || fast.endTime
+        ));
+
+        // History is newest first, so the next fast after this one is at index - 1
+        const nextFast = state.fastingHistory[index - 1];
+        if (nextFast) {
+            const windowHours = (nextFast.startTime - fast.endTime) / 3600000;
+            if (windowHours > 0 && windowHours <= ICS_MAX_EATING_WINDOW_HOURS) {
+                events.push(buildIcsEvent(
+                    `eating-${fast.id}`, fast.endTime, nextFast.startTime,
+                    `Eating window ${formatDuration(windowHours)}`,
+                    'Between two tracked fasts',
+                    nextFast.startTime
+                ));
+            }
+        }
+    });
+
+    (state.sleepHistory || []).forEach(sleep => {
+        events.push(buildIcsEvent(
+            `sleep-${sleep.id}`, sleep.startTime, sleep.endTime,
+            `Sleep ${formatDuration(sleep.duration)}`,
+            `Goal ${sleep.goalHours}h${sleep.feeling ? ` - felt ${feelingLabels[sleep.feeling] || sleep.feeling}` : ''}`,
+            sleep.updatedAt || sleep.endTime
+        ));
+    });
+
+    if (state.currentFast.isActive && state.currentFast.startTime) {
+        const goalEnd = state.currentFast.startTime + getFastPausedMs(state.currentFast) + state.currentFast.goalHours * 3600000;
+        events.push(buildIcsEvent(
+            `current-fast-${state.currentFast.startTime}`, state.currentFast.startTime, goalEnd,
+            `Fasting - ${state.currentFast.goalHours}h goal`,
+            `In progress. Projected goal end ${new Date(goalEnd).toLocaleString()}`,
+            now
+        ));
+    }
+
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//Sleep Suivour//Fasting Tracker//EN',
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        'X-WR-CALNAME:Fasting & Sleep',
+        // Hint for subscribed clients: refresh hourly
+        'REFRESH-INTERVAL;VALUE=DURATION:PT1H',
+        'X-PUBLISHED-TTL:PT1H',
+        ...events.flat(),
+        'END:VCALENDAR'
+    ];
+    return lines.map(foldIcsLine).join('\r\n') + '\r\n';
+}
+
+function exportIcs() {
+    downloadTextFile(buildIcsCalendar(), ICS_FILENAME, 'text/calendar');
+
+    showAchievementToast(
+        '<span class="px-icon px-check"></span>',
+        'Calendar Exported!',
+        'Import it into your calendar, or serve it with server.py --ics-feed to subscribe.',
+        'success'
+    );
+}
+
+// ==========================================
+// ENCRYPTED BACKUPS
+// ==========================================
+// Export files encrypted with a passphrase: PBKDF2 (SHA-256) derives an AES-GCM key.
+// The file header is bound in as additional data, so changing any part of the file fails decryption.
+
+const ENCRYPTED_BACKUP_FORMAT = 'sleep-suivour-encrypted';
+const ENCRYPTED_BACKUP_VERSION = 1;
+const ENCRYPTED_BACKUP_ITERATIONS = 310000;
+const ENCRYPTED_BACKUP_MIN_PASSPHRASE = 8;
+
+function bytesToBase64(bytes) {
+    let binary = '';
+    // Chunked - spreading a large array into fromCharCode overflows the call stack
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+}
+
+function base64ToBytes(base64) {
+    const binary = atob(base64);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+}
+
+async function deriveBackupKey(passphrase, salt, iterations) {
+    const baseKey = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+    return crypto.subtle.deriveKey(
+        { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+        baseKey,
+        { name: 'AES-GCM', length: 256 },
+        false,
+        ['encrypt', 'decrypt']
+    );
+}
+
+// Everything except the ciphertext, in a fixed order - used as AES-GCM additional data
+function encryptedBackupHeader(file) {
+    return new TextEncoder().encode(JSON.stringify([file.format, file.version, file.kdf, file.cipher]));
+}
+
+function isEncryptedBackup(data) {
+    return Boolean(data) && data.format === ENCRYPTED_BACKUP_FORMAT;
+}
+
+async function encryptBackup(plaintext, passphrase) {
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const file = {
+        format: ENCRYPTED_BACKUP_FORMAT,
+        version: ENCRYPTED_BACKUP_VERSION,
+        kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations: ENCRYPTED_BACKUP_ITERATIONS, salt: bytesToBase64(salt) },
+        cipher: { name: 'AES-GCM', iv: bytesToBase64(iv) }
+    };
+
+    const key = await deriveBackupKey(passphrase, salt, ENCRYPTED_BACKUP_ITERATIONS);
+    const ciphertext = await crypto.subtle.encrypt(
+        { name: 'AES-GCM', iv, additionalData: encryptedBackupHeader(file) },
+        key,
+        new TextEncoder().encode(plaintext)
+    );
+    return { ...file, data: bytesToBase64(new Uint8Array(ciphertext)) };
+}
+
+// Throws if the passphrase is wrong or the file was modified (AES-GCM authentication fails)
+async function decryptBackup(file, passphrase) {
+    if (file.version !== ENCRYPTED_BACKUP_VERSION || file.kdf?.name !== 'PBKDF2' || file.cipher?.name !== 'AES-GCM') {
+        throw new Error('Unsupported encrypted backup');
+    }
+    // Don't let a crafted file pick a trivially weak (or absurdly slow) key derivation
+    const iterations = file.kdf.iterations;
+    if (!Number.isInteger(iterations) || iterations < 100000 || iterations > 10000000) {
+        throw new Error('Unsupported encrypted backup');
+    }
+
+    const key = await deriveBackupKey(passphrase, base64ToBytes(file.kdf.salt), iterations);
+    const plaintext = await crypto.subtle.decrypt(
+        { name: 'AES-GCM', iv: base64ToBytes(file.cipher.iv), additionalData: encryptedBackupHeader(file) },
+        key,
+        base64ToBytes(file.data)
+    );
+    return new TextDecoder().decode(plaintext);
+}
+
+async function exportEncryptedData() {
+    if (!window.crypto?.subtle) {
+        showAchievementToast(
+            '<span class="px-icon px-danger"></span>',
+            'Not Supported',
+            'Encrypted export needs a secure connection (https or localhost).',
+            'danger'
+        );
+        return;
+    }
+
+    const passphrase = await showPassphraseModal(
+        "Choose a passphrase for this backup. You'll need it to import the file - it can't be recovered.",
+        'Encrypted Export',
+        true
+    );
+    if (!passphrase) return;
+
+    try {
+        const encrypted = await encryptBackup(JSON.stringify(state), passphrase);
+        const timestamp = new Date().toISOString().split('T')[0];
+        downloadTextFile(JSON.stringify(encrypted), `fasting-tracker-${timestamp}.encrypted.json`, 'application/json');
+
+        showAchievementToast(
+            '<span class="px-icon px-shield"></span>',
+            'Encrypted Backup Exported!',
+            'Import it with "Import" on your other device and enter the passphrase.',
+            'success'
+        );
+    } catch (error) {
+        console.error('Encrypted export error:', error);
+        showAchievementToast(
+            '<span class="px-icon px-danger"></span>',
+            'Export Failed',
+            'Could not encrypt your data. Please try again.',
+            'danger'
+        );
+    }
+}
+
+// Data Export/Import for syncing between devices
+function exportData() {
+    const dataStr = JSON.stringify(state, null, 2);
+    const dataBlob = new Blob([dataStr], { type: 'application/json' });
+    const url = URL.createObjectURL(dataBlob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    const timestamp = new Date().toISOString().split('T')[0];
+    link.download = `fasting-tracker-${timestamp}.json`;
+
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+
+    showAchievementToast(
+        '<span class="px-icon px-check"></span>',
         'Data Exported!',
         'Transfer this file to your other device and import it there.',
         'success'
@@ -6627,29 +10798,23 @@ function handleImport(event) {
     event.target.dataset.merge = 'false'; // Reset
 
     const reader = new FileReader();
-    reader.onload = function(e) {
+    reader.onload = async function(e) {
         try {
-            const rawData = JSON.parse(e.target.result);
+            let rawData = JSON.parse(e.target.result);
+
+            if (isEncryptedBackup(rawData)) {
+                rawData = await decryptImportFile(rawData);
+                if (!rawData) return; // Cancelled
+            }
 
             // Validate the basic data structure first
             if (!rawData.currentFast || !Array.isArray(rawData.fastingHistory)) {
                 throw new Error('Invalid data format');
             }
 
-            // SECURITY: Sanitize all imported data to prevent malicious content
-            const importedData = sanitizeImportedData(rawData);
-
-            // Ensure sleep data exists (backward compatibility)
-            if (!importedData.currentSleep) {
-                importedData.currentSleep = { startTime: null, goalHours: 8, isActive: false };
-            }
-            if (!importedData.sleepHistory) {
-                importedData.sleepHistory = [];
-            }
-            // Ensure skills data exists (backward compatibility)
-            if (!importedData.skills) {
-                importedData.skills = { water: 0, coffee: 0, tea: 0, exercise: 0, hanging: 0, grip: 0, walk: 0, broth: 0, protein: 0, fiber: 0, homecooked: 0, sloweating: 0, chocolate: 0, mealwalk: 0, sleep: 0 };
-            }
+            // SECURITY: Sanitize all imported data to prevent malicious content,
+            // then upgrade older exports to the current schema
+            const importedData = migrateState(sanitizeImportedData(rawData));
 
             if (shouldMerge) {
                 mergeData(importedData);
@@ -6662,6 +10827,8 @@ function handleImport(event) {
             updateSleepUI();
             renderHistory();
             renderSleepHistory();
+            renderEatingHistory();
+            renderMeasurements();
             renderStats();
             renderSleepStats();
             updateSkills();
@@ -6677,7 +10844,7 @@ function handleImport(event) {
             showAchievementToast(
                 '<span class="px-icon px-danger"></span>',
                 'Import Failed',
-                'Invalid file format. Please select a valid tracker export file.',
+                error.isDecryptError ? error.message : 'Invalid file format. Please select a valid tracker export file.',
                 'danger'
             );
             console.error('Import error:', error);
@@ -6698,22 +10865,27 @@ function handleImport(event) {
     event.target.value = ''; // Reset file input
 }
 
+// Ask for the passphrase and decrypt an encrypted export. Resolves null if the user cancels.
+async function decryptImportFile(file) {
+    const passphrase = await showPassphraseModal('This backup is encrypted. Enter the passphrase it was exported with.', 'Encrypted Backup');
+    if (!passphrase) return null;
+
+    let plaintext;
+    try {
+        plaintext = await decryptBackup(file, passphrase);
+    } catch (error) {
+        const decryptError = new Error('Wrong passphrase, or the file has been modified or damaged.');
+        decryptError.isDecryptError = true;
+        throw decryptError;
+    }
+    return JSON.parse(plaintext);
+}
+
 function replaceData(importedData) {
+    // importedData has already been through migrateState() in handleImport
     state = importedData;
     window.state = state; // Update global reference for cross-module access
 
-    // Ensure sleep data exists (backward compatibility)
-    if (!state.currentSleep) {
-        state.currentSleep = { startTime: null, goalHours: 8, isActive: false };
-    }
-    if (!state.sleepHistory) {
-        state.sleepHistory = [];
-    }
-    // Ensure skills data exists (backward compatibility)
-    if (!state.skills) {
-        state.skills = { water: 0, coffee: 0, tea: 0, exercise: 0, hanging: 0, grip: 0, walk: 0, broth: 0, protein: 0, fiber: 0, homecooked: 0, sloweating: 0, chocolate: 0, mealwalk: 0, sleep: 0 };
-    }
-
     // Stop any active fasting timer if we're replacing with non-active data
     if (!state.currentFast.isActive && timerInterval) {
         stopTimer();
@@ -6731,49 +10903,1122 @@ function replaceData(importedData) {
     }
 }
 
-async function mergeData(importedData) {
-    // Merge fasting history, avoiding duplicates by ID
-    const existingFastIds = new Set(state.fastingHistory.map(f => f.id));
-    const newFasts = importedData.fastingHistory.filter(f => !existingFastIds.has(f.id));
+// Re-importing a record deleted earlier should bring it back on every device,
+// so stamp it as newer than its deletion tombstone
+function markReimportedRecords(records) {
+    const now = Date.now();
+    records.forEach(record => {
+        if (state.deletedRecords?.[record.id]) record.updatedAt = now;
+    });
+}
+
+async function mergeData(importedData) {
+    // Merge fasting history, avoiding duplicates by ID
+    const existingFastIds = new Set(state.fastingHistory.map(f => f.id));
+    const newFasts = importedData.fastingHistory.filter(f => !existingFastIds.has(f.id));
+    markReimportedRecords(newFasts);
+
+    state.fastingHistory = [...state.fastingHistory, ...newFasts];
+    state.fastingHistory.sort((a, b) => b.endTime - a.endTime);
+
+    // Merge sleep history, avoiding duplicates by ID
+    if (!state.sleepHistory) state.sleepHistory = [];
+    if (importedData.sleepHistory) {
+        const existingSleepIds = new Set(state.sleepHistory.map(s => s.id));
+        const newSleeps = importedData.sleepHistory.filter(s => !existingSleepIds.has(s.id));
+        markReimportedRecords(newSleeps);
+
+        state.sleepHistory = [...state.sleepHistory, ...newSleeps];
+        state.sleepHistory.sort((a, b) => b.endTime - a.endTime);
+    }
+
+    // Merge nap history, avoiding duplicates by ID
+    if (!state.napHistory) state.napHistory = [];
+    if (importedData.napHistory) {
+        const existingNapIds = new Set(state.napHistory.map(n => n.id));
+        const newNaps = importedData.napHistory.filter(n => !existingNapIds.has(n.id));
+        markReimportedRecords(newNaps);
+
+        state.napHistory = [...state.napHistory, ...newNaps];
+        state.napHistory.sort((a, b) => b.endTime - a.endTime);
+    }
+
+    // Merge eating history, avoiding duplicates by ID
+    if (!state.eatingHistory) state.eatingHistory = [];
+    if (importedData.eatingHistory) {
+        const existingEatingIds = new Set(state.eatingHistory.map(r => r.id));
+        const newWindows = importedData.eatingHistory.filter(r => !existingEatingIds.has(r.id));
+        markReimportedRecords(newWindows);
+
+        state.eatingHistory = [...state.eatingHistory, ...newWindows];
+        state.eatingHistory.sort((a, b) => b.endTime - a.endTime);
+    }
+
+    // Merge meal log, avoiding duplicates by ID
+    if (!state.meals) state.meals = [];
+    if (importedData.meals) {
+        const existingMealIds = new Set(state.meals.map(m => m.id));
+        const newMeals = importedData.meals.filter(m => !existingMealIds.has(m.id));
+        markReimportedRecords(newMeals);
+
+        state.meals = [...state.meals, ...newMeals];
+        state.meals.sort((a, b) => b.time - a.time);
+    }
+
+    // Merge body measurements, avoiding duplicates by ID
+    if (!state.measurements) state.measurements = [];
+    if (importedData.measurements) {
+        const existingMeasurementIds = new Set(state.measurements.map(m => m.id));
+        const newMeasurements = importedData.measurements.filter(m => !existingMeasurementIds.has(m.id));
+        markReimportedRecords(newMeasurements);
+
+        state.measurements = [...state.measurements, ...newMeasurements];
+        state.measurements.sort((a, b) => b.time - a.time);
+    }
+
+    // Don't merge active fast - keep the current one if active
+    if (!state.currentFast.isActive && importedData.currentFast.isActive) {
+        const confirmed = await showConfirmModal('The imported data has an active fast. Do you want to replace your current timer with it?', 'Import Active Fast');
+        if (confirmed) {
+            state.currentFast = importedData.currentFast;
+            startTimer();
+        }
+    }
+
+    // Don't merge active sleep - keep the current one if active
+    if (!state.currentSleep) state.currentSleep = { startTime: null, goalHours: 8, isActive: false };
+    if (!state.currentSleep.isActive && importedData.currentSleep && importedData.currentSleep.isActive) {
+        const confirmed = await showConfirmModal('The imported data has an active sleep session. Do you want to replace your current sleep timer with it?', 'Import Active Sleep');
+        if (confirmed) {
+            state.currentSleep = importedData.currentSleep;
+            startSleepTimer();
+        }
+    }
+
+    // Merge skills XP - take the higher value for each skill
+    if (!state.skills) state.skills = { ...DEFAULT_SKILLS };
+    if (importedData.skills) {
+        Object.keys(importedData.skills).forEach(skill => {
+            state.skills[skill] = Math.max(state.skills[skill] || 0, importedData.skills[skill] || 0);
+        });
+    }
+}
+
+// ==========================================
+// CSV EXPORT / IMPORT
+// ==========================================
+// One CSV per record type so the history opens cleanly in a spreadsheet.
+// Each column lists the header names it accepts on import (matched ignoring case, spaces and underscores).
+
+const FAST_POWERUP_COLUMNS = ['water', 'coffee', 'tea', 'exercise', 'hanging', 'grip', 'walk', 'hotwater', 'doctorwin'];
+const HUNGER_LEVEL_COLUMNS = ['hunger1', 'hunger2', 'hunger3', 'hunger4'];
+
+const CSV_RECORD_TYPES = {
+    fasts: {
+        label: 'fasts',
+        columns: [
+            { key: 'id', header: 'id', aliases: ['fastid'] },
+            { key: 'startTime', header: 'start', aliases: ['starttime', 'started'], time: true },
+            { key: 'endTime', header: 'end', aliases: ['endtime', 'ended'], time: true },
+            { key: 'duration', header: 'duration_hours', aliases: ['duration', 'hours'] },
+            { key: 'goalHours', header: 'goal_hours', aliases: ['goal'] },
+            { key: 'feeling', header: 'feeling', aliases: [] },
+            ...FAST_POWERUP_COLUMNS.map(type => ({ key: `powerups.${type}`, header: type, aliases: [] })),
+            ...HUNGER_LEVEL_COLUMNS.map(level => ({ key: `hungerLogs.${level}`, header: level, aliases: [] }))
+        ],
+        // A header row must contain these to be recognised as this record type
+        required: ['startTime', 'endTime', 'powerups.water'],
+        records: () => state.fastingHistory
+    },
+    sleeps: {
+        label: 'sleeps',
+        columns: [
+            { key: 'id', header: 'id', aliases: ['sleepid'] },
+            { key: 'startTime', header: 'start', aliases: ['starttime', 'bedtime'], time: true },
+            { key: 'endTime', header: 'end', aliases: ['endtime', 'waketime', 'wake'], time: true },
+            { key: 'duration', header: 'duration_hours', aliases: ['duration', 'hours'] },
+            { key: 'goalHours', header: 'goal_hours', aliases: ['goal'] },
+            { key: 'feeling', header: 'feeling', aliases: [] },
+            { key: 'latencyMinutes', header: 'latency_minutes', aliases: ['latency', 'sleeplatency'] },
+            { key: 'awakenings', header: 'awakenings', aliases: ['wakeups'] },
+            { key: 'rating', header: 'rating', aliases: ['quality'] },
+            { key: 'napMinutes', header: 'nap_minutes', aliases: ['naps'] },
+            { key: 'wakeAlarm.outcome', header: 'alarm_outcome', aliases: ['alarm'] }
+        ],
+        required: ['startTime', 'endTime'],
+        records: () => state.sleepHistory || []
+    },
+    eating: {
+        label: 'eating powerups',
+        columns: [
+            { key: 'time', header: 'time', aliases: ['timestamp', 'date'], time: true },
+            { key: 'type', header: 'powerup', aliases: ['type'] }
+        ],
+        required: ['time', 'type'],
+        records: () => state.eatingPowerups || []
+    },
+    hunger: {
+        label: 'hunger logs',
+        columns: [
+            { key: 'fastId', header: 'fast_id', aliases: [] },
+            { key: 'time', header: 'time', aliases: ['timestamp'], time: true },
+            { key: 'level', header: 'level', aliases: ['hunger', 'hungerlevel'] },
+            { key: 'fastingHours', header: 'fasting_hours', aliases: ['hoursintofast'] },
+            { key: 'sleepHours', header: 'sleep_hours', aliases: ['priorsleep'] }
+        ],
+        required: ['time', 'level'],
+        records: () => state.fastingHistory.flatMap(fast =>
+            (fast.hungerDetails || []).map(log => ({ ...log, fastId: fast.id }))
+        )
+    }
+};
+
+/**
+ * Escape one CSV cell. Text cells that a spreadsheet would run as a formula get a leading quote.
+ * @param {*} value - Cell value
+ * @returns {string} CSV-safe cell
+ */
+function toCsvCell(value) {
+    if (value === null || value === undefined) return '';
+    let text = String(value);
+    if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Parse CSV text into rows of cells (RFC 4180 quoting, CRLF or LF line endings)
+ * @param {string} text - Raw CSV file contents
+ * @param {string} delimiter - Cell separator (some apps export with ';')
+ * @returns {string[][]} Rows, with blank lines dropped
+ */
+function parseCsv(text, delimiter = ',') {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === delimiter) {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+    row.push(cell);
+    rows.push(row);
+
+    return rows.filter(r => r.some(c => c.trim() !== ''));
+}
+
+function getPath(obj, path) {
+    return path.split('.').reduce((value, key) => (value ? value[key] : undefined), obj);
+}
+
+function setPath(obj, path, value) {
+    const keys = path.split('.');
+    const last = keys.pop();
+    const target = keys.reduce((o, key) => (o[key] = o[key] || {}), obj);
+    target[last] = value;
+}
+
+function buildCsv(typeKey) {
+    const { columns, records } = CSV_RECORD_TYPES[typeKey];
+    const lines = [columns.map(col => col.header).join(',')];
+    for (const record of records()) {
+        lines.push(columns.map(col => {
+            const value = getPath(record, col.key);
+            if (col.time) return toCsvCell(value ? new Date(value).toISOString() : '');
+            if (typeof value === 'number' && !Number.isInteger(value)) return toCsvCell(Math.round(value * 100) / 100);
+            return toCsvCell(value);
+        }).join(','));
+    }
+    return lines.join('\r\n');
+}
+
+function downloadTextFile(content, filename, mimeType) {
+    const blob = new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+}
+
+function exportCsv() {
+    const timestamp = new Date().toISOString().split('T')[0];
+    Object.keys(CSV_RECORD_TYPES).forEach(typeKey => {
+        downloadTextFile(buildCsv(typeKey), `fasting-tracker-${typeKey}-${timestamp}.csv`, 'text/csv');
+    });
+
+    showAchievementToast(
+        '<span class="px-icon px-check"></span>',
+        'CSV Exported!',
+        'Downloaded one spreadsheet each for fasts, sleeps, eating powerups and hunger logs.',
+        'success'
+    );
+}
+
+// Work out which record type a header row belongs to and where each known column sits
+function matchCsvHeader(headerRow) {
+    const normalize = name => name.toLowerCase().replace(/[^a-z0-9]/g, '');
+    const headers = headerRow.map(normalize);
+
+    // Most specific types first - a fasts file also has every sleep column
+    for (const typeKey of ['fasts', 'hunger', 'eating', 'sleeps']) {
+        const type = CSV_RECORD_TYPES[typeKey];
+        const columnIndex = {};
+        type.columns.forEach(col => {
+            const names = [col.header, ...col.aliases].map(normalize);
+            const index = headers.findIndex(h => names.includes(h));
+            if (index !== -1) columnIndex[col.key] = index;
+        });
+        if (type.required.every(key => columnIndex[key] !== undefined)) {
+            return { typeKey, columnIndex };
+        }
+    }
+    return null;
+}
+
+// Accepts ISO dates, anything Date.parse understands, or epoch milliseconds
+function parseCsvTime(value) {
+    const text = String(value || '').trim();
+    if (!text) return NaN;
+    if (/^\d{10,13}$/.test(text)) return Number(text);
+    return Date.parse(text);
+}
+
+// Turn one CSV file into plain records of its type
+function readCsvRecords(text) {
+    const rows = parseCsv(text.replace(/^\uFEFF/, ''));
+    if (rows.length === 0) throw new Error('Empty CSV file');
+
+    const match = matchCsvHeader(rows[0]);
+    if (!match) throw new Error('Unrecognised CSV columns');
+
+    const { columns } = CSV_RECORD_TYPES[match.typeKey];
+    const records = rows.slice(1).map(row => {
+        const record = {};
+        columns.forEach(col => {
+            const index = match.columnIndex[col.key];
+            if (index === undefined) return;
+            const raw = (row[index] || '').trim();
+            if (raw === '') return;
+            if (col.time) {
+                setPath(record, col.key, parseCsvTime(raw));
+            } else if (/^-?\d+(\.\d+)?$/.test(raw)) {
+                setPath(record, col.key, Number(raw));
+            } else {
+                setPath(record, col.key, raw);
+            }
+        });
+        return record;
+    });
+
+    return { typeKey: match.typeKey, records };
+}
+
+// Fill in what a spreadsheet may have left out, matching the shape stopFast()/stopSleep() write
+function completeCsvSessionRecord(record, withCounts) {
+    const completed = { ...record };
+    if (!completed.id) completed.id = generateId();
+    if (Number.isFinite(completed.startTime) && Number.isFinite(completed.endTime)) {
+        completed.duration = (completed.endTime - completed.startTime) / 1000 / 60 / 60;
+    }
+    if (withCounts) {
+        completed.powerups = { ...Object.fromEntries(FAST_POWERUP_COLUMNS.map(type => [type, 0])), ...completed.powerups };
+        completed.hungerLogs = { ...Object.fromEntries(HUNGER_LEVEL_COLUMNS.map(level => [level, 0])), ...completed.hungerLogs };
+    }
+    return completed;
+}
+
+function handleCsvImport(event) {
+    const files = Array.from(event.target.files || []);
+    event.target.value = ''; // Reset file input
+    if (files.length === 0) return;
+
+    Promise.all(files.map(file => file.text().then(text => ({ name: file.name, ...readCsvRecords(text) }))))
+        .then(parsedFiles => {
+            const byType = { fasts: [], sleeps: [], eating: [], hunger: [] };
+            parsedFiles.forEach(file => byType[file.typeKey].push(...file.records));
+
+            // Attach hunger rows to the fast they belong to - from this import or already in history
+            const fasts = byType.fasts.map(record => completeCsvSessionRecord(record, true));
+            let orphanedHungerLogs = 0;
+            byType.hunger.forEach(({ fastId, ...log }) => {
+                const findFast = list => list.find(f => (fastId && f.id === String(fastId)) ||
+                    (!fastId && log.time >= f.startTime && log.time <= f.endTime));
+                let fast = findFast(fasts);
+                if (!fast) {
+                    const existing = findFast(state.fastingHistory);
+                    if (!existing) {
+                        orphanedHungerLogs++;
+                        return;
+                    }
+                    fast = { ...existing, hungerDetails: [] };
+                    fasts.push(fast);
+                }
+                if (!Array.isArray(fast.hungerDetails)) fast.hungerDetails = [];
+                fast.hungerDetails.push(log);
+            });
+
+            // SECURITY: same validation as JSON imports
+            const importedData = sanitizeImportedData({
+                fastingHistory: fasts,
+                sleepHistory: byType.sleeps.map(record => completeCsvSessionRecord(record, false)),
+                eatingPowerups: byType.eating
+            });
+
+            const result = mergeCsvData(importedData);
+            saveState();
+            updateUI();
+            updateSleepUI();
+            renderHistory();
+            renderSleepHistory();
+            renderEatingHistory();
+            renderStats();
+            renderSleepStats();
+            updateEatingPowerupDisplay();
+            updateMealQuality();
+
+            const summary = [
+                `${result.fasts} fasts`,
+                `${result.sleeps} sleeps`,
+                `${result.eating} eating powerups`,
+                `${result.hunger} hunger logs`
+            ].join(', ');
+            const skipped = result.skipped + orphanedHungerLogs;
+            showAchievementToast(
+                '<span class="px-icon px-check"></span>',
+                'CSV Imported!',
+                `Added ${summary}.${skipped > 0 ? ` Skipped ${skipped} duplicate or unmatched row${skipped === 1 ? '' : 's'}.` : ''}`,
+                'success'
+            );
+        })
+        .catch(error => {
+            showAchievementToast(
+                '<span class="px-icon px-danger"></span>',
+                'Import Failed',
+                'Could not read the CSV. Use files exported from this app, or matching column headers.',
+                'danger'
+            );
+            console.error('CSV import error:', error);
+        });
+}
+
+// Merge validated CSV records into state, skipping anything already there (by id, or same start time)
+function mergeCsvData(importedData) {
+    const result = { fasts: 0, sleeps: 0, eating: 0, hunger: 0, skipped: 0 };
+    const isSameSession = (a, b) => a.id === b.id || a.startTime === b.startTime;
+
+    // Fasts - new ones are added, hunger details for known ones are merged into them
+    const newFasts = [];
+    importedData.fastingHistory.forEach(fast => {
+        const existing = state.fastingHistory.find(f => isSameSession(f, fast));
+        if (!existing) {
+            newFasts.push(fast);
+            result.fasts++;
+            result.hunger += (fast.hungerDetails || []).length;
+            return;
+        }
+        const knownLogs = new Set((existing.hungerDetails || []).map(log => `${log.level}-${log.time}`));
+        const addedLogs = (fast.hungerDetails || []).filter(log => !knownLogs.has(`${log.level}-${log.time}`));
+        result.skipped += (fast.hungerDetails || []).length - addedLogs.length;
+        if (addedLogs.length === 0) {
+            if (!(fast.hungerDetails || []).length) result.skipped++;
+            return;
+        }
+        existing.hungerDetails = [...(existing.hungerDetails || []), ...addedLogs].sort((a, b) => a.time - b.time);
+        existing.hungerLogs = Object.fromEntries(HUNGER_LEVEL_COLUMNS.map(level =>
+            [level, existing.hungerDetails.filter(log => log.level === level).length]
+        ));
+        existing.updatedAt = Date.now();
+        result.hunger += addedLogs.length;
+    });
+    markReimportedRecords(newFasts);
+    state.fastingHistory = [...state.fastingHistory, ...newFasts];
+    state.fastingHistory.sort((a, b) => b.endTime - a.endTime);
+
+    // Sleeps
+    if (!state.sleepHistory) state.sleepHistory = [];
+    const newSleeps = importedData.sleepHistory.filter(sleep => !state.sleepHistory.some(s => isSameSession(s, sleep)));
+    result.sleeps = newSleeps.length;
+    result.skipped += importedData.sleepHistory.length - newSleeps.length;
+    markReimportedRecords(newSleeps);
+    state.sleepHistory = [...state.sleepHistory, ...newSleeps];
+    state.sleepHistory.sort((a, b) => b.endTime - a.endTime);
+
+    // Eating powerups only count towards the current eating window (since the last fast ended),
+    // and the same type at the same moment is a duplicate
+    if (!state.eatingPowerups) state.eatingPowerups = [];
+    const windowStart = state.fastingHistory.length > 0 ? state.fastingHistory[0].endTime : 0;
+    const knownEating = new Set(state.eatingPowerups.map(p => `${p.type}-${p.time}`));
+    (importedData.eatingPowerups || []).forEach(entry => {
+        if (state.currentFast.isActive || entry.time < windowStart || knownEating.has(`${entry.type}-${entry.time}`)) {
+            result.skipped++;
+            return;
+        }
+        knownEating.add(`${entry.type}-${entry.time}`);
+        state.eatingPowerups.push(entry);
+        result.eating++;
+    });
+    state.eatingPowerups.sort((a, b) => a.time - b.time);
+
+    return result;
+}
+
+// ==========================================
+// IMPORT ADAPTERS (other apps)
+// ==========================================
+// Each adapter recognises one app's export and converts it into fastingHistory / sleepHistory
+// records. Add support for another app with registerImportAdapter().
+
+const importAdapters = [];
+let pendingAdapterImport = null;
+
+/**
+ * Register an adapter for the "Import from Another App" button
+ * @param {Object} adapter - { id, name, format: 'csv'|'json'|'xml', detect(data), convert(data) }
+ *   detect() gets the parsed file (CSV rows as header-keyed objects, the JSON value, or an XML Document) and returns true if it can read it.
+ *   convert() returns { fastingHistory: [], sleepHistory: [] } with startTime/endTime in ms.
+ */
+function registerImportAdapter(adapter) {
+    importAdapters.push(adapter);
+}
+
+/**
+ * Parse a date/time from another app's export
+ * @param {*} value - Epoch seconds or ms, ISO string, Apple Health date, or "dd. MM. yyyy HH:mm" (Sleep as Android)
+ * @returns {number} Epoch ms, or NaN if unreadable
+ */
+function parseForeignTime(value) {
+    if (typeof value === 'number') return value < 1e12 ? value * 1000 : value;
+    const text = String(value || '').trim();
+    if (!text) return NaN;
+    if (/^\d{9,13}$/.test(text)) return parseForeignTime(Number(text));
+
+    const dotted = text.match(/^(\d{1,2})\.\s*(\d{1,2})\.\s*(\d{4})\s+(\d{1,2}):(\d{2})$/);
+    if (dotted) {
+        const [, day, month, year, hours, minutes] = dotted.map(Number);
+        return new Date(year, month - 1, day, hours, minutes).getTime();
+    }
+    // Apple Health: "2026-01-31 22:15:00 +0100"
+    const apple = text.match(/^(\d{4}-\d{2}-\d{2}) (\d{2}:\d{2}:\d{2}) ([+-]\d{2})(\d{2})$/);
+    if (apple) {
+        return Date.parse(`${apple[1]}T${apple[2]}${apple[3]}:${apple[4]}`);
+    }
+    // "2026-01-31 22:15:00" isn't ISO in every browser - make it so
+    return Date.parse(/^\d{4}-\d{2}-\d{2} \d/.test(text) ? text.replace(' ', 'T') : text);
+}
+
+// Parse CSV into objects keyed by normalised header ("Fast Length (hours)" -> "fastlengthhours")
+function parseForeignCsv(text) {
+    const firstLine = text.split(/\r?\n/, 1)[0];
+    const delimiter = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ',';
+    const rows = parseCsv(text.replace(/^\uFEFF/, ''), delimiter);
+    if (rows.length < 2) return [];
+
+    const normalize = name => name.toLowerCase().replace(/[^a-z0-9]/g, '');
+    const headers = rows[0].map(normalize);
+    return rows.slice(1)
+        // Sleep as Android repeats the header line before every record
+        .filter(row => normalize(row[0] || '') !== headers[0])
+        .map(row => Object.fromEntries(headers.map((header, i) => [header, (row[i] || '').trim()])));
+}
+
+// First value present under any of the given keys
+function pickField(record, keys) {
+    for (const key of keys) {
+        if (record[key] !== undefined && record[key] !== null && record[key] !== '') return record[key];
+    }
+    return undefined;
+}
+
+// Stable ids so importing the same export twice is caught as a duplicate
+function buildAdapterRecord(adapterId, startTime, endTime, goalHours) {
+    return {
+        id: `${adapterId}-${startTime}`,
+        startTime,
+        endTime,
+        duration: (endTime - startTime) / 1000 / 60 / 60,
+        goalHours
+    };
+}
+
+registerImportAdapter({
+    id: 'zero',
+    name: 'Zero (CSV)',
+    format: 'csv',
+    detect: rows => rows.length > 0 && ['start', 'end'].every(key => key in rows[0]) &&
+        Object.keys(rows[0]).some(key => key.startsWith('goal') || key.startsWith('fastlength')),
+    convert: rows => ({
+        fastingHistory: rows.map(row => {
+            const startTime = parseForeignTime(row.start);
+            const endTime = parseForeignTime(row.end);
+            const goal = parseFloat(pickField(row, ['goalhours', 'goallengthhours', 'goal']));
+            return buildAdapterRecord('zero', startTime, endTime, Number.isFinite(goal) ? goal : 16);
+        }),
+        sleepHistory: []
+    })
+});
+
+registerImportAdapter({
+    id: 'fastic',
+    name: 'Fastic (JSON)',
+    format: 'json',
+    detect: data => Array.isArray(data?.fastings) || Array.isArray(data?.fasts),
+    convert: data => ({
+        fastingHistory: (data.fastings || data.fasts).map(fast => {
+            const startTime = parseForeignTime(pickField(fast, ['start', 'startTime', 'startedAt', 'start_date']));
+            const endTime = parseForeignTime(pickField(fast, ['end', 'endTime', 'endedAt', 'end_date']));
+            // Fastic stores the goal either in hours or as a target duration in seconds
+            const goal = Number(pickField(fast, ['goalHours', 'goal', 'targetHours']));
+            const targetSeconds = Number(pickField(fast, ['targetDuration', 'target_duration']));
+            const goalHours = Number.isFinite(goal) ? goal : Number.isFinite(targetSeconds) ? targetSeconds / 3600 : 16;
+            return buildAdapterRecord('fastic', startTime, endTime, goalHours);
+        }),
+        sleepHistory: []
+    })
+});
+
+registerImportAdapter({
+    id: 'sleepcsv',
+    name: 'Sleep tracker (CSV - Sleep Cycle, Sleep as Android)',
+    format: 'csv',
+    detect: rows => rows.length > 0 &&
+        (['from', 'to'].every(key => key in rows[0]) ||
+         (['start', 'end'].every(key => key in rows[0]) && Object.keys(rows[0]).some(key => key.startsWith('sleep')))),
+    convert: rows => ({
+        fastingHistory: [],
+        sleepHistory: rows.map(row => {
+            const startTime = parseForeignTime(pickField(row, ['from', 'start']));
+            const endTime = parseForeignTime(pickField(row, ['to', 'end']));
+            return buildAdapterRecord('sleepcsv', startTime, endTime, 8);
+        })
+    })
+});
+
+registerImportAdapter({
+    id: 'sleepjson',
+    name: 'Sleep tracker (JSON - Fitbit and similar)',
+    format: 'json',
+    detect: data => {
+        const list = Array.isArray(data) ? data : data?.sleep;
+        return Array.isArray(list) && list.length > 0 && list.every(entry =>
+            entry && pickField(entry, ['startTime', 'start']) !== undefined && pickField(entry, ['endTime', 'end']) !== undefined);
+    },
+    convert: data => ({
+        fastingHistory: [],
+        sleepHistory: (Array.isArray(data) ? data : data.sleep).map(entry => {
+            const startTime = parseForeignTime(pickField(entry, ['startTime', 'start']));
+            const endTime = parseForeignTime(pickField(entry, ['endTime', 'end']));
+            return buildAdapterRecord('sleepjson', startTime, endTime, 8);
+        })
+    })
+});
+
+// Apple Health export.xml - sleep analysis records (plus fasting intervals from our own export).
+// Apple splits a night into stage records (Core, Deep, REM...), so back-to-back asleep records become one session.
+registerImportAdapter({
+    id: 'healthxml',
+    name: 'Apple Health (XML)',
+    format: 'xml',
+    detect: doc => doc.documentElement?.nodeName === 'HealthData',
+    convert: doc => {
+        const readRecord = el => {
+            const meta = {};
+            el.querySelectorAll('MetadataEntry').forEach(m => {
+                meta[m.getAttribute('key')] = m.getAttribute('value');
+            });
+            return {
+                startTime: parseForeignTime(el.getAttribute('startDate')),
+                endTime: parseForeignTime(el.getAttribute('endDate')),
+                meta
+            };
+        };
+        const toRecord = ({ startTime, endTime, meta }, defaultGoal) => {
+            const record = buildAdapterRecord('healthxml', startTime, endTime, Number(meta.SleepSuivourGoalHours) || defaultGoal);
+            if (meta.SleepSuivourId) record.id = meta.SleepSuivourId;
+            if (meta.SleepSuivourFeeling) record.feeling = meta.SleepSuivourFeeling;
+            return record;
+        };
+
+        const asleep = Array.from(doc.querySelectorAll('Record[type="HKCategoryTypeIdentifierSleepAnalysis"]'))
+            .filter(el => /Asleep/.test(el.getAttribute('value') || ''))
+            .map(readRecord)
+            .sort((a, b) => a.startTime - b.startTime);
+        const sessions = [];
+        for (const segment of asleep) {
+            const last = sessions[sessions.length - 1];
+            if (last && !segment.meta.SleepSuivourId && segment.startTime - last.endTime <= 30 * 60 * 1000) {
+                last.endTime = Math.max(last.endTime, segment.endTime);
+            } else {
+                sessions.push({ ...segment });
+            }
+        }
+
+        return {
+            fastingHistory: Array.from(doc.querySelectorAll(`Record[type="${APPLE_FAST_RECORD_TYPE}"]`))
+                .map(el => toRecord(readRecord(el), 16)),
+            sleepHistory: sessions.map(session => toRecord(session, 8))
+        };
+    }
+});
+
+// Google Fit sessions (REST API shape): activity type 72 is sleep, fasts are our own "Fast" sessions
+registerImportAdapter({
+    id: 'googlefit',
+    name: 'Google Fit (JSON sessions)',
+    format: 'json',
+    detect: data => Array.isArray(data?.session),
+    convert: data => {
+        const toRecord = (session, defaultGoal) => {
+            const goal = String(session.description || '').match(/Goal (\d+(?:\.\d+)?)h/);
+            const feeling = String(session.description || '').match(/felt (\w+)/);
+            const record = buildAdapterRecord('googlefit', Number(session.startTimeMillis), Number(session.endTimeMillis),
+                goal ? Number(goal[1]) : defaultGoal);
+            const ownId = String(session.id || '').match(/^sleep-suivour-(?:sleep|fast)-(.+)$/);
+            if (ownId) record.id = ownId[1];
+            if (feeling) record.feeling = feeling[1];
+            return record;
+        };
+        return {
+            fastingHistory: data.session
+                .filter(s => s.activityType !== GOOGLE_FIT_SLEEP_ACTIVITY && s.name === 'Fast')
+                .map(s => toRecord(s, 16)),
+            sleepHistory: data.session
+                .filter(s => s.activityType === GOOGLE_FIT_SLEEP_ACTIVITY)
+                .map(s => toRecord(s, 8))
+        };
+    }
+});
+
+// Split converted records into new ones and ones already in history (same id, same start, or overlapping)
+function classifyAdapterRecords(records, history) {
+    const fresh = [];
+    const duplicates = [];
+    for (const record of records) {
+        const isDuplicate = history.some(r => r.id === record.id || r.startTime === record.startTime) ||
+            findOverlappingRecord(history, record.startTime, record.endTime) ||
+            findOverlappingRecord(fresh, record.startTime, record.endTime);
+        (isDuplicate ? duplicates : fresh).push(record);
+    }
+    return { fresh, duplicates };
+}
+
+/**
+ * Parse another app's export and convert it with the first adapter that recognises it
+ * @param {string} text - File contents (CSV, JSON or XML)
+ * @returns {{adapter: Object, converted: {fastingHistory: Array, sleepHistory: Array}}}
+ * @throws {Error} When no adapter recognises the file
+ */
+function readAdapterFile(text) {
+    const format = /^\s*[[{]/.test(text) ? 'json' : /^\s*</.test(text) ? 'xml' : 'csv';
+    const parsed = format === 'json' ? JSON.parse(text)
+        : format === 'xml' ? new DOMParser().parseFromString(text, 'application/xml')
+        : parseForeignCsv(text);
+    const adapter = importAdapters.find(a => a.format === format && a.detect(parsed));
+    if (!adapter) {
+        throw new Error('No import adapter recognised this file');
+    }
+    return { adapter, converted: adapter.convert(parsed) };
+}
+
+function handleAdapterImport(event) {
+    const file = event.target.files[0];
+    event.target.value = ''; // Reset file input
+    if (!file) return;
+
+    file.text().then(text => {
+        const { adapter, converted } = readAdapterFile(text);
+        const convertedCount = converted.fastingHistory.length + converted.sleepHistory.length;
+
+        // SECURITY: same validation as our own imports - drops unreadable dates and impossible durations
+        const sanitized = sanitizeImportedData({
+            fastingHistory: converted.fastingHistory,
+            sleepHistory: converted.sleepHistory
+        });
+
+        const fasts = classifyAdapterRecords(sanitized.fastingHistory, state.fastingHistory);
+        const sleeps = classifyAdapterRecords(sanitized.sleepHistory, state.sleepHistory || []);
+        pendingAdapterImport = {
+            adapter,
+            fasts,
+            sleeps,
+            invalid: convertedCount - sanitized.fastingHistory.length - sanitized.sleepHistory.length
+        };
+        openImportPreviewModal();
+    }).catch(error => {
+        showAchievementToast(
+            '<span class="px-icon px-danger"></span>',
+            'Import Failed',
+            `Couldn't read this file. Supported: ${importAdapters.map(a => a.name).join(', ')}.`,
+            'danger'
+        );
+        console.error('Adapter import error:', error);
+    });
+}
+
+function openImportPreviewModal() {
+    const { adapter, fasts, sleeps, invalid } = pendingAdapterImport;
+    const formatRange = records => {
+        if (records.length === 0) return '';
+        const times = records.map(r => r.startTime);
+        return ` (${new Date(Math.min(...times)).toLocaleDateString()} - ${new Date(Math.max(...times)).toLocaleDateString()})`;
+    };
+    const row = (label, value, color) => `
+        <div class="flex justify-between">
+            <span>${label}</span>
+            <span class="font-bold" style="color: ${color};">${value}</span>
+        </div>
+    `;
+
+    document.getElementById('import-preview-source').textContent = adapter.name;
+    document.getElementById('import-preview-summary').innerHTML = [
+        row(`New fasts${escapeHtml(formatRange(fasts.fresh))}`, fasts.fresh.length, 'var(--matrix-400)'),
+        row(`New sleeps${escapeHtml(formatRange(sleeps.fresh))}`, sleeps.fresh.length, 'var(--matrix-400)'),
+        row('Duplicates already in your history', fasts.duplicates.length + sleeps.duplicates.length, 'var(--amber-400)'),
+        row('Unreadable rows skipped', invalid, invalid > 0 ? '#ef4444' : 'var(--dark-text-muted)')
+    ].join('');
+
+    const total = fasts.fresh.length + sleeps.fresh.length;
+    const confirmBtn = document.getElementById('import-preview-confirm');
+    confirmBtn.disabled = total === 0;
+    confirmBtn.textContent = total === 0 ? 'Nothing New' : `Import ${total} Record${total === 1 ? '' : 's'}`;
+
+    document.getElementById('import-preview-modal').classList.remove('hidden');
+}
+
+function closeImportPreviewModal() {
+    pendingAdapterImport = null;
+    closeModalWithAnimation('import-preview-modal');
+}
+
+function confirmAdapterImport() {
+    if (!pendingAdapterImport) return;
+    const { adapter, fasts, sleeps } = pendingAdapterImport;
+
+    // Same shape stopFast() writes, so stats and the edit dialog work on imported fasts
+    const newFasts = fasts.fresh.map(record => ({
+        ...record,
+        powerups: { water: 0, coffee: 0, tea: 0, exercise: 0, hanging: 0, grip: 0, walk: 0, hotwater: 0, doctorwin: 0 },
+        hungerLogs: { hunger1: 0, hunger2: 0, hunger3: 0, hunger4: 0 },
+        hungerDetails: []
+    }));
+    markReimportedRecords(newFasts);
+    markReimportedRecords(sleeps.fresh);
+
+    state.fastingHistory = [...state.fastingHistory, ...newFasts].sort((a, b) => b.endTime - a.endTime);
+    state.sleepHistory = [...(state.sleepHistory || []), ...sleeps.fresh].sort((a, b) => b.endTime - a.endTime);
+
+    saveState();
+    renderHistory();
+    renderSleepHistory();
+    renderEatingHistory();
+    renderStats();
+    renderSleepStats();
+    checkAllItemUnlocks();
+    closeImportPreviewModal();
+
+    showAchievementToast(
+        '<span class="px-icon px-check"></span>',
+        'Import Complete!',
+        `Added ${newFasts.length} fasts and ${sleeps.fresh.length} sleeps from ${adapter.name}.`,
+        'success'
+    );
+}
+
+// ==========================================
+// SYNC ACTIVITY LOG
+// ==========================================
+// Local record of what was pushed to / pulled from the cloud, fed by FirebaseSync listener events
+
+const SYNC_LOG_KEY = 'sync-log';
+const SYNC_LOG_MAX_ENTRIES = 50;
+
+const syncLogIcons = {
+    push: '<span class="px-icon px-arrow" style="transform: rotate(-90deg);"></span>',
+    pull: '<span class="px-icon px-arrow" style="transform: rotate(90deg);"></span>',
+    error: '<span class="px-icon px-danger"></span>',
+    queue: '<span class="px-icon px-clock"></span>',
+    retry: '<span class="px-icon px-clock"></span>',
+    auth: '<span class="px-icon px-crystal"></span>'
+};
+
+function getSyncLog() {
+    try {
+        const log = JSON.parse(localStorage.getItem(SYNC_LOG_KEY));
+        return Array.isArray(log) ? log : [];
+    } catch (e) {
+        return [];
+    }
+}
+
+function addSyncLogEntry(type, message) {
+    const log = getSyncLog();
+    log.unshift({ time: Date.now(), type, message });
+    try {
+        localStorage.setItem(SYNC_LOG_KEY, JSON.stringify(log.slice(0, SYNC_LOG_MAX_ENTRIES)));
+    } catch (e) {
+        // Log is best-effort - never let it break syncing
+    }
+    renderSyncLog();
+}
+
+// Summarise what a remote update added, compared to the counts before the merge
+function logRemotePull(before) {
+    const newFasts = state.fastingHistory.length - before.fasts;
+    const newSleeps = (state.sleepHistory || []).length - before.sleeps;
+    const added = [];
+    if (newFasts > 0) added.push(`${newFasts} fast${newFasts === 1 ? '' : 's'}`);
+    if (newSleeps > 0) added.push(`${newSleeps} sleep${newSleeps === 1 ? '' : 's'}`);
+    addSyncLogEntry('pull', added.length > 0 ? `Pulled from cloud: ${added.join(', ')}` : 'Pulled from cloud (already up to date)');
+}
+
+function renderSyncLog() {
+    const list = document.getElementById('sync-log-list');
+    if (!list) return;
+
+    const log = getSyncLog();
+    if (log.length === 0) {
+        list.innerHTML = '<li>No sync activity yet.</li>';
+    } else {
+        list.innerHTML = log.map(entry => {
+            const when = new Date(entry.time);
+            const color = entry.type === 'error' ? '#ef4444' : entry.type === 'push' || entry.type === 'pull' ? 'var(--matrix-400)' : 'var(--dark-text-muted)';
+            return `
+                <li class="flex items-start gap-2">
+                    ${syncLogIcons[entry.type] || ''}
+                    <span class="flex-1" style="color: ${color};">${escapeHtml(entry.message)}</span>
+                    <span class="whitespace-nowrap">${when.toLocaleDateString()} ${when.toLocaleTimeString()}</span>
+                </li>
+            `;
+        }).join('');
+    }
+
+    const pending = window.firebaseSync ? firebaseSync.getPendingCount() : 0;
+    const outboxStatus = document.getElementById('sync-outbox-status');
+    if (outboxStatus) {
+        outboxStatus.textContent = `${pending} pending`;
+        outboxStatus.classList.toggle('hidden', pending === 0);
+    }
+}
+
+function clearSyncLog() {
+    localStorage.removeItem(SYNC_LOG_KEY);
+    renderSyncLog();
+}
+
+// ==========================================
+// CLOUD SNAPSHOTS
+// ==========================================
+// Daily copies of the state kept under users/$uid/snapshots - compare one with the
+// current data or roll back to it
+
+async function renderSnapshotList() {
+    const list = document.getElementById('snapshot-list');
+    if (!list) return;
+
+    if (!window.firebaseSync || !firebaseSync.isAuthenticated()) {
+        list.innerHTML = '<p class="text-xs" style="color: var(--dark-text-muted);">Sign in to Cloud Sync to see your snapshots.</p>';
+        return;
+    }
+
+    list.innerHTML = '<p class="text-xs" style="color: var(--dark-text-muted);">Loading snapshots...</p>';
+    try {
+        const snapshots = await firebaseSync.listSnapshots();
+        if (snapshots.length === 0) {
+            list.innerHTML = '<p class="text-xs" style="color: var(--dark-text-muted);">No snapshots yet - the first one is saved with your next sync.</p>';
+            return;
+        }
+
+        list.innerHTML = snapshots.map(snapshot => `
+            <div class="flex items-center justify-between gap-2 p-2 rounded-lg" style="background: var(--dark-border);">
+                <div class="text-xs">
+                    <div class="font-bold" style="color: var(--dark-text);">${escapeHtml(snapshot.id)}</div>
+                    <div style="color: var(--dark-text-muted);">${sanitizeNumber(snapshot.fasts, 0, 1e6, 0)} fasts, ${sanitizeNumber(snapshot.sleeps, 0, 1e6, 0)} sleeps, ${sanitizeNumber(snapshot.totalXP, 0, 1e9, 0)} XP</div>
+                </div>
+                <div class="flex gap-2">
+                    <button class="text-xs px-2 py-1 rounded" style="background: var(--dark-card); color: var(--matrix-400);" data-snapshot-compare="${escapeHtml(snapshot.id)}">Compare</button>
+                    <button class="text-xs px-2 py-1 rounded" style="background: var(--dark-card); color: var(--amber-400);" data-snapshot-restore="${escapeHtml(snapshot.id)}">Restore</button>
+                </div>
+            </div>
+        `).join('');
+    } catch (error) {
+        console.error('Failed to list snapshots:', error);
+        list.innerHTML = '<p class="text-xs" style="color: #ef4444;">Could not load snapshots. Check your connection and try again.</p>';
+    }
+}
+
+// Download a snapshot and bring it to the current schema. Resolves null when it can't be used.
+async function loadSnapshotState(snapshotId) {
+    const rawState = await firebaseSync.getSnapshotState(snapshotId);
+    if (!rawState) return null;
+    // RTDB drops empty arrays, so restore the required shape before validating
+    if (!rawState.currentFast) rawState.currentFast = { startTime: null, goalHours: 16, isActive: false, powerups: [] };
+    if (!Array.isArray(rawState.fastingHistory)) rawState.fastingHistory = [];
+    return migrateState(sanitizeImportedData(rawState));
+}
 
-    state.fastingHistory = [...state.fastingHistory, ...newFasts];
-    state.fastingHistory.sort((a, b) => b.endTime - a.endTime);
+// Differences between a snapshot and the current state
+function diffSnapshotState(snapshotState) {
+    const diffRecords = (current, snapshot) => {
+        const currentIds = new Set(current.map(r => r.id));
+        const snapshotIds = new Set(snapshot.map(r => r.id));
+        return {
+            added: current.filter(r => !snapshotIds.has(r.id)),
+            removed: snapshot.filter(r => !currentIds.has(r.id)),
+            changed: current.filter(r => {
+                const old = snapshot.find(s => s.id === r.id);
+                return old && (old.startTime !== r.startTime || old.endTime !== r.endTime);
+            })
+        };
+    };
 
-    // Merge sleep history, avoiding duplicates by ID
-    if (!state.sleepHistory) state.sleepHistory = [];
-    if (importedData.sleepHistory) {
-        const existingSleepIds = new Set(state.sleepHistory.map(s => s.id));
-        const newSleeps = importedData.sleepHistory.filter(s => !existingSleepIds.has(s.id));
+    const skills = Object.keys(DEFAULT_SKILLS)
+        .map(skill => ({ skill, xp: (state.skills?.[skill] || 0) - (snapshotState.skills?.[skill] || 0) }))
+        .filter(entry => entry.xp !== 0);
+    const settings = Object.keys(DEFAULT_SETTINGS)
+        .filter(key => snapshotState.settings?.[key] !== undefined && snapshotState.settings[key] !== state.settings?.[key]);
 
-        state.sleepHistory = [...state.sleepHistory, ...newSleeps];
-        state.sleepHistory.sort((a, b) => b.endTime - a.endTime);
-    }
+    return {
+        fasts: diffRecords(state.fastingHistory, snapshotState.fastingHistory || []),
+        sleeps: diffRecords(state.sleepHistory || [], snapshotState.sleepHistory || []),
+        skills,
+        settings
+    };
+}
 
-    // Don't merge active fast - keep the current one if active
-    if (!state.currentFast.isActive && importedData.currentFast.isActive) {
-        const confirmed = await showConfirmModal('The imported data has an active fast. Do you want to replace your current timer with it?', 'Import Active Fast');
-        if (confirmed) {
-            state.currentFast = importedData.currentFast;
-            startTimer();
-        }
-    }
+async function compareSnapshot(snapshotId) {
+    const output = document.getElementById('snapshot-diff');
+    if (!output) return;
 
-    // Don't merge active sleep - keep the current one if active
-    if (!state.currentSleep) state.currentSleep = { startTime: null, goalHours: 8, isActive: false };
-    if (!state.currentSleep.isActive && importedData.currentSleep && importedData.currentSleep.isActive) {
-        const confirmed = await showConfirmModal('The imported data has an active sleep session. Do you want to replace your current sleep timer with it?', 'Import Active Sleep');
-        if (confirmed) {
-            state.currentSleep = importedData.currentSleep;
-            startSleepTimer();
+    output.classList.remove('hidden');
+    output.textContent = 'Loading snapshot...';
+    try {
+        const snapshotState = await loadSnapshotState(snapshotId);
+        if (!snapshotState) {
+            output.textContent = 'This snapshot is no longer available.';
+            return;
         }
+
+        const diff = diffSnapshotState(snapshotState);
+        const formatDates = records => records.slice(0, 5).map(r => new Date(r.startTime).toLocaleDateString()).join(', ') + (records.length > 5 ? ', ...' : '');
+        const lines = [];
+        [['fasts', 'Fast'], ['sleeps', 'Sleep']].forEach(([key, label]) => {
+            const { added, removed, changed } = diff[key];
+            if (added.length) lines.push(`${label}s added since: ${added.length} (${formatDates(added)})`);
+            if (removed.length) lines.push(`${label}s only in snapshot: ${removed.length} (${formatDates(removed)})`);
+            if (changed.length) lines.push(`${label}s edited since: ${changed.length}`);
+        });
+        diff.skills.forEach(({ skill, xp }) => lines.push(`${skill}: ${xp > 0 ? '+' : ''}${xp} XP since snapshot`));
+        if (diff.settings.length) lines.push(`Settings changed: ${diff.settings.join(', ')}`);
+
+        output.innerHTML = `
+            <div class="font-bold mb-1" style="color: var(--dark-text);">Current data vs ${escapeHtml(snapshotId)}</div>
+            ${lines.length ? lines.map(line => `<div>${escapeHtml(line)}</div>`).join('') : '<div>No differences.</div>'}
+        `;
+    } catch (error) {
+        console.error('Failed to compare snapshot:', error);
+        output.textContent = 'Could not load this snapshot. Check your connection and try again.';
     }
+}
 
-    // Merge skills XP - take the higher value for each skill
-    if (!state.skills) state.skills = { water: 0, coffee: 0, tea: 0, exercise: 0, hanging: 0, grip: 0, walk: 0, broth: 0, protein: 0, fiber: 0, homecooked: 0, sloweating: 0, chocolate: 0, mealwalk: 0, sleep: 0 };
-    if (importedData.skills) {
-        Object.keys(importedData.skills).forEach(skill => {
-            state.skills[skill] = Math.max(state.skills[skill] || 0, importedData.skills[skill] || 0);
+async function restoreSnapshot(snapshotId) {
+    const confirmed = await showConfirmModal(
+        `Roll back your history, skills and settings to the snapshot from ${snapshotId}? Anything logged after it will be removed on all devices. Active timers are kept.`,
+        'Restore Snapshot'
+    );
+    if (!confirmed) return;
+
+    try {
+        const restored = await loadSnapshotState(snapshotId);
+        if (!restored) throw new Error('Snapshot not found');
+
+        const now = Date.now();
+        const restoredRecords = [...restored.fastingHistory, ...(restored.sleepHistory || []), ...(restored.napHistory || []), ...(restored.meals || []), ...(restored.eatingHistory || []), ...(restored.measurements || [])];
+        const restoredIds = new Set(restoredRecords.map(r => r.id));
+
+        // Tombstone records logged after the snapshot so the merge drops them on other devices too,
+        // and stamp restored records as newer than any tombstone they had since
+        const deletedRecords = { ...restored.deletedRecords, ...state.deletedRecords };
+        [...state.fastingHistory, ...(state.sleepHistory || []), ...(state.napHistory || []), ...(state.meals || []), ...(state.eatingHistory || []), ...(state.measurements || [])].forEach(record => {
+            if (!restoredIds.has(record.id)) deletedRecords[record.id] = now;
+        });
+        restoredRecords.forEach(record => {
+            if (deletedRecords[record.id]) {
+                record.updatedAt = now;
+                delete deletedRecords[record.id];
+            }
+        });
+        restored.deletedRecords = deletedRecords;
+
+        // Restored settings must win the per-key merge against the newer cloud copy
+        restored.settingsUpdatedAt = {};
+        Object.keys(restored.settings || {}).forEach(key => {
+            restored.settingsUpdatedAt[key] = now;
         });
+        // Same for the plan and chronotype, which merge newest-wins on updatedAt
+        if (restored.fastingPlan) restored.fastingPlan.updatedAt = now;
+        if (restored.chronotype) restored.chronotype.updatedAt = now;
+
+        // Live timers belong to now, not to the snapshot
+        restored.currentFast = state.currentFast;
+        restored.currentSleep = state.currentSleep;
+        restored.currentNap = state.currentNap;
+
+        replaceData(restored);
+        saveState();
+        updateUI();
+        updateSleepUI();
+        renderHistory();
+        renderSleepHistory();
+        renderEatingHistory();
+        renderMeasurements();
+        renderStats();
+        renderSleepStats();
+        updateSkills();
+        initSettings();
+        updateMonsterBattleUI();
+
+        document.getElementById('snapshot-diff')?.classList.add('hidden');
+        showAchievementToast(
+            '<span class="px-icon px-check"></span>',
+            'Snapshot Restored!',
+            `Your data has been rolled back to ${snapshotId}.`,
+            'success'
+        );
+    } catch (error) {
+        console.error('Failed to restore snapshot:', error);
+        showAchievementToast(
+            '<span class="px-icon px-danger"></span>',
+            'Restore Failed',
+            'Could not load this snapshot. Check your connection and try again.',
+            'danger'
+        );
     }
 }
 
@@ -6792,7 +12037,11 @@ async function initializeFirebaseSync() {
         // Set up sync listener to handle remote updates and auth changes
         firebaseSync.addSyncListener((event, data) => {
             if (event === 'remote-update') {
+                const before = { fasts: state.fastingHistory.length, sleeps: (state.sleepHistory || []).length };
                 handleRemoteDataUpdate(data.remoteState, data.remoteTimestamp);
+                if (data.remoteTimestamp) {
+                    logRemotePull(before);
+                }
             } else if (event === 'auth-change') {
                 // When user signs in, reset flag to wait for cloud data
                 if (data.user) {
@@ -6810,6 +12059,19 @@ async function initializeFirebaseSync() {
                 }
                 // Update forum auth UI
                 updateForumAuthUI();
+                addSyncLogEntry('auth', data.user ? 'Signed in - waiting for cloud data' : 'Signed out');
+            } else if (event === 'sync-pushed') {
+                addSyncLogEntry('push', `Pushed to cloud (${data.fasts} fasts, ${data.sleeps} sleeps)`);
+            } else if (event === 'sync-failed') {
+                addSyncLogEntry('error', `Push failed: ${data.reason}. ${data.pending} change${data.pending === 1 ? '' : 's'} waiting`);
+            } else if (event === 'sync-retry-scheduled') {
+                addSyncLogEntry('queue', `Retry #${data.attempt} at ${new Date(data.retryAt).toLocaleTimeString()}`);
+            } else if (event === 'sync-retry') {
+                addSyncLogEntry('retry', `Retrying ${data.pending} pending change${data.pending === 1 ? '' : 's'} (${data.trigger})`);
+            } else if (event === 'outbox-flushed') {
+                addSyncLogEntry('push', `Outbox cleared - ${data.count} pending change${data.count === 1 ? '' : 's'} reached the cloud`);
+            } else if (event === 'snapshot-saved') {
+                addSyncLogEntry('push', `Saved daily snapshot ${data.snapshotId}`);
             }
         });
 
@@ -6830,208 +12092,175 @@ function handleRemoteDataUpdate(remoteState, remoteTimestamp) {
     const wasInitialSync = !initialSyncComplete;
     initialSyncComplete = true;
 
-    // Merge remote data with local data intelligently
-    const localTimestampRaw = localStorage.getItem('last-local-update');
-    const localTimestamp = localTimestampRaw ? parseInt(localTimestampRaw, 10) : 0;
-    const remoteTs = remoteTimestamp || 0;
-
-    // ALWAYS merge on initial sync (fresh device), OR if remote is newer
-    if (wasInitialSync || remoteTs > localTimestamp) {
-        // Set flag to prevent sync loops during merge
-        isMergingRemoteData = true;
-
-        // Merge settings - REMOTE settings are the source of truth when signed in
-        // This ensures settings sync properly across all devices
-        if (remoteState.settings) {
-            // COMPLETELY REPLACE local settings with remote settings
-            // This ensures all toggles match exactly what's in the cloud
-            state.settings = {
-                showFastingGoals: remoteState.settings.showFastingGoals !== undefined ? remoteState.settings.showFastingGoals : true,
-                showSleepGoals: remoteState.settings.showSleepGoals !== undefined ? remoteState.settings.showSleepGoals : true,
-                showFastingFuture: remoteState.settings.showFastingFuture !== undefined ? remoteState.settings.showFastingFuture : true,
-                showBreakingFastGuide: remoteState.settings.showBreakingFastGuide !== undefined ? remoteState.settings.showBreakingFastGuide : true,
-                showExerciseGuide: remoteState.settings.showExerciseGuide !== undefined ? remoteState.settings.showExerciseGuide : true,
-                showEatingGuide: remoteState.settings.showEatingGuide !== undefined ? remoteState.settings.showEatingGuide : true,
-                showSleepGuide: remoteState.settings.showSleepGuide !== undefined ? remoteState.settings.showSleepGuide : true,
-                showMealSleepQuality: remoteState.settings.showMealSleepQuality !== undefined ? remoteState.settings.showMealSleepQuality : true,
-                showHungerTracker: remoteState.settings.showHungerTracker !== undefined ? remoteState.settings.showHungerTracker : true,
-                showTrends: remoteState.settings.showTrends !== undefined ? remoteState.settings.showTrends : true
-            };
+    // No cloud data yet (new account) - nothing to merge, just upload what this device has
+    if (!remoteTimestamp) {
+        if (wasInitialSync && firebaseSync.isAuthenticated()) {
+            firebaseSync.syncToCloud(state);
         }
+        return;
+    }
 
-        // Sync hasSeenTutorial - if user already saw tutorial on another device, don't show again
-        if (remoteState.hasSeenTutorial !== undefined) {
-            state.hasSeenTutorial = remoteState.hasSeenTutorial;
-        }
+    // Cloud blobs may have been written by an older build - upgrade before merging
+    try {
+        remoteState = migrateState(remoteState);
+    } catch (e) {
+        console.error('Ignoring unreadable remote state:', e);
+        return;
+    }
 
-        // Sync currentTab preference
-        if (remoteState.currentTab !== undefined) {
-            state.currentTab = remoteState.currentTab;
+    // Merges are field-level and idempotent (see FirebaseSync.mergeStates), so remote
+    // data is always applied - an older remote write can only add what we're missing.
+    // Set flag to prevent sync loops during merge
+    isMergingRemoteData = true;
+
+    const previousFast = { ...state.currentFast };
+    const previousSleep = { ...(state.currentSleep || {}) };
+    const merged = firebaseSync.mergeStates(state, remoteState);
+
+    // History (union by id, tombstones win), skills (max), settings (newest per key),
+    // in-progress sessions and logs (union)
+    state.deletedRecords = merged.deletedRecords;
+    state.fastingHistory = merged.fastingHistory;
+    state.sleepHistory = merged.sleepHistory;
+    state.napHistory = merged.napHistory;
+    state.meals = merged.meals;
+    state.eatingHistory = merged.eatingHistory;
+    state.measurements = merged.measurements;
+    state.skills = merged.skills;
+    state.settings = merged.settings;
+    state.settingsUpdatedAt = merged.settingsUpdatedAt;
+    state.eatingPowerups = merged.eatingPowerups;
+    state.sleepPowerups = merged.sleepPowerups;
+    state.currentFast = merged.currentFast;
+    state.currentSleep = merged.currentSleep;
+    state.currentNap = merged.currentNap || { startTime: null, goalMinutes: 20, isActive: false };
+    state.fastingPlan = merged.fastingPlan || createDefaultFastingPlan();
+    state.chronotype = merged.chronotype || createDefaultChronotype();
+
+    // Sync hasSeenTutorial - if user already saw tutorial on another device, don't show again
+    if (remoteState.hasSeenTutorial) {
+        state.hasSeenTutorial = true;
+    }
+
+    // Sync currentTab preference
+    if (remoteState.currentTab !== undefined) {
+        state.currentTab = remoteState.currentTab;
+    }
+
+    // Restart or stop timers if the merged sessions differ from what was running here
+    if (state.currentFast.isActive) {
+        if (!previousFast.isActive || previousFast.startTime !== state.currentFast.startTime) {
+            if (timerInterval) clearInterval(timerInterval);
+            startTimer();
         }
+    } else if (previousFast.isActive) {
+        // Fast was stopped on another device
+        stopTimer();
+        resetTimerUI();
+    }
+    updatePowerupDisplay();
+    updateHungerDisplay();
+    updateBiomarkerDisplay();
+    updateEatingPowerupDisplay();
+    renderMealLog();
+    updateConstitution();
+    updateFastInterruptionUI();
+    applyTodaysPlannedGoal();
+    updateTodayPlanUI();
+    renderChronotypeSettings();
+    updateMealSleepStatus();
 
-        // Merge fasting history, avoiding duplicates
-        if (remoteState.fastingHistory && remoteState.fastingHistory.length > 0) {
-            if (!state.fastingHistory) state.fastingHistory = [];
-            const existingFastIds = new Set(state.fastingHistory.map(f => f.id));
-            const newFasts = remoteState.fastingHistory.filter(f => !existingFastIds.has(f.id));
-            state.fastingHistory = [...state.fastingHistory, ...newFasts];
-            state.fastingHistory.sort((a, b) => b.endTime - a.endTime);
+    if (state.currentSleep.isActive) {
+        if (!previousSleep.isActive || previousSleep.startTime !== state.currentSleep.startTime) {
+            if (sleepTimerInterval) clearInterval(sleepTimerInterval);
+            startSleepTimer();
         }
+    } else if (previousSleep.isActive) {
+        // Sleep was ended on another device
+        stopSleepTimer();
+        resetSleepTimerUI();
+    }
+    updateNapUI();
 
-        // Merge sleep history, avoiding duplicates
-        if (remoteState.sleepHistory && remoteState.sleepHistory.length > 0) {
-            if (!state.sleepHistory) state.sleepHistory = [];
-            const existingSleepIds = new Set(state.sleepHistory.map(s => s.id));
-            const newSleeps = remoteState.sleepHistory.filter(s => !existingSleepIds.has(s.id));
-            state.sleepHistory = [...state.sleepHistory, ...newSleeps];
-            state.sleepHistory.sort((a, b) => b.endTime - a.endTime);
+    // Merge Living Life state - ALWAYS trust the most recent activation
+    if (remoteState.livingLife) {
+        // Initialize local livingLife if it doesn't exist
+        if (!state.livingLife) {
+            state.livingLife = { isActive: false, activatedAt: null, expiresAt: null, history: [] };
         }
-
-        // Also merge skills/XP data
-        if (remoteState.skills) {
-            if (!state.skills) state.skills = {};
-            for (const [skill, xp] of Object.entries(remoteState.skills)) {
-                // Keep the higher XP value
-                state.skills[skill] = Math.max(state.skills[skill] || 0, xp || 0);
-            }
+        if (!state.livingLife.history) {
+            state.livingLife.history = [];
         }
 
-        // Handle active fast - ALWAYS trust remote if local has no active fast
-        // If both have active fasts, keep the one that started MOST RECENTLY (higher startTime = more recent)
-        if (remoteState.currentFast && remoteState.currentFast.isActive) {
-            if (!state.currentFast || !state.currentFast.isActive) {
-                // Remote has active fast, local doesn't - use remote
-                state.currentFast = { ...remoteState.currentFast };
-                if (timerInterval) clearInterval(timerInterval);
-                startTimer();
-            } else {
-                // Both have active fasts - use the most recent one (higher startTime)
-                const remoteStart = remoteState.currentFast.startTime || 0;
-                const localStart = state.currentFast.startTime || 0;
-                if (remoteStart > localStart) {
-                    state.currentFast = { ...remoteState.currentFast };
-                    if (timerInterval) clearInterval(timerInterval);
-                    startTimer();
-                }
-            }
-        } else if (!remoteState.currentFast?.isActive && state.currentFast?.isActive) {
-            // Remote says no active fast but local has one - this could mean fast was stopped on another device
-            // Check if remote has this fast in history (meaning it was completed)
-            const localFastStart = state.currentFast.startTime;
-            const fastInRemoteHistory = remoteState.fastingHistory?.some(f => f.startTime === localFastStart);
-            if (fastInRemoteHistory) {
-                if (timerInterval) clearInterval(timerInterval);
-                state.currentFast = { startTime: null, goalHours: state.currentFast.goalHours, isActive: false, powerups: [] };
-                // Reset the timer UI to reflect the stopped state
-                resetTimerUI();
-                updatePowerupDisplay();
-                updateConstitution();
-            }
+        // Merge Living Life history (combine both, remove duplicates by activatedAt)
+        if (remoteState.livingLife.history && remoteState.livingLife.history.length > 0) {
+            const existingTimes = new Set(state.livingLife.history.map(h => h.activatedAt));
+            const newEntries = remoteState.livingLife.history.filter(h => !existingTimes.has(h.activatedAt));
+            state.livingLife.history = [...state.livingLife.history, ...newEntries];
+            // Sort by most recent first
+            state.livingLife.history.sort((a, b) => b.activatedAt - a.activatedAt);
         }
 
-        // Handle active sleep similarly
-
-        if (remoteState.currentSleep && remoteState.currentSleep.isActive) {
-            if (!state.currentSleep || !state.currentSleep.isActive) {
-                // Remote has active sleep, local doesn't - use remote
-                state.currentSleep = { ...remoteState.currentSleep };
-                if (sleepTimerInterval) clearInterval(sleepTimerInterval);
-                startSleepTimer();
-            } else {
-                // Both have active sleeps - use the most recent one
-                const remoteStart = remoteState.currentSleep.startTime || 0;
-                const localStart = state.currentSleep.startTime || 0;
-                if (remoteStart > localStart) {
-                    state.currentSleep = { ...remoteState.currentSleep };
-                    if (sleepTimerInterval) clearInterval(sleepTimerInterval);
-                    startSleepTimer();
-                }
-            }
-        } else if (!remoteState.currentSleep?.isActive && state.currentSleep?.isActive) {
-            // Remote says no active sleep but local has one
-            const localSleepStart = state.currentSleep.startTime;
-            const sleepInRemoteHistory = remoteState.sleepHistory?.some(s => s.startTime === localSleepStart);
-            if (sleepInRemoteHistory) {
-                if (sleepTimerInterval) clearInterval(sleepTimerInterval);
-                state.currentSleep = { startTime: null, goalHours: state.currentSleep.goalHours, isActive: false };
-                // Reset the sleep timer UI to reflect the stopped state
-                resetSleepTimerUI();
-            }
-        }
+        // Determine active state - use whichever was activated more recently
+        const remoteActive = remoteState.livingLife.isActive;
+        const localActive = state.livingLife.isActive;
+        const remoteActivatedAt = remoteState.livingLife.activatedAt || 0;
+        const localActivatedAt = state.livingLife.activatedAt || 0;
 
-        // Merge Living Life state - ALWAYS trust the most recent activation
-        if (remoteState.livingLife) {
-            // Initialize local livingLife if it doesn't exist
-            if (!state.livingLife) {
-                state.livingLife = { isActive: false, activatedAt: null, expiresAt: null, history: [] };
-            }
-            if (!state.livingLife.history) {
-                state.livingLife.history = [];
+        if (remoteActive && localActive) {
+            // Both active - use the one activated more recently
+            if (remoteActivatedAt > localActivatedAt) {
+                state.livingLife.isActive = true;
+                state.livingLife.activatedAt = remoteState.livingLife.activatedAt;
+                state.livingLife.expiresAt = remoteState.livingLife.expiresAt;
             }
-
-            // Merge Living Life history (combine both, remove duplicates by activatedAt)
-            if (remoteState.livingLife.history && remoteState.livingLife.history.length > 0) {
-                const existingTimes = new Set(state.livingLife.history.map(h => h.activatedAt));
-                const newEntries = remoteState.livingLife.history.filter(h => !existingTimes.has(h.activatedAt));
-                state.livingLife.history = [...state.livingLife.history, ...newEntries];
-                // Sort by most recent first
-                state.livingLife.history.sort((a, b) => b.activatedAt - a.activatedAt);
+        } else if (remoteActive && !localActive) {
+            // Only remote is active - check if it's still valid (not expired)
+            if (remoteState.livingLife.expiresAt && Date.now() < remoteState.livingLife.expiresAt) {
+                state.livingLife.isActive = true;
+                state.livingLife.activatedAt = remoteState.livingLife.activatedAt;
+                state.livingLife.expiresAt = remoteState.livingLife.expiresAt;
             }
-
-            // Determine active state - use whichever was activated more recently
-            const remoteActive = remoteState.livingLife.isActive;
-            const localActive = state.livingLife.isActive;
-            const remoteActivatedAt = remoteState.livingLife.activatedAt || 0;
-            const localActivatedAt = state.livingLife.activatedAt || 0;
-
-            if (remoteActive && localActive) {
-                // Both active - use the one activated more recently
-                if (remoteActivatedAt > localActivatedAt) {
-                    state.livingLife.isActive = true;
-                    state.livingLife.activatedAt = remoteState.livingLife.activatedAt;
-                    state.livingLife.expiresAt = remoteState.livingLife.expiresAt;
-                }
-            } else if (remoteActive && !localActive) {
-                // Only remote is active - check if it's still valid (not expired)
-                if (remoteState.livingLife.expiresAt && Date.now() < remoteState.livingLife.expiresAt) {
-                    state.livingLife.isActive = true;
-                    state.livingLife.activatedAt = remoteState.livingLife.activatedAt;
-                    state.livingLife.expiresAt = remoteState.livingLife.expiresAt;
-                }
-            } else if (!remoteActive && localActive) {
-                // Local is active, remote is not - remote might have ended it early
-                // Check if remote has the same activation in history but marked as ended
-                if (remoteActivatedAt === localActivatedAt && !remoteActive) {
-                    state.livingLife.isActive = false;
-                    state.livingLife.activatedAt = null;
-                    state.livingLife.expiresAt = null;
-                }
+        } else if (!remoteActive && localActive) {
+            // Local is active, remote is not - remote might have ended it early
+            // Check if remote has the same activation in history but marked as ended
+            if (remoteActivatedAt === localActivatedAt && !remoteActive) {
+                state.livingLife.isActive = false;
+                state.livingLife.activatedAt = null;
+                state.livingLife.expiresAt = null;
             }
-            // If neither is active, nothing to do
         }
+        // If neither is active, nothing to do
+    }
 
-        // Update Living Life UI after merge
-        updateLivingLifeUI();
-        updatePowerupStates();
+    // Update Living Life UI after merge
+    updateLivingLifeUI();
+    updatePowerupStates();
 
-        // Save merged state locally
-        localStorage.setItem(STATE_KEY, JSON.stringify(state));
-        localStorage.setItem('last-local-update', Date.now().toString());
+    // Save merged state locally
+    persistStateLocally();
+    localStorage.setItem('last-local-update', Date.now().toString());
 
-        // Update UI
-        updateUI();
-        updateSleepUI();
-        renderHistory();
-        renderSleepHistory();
-        renderStats();
-        renderSleepStats();
+    // Update UI
+    updateUI();
+    updateSleepUI();
+    renderHistory();
+    renderSleepHistory();
+    renderEatingHistory();
+    renderMeasurements();
+    renderStats();
+    renderSleepStats();
 
-        // Re-apply settings to update checkboxes and visibility
-        initSettings();
-        applySettings();
+    // Re-apply settings to update checkboxes and visibility
+    initSettings();
+    applySettings();
 
-        // Clear merge flag
-        isMergingRemoteData = false;
+    // Clear merge flag
+    isMergingRemoteData = false;
+
+    // First sync on this device - push anything that only existed locally
+    if (wasInitialSync && firebaseSync.isAuthenticated()) {
+        firebaseSync.syncToCloud(state);
     }
 }
 
@@ -7077,31 +12306,29 @@ async function handleSignOut() {
             // Clear local data on sign out
             localStorage.removeItem(STATE_KEY);
             localStorage.removeItem('last-local-update');
+            await window.stateStorage?.clear().catch(e => console.warn('Could not clear IndexedDB:', e));
             localStorage.removeItem('settings-modified-locally');
 
             // Reset state to defaults - PRESERVE hasSeenTutorial (local preference, not cloud data)
             const preserveHasSeenTutorial = state.hasSeenTutorial;
             Object.assign(state, {
+                schemaVersion: STATE_SCHEMA_VERSION,
                 currentFast: { startTime: null, goalHours: 16, isActive: false, powerups: [] },
                 currentSleep: { startTime: null, goalHours: 8, isActive: false },
+                currentNap: { startTime: null, goalMinutes: 20, isActive: false },
                 fastingHistory: [],
                 sleepHistory: [],
+                napHistory: [],
+                meals: [],
+                eatingHistory: [],
+                measurements: [],
                 lastMealTime: null,
                 lastMealQuality: null,
                 lastSleepQuality: null,
-                skills: { fasting: 0, sleeping: 0, eating: 0 },
-                settings: {
-                    showFastingGoals: true,
-                    showSleepGoals: true,
-                    showFastingFuture: true,
-                    showBreakingFastGuide: true,
-                    showExerciseGuide: true,
-                    showEatingGuide: true,
-                    showSleepGuide: true,
-                    showMealSleepQuality: true,
-                    showHungerTracker: true,
-                    showTrends: true
-                },
+                skills: { ...DEFAULT_SKILLS },
+                settings: { ...DEFAULT_SETTINGS },
+                settingsUpdatedAt: {},
+                deletedRecords: {},
                 customPowerup: { name: null, createdMonth: null },
                 hasSeenTutorial: preserveHasSeenTutorial, // Don't reset - user already saw tutorial
                 currentTab: null
@@ -7115,6 +12342,8 @@ async function handleSignOut() {
             updateSleepUI();
             renderHistory();
             renderSleepHistory();
+            renderEatingHistory();
+            renderMeasurements();
             renderStats();
             renderSleepStats();
             initSettings();
@@ -7229,14 +12458,8 @@ function updateConstitution() {
 function updateBloatMeter() {
     let bloatScore = 0;
 
-    // Eating factors (increase bloat)
-    const eatingPowerups = state.eatingPowerups || [];
-    const badEating = eatingPowerups.filter(p => ['eatenout', 'toofast', 'junkfood', 'bloated'].includes(p.type));
-    bloatScore += badEating.length * 15;
-
-    // Good eating reduces bloat
-    const goodEating = eatingPowerups.filter(p => ['broth', 'fiber', 'sloweating', 'mealwalk'].includes(p.type));
-    bloatScore -= goodEating.length * 10;
+    // Eating factors - debuffs increase bloat, good eating reduces it
+    bloatScore += getEatingBloatPoints(state.eatingPowerups || []);
 
     // Sleep factors
     const history = state.sleepHistory || [];
@@ -7254,7 +12477,7 @@ function updateBloatMeter() {
 
     // Fasting factors
     if (state.currentFast.isActive) {
-        const fastingHours = (Date.now() - state.currentFast.startTime) / 1000 / 60 / 60;
+        const fastingHours = getFastElapsedHours();
         // Fasting reduces bloat
         if (fastingHours >= 16) bloatScore -= 30;
         else if (fastingHours >= 12) bloatScore -= 20;
@@ -7299,7 +12522,7 @@ function updateBrainMeter() {
 
     // Fasting improves mental clarity
     if (state.currentFast.isActive) {
-        const fastingHours = (Date.now() - state.currentFast.startTime) / 1000 / 60 / 60;
+        const fastingHours = getFastElapsedHours();
         if (fastingHours >= 18) brainScore += 25; // Peak autophagy and clarity
         else if (fastingHours >= 14) brainScore += 20;
         else if (fastingHours >= 10) brainScore += 15;
@@ -7356,7 +12579,7 @@ function updateBrawnMeter() {
         brawnScore += walk.length * 5;
 
         // Fasting in fat-burning mode helps body composition
-        const fastingHours = (Date.now() - state.currentFast.startTime) / 1000 / 60 / 60;
+        const fastingHours = getFastElapsedHours();
         if (fastingHours >= 16) brawnScore += 10;
         else if (fastingHours >= 12) brawnScore += 5;
     }
@@ -7391,20 +12614,25 @@ function calculateSleepScore() {
 
     // Get the most recent sleep
     const lastSleep = history[0];
-    const duration = lastSleep.duration || 0;
+    const duration = getSleepHoursAsleep(lastSleep); // Time spent falling asleep doesn't count
 
     // Check if sleep was within last 24 hours
     const hoursSinceWake = (Date.now() - lastSleep.endTime) / 1000 / 60 / 60;
     if (hoursSinceWake > 24) return 0; // Sleep data is stale
 
-    // Calculate score
-    if (duration >= 8) return 60; // Perfect sleep
-    if (duration >= 7) return 55; // Great sleep
-    if (duration >= 6) return 45; // Good sleep
-    if (duration >= 5) return 30; // Okay sleep
-    if (duration >= 4) return 20; // Poor sleep
-    if (duration >= 3) return 10; // Very poor
-    return 5; // Barely slept
+    // Calculate score from duration
+    let score;
+    if (duration >= 8) score = 60; // Perfect sleep
+    else if (duration >= 7) score = 55; // Great sleep
+    else if (duration >= 6) score = 45; // Good sleep
+    else if (duration >= 5) score = 30; // Okay sleep
+    else if (duration >= 4) score = 20; // Poor sleep
+    else if (duration >= 3) score = 10; // Very poor
+    else score = 5; // Barely slept
+
+    // Then adjust for latency, awakenings and rating, and credit a good nap
+    score = score * getSleepQualityFactor(lastSleep) + getNapBonus(lastSleep);
+    return Math.min(60, Math.round(score));
 }
 
 function calculateFastingScore() {
@@ -7415,7 +12643,7 @@ function calculateFastingScore() {
 
     // Check if currently fasting
     if (state.currentFast.isActive && state.currentFast.startTime) {
-        const fastingHours = (Date.now() - state.currentFast.startTime) / 1000 / 60 / 60;
+        const fastingHours = getFastElapsedHours();
 
         if (fastingHours >= 20) score = 20;
         else if (fastingHours >= 16) score = 17;
@@ -7425,7 +12653,8 @@ function calculateFastingScore() {
         else if (fastingHours >= 4) score = 3;
         else score = 1;
 
-        return score;
+        // Small intakes chip away at the score, but an active fast always earns something
+        return Math.max(1, score - getFastBreakScorePenalty(state.currentFast));
     }
 
     // Check most recent completed fast
@@ -7442,6 +12671,7 @@ function calculateFastingScore() {
         else if (duration >= 14) score = 12;
         else if (duration >= 12) score = 8;
         else score = 4;
+        score = Math.max(0, score - getFastBreakScorePenalty(lastFast));
 
         // Decay score based on time since fast
         const decayFactor = Math.max(0, 1 - (hoursSinceFast / 24));
@@ -7451,12 +12681,11 @@ function calculateFastingScore() {
     return Math.round(score);
 }
 
-function calculateEatingScore() {
+function calculateEatingScore(powerups = state.eatingPowerups || [], mealPattern = getMealPatternAdjustment()) {
     // Max 10 points for eating
     // Based on eating powerups quality AND variety
-
-    const powerups = state.eatingPowerups || [];
-    if (powerups.length === 0) return 0;
+    // Defaults to the open stack and today's meals; archived windows pass their own
+    if (powerups.length === 0 && mealPattern.count === 0) return 0;
 
     // Count each type (only count first occurrence for good items)
     const goodTypeCounts = {};
@@ -7498,6 +12727,9 @@ function calculateEatingScore() {
         score += eatingPowerupValues[type] * count;
     });
 
+    // Eating window and meal count from the meal log
+    score += mealPattern.points;
+
     // Cap between 0 and 10
     return Math.max(0, Math.min(10, Math.round(score)));
 }
@@ -7933,6 +13165,19 @@ const sourcesData = {
             { author: 'Dr. Benjamin Bikman', work: 'Why We Get Sick', url: 'https://benbikman.com/' }
         ]
     },
+    metabolicSwitch: {
+        title: 'The Metabolic Switch',
+        sources: [
+            { author: 'Anton et al.', work: 'Obesity: Flipping the Metabolic Switch', year: '2018', url: 'https://doi.org/10.1002/oby.22065' },
+            { author: 'George F. Cahill Jr.', work: 'Annual Review of Nutrition: Fuel metabolism in starvation', year: '2006', url: 'https://doi.org/10.1146/annurev.nutr.26.061505.111258' }
+        ]
+    },
+    growthHormone: {
+        title: 'Fasting & Growth Hormone',
+        sources: [
+            { author: 'Ho et al.', work: 'J Clin Invest: Fasting enhances growth hormone secretion', year: '1988', url: 'https://doi.org/10.1172/JCI113450' }
+        ]
+    },
     eatingGuide: {
         title: 'Mindful Eating & Digestion',
         sources: [
@@ -8998,6 +14243,7 @@ function calculateFastingStreak() {
 }
 
 // Calculate sleep streak (consecutive days with sleep >= 6 hours)
+// Naps live in napHistory, so they neither extend nor break the streak
 function calculateSleepStreak() {
     const history = state.sleepHistory || [];
     if (history.length === 0) return 0;
@@ -9185,6 +14431,19 @@ function initMonsterBattleListeners() {
             closeDragonModal();
         }
     });
+
+    // Body measurements
+    document.getElementById('measurement-save')?.addEventListener('click', logMeasurement);
+    document.querySelectorAll('[data-measurement-units]').forEach(btn => {
+        btn.addEventListener('click', () => setMeasurementUnits(btn.dataset.measurementUnits));
+    });
+    document.querySelectorAll('[data-measurement-chart]').forEach(btn => {
+        btn.addEventListener('click', () => setMeasurementChartMetric(btn.dataset.measurementChart));
+    });
+    document.getElementById('measurement-list')?.addEventListener('click', (e) => {
+        const btn = e.target.closest('[data-delete-measurement]');
+        if (btn) deleteMeasurement(btn.dataset.deleteMeasurement);
+    });
 }
 
 function closeVisceralModal() {
@@ -9207,19 +14466,27 @@ function closeDragonModal() {
 function calculateMonsterBattleStats() {
     const fastingHistory = state.fastingHistory || [];
     const sleepHistory = state.sleepHistory || [];
+    const napHistory = state.napHistory || [];
     const bonuses = getActiveDamageBonuses();
 
     // Visceral Fat Monster stats (from fasting)
-    // Base damage from hours
+    // Base damage from hours - durations already exclude paused time, and small intakes weaken a fast's damage
     const totalFastingHours = fastingHistory.reduce((sum, f) => sum + (f.duration || 0), 0);
-    let baseFastingDamage = totalFastingHours * DAMAGE_PER_FAST_HOUR;
+    let baseFastingDamage = fastingHistory.reduce((sum, f) => sum + (f.duration || 0) * getFastBreakDamageMultiplier(f), 0) * DAMAGE_PER_FAST_HOUR;
 
     // Add historical powerup bonuses from completed fasts
     let historicalPowerupDamage = 0;
+    // Completed fasts store powerups as counts ({water: 2, ...}); older records may hold an array
     for (const fast of fastingHistory) {
         const powerups = fast.powerups || [];
-        for (const powerup of powerups) {
-            historicalPowerupDamage += POWERUP_DAMAGE_BONUSES[powerup.type] || 0;
+        if (Array.isArray(powerups)) {
+            for (const powerup of powerups) {
+                historicalPowerupDamage += POWERUP_DAMAGE_BONUSES[powerup.type] || 0;
+            }
+        } else {
+            for (const [type, count] of Object.entries(powerups)) {
+                historicalPowerupDamage += (POWERUP_DAMAGE_BONUSES[type] || 0) * (Number(count) || 0);
+            }
         }
     }
 
@@ -9232,13 +14499,16 @@ function calculateMonsterBattleStats() {
     const visceralCurrentHP = VISCERAL_FAT_MAX_HP - visceralCurrentDamage;
 
     // Insulin Resistance Dragon stats (from sleep)
+    // Only hours actually asleep count, weighted by how restful each sleep was
     const totalSleepHours = sleepHistory.reduce((sum, s) => sum + (s.duration || 0), 0);
-    const baseSleepDamage = totalSleepHours * DAMAGE_PER_SLEEP_HOUR;
+    const baseSleepDamage = sleepHistory.reduce((sum, s) => sum + getSleepHoursAsleep(s) * getSleepQualityFactor(s), 0) * DAMAGE_PER_SLEEP_HOUR;
+    // Naps hit at a reduced rate, capped per nap
+    const baseNapDamage = napHistory.reduce((sum, n) => sum + getNapDamage(n), 0);
 
     // Apply multipliers to Dragon damage (includes eating quality and equipped item flat bonus)
     const dragonMultiplier = bonuses.dragon.totalMultiplier;
     const itemDragonDamage = bonuses.dragon.itemFlatDamage || 0;
-    const totalSleepDamage = Math.floor((baseSleepDamage + itemDragonDamage) * dragonMultiplier);
+    const totalSleepDamage = Math.floor((baseSleepDamage + baseNapDamage + itemDragonDamage) * dragonMultiplier);
     const dragonKills = Math.floor(totalSleepDamage / INSULIN_DRAGON_MAX_HP);
     const dragonCurrentDamage = totalSleepDamage % INSULIN_DRAGON_MAX_HP;
     const dragonCurrentHP = INSULIN_DRAGON_MAX_HP - dragonCurrentDamage;
@@ -9260,6 +14530,8 @@ function calculateMonsterBattleStats() {
             totalSleeps: sleepHistory.length,
             totalHours: totalSleepHours,
             baseDamage: Math.floor(baseSleepDamage),
+            totalNaps: napHistory.length,
+            napDamage: Math.floor(baseNapDamage),
             totalDamage: totalSleepDamage,
             multiplier: dragonMultiplier,
             kills: dragonKills,
@@ -9324,6 +14596,7 @@ function updateMonsterBattleUI() {
     }
     if (dragonSleepsCount) {
         dragonSleepsCount.textContent = stats.dragon.totalSleeps;
+        dragonSleepsCount.title = `Plus ${stats.dragon.totalNaps} nap${stats.dragon.totalNaps === 1 ? '' : 's'} (${stats.dragon.napDamage} base damage)`;
     }
     if (dragonHours) {
         dragonHours.textContent = stats.dragon.totalHours.toFixed(1);
@@ -9343,6 +14616,7 @@ function updateMonsterBattleUI() {
     const totalDragonKills = document.getElementById('total-dragon-kills');
     if (totalVisceralKills) totalVisceralKills.textContent = stats.visceral.kills;
     if (totalDragonKills) totalDragonKills.textContent = stats.dragon.kills;
+    updateMeasurementProgress();
 
     // Update DPS based on trends
     updateSlayerTrendsAndDPS();
@@ -9413,6 +14687,8 @@ function calculateSlayerDPS() {
     // If currently sleeping, add real-time DPS
     if (state.currentSleep?.isActive) {
         dragonBaseDPS = DAMAGE_PER_SLEEP_HOUR / 3600; // Per second
+    } else if (state.currentNap?.isActive && Date.now() - state.currentNap.startTime < NAP_DAMAGE_MAX_MINUTES * 60000) {
+        dragonBaseDPS = DAMAGE_PER_SLEEP_HOUR * NAP_DAMAGE_RATE / 3600;
     }
 
     // Apply all multipliers
@@ -9444,7 +14720,7 @@ function updateSlayerTrendsAndDPS() {
         visceralDPS.textContent = dpsValue + '/hr';
     }
     if (dragonDPS) {
-        const dpsValue = state.currentSleep?.isActive ? (dpsData.dragonDPS * 3600).toFixed(1) : '0';
+        const dpsValue = dpsData.dragonDPS > 0 ? (dpsData.dragonDPS * 3600).toFixed(1) : '0';
         dragonDPS.textContent = dpsValue + '/hr';
     }
     if (visceralBonusEl) {
@@ -9709,9 +14985,9 @@ function showFastCompletionDamage(duration, powerups) {
 }
 
 // Show damage dealt when completing sleep
-function showSleepCompletionDamage(duration) {
+function showSleepCompletionDamage(sleep) {
     const bonuses = getActiveDamageBonuses();
-    const baseDamage = Math.floor(duration * DAMAGE_PER_SLEEP_HOUR);
+    const baseDamage = Math.floor(getSleepHoursAsleep(sleep) * getSleepQualityFactor(sleep) * DAMAGE_PER_SLEEP_HOUR);
     const totalDamage = Math.floor(baseDamage * bonuses.dragon.totalMultiplier);
 
     setTimeout(() => {
@@ -9749,6 +15025,305 @@ function triggerMonsterHit(monster) {
     }, 300);
 }
 
+// ==========================================
+// BODY MEASUREMENTS - Weight, waist and body fat on the Slayer tab
+// ==========================================
+// The monsters only count hours; measurements show what the fasting is doing to the body.
+// Values are always stored metric (kg, cm, %) and converted for display when the
+// measurementUnits setting is 'imperial'.
+
+const MEASUREMENT_METRICS = {
+    weight: { label: 'Weight', metric: 'kg', imperial: 'lb', toImperial: 2.20462, min: 20, max: 400, color: '#f87171' },
+    waist: { label: 'Waist', metric: 'cm', imperial: 'in', toImperial: 1 / 2.54, min: 40, max: 250, color: '#fbbf24' },
+    bodyFat: { label: 'Body Fat', metric: '%', imperial: '%', toImperial: 1, min: 2, max: 70, color: '#60a5fa' }
+};
+const MEASUREMENT_AVERAGE_DAYS = { short: 7, long: 30 };
+const MEASUREMENT_BACKDATE_MAX_DAYS = 30;
+
+let measurementChartMetric = 'weight';
+
+function getMeasurementUnits() {
+    return state.settings?.measurementUnits === 'imperial' ? 'imperial' : 'metric';
+}
+
+function getMeasurementUnit(metric) {
+    return MEASUREMENT_METRICS[metric][getMeasurementUnits()];
+}
+
+// Stored (metric) value -> value in the user's units, rounded to one decimal
+function toDisplayMeasurement(metric, value) {
+    const factor = getMeasurementUnits() === 'imperial' ? MEASUREMENT_METRICS[metric].toImperial : 1;
+    return Math.round(value * factor * 10) / 10;
+}
+
+/**
+ * Readings of one metric, oldest first
+ * @param {string} metric - Key of MEASUREMENT_METRICS
+ * @returns {Array<{time: number, value: number}>} Stored (metric) values
+ */
+function getMeasurementSeries(metric) {
+    return (state.measurements || [])
+        .filter(entry => typeof entry[metric] === 'number')
+        .map(entry => ({ time: entry.time, value: entry[metric] }))
+        .sort((a, b) => a.time - b.time);
+}
+
+/**
+ * Trailing average of the readings in the days up to a point in time.
+ * Time-based rather than per-reading, so irregular logging doesn't skew it.
+ * @param {Array<{time: number, value: number}>} series - From getMeasurementSeries()
+ * @param {number} time - End of the window
+ * @param {number} days - Window length
+ * @returns {number|null} Average, or null when the window has no readings
+ */
+function getMeasurementMovingAverage(series, time, days) {
+    const from = time - days * 24 * 60 * 60 * 1000;
+    const inWindow = series.filter(point => point.time > from && point.time <= time);
+    if (inWindow.length === 0) return null;
+    return inWindow.reduce((sum, point) => sum + point.value, 0) / inWindow.length;
+}
+
+/**
+ * Where a metric stands: latest reading, moving averages and change since the first reading
+ * @param {string} metric - Key of MEASUREMENT_METRICS
+ * @returns {{count: number, latest: number, shortAverage: number, longAverage: number, change: number}|null} Stored units, or null with no readings
+ */
+function getMeasurementProgress(metric) {
+    const series = getMeasurementSeries(metric);
+    if (series.length === 0) return null;
+    const last = series[series.length - 1];
+    const shortAverage = getMeasurementMovingAverage(series, last.time, MEASUREMENT_AVERAGE_DAYS.short);
+    return {
+        count: series.length,
+        latest: last.value,
+        shortAverage,
+        longAverage: getMeasurementMovingAverage(series, last.time, MEASUREMENT_AVERAGE_DAYS.long),
+        // Compare the smoothed current value, so one heavy morning doesn't read as a setback
+        change: shortAverage - series[0].value
+    };
+}
+
+function formatMeasurementChange(metric, change) {
+    const value = toDisplayMeasurement(metric, Math.abs(change));
+    const sign = change < 0 ? '−' : change > 0 ? '+' : '±';
+    return `${sign}${value} ${getMeasurementUnit(metric)}`;
+}
+
+function resetMeasurementForm() {
+    const timeInput = document.getElementById('measurement-time-input');
+    if (timeInput) timeInput.value = toDateTimeLocalValue(Date.now());
+    Object.keys(MEASUREMENT_METRICS).forEach(metric => {
+        const input = document.getElementById(`measurement-${metric}-input`);
+        if (input) input.value = '';
+    });
+}
+
+function logMeasurement() {
+    const timeValue = document.getElementById('measurement-time-input')?.value;
+    const time = timeValue ? parseDateTimeLocalValue(timeValue) : Date.now();
+    if (!time || time > Date.now() + 60000) {
+        showAchievementToast('<span class="px-icon px-warning"></span>', 'Invalid Time', "Measurement time can't be in the future.", 'warning');
+        return;
+    }
+    if (time < Date.now() - MEASUREMENT_BACKDATE_MAX_DAYS * 24 * 60 * 60 * 1000) {
+        showAchievementToast('<span class="px-icon px-warning"></span>', 'Invalid Time', `Measurements can be backdated up to ${MEASUREMENT_BACKDATE_MAX_DAYS} days.`, 'warning');
+        return;
+    }
+
+    const entry = { id: generateId(), time };
+    for (const [metric, config] of Object.entries(MEASUREMENT_METRICS)) {
+        const raw = document.getElementById(`measurement-${metric}-input`)?.value;
+        if (raw === undefined || raw.trim() === '') continue;
+
+        const factor = getMeasurementUnits() === 'imperial' ? config.toImperial : 1;
+        const value = parseFloat(raw) / factor;
+        if (!Number.isFinite(value) || value < config.min || value > config.max) {
+            const unit = getMeasurementUnit(metric);
+            showAchievementToast('<span class="px-icon px-warning"></span>', 'Check That Value', `${config.label} must be between ${toDisplayMeasurement(metric, config.min)} and ${toDisplayMeasurement(metric, config.max)} ${unit}.`, 'warning');
+            return;
+        }
+        entry[metric] = Math.round(value * 100) / 100;
+    }
+
+    if (!Object.keys(MEASUREMENT_METRICS).some(metric => metric in entry)) {
+        showAchievementToast('<span class="px-icon px-warning"></span>', 'Nothing to Save', 'Enter your weight, waist or body fat first.', 'warning');
+        return;
+    }
+
+    if (!state.measurements) state.measurements = [];
+    state.measurements.push(entry);
+    state.measurements.sort((a, b) => b.time - a.time);
+
+    saveState();
+    resetMeasurementForm();
+    if (!(measurementChartMetric in entry)) {
+        measurementChartMetric = Object.keys(MEASUREMENT_METRICS).find(metric => metric in entry);
+    }
+    renderMeasurements();
+
+    const progress = getMeasurementProgress(measurementChartMetric);
+    const changeText = progress.count > 1 ? ` ${formatMeasurementChange(measurementChartMetric, progress.change)} since your first entry.` : '';
+    showAchievementToast('<span class="px-icon px-chart"></span>', 'Measurements Logged', `${MEASUREMENT_METRICS[measurementChartMetric].label}: ${toDisplayMeasurement(measurementChartMetric, entry[measurementChartMetric])} ${getMeasurementUnit(measurementChartMetric)}.${changeText}`, 'info');
+}
+
+async function deleteMeasurement(id) {
+    if (!id) return;
+    const confirmed = await showConfirmModal('Delete this measurement entry?', 'Delete Measurement');
+    if (!confirmed) return;
+
+    state.measurements = (state.measurements || []).filter(entry => entry.id !== id);
+    recordDeletion(id);
+    saveState();
+    renderMeasurements();
+}
+
+function setMeasurementUnits(units) {
+    if (units !== 'metric' && units !== 'imperial') return;
+    updateSetting('measurementUnits', units);
+    renderMeasurements();
+}
+
+function setMeasurementChartMetric(metric) {
+    if (!MEASUREMENT_METRICS[metric]) return;
+    measurementChartMetric = metric;
+    renderMeasurements();
+}
+
+// Progress line in the Total Monsters Slain card
+function updateMeasurementProgress() {
+    const progressEl = document.getElementById('measurement-progress');
+    if (!progressEl) return;
+
+    const parts = Object.keys(MEASUREMENT_METRICS)
+        .map(metric => ({ metric, progress: getMeasurementProgress(metric) }))
+        .filter(({ progress }) => progress && progress.count > 1)
+        .map(({ metric, progress }) => `${MEASUREMENT_METRICS[metric].label} ${formatMeasurementChange(metric, progress.change)}`);
+
+    progressEl.textContent = parts.length > 0
+        ? `Real-world progress: ${parts.join(' · ')}`
+        : 'Log your weight or waist below to track real-world progress.';
+}
+
+function renderMeasurements() {
+    updateMeasurementProgress();
+
+    const units = getMeasurementUnits();
+    document.querySelectorAll('[data-measurement-units]').forEach(btn => {
+        const selected = btn.dataset.measurementUnits === units;
+        btn.setAttribute('aria-pressed', String(selected));
+        btn.style.background = selected ? 'var(--dark-border)' : 'transparent';
+    });
+    Object.keys(MEASUREMENT_METRICS).forEach(metric => {
+        const unitEl = document.getElementById(`measurement-${metric}-unit`);
+        if (unitEl) unitEl.textContent = getMeasurementUnit(metric);
+    });
+    document.querySelectorAll('[data-measurement-chart]').forEach(btn => {
+        const selected = btn.dataset.measurementChart === measurementChartMetric;
+        btn.setAttribute('aria-pressed', String(selected));
+        btn.style.background = selected ? 'var(--dark-border)' : 'transparent';
+    });
+
+    const statsEl = document.getElementById('measurement-stats');
+    if (statsEl) {
+        const progress = getMeasurementProgress(measurementChartMetric);
+        const format = value => value === null ? '--' : `${toDisplayMeasurement(measurementChartMetric, value)}`;
+        const cells = progress
+            ? [
+                ['Latest', format(progress.latest)],
+                [`${MEASUREMENT_AVERAGE_DAYS.short}-day avg`, format(progress.shortAverage)],
+                [`${MEASUREMENT_AVERAGE_DAYS.long}-day avg`, format(progress.longAverage)],
+                ['Change', progress.count > 1 ? formatMeasurementChange(measurementChartMetric, progress.change) : '--']
+            ]
+            : [['Latest', '--'], [`${MEASUREMENT_AVERAGE_DAYS.short}-day avg`, '--'], [`${MEASUREMENT_AVERAGE_DAYS.long}-day avg`, '--'], ['Change', '--']];
+        statsEl.innerHTML = cells.map(([label, value]) => `
+            <div class="p-2 rounded" style="background: rgba(0, 0, 0, 0.4);">
+                <div class="text-xs" style="color: var(--dark-text-muted);">${label}</div>
+                <div class="font-bold text-sm" style="color: ${MEASUREMENT_METRICS[measurementChartMetric].color};">${value}</div>
+            </div>
+        `).join('');
+    }
+
+    renderMeasurementChart();
+    renderMeasurementList();
+}
+
+// Readings as dots, with the short moving average as a solid line and the long one dashed
+function renderMeasurementChart() {
+    const chartEl = document.getElementById('measurement-chart');
+    if (!chartEl) return;
+
+    const metric = measurementChartMetric;
+    const config = MEASUREMENT_METRICS[metric];
+    const series = getMeasurementSeries(metric).map(point => ({ time: point.time, value: toDisplayMeasurement(metric, point.value) }));
+
+    if (series.length < 2) {
+        chartEl.innerHTML = `<p class="text-xs italic text-center py-6" style="color: var(--dark-text-muted);">Log at least two ${config.label.toLowerCase()} entries to see a trend.</p>`;
+        return;
+    }
+
+    const width = 320;
+    const height = 160;
+    const pad = { left: 36, right: 8, top: 8, bottom: 20 };
+    const firstTime = series[0].time;
+    const lastTime = series[series.length - 1].time;
+    const values = series.map(point => point.value);
+    const minValue = Math.floor(Math.min(...values) - 1);
+    const maxValue = Math.ceil(Math.max(...values) + 1);
+    const x = time => pad.left + ((time - firstTime) / (lastTime - firstTime || 1)) * (width - pad.left - pad.right);
+    const y = value => height - pad.bottom - ((value - minValue) / (maxValue - minValue || 1)) * (height - pad.top - pad.bottom);
+
+    const averageLine = (days) => series
+        .map(point => `${x(point.time).toFixed(1)},${y(getMeasurementMovingAverage(series, point.time, days)).toFixed(1)}`)
+        .join(' ');
+    const unit = getMeasurementUnit(metric);
+    const points = series.map(point =>
+        `<circle cx="${x(point.time).toFixed(1)}" cy="${y(point.value).toFixed(1)}" r="2.5" fill="${config.color}" fill-opacity="0.45"><title>${point.value} ${unit} on ${new Date(point.time).toLocaleDateString()}</title></circle>`
+    ).join('');
+    const dateLabel = time => new Date(time).toLocaleDateString([], { month: 'short', day: 'numeric' });
+
+    chartEl.innerHTML = `
+        <svg viewBox="0 0 ${width} ${height}" class="w-full h-auto" role="img" aria-label="${config.label} over time with moving averages" style="color: var(--dark-text-muted);">
+            <line x1="${pad.left}" y1="${height - pad.bottom}" x2="${width - pad.right}" y2="${height - pad.bottom}" stroke="var(--dark-border)"/>
+            <line x1="${pad.left}" y1="${pad.top}" x2="${pad.left}" y2="${height - pad.bottom}" stroke="var(--dark-border)"/>
+            <text x="${pad.left - 4}" y="${pad.top + 4}" font-size="9" text-anchor="end" fill="currentColor">${maxValue}</text>
+            <text x="${pad.left - 4}" y="${height - pad.bottom}" font-size="9" text-anchor="end" fill="currentColor">${minValue}</text>
+            <text x="${pad.left}" y="${height - 6}" font-size="9" text-anchor="start" fill="currentColor">${dateLabel(firstTime)}</text>
+            <text x="${width - pad.right}" y="${height - 6}" font-size="9" text-anchor="end" fill="currentColor">${dateLabel(lastTime)}</text>
+            ${points}
+            <polyline points="${averageLine(MEASUREMENT_AVERAGE_DAYS.long)}" fill="none" stroke="${config.color}" stroke-opacity="0.6" stroke-width="1.5" stroke-dasharray="4 3"/>
+            <polyline points="${averageLine(MEASUREMENT_AVERAGE_DAYS.short)}" fill="none" stroke="${config.color}" stroke-width="2"/>
+        </svg>
+    `;
+}
+
+function renderMeasurementList() {
+    const listEl = document.getElementById('measurement-list');
+    if (!listEl) return;
+
+    // Sanitize ID to prevent XSS - only allow alphanumeric characters
+    const sanitizeId = (id) => String(id).replace(/[^a-zA-Z0-9]/g, '');
+    const entries = (state.measurements || []).slice(0, 10);
+
+    if (entries.length === 0) {
+        listEl.innerHTML = '<p class="text-xs italic" style="color: var(--dark-text-muted);">Your measurements will appear here.</p>';
+        return;
+    }
+
+    listEl.innerHTML = entries.map(entry => {
+        const date = new Date(entry.time).toLocaleDateString([], { month: 'short', day: 'numeric' });
+        const values = Object.keys(MEASUREMENT_METRICS)
+            .filter(metric => typeof entry[metric] === 'number')
+            .map(metric => `<span style="color: ${MEASUREMENT_METRICS[metric].color};">${toDisplayMeasurement(metric, entry[metric])} ${getMeasurementUnit(metric)}</span>`)
+            .join(' · ');
+        return `
+            <div class="flex justify-between items-center p-2 rounded-lg" style="background: var(--dark-border);">
+                <div class="text-sm"><span style="color: var(--dark-text-muted);">${date}</span> ${values}</div>
+                <button data-delete-measurement="${sanitizeId(entry.id)}" class="text-xs font-medium" style="color: var(--danger-400);" aria-label="Delete measurement from ${date}">Delete</button>
+            </div>
+        `;
+    }).join('');
+}
+
 // ============================================
 // LIVING LIFE - Guilt-free 24h breaks
 // You Only Live Once! 🌴
@@ -9944,6 +15519,8 @@ function activateLivingLife() {
         state.currentFast.isActive = false;
         state.currentFast.startTime = null;
         state.currentFast.powerups = [];
+        state.currentFast.pauses = [];
+        state.currentFast.breaks = [];
         stopTimer();
         resetTimerUI();
     }
@@ -9951,7 +15528,15 @@ function activateLivingLife() {
     if (state.currentSleep && state.currentSleep.isActive) {
         state.currentSleep.isActive = false;
         state.currentSleep.startTime = null;
+        resetWakeAlarmSession();
         stopSleepTimer();
+        stopWakeAlarm();
+    }
+
+    if (state.currentNap && state.currentNap.isActive) {
+        state.currentNap.isActive = false;
+        state.currentNap.startTime = null;
+        updateNapUI();
     }
 
     saveState();
@@ -0,0 +1,117 @@
+/**
+ * DATA TEST SUITE FOR SLEEP SUIVOUR
+ *
+ * Run these tests in your browser console while the app is open (served by server.py,
+ * so the files in samples/ can be fetched). Tests that write data put your state back
+ * afterwards, but export a backup first to be safe.
+ */
+
+// ==========================================
+// TEST 1: IndexedDB Write Failure Fallback
+// ==========================================
+console.log('=== TEST 1: IndexedDB Write Failure Fallback ===');
+
+async function testIndexedDBFallback() {
+    if (!window.stateStorage || !(await stateStorage.open())) {
+        console.log('  Skipped - IndexedDB is not available in this browser');
+        return;
+    }
+
+    const original = JSON.parse(JSON.stringify(state));
+    const realSave = stateStorage.save;
+    const marker = `fallback-${Date.now()}`;
+
+    try {
+        // Current state is in IndexedDB
+        await stateStorage.save({ ...state, savedAt: Date.now() });
+
+        // IndexedDB write fails -> the change goes to localStorage
+        stateStorage.save = () => Promise.reject(new Error('Simulated quota error'));
+        state.dataTestMarker = marker;
+        persistStateLocally();
+        await new Promise(resolve => setTimeout(resolve, 50));
+        console.log(`  Fell back to localStorage: ${stateStorage.available === false && localStorage.getItem(STATE_KEY) ? '✅ PASS' : '❌ FAIL'}`);
+
+        // "Reload": IndexedDB opens fine again and still holds the older copy
+        stateStorage.save = realSave;
+        stateStorage.available = true;
+        await loadState();
+        console.log(`  Reload shows the latest state: ${state.dataTestMarker === marker ? '✅ PASS' : '❌ FAIL'}`);
+        console.log(`  Fallback copy moved back to IndexedDB: ${localStorage.getItem(STATE_KEY) === null ? '✅ PASS' : '❌ FAIL'}`);
+
+        const reloaded = await stateStorage.load();
+        console.log(`  Second reload keeps it: ${reloaded?.dataTestMarker === marker ? '✅ PASS' : '❌ FAIL'}`);
+    } finally {
+        stateStorage.save = realSave;
+        stateStorage.available = true;
+        state = original;
+        window.state = state;
+        await stateStorage.save({ ...state, savedAt: Date.now() });
+        localStorage.removeItem(STATE_KEY);
+    }
+}
+
+testIndexedDBFallback();
+
+// ==========================================
+// TEST 2: Health App Round Trip (Apple Health XML, Google Fit JSON)
+// ==========================================
+console.log('\n=== TEST 2: Health App Round Trip ===');
+
+// Records in samples/apple-health-sample.xml and samples/google-fit-sample.json
+const HEALTH_SAMPLE_FASTS = [
+    { id: 'sample-fast-1', startTime: Date.parse('2026-01-10T20:00:00Z'), endTime: Date.parse('2026-01-11T12:00:00Z'), goalHours: 16, feeling: 'fine' },
+    { id: 'sample-fast-2', startTime: Date.parse('2026-01-12T19:30:00Z'), endTime: Date.parse('2026-01-13T13:30:00Z'), goalHours: 18 }
+];
+const HEALTH_SAMPLE_SLEEPS = [
+    { id: 'sample-sleep-1', startTime: Date.parse('2026-01-10T22:30:00Z'), endTime: Date.parse('2026-01-11T06:30:00Z'), goalHours: 8, feeling: 'prettygood' }
+];
+// The other app's own night: Apple's stage records merge into one session
+const HEALTH_SAMPLE_FOREIGN_SLEEP = { startTime: Date.parse('2026-01-12T23:00:00Z'), endTime: Date.parse('2026-01-13T06:45:00Z'), goalHours: 8 };
+
+function compareHealthRecords(label, actual, expected) {
+    const pick = r => ({ id: r.id, startTime: r.startTime, endTime: r.endTime, goalHours: r.goalHours, feeling: r.feeling || null });
+    const a = JSON.stringify(actual.map(pick).sort((x, y) => x.startTime - y.startTime));
+    const e = JSON.stringify(expected.map(pick).sort((x, y) => x.startTime - y.startTime));
+    console.log(`  ${label}: ${a === e ? '✅ PASS' : '❌ FAIL'}`);
+    if (a !== e) console.log('    expected', e, '\n    got     ', a);
+}
+
+// Same path as "Import from Another App": adapter, then the import sanitizer
+function importHealthText(text) {
+    const { adapter, converted } = readAdapterFile(text);
+    return { adapter, ...sanitizeImportedData({ fastingHistory: converted.fastingHistory, sleepHistory: converted.sleepHistory }) };
+}
+
+async function testHealthRoundTrip() {
+    // Sample files
+    for (const [file, adapterId] of [['samples/apple-health-sample.xml', 'healthxml'], ['samples/google-fit-sample.json', 'googlefit']]) {
+        const text = await (await fetch(file)).text();
+        const imported = importHealthText(text);
+        console.log(`  ${file} detected as ${adapterId}: ${imported.adapter.id === adapterId ? '✅ PASS' : '❌ FAIL'}`);
+        compareHealthRecords(`${file} fasts`, imported.fastingHistory, HEALTH_SAMPLE_FASTS);
+        compareHealthRecords(`${file} sleeps`, imported.sleepHistory, [
+            ...HEALTH_SAMPLE_SLEEPS,
+            { ...HEALTH_SAMPLE_FOREIGN_SLEEP, id: `${adapterId}-${HEALTH_SAMPLE_FOREIGN_SLEEP.startTime}` }
+        ]);
+    }
+
+    // Export -> import gives back the same records
+    const saved = { fastingHistory: state.fastingHistory, sleepHistory: state.sleepHistory };
+    const withDuration = r => ({ ...r, duration: (r.endTime - r.startTime) / 3600000 });
+    try {
+        state.fastingHistory = HEALTH_SAMPLE_FASTS.map(withDuration);
+        state.sleepHistory = HEALTH_SAMPLE_SLEEPS.map(withDuration);
+        const apple = importHealthText(buildAppleHealthXml());
+        const fit = importHealthText(JSON.stringify(buildGoogleFitSessions()));
+        compareHealthRecords('Apple Health export -> import fasts', apple.fastingHistory, HEALTH_SAMPLE_FASTS);
+        compareHealthRecords('Apple Health export -> import sleeps', apple.sleepHistory, HEALTH_SAMPLE_SLEEPS);
+        compareHealthRecords('Google Fit export -> import fasts', fit.fastingHistory, HEALTH_SAMPLE_FASTS);
+        compareHealthRecords('Google Fit export -> import sleeps', fit.sleepHistory, HEALTH_SAMPLE_SLEEPS);
+    } finally {
+        state.fastingHistory = saved.fastingHistory;
+        state.sleepHistory = saved.sleepHistory;
+    }
+}
+
+testHealthRoundTrip();
@@ -1,6 +1,16 @@
 // Firebase Sync Module
 // Handles real-time data synchronization with Firebase
 
+// Offline outbox: pushes that failed are remembered (across reloads) and retried with backoff
+const SYNC_OUTBOX_KEY = 'sync-outbox';
+const SYNC_OUTBOX_MAX_ENTRIES = 50;
+const SYNC_RETRY_BASE_MS = 5000;        // First retry after ~5s
+const SYNC_RETRY_MAX_MS = 5 * 60 * 1000; // Never wait more than 5 minutes
+const SYNC_WRITE_TIMEOUT_MS = 15000;    // Firebase queues writes silently while offline - treat a stall as a failure
+
+// Daily cloud snapshots (users/$uid/snapshots/YYYY-MM-DD), for point-in-time restore
+const SNAPSHOT_RETENTION_DAYS = 30;
+
 class FirebaseSync {
     constructor() {
         this.isInitialized = false;
@@ -8,7 +18,13 @@ class FirebaseSync {
         this.dataRef = null;
         this.syncEnabled = false;
         this.lastSyncTimestamp = null;
+        this.lastWriteId = null; // Lets us recognise the echo of our own write
         this.syncListeners = [];
+        this.connectedRef = null;
+        this.outbox = this.loadOutbox();
+        this.retryTimer = null;
+        this.isFlushingOutbox = false;
+        this.lastSnapshotDate = null; // Day we last confirmed a snapshot exists (checked once per day)
     }
 
     // Initialize Firebase and set up auth state listener
@@ -57,6 +73,9 @@ class FirebaseSync {
                 this.handleAuthStateChange(user);
             });
 
+            // Retry queued pushes as soon as the browser is back online
+            window.addEventListener('online', () => this.flushOutbox('online'));
+
             console.log('Firebase sync initialized');
             return true;
         } catch (error) {
@@ -193,6 +212,8 @@ class FirebaseSync {
             this.currentUser = null;
             this.syncEnabled = false;
             this.lastSyncTimestamp = null;
+            // Local data is wiped on sign out, so there is nothing left to push
+            this.clearOutbox(false);
 
         } catch (error) {
             console.error('Error signing out:', error);
@@ -230,6 +251,14 @@ class FirebaseSync {
             }
         });
 
+        // Flush the outbox whenever the Firebase connection comes back
+        this.connectedRef = database.ref('.info/connected');
+        this.connectedRef.on('value', (snapshot) => {
+            if (snapshot.val() === true) {
+                this.flushOutbox('reconnected');
+            }
+        });
+
         this.syncEnabled = true;
         console.log('Sync listeners set up for user:', userId);
     }
@@ -240,43 +269,233 @@ class FirebaseSync {
             this.dataRef.off();
             this.dataRef = null;
         }
+        if (this.connectedRef) {
+            this.connectedRef.off();
+            this.connectedRef = null;
+        }
         this.syncEnabled = false;
     }
 
     // Handle remote data changes
     handleRemoteDataChange(remoteData) {
-        // Check if remote data is newer than local data
-        const localTimestamp = this.lastSyncTimestamp || 0;
         const remoteTimestamp = remoteData.lastModified || 0;
 
-        // Ignore updates that are very close in time (within 2 seconds) to prevent sync loops
-        const timeDiff = Math.abs(remoteTimestamp - localTimestamp);
-        if (localTimestamp > 0 && timeDiff < 2000) {
+        // Our own write echoing back - local state already contains everything in it
+        if (remoteData.writeId && remoteData.writeId === this.lastWriteId) {
+            this.lastSyncTimestamp = Math.max(this.lastSyncTimestamp || 0, remoteTimestamp);
             return;
         }
 
-        // Apply remote data if it's newer OR if we have no local timestamp (fresh device)
-        if (remoteTimestamp > localTimestamp || localTimestamp === 0) {
-            this.updateSyncStatus('syncing', 'Syncing...');
+        // Merging is idempotent, so every remote change (older or newer) is safe to apply
+        this.updateSyncStatus('syncing', 'Syncing...');
 
-            // Update local state with remote data
-            if (remoteData.state) {
-                // Merge remote state with local state
-                this.notifySyncListeners('remote-update', {
-                    remoteState: remoteData.state,
-                    remoteTimestamp
-                });
-            } else {
-                // Still notify so initialSyncComplete gets set
-                this.notifySyncListeners('remote-update', {
-                    remoteState: {},
-                    remoteTimestamp: 0
-                });
+        this.notifySyncListeners('remote-update', {
+            // Still notify with an empty state so initialSyncComplete gets set
+            remoteState: remoteData.state || {},
+            remoteTimestamp: remoteData.state ? remoteTimestamp : 0
+        });
+
+        this.lastSyncTimestamp = Math.max(this.lastSyncTimestamp || 0, remoteTimestamp);
+        this.updateSyncStatus('online', 'Synced');
+    }
+
+    // ==========================================
+    // FIELD-LEVEL MERGE
+    // ==========================================
+    // Two devices can write at the same time, so nothing is ever replaced wholesale:
+    // history is unioned by id (deletions travel as tombstones), skills take the max,
+    // settings pick the newest value per key, and in-progress logs are unioned by type + time.
+    // The merge is commutative enough that every device converges on the same result.
+
+    // Merge remote state into local state. Returns a new object; neither input is modified.
+    // Fields not handled here (collection, livingLife, etc.) keep their local values.
+    mergeStates(localState, remoteState) {
+        const local = localState || {};
+        const remote = remoteState || {};
+
+        const deletedRecords = this.mergeTombstones(local.deletedRecords, remote.deletedRecords);
+        const fastingHistory = this.mergeRecordsById(local.fastingHistory, remote.fastingHistory, deletedRecords);
+        const sleepHistory = this.mergeRecordsById(local.sleepHistory, remote.sleepHistory, deletedRecords);
+        const napHistory = this.mergeRecordsById(local.napHistory, remote.napHistory, deletedRecords);
+        const meals = this.mergeRecordsById(local.meals, remote.meals, deletedRecords).sort((a, b) => b.time - a.time);
+        const eatingHistory = this.mergeRecordsById(local.eatingHistory, remote.eatingHistory, deletedRecords);
+        const measurements = this.mergeRecordsById(local.measurements, remote.measurements, deletedRecords).sort((a, b) => b.time - a.time);
+        // Powerups from an eating window that was archived (a fast started on either device) are done
+        const archivedUntil = eatingHistory.reduce((latest, record) => Math.max(latest, record.endTime || 0), 0);
+        const { settings, settingsUpdatedAt } = this.mergeSettings(local, remote);
+
+        return {
+            ...local,
+            deletedRecords,
+            fastingHistory,
+            sleepHistory,
+            napHistory,
+            meals,
+            eatingHistory,
+            measurements,
+            skills: this.mergeSkills(local.skills, remote.skills),
+            settings,
+            settingsUpdatedAt,
+            currentFast: this.mergeSession(local.currentFast, remote.currentFast, fastingHistory, ['powerups', 'hungerLogs', 'biomarkers', 'breaks', 'pauses']),
+            // A short sleep can be saved as a nap, so either history can end a sleep session
+            currentSleep: this.mergeSession(local.currentSleep, remote.currentSleep, [...sleepHistory, ...napHistory], []),
+            currentNap: this.mergeSession(local.currentNap, remote.currentNap, napHistory, []),
+            // Powerups logged with a meal go when the meal is deleted
+            eatingPowerups: this.mergeTimedEntries(local.eatingPowerups, remote.eatingPowerups)
+                .filter(entry => (!entry.mealId || !deletedRecords[entry.mealId]) && entry.time > archivedUntil),
+            sleepPowerups: this.mergeTimedEntries(local.sleepPowerups, remote.sleepPowerups),
+            fastingPlan: this.mergeNewest(local.fastingPlan, remote.fastingPlan),
+            chronotype: this.mergeNewest(local.chronotype, remote.chronotype)
+        };
+    }
+
+    // Compact summary of the merged fields, used to tell whether a merge changed anything
+    mergeFingerprint(state) {
+        const recordKeys = (records) => (records || []).map(r => `${r.id}:${r.updatedAt || 0}`).sort();
+        return JSON.stringify([
+            recordKeys(state.fastingHistory),
+            recordKeys(state.sleepHistory),
+            recordKeys(state.napHistory),
+            recordKeys(state.meals),
+            recordKeys(state.eatingHistory),
+            recordKeys(state.measurements),
+            Object.keys(state.deletedRecords || {}).length,
+            Object.entries(state.skills || {}).sort(),
+            Object.entries(state.settings || {}).sort(),
+            [state.currentFast?.isActive, state.currentFast?.startTime, (state.currentFast?.powerups || []).length, (state.currentFast?.hungerLogs || []).length, (state.currentFast?.biomarkers || []).length,
+                (state.currentFast?.breaks || []).length, (state.currentFast?.pauses || []).map(p => `${p.start}-${p.end || ''}`).join()],
+            [state.currentSleep?.isActive, state.currentSleep?.startTime, state.currentSleep?.alarmTime, state.currentSleep?.alarmSnoozes],
+            [state.currentNap?.isActive, state.currentNap?.startTime],
+            (state.eatingPowerups || []).length,
+            (state.sleepPowerups || []).length,
+            state.fastingPlan?.updatedAt || 0,
+            state.chronotype?.updatedAt || 0
+        ]);
+    }
+
+    // Objects edited as a whole (e.g. the weekly plan): the newer updatedAt wins, ties go to remote.
+    // Returns null rather than undefined so the result can be written to the database.
+    mergeNewest(localValue, remoteValue) {
+        if (!localValue) return remoteValue || null;
+        if (!remoteValue) return localValue;
+        return (remoteValue.updatedAt || 0) >= (localValue.updatedAt || 0) ? remoteValue : localValue;
+    }
+
+    // Union of deletion markers ({ recordId: deletedAt }), keeping the latest time
+    mergeTombstones(localTombstones, remoteTombstones) {
+        const merged = { ...(localTombstones || {}) };
+        for (const [id, deletedAt] of Object.entries(remoteTombstones || {})) {
+            merged[id] = Math.max(merged[id] || 0, deletedAt || 0);
+        }
+        return merged;
+    }
+
+    // Union of history records by id. Edited records carry updatedAt; the newer edit wins.
+    // A record is dropped if it was deleted after it was last written.
+    mergeRecordsById(localRecords, remoteRecords, tombstones) {
+        const byId = new Map();
+        for (const record of localRecords || []) {
+            if (record && record.id) byId.set(record.id, record);
+        }
+        for (const record of remoteRecords || []) {
+            if (!record || !record.id) continue;
+            const existing = byId.get(record.id);
+            if (!existing || (record.updatedAt || 0) > (existing.updatedAt || 0)) {
+                byId.set(record.id, record);
             }
+        }
 
-            this.lastSyncTimestamp = remoteTimestamp;
-            this.updateSyncStatus('online', 'Synced');
+        const merged = [];
+        for (const [id, record] of byId) {
+            const deletedAt = tombstones[id];
+            const writtenAt = record.updatedAt || record.endTime || record.time || 0;
+            if (deletedAt && deletedAt >= writtenAt) continue;
+            merged.push(record);
+        }
+        return merged.sort((a, b) => b.endTime - a.endTime);
+    }
+
+    // Skill XP only ever grows, so the max is always safe
+    mergeSkills(localSkills, remoteSkills) {
+        const merged = { ...(localSkills || {}) };
+        for (const [skill, xp] of Object.entries(remoteSkills || {})) {
+            merged[skill] = Math.max(merged[skill] || 0, xp || 0);
+        }
+        return merged;
+    }
+
+    // Per-key last-writer-wins using settingsUpdatedAt. Ties go to remote, so a fresh
+    // device (no timestamps yet) adopts the settings already in the cloud.
+    mergeSettings(local, remote) {
+        const localSettings = local.settings || {};
+        const remoteSettings = remote.settings || {};
+        const localTimes = local.settingsUpdatedAt || {};
+        const remoteTimes = remote.settingsUpdatedAt || {};
+
+        const settings = { ...localSettings };
+        const settingsUpdatedAt = { ...localTimes };
+        for (const key of Object.keys(remoteSettings)) {
+            if ((remoteTimes[key] || 0) >= (localTimes[key] || 0)) {
+                settings[key] = remoteSettings[key];
+                settingsUpdatedAt[key] = Math.max(remoteTimes[key] || 0, localTimes[key] || 0);
+            }
+        }
+        return { settings, settingsUpdatedAt };
+    }
+
+    // Union of timestamped log entries ({ type, time, ... }), keyed by type + time
+    mergeTimedEntries(localEntries, remoteEntries) {
+        const byKey = new Map();
+        for (const entry of [...(localEntries || []), ...(remoteEntries || [])]) {
+            if (!entry) continue;
+            const key = `${entry.type || entry.level}-${entry.time}`;
+            if (!byKey.has(key)) byKey.set(key, entry);
+        }
+        return [...byKey.values()].sort((a, b) => (a.time || 0) - (b.time || 0));
+    }
+
+    // Pause segments keyed by their start. A pause resumed on one device but still open
+    // on the other counts as resumed.
+    mergePauses(localPauses, remotePauses) {
+        const byStart = new Map();
+        for (const pause of [...(localPauses || []), ...(remotePauses || [])]) {
+            if (!pause) continue;
+            const existing = byStart.get(pause.start);
+            if (!existing || (!existing.end && pause.end)) byStart.set(pause.start, pause);
+        }
+        return [...byStart.values()].sort((a, b) => (a.start || 0) - (b.start || 0));
+    }
+
+    // Reconcile an in-progress fast or sleep. A session only counts as ended once its
+    // record shows up in history, so a device that hasn't heard about it can't cancel it.
+    mergeSession(localSession, remoteSession, history, logFields) {
+        const local = localSession || {};
+        const remote = remoteSession || {};
+        const endedInHistory = (session) => history.some(record => record.startTime === session.startTime);
+        const asEnded = (session) => ({ ...session, startTime: null, isActive: false, ...Object.fromEntries(logFields.map(field => [field, []])) });
+
+        if (local.isActive && remote.isActive) {
+            if (local.startTime === remote.startTime) {
+                // Same session logged on two devices - keep every entry from both
+                const merged = { ...local };
+                logFields.forEach(field => {
+                    merged[field] = field === 'pauses'
+                        ? this.mergePauses(local[field], remote[field])
+                        : this.mergeTimedEntries(local[field], remote[field]);
+                });
+                return merged;
+            }
+            // Different sessions - the one started most recently wins
+            const winner = (remote.startTime || 0) > (local.startTime || 0) ? remote : local;
+            return endedInHistory(winner) ? asEnded(local) : { ...winner };
         }
+        if (remote.isActive) {
+            return endedInHistory(remote) ? { ...local } : { ...remote };
+        }
+        if (local.isActive) {
+            return endedInHistory(local) ? asEnded(local) : { ...local };
+        }
+        return { ...local };
     }
 
     // Sync local data to cloud
@@ -309,23 +528,252 @@ class FirebaseSync {
                 }
             }
 
+            // Merge into whatever is in the cloud right now instead of overwriting it.
+            // The transaction reruns if another device writes in between, so neither write is lost.
             // SECURITY: Don't store device fingerprinting data (userAgent, platform)
-            const syncData = {
-                state: stateToSync,
-                lastModified: Date.now()
-            };
+            const writeId = `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+            const localSnapshot = JSON.parse(JSON.stringify(stateToSync));
+            let lastModified = 0;
+            let mergedState = null;
+
+            // Set before writing - the 'value' echo can arrive before the transaction resolves
+            this.lastWriteId = writeId;
+            const transaction = this.dataRef.transaction((current) => {
+                lastModified = Date.now();
+                mergedState = this.mergeStates(localSnapshot, current?.state);
+                return { state: mergedState, lastModified, writeId };
+            }, undefined, false);
+            let timeoutId = null;
+            const timeout = new Promise((_, reject) => {
+                timeoutId = setTimeout(() => reject(new Error('Timed out waiting for the server')), SYNC_WRITE_TIMEOUT_MS);
+            });
+            const result = await Promise.race([transaction, timeout]).finally(() => clearTimeout(timeoutId));
 
-            await this.dataRef.set(syncData);
-            this.lastSyncTimestamp = syncData.lastModified;
+            if (!result.committed) {
+                throw new Error('Sync transaction was not committed');
+            }
+
+            this.lastSyncTimestamp = lastModified;
             this.updateSyncStatus('online', 'Synced');
+            this.notifySyncListeners('sync-pushed', {
+                lastModified,
+                fasts: (localSnapshot.fastingHistory || []).length,
+                sleeps: (localSnapshot.sleepHistory || []).length
+            });
+            this.clearOutbox(true);
+
+            // First successful push of the day also records that day's snapshot
+            this.saveDailySnapshot(localSnapshot).catch(error => {
+                console.warn('Could not save daily snapshot:', error.message);
+            });
+
+            // The cloud held something this device didn't have - hand it back to the app
+            if (mergedState && this.mergeFingerprint(mergedState) !== this.mergeFingerprint(localSnapshot)) {
+                this.notifySyncListeners('remote-update', {
+                    remoteState: mergedState,
+                    remoteTimestamp: lastModified
+                });
+            }
             return true;
         } catch (error) {
             console.error('Error syncing to cloud:', error);
             this.updateSyncStatus('offline', 'Sync failed');
+            this.queueFailedSync(error);
             return false;
         }
     }
 
+    // ==========================================
+    // DAILY SNAPSHOTS
+    // ==========================================
+    // One snapshot per day, written by whichever device syncs first that day and never
+    // overwritten - so a bad push later in the day can't clobber the day's restore point.
+    // A lightweight index (snapshotIndex) lets the list render without downloading every state.
+
+    // Snapshot id for a date, in local time (YYYY-MM-DD)
+    getSnapshotId(date = new Date()) {
+        const pad = (n) => String(n).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    }
+
+    // Write today's snapshot if it doesn't exist yet, then prune old ones
+    async saveDailySnapshot(stateToSave) {
+        if (!this.currentUser) return false;
+
+        const snapshotId = this.getSnapshotId();
+        if (this.lastSnapshotDate === snapshotId) return false;
+
+        // Never snapshot an empty state - that's exactly what snapshots protect against
+        const hasHistory = (stateToSave.fastingHistory || []).length > 0 || (stateToSave.sleepHistory || []).length > 0;
+        if (!hasHistory) return false;
+
+        const userRef = database.ref(`users/${this.currentUser.uid}`);
+        const createdAt = Date.now();
+        const result = await userRef.child(`snapshots/${snapshotId}`).transaction((current) => {
+            // Abort if another device already took today's snapshot
+            if (current !== null) return undefined;
+            return { createdAt, state: stateToSave };
+        }, undefined, false);
+
+        this.lastSnapshotDate = snapshotId;
+        if (!result.committed) return false;
+
+        await userRef.child(`snapshotIndex/${snapshotId}`).set({
+            createdAt,
+            fasts: (stateToSave.fastingHistory || []).length,
+            sleeps: (stateToSave.sleepHistory || []).length,
+            totalXP: Object.values(stateToSave.skills || {}).reduce((sum, xp) => sum + (xp || 0), 0)
+        });
+        this.notifySyncListeners('snapshot-saved', { snapshotId });
+
+        await this.pruneSnapshots();
+        return true;
+    }
+
+    // Keep only the newest SNAPSHOT_RETENTION_DAYS snapshots
+    async pruneSnapshots() {
+        if (!this.currentUser) return;
+
+        const userRef = database.ref(`users/${this.currentUser.uid}`);
+        const indexSnapshot = await userRef.child('snapshotIndex').orderByKey().once('value');
+        const ids = Object.keys(indexSnapshot.val() || {}).sort();
+        const expired = ids.slice(0, Math.max(0, ids.length - SNAPSHOT_RETENTION_DAYS));
+        if (expired.length === 0) return;
+
+        const updates = {};
+        for (const id of expired) {
+            updates[`snapshots/${id}`] = null;
+            updates[`snapshotIndex/${id}`] = null;
+        }
+        await userRef.update(updates);
+    }
+
+    // List available snapshots, newest first: [{ id, createdAt, fasts, sleeps, totalXP }]
+    async listSnapshots() {
+        if (!this.currentUser) return [];
+
+        const indexSnapshot = await database.ref(`users/${this.currentUser.uid}/snapshotIndex`)
+            .orderByKey()
+            .limitToLast(SNAPSHOT_RETENTION_DAYS)
+            .once('value');
+        const index = indexSnapshot.val() || {};
+        return Object.entries(index)
+            .map(([id, meta]) => ({ id, ...meta }))
+            .sort((a, b) => b.id.localeCompare(a.id));
+    }
+
+    // Download the full state stored in a snapshot
+    async getSnapshotState(snapshotId) {
+        if (!this.currentUser) return null;
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(snapshotId)) return null;
+
+        const snapshot = await database.ref(`users/${this.currentUser.uid}/snapshots/${snapshotId}/state`).once('value');
+        return snapshot.val();
+    }
+
+    // ==========================================
+    // OFFLINE OUTBOX
+    // ==========================================
+    // Every push sends the whole (merged) state, so the outbox only needs to remember
+    // that something is waiting - a successful push of the current state clears it all.
+
+    // Read the persisted outbox
+    loadOutbox() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(SYNC_OUTBOX_KEY));
+            if (saved && Array.isArray(saved.entries)) {
+                return { entries: saved.entries, attempts: saved.attempts || 0 };
+            }
+        } catch (error) {
+            // Missing or unreadable - start empty
+        }
+        return { entries: [], attempts: 0 };
+    }
+
+    // Persist the outbox so pending pushes survive a reload
+    saveOutbox() {
+        try {
+            if (this.outbox.entries.length > 0) {
+                localStorage.setItem(SYNC_OUTBOX_KEY, JSON.stringify(this.outbox));
+            } else {
+                localStorage.removeItem(SYNC_OUTBOX_KEY);
+            }
+        } catch (error) {
+            console.warn('Could not persist sync outbox:', error.message);
+        }
+    }
+
+    // Number of failed pushes waiting to be retried
+    getPendingCount() {
+        return this.outbox.entries.length;
+    }
+
+    // Remember a failed push and schedule a retry
+    queueFailedSync(error) {
+        const reason = error?.message || 'Unknown error';
+        // A failed retry is the same pending change, not a new one
+        if (!this.isFlushingOutbox) {
+            this.outbox.entries.push({ queuedAt: Date.now(), reason });
+            this.outbox.entries = this.outbox.entries.slice(-SYNC_OUTBOX_MAX_ENTRIES);
+        }
+        this.saveOutbox();
+        this.notifySyncListeners('sync-failed', { reason, pending: this.getPendingCount() });
+        this.scheduleRetry();
+    }
+
+    // Exponential backoff with a little jitter so several tabs don't retry in lockstep
+    scheduleRetry() {
+        if (this.retryTimer) clearTimeout(this.retryTimer);
+        if (this.getPendingCount() === 0) return;
+
+        const backoff = Math.min(SYNC_RETRY_BASE_MS * Math.pow(2, this.outbox.attempts), SYNC_RETRY_MAX_MS);
+        const delayMs = Math.round(backoff * (0.8 + Math.random() * 0.4));
+        this.retryTimer = setTimeout(() => this.flushOutbox('retry'), delayMs);
+        this.notifySyncListeners('sync-retry-scheduled', {
+            attempt: this.outbox.attempts + 1,
+            retryAt: Date.now() + delayMs
+        });
+    }
+
+    // Push the current state if anything is waiting in the outbox
+    async flushOutbox(trigger) {
+        if (this.getPendingCount() === 0 || this.isFlushingOutbox) return;
+        if (!this.syncEnabled || !this.dataRef) return;
+
+        if (this.retryTimer) {
+            clearTimeout(this.retryTimer);
+            this.retryTimer = null;
+        }
+        this.isFlushingOutbox = true;
+        this.outbox.attempts++;
+        this.saveOutbox();
+        this.notifySyncListeners('sync-retry', {
+            trigger,
+            attempt: this.outbox.attempts,
+            pending: this.getPendingCount()
+        });
+
+        try {
+            await this.syncToCloud(window.state);
+        } finally {
+            this.isFlushingOutbox = false;
+        }
+    }
+
+    // Empty the outbox (after a successful push, or on sign out)
+    clearOutbox(notify) {
+        if (this.retryTimer) {
+            clearTimeout(this.retryTimer);
+            this.retryTimer = null;
+        }
+        const flushed = this.getPendingCount();
+        this.outbox = { entries: [], attempts: 0 };
+        this.saveOutbox();
+        if (notify && flushed > 0) {
+            this.notifySyncListeners('outbox-flushed', { count: flushed });
+        }
+    }
+
     // Add a sync listener
     addSyncListener(callback) {
         this.syncListeners.push(callback);
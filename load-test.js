@@ -0,0 +1,83 @@
+/**
+ * LOAD SMOKE TEST FOR SLEEP SUIVOUR
+ *
+ * Runs the app's scripts in the same order as index.html, in a bare Node VM with just
+ * enough browser globals to get through top-level code. Catches errors thrown while the
+ * scripts load (e.g. a const read before its declaration), which leave the whole app dead.
+ *
+ * Run with: npm test (or node load-test.js)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// Scripts index.html loads, in order (the Firebase SDK comes from a CDN and is left out)
+const SCRIPTS = ['firebase-config.js', 'firebase-sync.js', 'storage.js', 'app.js'];
+
+function createBrowserContext() {
+    const noop = () => {};
+    const storage = new Map();
+    const context = {
+        console,
+        // Timers never fire - this only checks loading, and the process has to exit
+        setTimeout: () => 0,
+        clearTimeout: noop,
+        setInterval: () => 0,
+        clearInterval: noop,
+        addEventListener: noop,
+        removeEventListener: noop,
+        document: {
+            addEventListener: noop,
+            removeEventListener: noop,
+            getElementById: () => null,
+            querySelector: () => null,
+            querySelectorAll: () => [],
+            createElement: () => ({ style: {}, classList: { add: noop, remove: noop, toggle: noop } }),
+            body: null,
+            title: 'Sleep Suivour',
+            visibilityState: 'visible'
+        },
+        localStorage: {
+            getItem: key => (storage.has(key) ? storage.get(key) : null),
+            setItem: (key, value) => storage.set(key, String(value)),
+            removeItem: key => storage.delete(key)
+        },
+        navigator: { userAgent: 'node', onLine: true },
+        location: { href: 'http://localhost/', hostname: 'localhost', protocol: 'http:' }
+    };
+    context.window = context;
+    context.self = context;
+    return vm.createContext(context);
+}
+
+let failures = 0;
+const check = (label, ok) => {
+    console.log(`  ${label}: ${ok ? '✅ PASS' : '❌ FAIL'}`);
+    if (!ok) failures++;
+};
+
+console.log('=== Load smoke test ===');
+const context = createBrowserContext();
+for (const file of SCRIPTS) {
+    const source = fs.readFileSync(path.join(__dirname, file), 'utf8');
+    try {
+        vm.runInContext(source, context, { filename: file });
+        check(`${file} loads`, true);
+    } catch (error) {
+        check(`${file} loads (${error.name}: ${error.message})`, false);
+        break;
+    }
+}
+
+if (failures === 0) {
+    const globals = vm.runInContext('({ state: typeof state, getChronotype: typeof getChronotype, sanitizeImportedData: typeof sanitizeImportedData })', context);
+    check('state is initialized', globals.state === 'object');
+    check('app functions are defined', globals.getChronotype === 'function' && globals.sanitizeImportedData === 'function');
+    check('default chronotype is set', vm.runInContext('Boolean(state.chronotype && state.chronotype.bedtimeStart)', context));
+}
+
+if (failures > 0) {
+    console.log(`\n${failures} check(s) failed`);
+    process.exitCode = 1;
+}
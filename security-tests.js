@@ -279,6 +279,39 @@ try {
     console.log('✅ Malicious import correctly rejected:', error.message);
 }
 
+// ==========================================
+// TEST 10: Encrypted Backup Tamper Detection
+// ==========================================
+console.log('\n=== TEST 10: Encrypted Backups ===');
+
+async function testEncryptedBackups() {
+    // Long unique marker - a short word like "test" can turn up in the base64 salt, IV or ciphertext by chance
+    const marker = `plaintext-marker-${Date.now()}-${Math.random().toString(36).slice(2)}`;
+    const encrypted = await encryptBackup(JSON.stringify({ marker }), 'test-passphrase');
+
+    const roundTrip = JSON.parse(await decryptBackup(encrypted, 'test-passphrase'));
+    console.log(`  Round trip: ${roundTrip.marker === marker ? '✅ PASS' : '❌ FAIL'}`);
+    console.log(`  No plaintext in file: ${!JSON.stringify(encrypted).includes(marker) ? '✅ PASS' : '❌ FAIL'}`);
+
+    const tamperedData = { ...encrypted, data: encrypted.data.slice(0, -4) + (encrypted.data.endsWith('AAAA') ? 'BBBB' : 'AAAA') };
+    const tamperedHeader = { ...encrypted, cipher: { ...encrypted.cipher, name: 'AES-GCM', extra: 1 } };
+    const cases = [
+        ['Wrong passphrase', encrypted, 'wrong-passphrase'],
+        ['Modified ciphertext', tamperedData, 'test-passphrase'],
+        ['Modified header', tamperedHeader, 'test-passphrase']
+    ];
+    for (const [label, file, passphrase] of cases) {
+        try {
+            await decryptBackup(file, passphrase);
+            console.log(`  ${label} rejected: ❌ FAIL`);
+        } catch (e) {
+            console.log(`  ${label} rejected: ✅ PASS`);
+        }
+    }
+}
+
+testEncryptedBackups();
+
 // ==========================================
 // SUMMARY
 // ==========================================
@@ -18,9 +18,19 @@ ALLOWED_EXTENSIONS = {'.html', '.css', '.js', '.json', '.png', '.jpg', '.jpeg',
 # Allowed directories (relative to server root)
 ALLOWED_PATHS = {'/', '/index.html', '/app.js', '/styles.css'}
 
+# URL the optional calendar feed is served at
+ICS_FEED_PATH = '/calendar.ics'
+
 class SecureHTTPRequestHandler(http.server.SimpleHTTPRequestHandler):
 
+    # Calendar file exported from the app (set with --ics-feed), or None to disable the feed
+    ics_feed_file = None
+
     def do_GET(self):
+        if self.path.split('?')[0] == ICS_FEED_PATH and self.ics_feed_file:
+            self.serve_ics_feed()
+            return
+
         # Sanitize and validate the path
         if not self.is_safe_path(self.path):
             self.send_error(403, "Forbidden")
@@ -37,6 +47,21 @@ class SecureHTTPRequestHandler(http.server.SimpleHTTPRequestHandler):
     def do_DELETE(self):
         self.send_error(405, "Method Not Allowed")
 
+    def serve_ics_feed(self):
+        """Serve the exported .ics file. Re-read on every request so re-exporting updates subscribers."""
+        try:
+            with open(self.ics_feed_file, 'rb') as f:
+                body = f.read()
+        except OSError:
+            self.send_error(404, "Calendar feed not found - export it from the app first")
+            return
+
+        self.send_response(200)
+        self.send_header('Content-Type', 'text/calendar; charset=utf-8')
+        self.send_header('Content-Length', str(len(body)))
+        self.end_headers()
+        self.wfile.write(body)
+
     def is_safe_path(self, path):
         """Validate the requested path for security."""
         # Remove query string
@@ -122,12 +147,15 @@ def main():
     parser = argparse.ArgumentParser(description='Fasting Tracker Local Server')
     parser.add_argument('--host', default='0.0.0.0', help='Host to bind to (default: 0.0.0.0)')
     parser.add_argument('--port', type=int, default=8000, help='Port to bind to (default: 8000)')
+    parser.add_argument('--ics-feed', metavar='FILE', help='Serve this exported .ics file at /calendar.ics for calendar subscriptions')
     args = parser.parse_args()
 
     local_ip = get_local_ip()
 
     # Use secure handler
     Handler = SecureHTTPRequestHandler
+    if args.ics_feed:
+        Handler.ics_feed_file = os.path.abspath(args.ics_feed)
 
     # Allow socket reuse to prevent "Address already in use" errors
     socketserver.TCPServer.allow_reuse_address = True
@@ -141,6 +169,9 @@ def main():
         print(f"  - This computer:    http://localhost:{args.port}")
         print(f"  - Other devices:    http://{local_ip}:{args.port}")
         print(f"\nMake sure your devices are on the same WiFi network!")
+        if args.ics_feed:
+            print(f"\n📅 Calendar feed ({args.ics_feed}):")
+            print(f"  - Subscribe at:     webcal://{local_ip}:{args.port}{ICS_FEED_PATH}")
         print("\n🛡️  Security features enabled:")
         print("  - Path traversal protection")
         print("  - File extension whitelist")
@@ -0,0 +1,260 @@
+// Local Storage Module
+// Persists app state in IndexedDB, split into per-record stores so large
+// histories don't have to fit in (or be rewritten into) a single localStorage key
+
+const STORAGE_DB_NAME = 'fasting-tracker-db';
+const STORAGE_DB_VERSION = 1;
+
+// Object stores: one row per record, plus a single "core" row for everything else
+const STORAGE_STORES = {
+    core: 'core',
+    fasts: 'fasts',
+    sleeps: 'sleeps',
+    eatingLogs: 'eatingLogs',
+    hungerLogs: 'hungerLogs'
+};
+
+const CORE_STATE_KEY = 'state';
+
+class StateStorage {
+    constructor() {
+        this.db = null;
+        this.available = false;
+        // JSON of the last written version of each record, per store - lets save() only write what changed
+        this.written = {};
+        this.queuedState = null;
+        this.writing = null;
+    }
+
+    // Open (and create/upgrade) the database. Resolves false when IndexedDB is unusable.
+    async open() {
+        if (this.db) return true;
+        if (!window.indexedDB) {
+            console.warn('IndexedDB not supported - using localStorage');
+            return false;
+        }
+
+        try {
+            this.db = await new Promise((resolve, reject) => {
+                const request = indexedDB.open(STORAGE_DB_NAME, STORAGE_DB_VERSION);
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    if (!db.objectStoreNames.contains(STORAGE_STORES.core)) {
+                        db.createObjectStore(STORAGE_STORES.core, { keyPath: 'key' });
+                    }
+                    if (!db.objectStoreNames.contains(STORAGE_STORES.fasts)) {
+                        db.createObjectStore(STORAGE_STORES.fasts, { keyPath: 'id' });
+                    }
+                    if (!db.objectStoreNames.contains(STORAGE_STORES.sleeps)) {
+                        db.createObjectStore(STORAGE_STORES.sleeps, { keyPath: 'id' });
+                    }
+                    if (!db.objectStoreNames.contains(STORAGE_STORES.eatingLogs)) {
+                        db.createObjectStore(STORAGE_STORES.eatingLogs, { keyPath: 'id' });
+                    }
+                    if (!db.objectStoreNames.contains(STORAGE_STORES.hungerLogs)) {
+                        const hungerStore = db.createObjectStore(STORAGE_STORES.hungerLogs, { keyPath: 'id' });
+                        hungerStore.createIndex('fastId', 'fastId', { unique: false });
+                    }
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+                // Another tab holds an older version open - don't hang the app waiting for it
+                request.onblocked = () => reject(new Error('IndexedDB upgrade blocked by another tab'));
+            });
+
+            // Let other tabs upgrade the schema later instead of blocking them
+            this.db.onversionchange = () => {
+                this.db.close();
+                this.db = null;
+                this.available = false;
+            };
+
+            this.available = true;
+            return true;
+        } catch (error) {
+            // Private browsing modes can refuse IndexedDB entirely
+            console.warn('IndexedDB unavailable - using localStorage:', error?.message || error);
+            this.db = null;
+            this.available = false;
+            return false;
+        }
+    }
+
+    // Split a full state object into the core row and per-store record lists
+    splitState(state) {
+        const core = { ...state };
+        delete core.fastingHistory;
+        delete core.sleepHistory;
+        delete core.eatingPowerups;
+
+        const fasts = [];
+        const hungerLogs = [];
+        for (const fast of state.fastingHistory || []) {
+            const { hungerDetails, ...record } = fast;
+            fasts.push(record);
+            (hungerDetails || []).forEach((log, index) => {
+                hungerLogs.push({ ...log, id: `${fast.id}-${index}`, fastId: fast.id, index });
+            });
+        }
+
+        const sleeps = (state.sleepHistory || []).map(sleep => ({ ...sleep }));
+        const eatingLogs = (state.eatingPowerups || []).map((entry, index) => ({
+            ...entry,
+            id: `${entry.time || 0}-${index}`,
+            index
+        }));
+
+        return { core, fasts, sleeps, eatingLogs, hungerLogs };
+    }
+
+    // Rebuild a full state object from stored rows
+    joinState(core, fasts, sleeps, eatingLogs, hungerLogs) {
+        const hungerByFast = new Map();
+        for (const log of hungerLogs) {
+            if (!hungerByFast.has(log.fastId)) hungerByFast.set(log.fastId, []);
+            hungerByFast.get(log.fastId).push(log);
+        }
+
+        const stripKeys = (record, keys) => {
+            const copy = { ...record };
+            keys.forEach(key => delete copy[key]);
+            return copy;
+        };
+
+        const fastingHistory = fasts.map(fast => {
+            const logs = hungerByFast.get(fast.id);
+            if (!logs) return fast;
+            logs.sort((a, b) => a.index - b.index);
+            return { ...fast, hungerDetails: logs.map(log => stripKeys(log, ['id', 'fastId', 'index'])) };
+        });
+        fastingHistory.sort((a, b) => b.endTime - a.endTime);
+        sleeps.sort((a, b) => b.endTime - a.endTime);
+
+        const eatingPowerups = eatingLogs
+            .sort((a, b) => a.index - b.index)
+            .map(entry => stripKeys(entry, ['id', 'index']));
+
+        return { ...core, fastingHistory, sleepHistory: sleeps, eatingPowerups };
+    }
+
+    // Read every row of a store inside an existing transaction
+    readAll(transaction, storeName) {
+        return new Promise((resolve, reject) => {
+            const request = transaction.objectStore(storeName).getAll();
+            request.onsuccess = () => resolve(request.result || []);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    // Load the full state. Resolves null when nothing has been stored yet.
+    async load() {
+        if (!this.available && !(await this.open())) return null;
+
+        const storeNames = Object.values(STORAGE_STORES);
+        const transaction = this.db.transaction(storeNames, 'readonly');
+        const [coreRows, fasts, sleeps, eatingLogs, hungerLogs] = await Promise.all(
+            storeNames.map(name => this.readAll(transaction, name))
+        );
+
+        const coreRow = coreRows.find(row => row.key === CORE_STATE_KEY);
+        if (!coreRow) return null;
+
+        // Seed the write cache so the next save only touches changed records
+        this.written = {
+            [STORAGE_STORES.fasts]: new Map(fasts.map(r => [r.id, JSON.stringify(r)])),
+            [STORAGE_STORES.sleeps]: new Map(sleeps.map(r => [r.id, JSON.stringify(r)])),
+            [STORAGE_STORES.eatingLogs]: new Map(eatingLogs.map(r => [r.id, JSON.stringify(r)])),
+            [STORAGE_STORES.hungerLogs]: new Map(hungerLogs.map(r => [r.id, JSON.stringify(r)]))
+        };
+
+        return this.joinState(coreRow.value, fasts, sleeps, eatingLogs, hungerLogs);
+    }
+
+    // Queue a save. Rapid calls (e.g. several powerup taps) collapse into one write of the latest state.
+    save(state) {
+        if (!this.available) {
+            return Promise.reject(new Error('IndexedDB not available'));
+        }
+
+        // Snapshot now so later in-memory mutations don't leak into this write
+        this.queuedState = JSON.parse(JSON.stringify(state));
+        if (!this.writing) {
+            this.writing = this.flush().finally(() => {
+                this.writing = null;
+            });
+        }
+        return this.writing;
+    }
+
+    // Write queued snapshots until none are left
+    async flush() {
+        while (this.queuedState) {
+            const snapshot = this.queuedState;
+            this.queuedState = null;
+            await this.writeState(snapshot);
+        }
+    }
+
+    // Write one state snapshot: core row plus only the records that were added, changed or removed
+    writeState(state) {
+        const { core, fasts, sleeps, eatingLogs, hungerLogs } = this.splitState(state);
+        const recordStores = {
+            [STORAGE_STORES.fasts]: fasts,
+            [STORAGE_STORES.sleeps]: sleeps,
+            [STORAGE_STORES.eatingLogs]: eatingLogs,
+            [STORAGE_STORES.hungerLogs]: hungerLogs
+        };
+        const nextWritten = {};
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(Object.values(STORAGE_STORES), 'readwrite');
+            transaction.objectStore(STORAGE_STORES.core).put({ key: CORE_STATE_KEY, value: core });
+
+            for (const [storeName, records] of Object.entries(recordStores)) {
+                const store = transaction.objectStore(storeName);
+                const previous = this.written[storeName] || new Map();
+                const current = new Map();
+
+                for (const record of records) {
+                    if (record.id === undefined || record.id === null) continue;
+                    const json = JSON.stringify(record);
+                    current.set(record.id, json);
+                    if (previous.get(record.id) !== json) {
+                        store.put(record);
+                    }
+                }
+                for (const id of previous.keys()) {
+                    if (!current.has(id)) store.delete(id);
+                }
+                nextWritten[storeName] = current;
+            }
+
+            transaction.oncomplete = () => {
+                this.written = nextWritten;
+                resolve();
+            };
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error || new Error('IndexedDB write aborted'));
+        });
+    }
+
+    // Remove all stored data (used on sign out)
+    async clear() {
+        this.queuedState = null;
+        if (this.writing) await this.writing.catch(() => {});
+        this.written = {};
+        if (!this.available) return;
+
+        await new Promise((resolve, reject) => {
+            const storeNames = Object.values(STORAGE_STORES);
+            const transaction = this.db.transaction(storeNames, 'readwrite');
+            storeNames.forEach(name => transaction.objectStore(name).clear());
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+}
+
+// Create global instance
+const stateStorage = new StateStorage();
+window.stateStorage = stateStorage;